@@ -0,0 +1,186 @@
+// Player accounts
+// Each account lives in the accounts store - a local SQLite database, see
+// storage/index.js - under its own key, named after the lowercased username. Passwords are bcrypt-hashed. Signing in issues a short-lived JWT
+// access token and a long-lived refresh token; each refresh token can be used
+// once - refreshing swaps it for a new pair - and is revoked on sign out.
+//
+// BCRYPT_ROUNDS sets the hashing cost (default 10).
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { signJwt, verifyJwt } from './jwt.js';
+
+const LEGACY_ACCOUNTS_KEY = 'accounts'; // Every account in one value, as they were first stored
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_REFRESH_TOKENS = 10; // Signed-in devices per account; the oldest is dropped
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_BYTES = 72; // bcrypt ignores anything past 72 bytes (UTF-8)
+
+const DEFAULT_BCRYPT_ROUNDS = 10;
+
+export function getBcryptRounds(env = process.env) {
+    const n = Number(env.BCRYPT_ROUNDS);
+    return Number.isInteger(n) && n >= 4 && n <= 31 ? n : DEFAULT_BCRYPT_ROUNDS;
+}
+
+// Returns why a username/password can't be used, or null if it's fine
+export function usernameError(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Username must be 3-20 letters, numbers, _ or -';
+    }
+    return null;
+}
+
+export function passwordError(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters and at most ${MAX_PASSWORD_BYTES} bytes`;
+    }
+    return null;
+}
+
+function accountKey(username) {
+    return `account:${username.toLowerCase()}`;
+}
+
+// Stores this process has already moved out of the single accounts value
+const migratedStores = new WeakSet();
+
+// Give each account from the old single value its own key, the first time this
+// process touches accounts. Re-running it is harmless, so racing instances are fine.
+async function migrateLegacyAccounts(storage) {
+    if (migratedStores.has(storage)) return;
+
+    const legacy = await storage.get(LEGACY_ACCOUNTS_KEY);
+    if (legacy) {
+        for (const account of Object.values(legacy)) {
+            await storage.update(accountKey(account.username), current => current ? undefined : account);
+        }
+        await storage.del(LEGACY_ACCOUNTS_KEY);
+    }
+    migratedStores.add(storage);
+}
+
+// Public view of an account
+export function toUser(account) {
+    return { id: account.id, username: account.username };
+}
+
+// Create an account. Returns it, or null if the username is taken (case-insensitively).
+export async function createAccount(storage, username, password, { rounds = getBcryptRounds(), now = Date.now() } = {}) {
+    // Hash outside the update - it's slow and the update holds the account's lock
+    const passwordHash = await bcrypt.hash(password, rounds);
+    const account = {
+        id: crypto.randomUUID(),
+        username: username,
+        passwordHash: passwordHash,
+        createdAt: new Date(now).toISOString(),
+        refreshTokens: {}
+    };
+
+    await migrateLegacyAccounts(storage);
+    let created = null;
+    await storage.update(accountKey(username), (current) => {
+        if (current) return undefined;
+        created = account;
+        return account;
+    });
+    return created;
+}
+
+// Hash compared against when the username doesn't exist, so unknown and known
+// usernames take the same time to reject
+let dummyHash = null;
+
+// Returns the account if the password matches, otherwise null
+export async function authenticate(storage, username, password) {
+    await migrateLegacyAccounts(storage);
+    const account = typeof username === 'string' ? await storage.get(accountKey(username)) : null;
+    if (!account) {
+        dummyHash ||= await bcrypt.hash('not-a-password', getBcryptRounds());
+        await bcrypt.compare(String(password), dummyHash);
+        return null;
+    }
+    return (await bcrypt.compare(String(password), account.passwordHash)) ? account : null;
+}
+
+// Issue an access/refresh token pair and remember the refresh token
+export async function issueTokens(storage, account, secret, now = Date.now()) {
+    const jti = crypto.randomBytes(16).toString('base64url');
+    const claims = { sub: account.id, name: account.username };
+    const tokens = {
+        accessToken: signJwt({ ...claims, typ: 'access' }, secret, ACCESS_TOKEN_TTL_SECONDS, now),
+        refreshToken: signJwt({ ...claims, typ: 'refresh', jti }, secret, REFRESH_TOKEN_TTL_SECONDS, now),
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+
+    await migrateLegacyAccounts(storage);
+    await storage.update(accountKey(account.username), (stored) => {
+        if (!stored) return undefined;
+
+        // Drop expired tokens, and the oldest ones past the per-account cap
+        const live = Object.entries(stored.refreshTokens || {})
+            .filter(([, exp]) => exp > now)
+            .sort(([, a], [, b]) => a - b)
+            .slice(-(MAX_REFRESH_TOKENS - 1));
+        live.push([jti, now + REFRESH_TOKEN_TTL_SECONDS * 1000]);
+
+        return { ...stored, refreshTokens: Object.fromEntries(live) };
+    });
+    return tokens;
+}
+
+// Revoke a refresh token. Returns its account if the token was valid and still
+// active, otherwise null - including for a token that was already used.
+export async function revokeRefreshToken(storage, refreshToken, secret, now = Date.now()) {
+    const claims = verifyJwt(refreshToken, secret, now);
+    if (claims?.typ !== 'refresh' || typeof claims.name !== 'string') return null;
+
+    await migrateLegacyAccounts(storage);
+    let account = null;
+    await storage.update(accountKey(claims.name), (stored) => {
+        if (stored?.id !== claims.sub || !stored.refreshTokens?.[claims.jti]) return undefined;
+
+        const { [claims.jti]: revoked, ...refreshTokens } = stored.refreshTokens;
+        account = { ...stored, refreshTokens };
+        return account;
+    });
+    return account;
+}
+
+// Swap a refresh token for a new token pair. Returns null if it isn't valid.
+export async function refreshTokens(storage, refreshToken, secret, now = Date.now()) {
+    const account = await revokeRefreshToken(storage, refreshToken, secret, now);
+    return account ? { account, tokens: await issueTokens(storage, account, secret, now) } : null;
+}
+
+// The signed-in user for a valid access token, otherwise null
+export function verifyAccessToken(token, secret, now = Date.now()) {
+    const claims = verifyJwt(token, secret, now);
+    if (claims?.typ !== 'access' || typeof claims.sub !== 'string') return null;
+    return { id: claims.sub, username: claims.name };
+}
+
+// The token from an `Authorization: Bearer <token>` header, if any
+export function getBearerToken(req) {
+    const header = req.headers?.authorization;
+    if (typeof header !== 'string' || !header.startsWith('Bearer ')) return null;
+    return header.slice('Bearer '.length);
+}
+
+// The signed-in user making the request, or null without a valid access token
+export function getRequestUser(req, secret) {
+    const token = getBearerToken(req);
+    return token ? verifyAccessToken(token, secret) : null;
+}
+
+// Answer 401 for a request without a valid access token. WWW-Authenticate
+// (RFC 6750) marks a token that was sent but is bad or expired, which is the
+// only 401 that refreshing the token can fix.
+export function sendAccessTokenError(req, res, error) {
+    res.setHeader('WWW-Authenticate', getBearerToken(req) ? 'Bearer error="invalid_token"' : 'Bearer');
+    return res.status(401).json({ success: false, error });
+}
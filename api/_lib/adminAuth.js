@@ -0,0 +1,20 @@
+// Admin-only endpoints authenticate with `Authorization: Bearer <ADMIN_TOKEN>`.
+// They're disabled unless ADMIN_TOKEN is set.
+
+import crypto from 'crypto';
+
+export function getAdminToken(env = process.env) {
+    return env.ADMIN_TOKEN || null;
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+export function isAdminRequest(req, adminToken) {
+    const header = req.headers?.authorization;
+    if (!adminToken || typeof header !== 'string' || !header.startsWith('Bearer ')) return false;
+
+    // Compare fixed-length digests so the check doesn't leak the token's length or contents
+    return crypto.timingSafeEqual(digest(header.slice('Bearer '.length)), digest(adminToken));
+}
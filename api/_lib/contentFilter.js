@@ -0,0 +1,34 @@
+// Blocklist filter for player-supplied leaderboard names
+//
+// Text is normalized before matching - lowercased, common look-alike characters
+// mapped back to letters (0 -> o, $ -> s, ...) - and blocked when any word in
+// it, or the whole text with separators removed, is on the list. Matching whole
+// words rather than substrings keeps names like "Scunthorpe" usable.
+//
+// LEADERBOARD_BLOCKLIST adds comma-separated terms to the defaults.
+
+const DEFAULT_BLOCKLIST = [
+    'fuck', 'fucker', 'fucking', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'cock',
+    'pussy', 'whore', 'slut', 'nigger', 'nigga', 'faggot', 'fag', 'retard', 'nazi', 'hitler'
+];
+
+const LOOK_ALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+function normalize(text) {
+    return text.toLowerCase().replace(/[013457@$!]/g, c => LOOK_ALIKES[c]);
+}
+
+export function getBlocklist(env = process.env) {
+    const extra = (env.LEADERBOARD_BLOCKLIST || '')
+        .split(',')
+        .map(term => normalize(term.trim()).replace(/[^a-z]/g, ''))
+        .filter(Boolean);
+    return new Set([...DEFAULT_BLOCKLIST, ...extra]);
+}
+
+export function containsBlockedTerm(text, blocklist = getBlocklist()) {
+    if (typeof text !== 'string' || !text) return false;
+    const normalized = normalize(text);
+    const words = normalized.split(/[^a-z]+/).filter(Boolean);
+    return words.some(word => blocklist.has(word)) || blocklist.has(words.join(''));
+}
@@ -0,0 +1,16 @@
+// Country detection from headers the hosting edge adds to each request
+// (Vercel, Cloudflare, CloudFront). No external geolocation lookups.
+
+import { isCountryCode } from '../../public/countries.js';
+
+const COUNTRY_HEADERS = ['x-vercel-ip-country', 'cf-ipcountry', 'cloudfront-viewer-country'];
+
+// The request's country code, or null when no edge header names a known country
+export function getRequestCountry(req) {
+    for (const header of COUNTRY_HEADERS) {
+        const value = req.headers?.[header];
+        const code = typeof value === 'string' ? value.trim().toUpperCase() : null;
+        if (isCountryCode(code)) return code;
+    }
+    return null;
+}
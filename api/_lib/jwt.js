@@ -0,0 +1,50 @@
+// Minimal HS256 JSON Web Tokens for account sign-in
+// Only what the auth endpoints need: sign a claims object, verify the signature
+// and the `exp` claim. Tokens are standard JWTs, so any JWT library can read them.
+
+import crypto from 'crypto';
+import { getSessionSecret } from './sessionToken.js';
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+// JWT_SECRET signs account tokens; without it they share the session secret
+export function getJwtSecret(env = process.env) {
+    return env.JWT_SECRET || getSessionSecret(env);
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// `claims` gets `iat` and `exp` (seconds, per the JWT spec) added
+export function signJwt(claims, secret, expiresInSeconds, now = Date.now()) {
+    const iat = Math.floor(now / 1000);
+    const payload = Buffer.from(JSON.stringify({ ...claims, iat, exp: iat + expiresInSeconds })).toString('base64url');
+    const data = `${HEADER}.${payload}`;
+    return `${data}.${sign(data, secret)}`;
+}
+
+// Returns the claims of a valid, unexpired token, otherwise null
+export function verifyJwt(token, secret, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+
+    const [header, payload, signature, extra] = token.split('.');
+    if (header !== HEADER || !payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+
+    if (typeof claims?.exp !== 'number' || claims.exp * 1000 <= now) return null;
+
+    return claims;
+}
@@ -0,0 +1,91 @@
+// Time-windowed leaderboards
+// Each entry is stored once, under its own key. Each period has its own board: a
+// sorted set of the ids of every entry submitted in its window. Daily and weekly
+// boards cover the current UTC day / ISO week (starting Monday) and get a new set
+// when the window rolls over.
+//
+// Scores are stored negated, so rank 0 is the best. Ties go to the lower id - ids
+// start with their creation time (base 36), so to whoever got there first.
+//
+// Each game mode (see public/game/modes.js) has its own set of period boards.
+// Board keys are built on the period keys, which used to hold each board as one
+// array; classic kept the keys it had before there were modes.
+
+import { DEFAULT_MODE } from '../../public/game/modes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TOP_SCORES = 10; // A score "qualifies" by placing this high on any board
+export const DEFAULT_PERIOD = 'all-time';
+
+const PERIODS = {
+    daily: {
+        suffix: ':daily',
+        windowStart: (now) => Math.floor(now / DAY_MS) * DAY_MS
+    },
+    weekly: {
+        suffix: ':weekly',
+        windowStart: (now) => {
+            const day = Math.floor(now / DAY_MS) * DAY_MS;
+            const daysSinceMonday = (new Date(day).getUTCDay() + 6) % 7;
+            return day - daysSinceMonday * DAY_MS;
+        }
+    },
+    'all-time': {
+        suffix: '',
+        windowStart: () => 0
+    }
+};
+
+export const LEADERBOARD_PERIODS = Object.keys(PERIODS);
+
+export function isLeaderboardPeriod(period) {
+    return Object.hasOwn(PERIODS, period);
+}
+
+export function getPeriodKey(period, mode = DEFAULT_MODE) {
+    const board = mode === DEFAULT_MODE ? 'leaderboard' : `leaderboard:${mode}`;
+    return board + PERIODS[period].suffix;
+}
+
+// Sorted set ranking a mode's entries for the period window containing `time`.
+// All-time has a single window, starting at 0.
+export function getBoardKey(period, mode = DEFAULT_MODE, time = Date.now()) {
+    const start = PERIODS[period].windowStart(time);
+    return `${getPeriodKey(period, mode)}:ranks` + (start ? `:${start}` : '');
+}
+
+// Where the board for a windowed period's latest window is recorded, so the
+// one before it can be dropped
+export function getWindowKey(period, mode = DEFAULT_MODE) {
+    return `${getPeriodKey(period, mode)}:window`;
+}
+
+export function getEntryKey(id) {
+    return `leaderboardEntry:${id}`;
+}
+
+export function rankScore(entry) {
+    return -entry.score;
+}
+
+export function windowStart(period, time = Date.now()) {
+    return PERIODS[period].windowStart(time);
+}
+
+// Entries of `board` that still belong to the period's current window
+export function currentEntries(board, period, now = Date.now()) {
+    const start = PERIODS[period].windowStart(now);
+    return (board || []).filter(entry => Date.parse(entry.date) >= start);
+}
+
+// Standing of the entry at 0-based `index` on a board of `total` entries, or
+// null if it isn't there. Percentile is the share of the board scoring at or below it.
+export function placementAt(index, total) {
+    if (index === null) return null;
+    return {
+        rank: index + 1,
+        total: total,
+        percentile: Math.round(((total - index) / total) * 100)
+    };
+}
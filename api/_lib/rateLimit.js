@@ -0,0 +1,69 @@
+// Fixed-window rate limiting kept in the shared storage adapter, so limits hold
+// across serverless instances. Each limiter key counts its hits in a key of its
+// own per window (rateLimit:<key>:<window>), which expires when the window ends.
+//
+// Limits come from env (read per request):
+//   RATE_LIMIT_WINDOW_SECONDS  window length (default 600)
+//   RATE_LIMIT_PER_IP          score submissions per IP per window (default 20)
+//   RATE_LIMIT_PER_SESSION     submission attempts per game session per window (default 5)
+//   RATE_LIMIT_AUTH_PER_IP     sign-in/registration attempts per IP per window (default 10)
+//   RATE_LIMIT_SESSIONS_PER_IP game sessions started per IP per window (default 30)
+//   TRUST_PROXY                number of reverse proxies in front of the API whose
+//                              X-Forwarded-For entries can be trusted (default 1 on
+//                              Vercel, otherwise 0 - the header is ignored)
+
+const DEFAULT_WINDOW_SECONDS = 10 * 60;
+const DEFAULT_PER_IP = 20;
+const DEFAULT_PER_SESSION = 5;
+const DEFAULT_AUTH_PER_IP = 10;
+const DEFAULT_SESSIONS_PER_IP = 30;
+
+function positiveInt(value, fallback) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+export function getRateLimits(env = process.env) {
+    return {
+        windowMs: positiveInt(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_WINDOW_SECONDS) * 1000,
+        perIp: positiveInt(env.RATE_LIMIT_PER_IP, DEFAULT_PER_IP),
+        perSession: positiveInt(env.RATE_LIMIT_PER_SESSION, DEFAULT_PER_SESSION),
+        authPerIp: positiveInt(env.RATE_LIMIT_AUTH_PER_IP, DEFAULT_AUTH_PER_IP),
+        sessionsPerIp: positiveInt(env.RATE_LIMIT_SESSIONS_PER_IP, DEFAULT_SESSIONS_PER_IP)
+    };
+}
+
+// How many proxies' X-Forwarded-For entries to believe. Vercel's edge overwrites
+// the header with the caller's address, so one hop is trusted there by default.
+export function getTrustedProxies(env = process.env) {
+    const n = Number(env.TRUST_PROXY);
+    if (env.TRUST_PROXY !== undefined && env.TRUST_PROXY !== '' && Number.isInteger(n) && n >= 0) return n;
+    return env.VERCEL ? 1 : 0;
+}
+
+// Client address: the socket's peer, or with trusted proxies in front, the hop
+// the outermost one saw. Entries further left are whatever the client sent and
+// can't be used to tell callers apart.
+export function getClientIp(req, env = process.env) {
+    const hops = [];
+    const forwarded = req.headers?.['x-forwarded-for'];
+    if (forwarded) {
+        hops.push(...String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean));
+    }
+    hops.push(req.socket?.remoteAddress || 'unknown');
+
+    const trusted = getTrustedProxies(env);
+    return hops[Math.max(0, hops.length - 1 - trusted)];
+}
+
+// Count one hit against `key`. Returns { allowed: true } or, once `limit` hits
+// have been made in the current window, { allowed: false, retryAfter } in seconds.
+// Windows are numbered from the epoch, so a counter whose expiry is lost still
+// stops counting when its window ends.
+export async function consumeRateLimit(storage, key, limit, windowMs, now = Date.now()) {
+    const window = Math.floor(now / windowMs);
+    const windowEnd = (window + 1) * windowMs;
+    const count = await storage.incr(`rateLimit:${key}:${window}`, windowEnd - now);
+    if (count <= limit) return { allowed: true };
+    return { allowed: false, retryAfter: Math.ceil((windowEnd - now) / 1000) };
+}
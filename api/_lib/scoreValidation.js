@@ -0,0 +1,161 @@
+// Checks for submitted scores: cheap plausibility bounds first, then a full
+// re-run of the game from its replay log
+
+import {
+    MAX_LEVEL, ASTEROID_MIN_SIZE, ASTEROID_MAX_SIZE, MAX_ORBIT_SPEED_MULTIPLIER, MAX_PROXIMITY_MULTIPLIER,
+    CANNON_OFFSETS, FIRE_COOLDOWN_TICKS, LEVEL_TRANSITION_TICKS, TICK_RATE, FRAGMENT_MAX_COUNT, RULES_VERSION,
+    ENEMY_POINTS
+} from '../../public/game/constants.js';
+import { BOSSES } from '../../public/game/bosses.js';
+import { runReplay, replayRules, ReplayError } from '../../public/game/replay.js';
+import { waveProfile } from '../../public/game/simulation.js';
+import { ASTEROID_TYPES } from '../../public/game/asteroidTypes.js';
+import { isGameMode, replayMode } from '../../public/game/modes.js';
+import { CLOCK_SKEW_MS } from './sessionToken.js';
+
+export { MAX_LEVEL };
+// Weakest asteroid that counts as a kill: the smallest of the most fragile type
+export const MIN_ASTEROID_HEALTH = Math.min(
+    ...Object.values(ASTEROID_TYPES).filter(type => type.target).map(type => type.health(type.size ?? ASTEROID_MIN_SIZE))
+);
+export const LASERS_PER_SHOT = CANNON_OFFSETS.length; // Two cannons per trigger pull
+export const FIRE_COOLDOWN_SECONDS = FIRE_COOLDOWN_TICKS / TICK_RATE;
+export const LEVEL_TRANSITION_SECONDS = LEVEL_TRANSITION_TICKS / TICK_RATE; // Pause before the next level starts
+export const REPLAY_TIME_SLACK_SECONDS = 2; // The client timer is whole seconds and keeps running through frame stalls
+export const MAX_REPLAY_SECONDS = 2 * 60 * 60; // Active play only - paused time doesn't tick
+// Endless mode has no last level, but every level needs its transition pause
+export const MAX_ENDLESS_LEVEL = Math.floor(MAX_REPLAY_SECONDS / LEVEL_TRANSITION_SECONDS) + 1;
+
+// Highest level a game in each mode can reach. Time attack stays on level 1.
+const MAX_LEVELS = { classic: MAX_LEVEL, endless: MAX_ENDLESS_LEVEL, 'time-attack': 1 };
+
+// Best case for one kill: the largest asteroid at the highest combined multiplier
+export const MAX_POINTS_PER_KILL = Math.ceil(
+    Math.ceil(ASTEROID_MAX_SIZE * 10) * MAX_ORBIT_SPEED_MULTIPLIER * MAX_PROXIMITY_MULTIPLIER
+);
+
+// Best case for shooting down an enemy fighter, which scores but isn't a kill
+export const MAX_POINTS_PER_ENEMY = Math.ceil(ENEMY_POINTS * MAX_ORBIT_SPEED_MULTIPLIER * MAX_PROXIMITY_MULTIPLIER);
+
+// Best case for destroying a boss: its core and every weak point, each at the highest multiplier
+export const MAX_POINTS_PER_BOSS = Math.max(...Object.values(BOSSES).map(boss =>
+    Math.ceil(boss.points * MAX_ORBIT_SPEED_MULTIPLIER * MAX_PROXIMITY_MULTIPLIER)
+    + boss.weakPoints.length * Math.ceil(boss.weakPointPoints * MAX_ORBIT_SPEED_MULTIPLIER * MAX_PROXIMITY_MULTIPLIER)
+));
+
+// The boss a level brings under `rules`, if any. Before rules version 6 there were none.
+function levelBossUnder(level, rules) {
+    return rules >= 6 ? waveProfile(level).boss : null;
+}
+
+// Fastest possible kill: enough trigger pulls for the weakest asteroid, back to back
+export const MIN_SECONDS_PER_KILL =
+    Math.ceil(MIN_ASTEROID_HEALTH / LASERS_PER_SHOT) * FIRE_COOLDOWN_SECONDS;
+
+// Scoring kills in levels 1..N - N(N+1)/2 up to MAX_LEVEL, where level N has N
+// asteroids, plus any a boss launches. From rules version 3 each one can split into
+// fragments that are kills too.
+export function maxKillsThroughLevel(level, rules = RULES_VERSION) {
+    const killsPerAsteroid = rules >= 3 ? 1 + FRAGMENT_MAX_COUNT : 1;
+    let kills = 0;
+    for (let l = 1; l <= level; l++) {
+        const boss = levelBossUnder(l, rules);
+        kills += (waveProfile(l).count + (boss ? BOSSES[boss].hangar.asteroids : 0)) * killsPerAsteroid;
+    }
+    return kills;
+}
+
+// Enemy fighters in levels 1..N, including those launched by bosses. Before rules version 5 there were none.
+export function maxEnemiesThroughLevel(level, rules = RULES_VERSION) {
+    if (rules < 5) return 0;
+    let enemies = 0;
+    for (let l = 1; l <= level; l++) {
+        const boss = levelBossUnder(l, rules);
+        enemies += waveProfile(l).enemies + (boss ? BOSSES[boss].hangar.fighters : 0);
+    }
+    return enemies;
+}
+
+// Bosses in levels 1..N
+export function maxBossesThroughLevel(level, rules = RULES_VERSION) {
+    let bosses = 0;
+    for (let l = 1; l <= level; l++) {
+        if (levelBossUnder(l, rules)) bosses++;
+    }
+    return bosses;
+}
+
+function fail(reason) {
+    return { valid: false, reason };
+}
+
+// Re-simulate the game and make sure it ends where the submission says it did
+function verifyReplay({ score, time, level, kills, replay }, maxTicks) {
+    // Saves keep older rules playable (see runReplay), but only games under the
+    // current ones are ranked against each other
+    if (replay && typeof replay === 'object' && replayRules(replay) !== RULES_VERSION) {
+        return fail('Game was played under old rules');
+    }
+
+    let result;
+    try {
+        result = runReplay(replay, { maxTicks });
+    } catch (e) {
+        if (e instanceof ReplayError) return fail(e.message);
+        throw e;
+    }
+
+    if (result.score !== score || result.level !== level || result.kills !== kills) {
+        return fail('Score does not match the game replay');
+    }
+    if (replay.ticks / TICK_RATE > time + REPLAY_TIME_SLACK_SECONDS) {
+        return fail('Time does not match the game replay');
+    }
+
+    return { valid: true };
+}
+
+// Validate a submission against the game's rules and the session's wall clock.
+// `session` is a verified token payload; `now` is the server time in ms.
+export function validateSubmission({ score, time, level, kills, replay }, session, now = Date.now()) {
+    if (replay?.start !== undefined) {
+        return fail("Games continued from a save made before replays can't be ranked");
+    }
+    const mode = replayMode(replay);
+    if (!isGameMode(mode)) {
+        return fail('Invalid game mode');
+    }
+    if (!Number.isInteger(level) || level < 1 || level > MAX_LEVELS[mode]) {
+        return fail('Invalid level');
+    }
+    if (!Number.isInteger(kills) || kills < 0) {
+        return fail('Invalid kill count');
+    }
+
+    // Retrying a level rolls the score back, so only one pass per level counts.
+    // Time attack's asteroids never run out - only the clock and fire rate limit its
+    // kills - and it has no fighters or bosses.
+    const rules = replayRules(replay);
+    const scoringKills = mode === 'time-attack' ? kills : Math.min(kills, maxKillsThroughLevel(level, rules));
+    const scoringEnemies = mode === 'time-attack' ? 0 : maxEnemiesThroughLevel(level, rules);
+    const scoringBosses = mode === 'time-attack' ? 0 : maxBossesThroughLevel(level, rules);
+    if (score > scoringKills * MAX_POINTS_PER_KILL + scoringEnemies * MAX_POINTS_PER_ENEMY
+        + scoringBosses * MAX_POINTS_PER_BOSS) {
+        return fail('Score exceeds the maximum for this level');
+    }
+
+    const minSeconds = scoringKills * MIN_SECONDS_PER_KILL + (level - 1) * LEVEL_TRANSITION_SECONDS;
+    if (time < minSeconds) {
+        return fail('Score achieved implausibly fast');
+    }
+
+    // The claimed play time can't exceed the time since the session started
+    const sessionSeconds = (now - session.iat + CLOCK_SKEW_MS) / 1000;
+    if (time > sessionSeconds) {
+        return fail('Time exceeds session length');
+    }
+
+    // Nor can the replay - this also caps how long verification can run
+    const maxTicks = Math.ceil(Math.min(sessionSeconds, MAX_REPLAY_SECONDS) * TICK_RATE);
+    return verifyReplay({ score, time, level, kills, replay }, maxTicks);
+}
@@ -0,0 +1,61 @@
+// Signed game session tokens
+// A token is `<base64url payload>.<base64url HMAC-SHA256>`; the payload holds the
+// session id and the time the game started, so the server can bound how long
+// a submitted run could possibly have lasted.
+
+import crypto from 'crypto';
+
+export const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Saved games can be resumed for a week
+export const CLOCK_SKEW_MS = 5000; // Tolerance between serverless instances' clocks
+
+let devSecret = null;
+
+// SESSION_SECRET must be set in production. Without it a random per-process
+// secret is used, so tokens stop validating after a restart.
+export function getSessionSecret(env = process.env) {
+    if (env.SESSION_SECRET) return env.SESSION_SECRET;
+    if (!devSecret) {
+        console.warn('SESSION_SECRET is not set - using a temporary secret');
+        devSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return devSecret;
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+export function createSessionToken(secret, now = Date.now()) {
+    const payload = {
+        sid: crypto.randomBytes(12).toString('base64url'),
+        iat: now
+    };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${data}.${sign(data, secret)}`, payload };
+}
+
+// Returns the payload for a valid, unexpired token, otherwise null
+export function verifySessionToken(token, secret, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+
+    const [data, signature, extra] = token.split('.');
+    if (!data || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(data, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+
+    if (typeof payload?.sid !== 'string' || typeof payload.iat !== 'number') return null;
+    if (payload.iat > now + CLOCK_SKEW_MS || now - payload.iat > SESSION_MAX_AGE_MS) return null;
+
+    return payload;
+}
@@ -0,0 +1,160 @@
+// File-backed storage backend for running the API outside Vercel
+// Keeps every key in one JSON document, rewritten atomically on each set.
+// Expiry times of keys written with a TTL are kept in the document too.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createLock } from './lock.js';
+import { createSortedSet, addMember, removeMember, rankOf, rangeOf } from './sortedSet.js';
+
+const EXPIRIES_KEY = '__expiries__';
+
+export function createFileStorage(filePath) {
+    let cache = null;
+    // Serialize writes so concurrent requests never interleave partial files
+    let writeQueue = Promise.resolve();
+    const withLock = createLock();
+
+    async function load() {
+        if (cache) return cache;
+        try {
+            cache = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.error('File storage read error:', e);
+            }
+            cache = {};
+        }
+        return cache;
+    }
+
+    async function persist() {
+        const data = JSON.stringify(cache, null, 2);
+        const tmpPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tmpPath, data);
+        await fs.rename(tmpPath, filePath);
+    }
+
+    // Drop `key` if its TTL has run out, or with no key, every expired one.
+    // Resolves to whether anything was dropped.
+    async function expire(key = null) {
+        const data = await load();
+        const expiries = data[EXPIRIES_KEY] || {};
+        const now = Date.now();
+        let dropped = false;
+        for (const expiring of key === null ? Object.keys(expiries) : [key]) {
+            if (expiries[expiring] <= now) {
+                delete data[expiring];
+                delete expiries[expiring];
+                dropped = true;
+            }
+        }
+        return dropped;
+    }
+
+    function clearExpiry(data, key) {
+        if (data[EXPIRIES_KEY]) delete data[EXPIRIES_KEY][key];
+    }
+
+    async function get(key) {
+        const data = await load();
+        await expire(key);
+        // Hand out copies so callers can't mutate the cache behind our back
+        return key in data ? structuredClone(data[key]) : null;
+    }
+
+    function save() {
+        writeQueue = writeQueue.then(persist, persist);
+        return writeQueue;
+    }
+
+    async function set(key, value) {
+        const data = await load();
+        data[key] = structuredClone(value);
+        clearExpiry(data, key);
+        await save();
+        return 'OK';
+    }
+
+    // Sorted sets are worked on in the cache, then the file is rewritten
+    async function sortedSet(key, create = false) {
+        const data = await load();
+        if (!(key in data) && create) data[key] = createSortedSet();
+        return data[key] ?? null;
+    }
+
+    return {
+        name: 'file',
+        get,
+        set,
+
+        async getMany(keys) {
+            return Promise.all(keys.map(get));
+        },
+
+        async del(key) {
+            const data = await load();
+            if (!(key in data)) return 0;
+            delete data[key];
+            clearExpiry(data, key);
+            await save();
+            return 1;
+        },
+
+        async incr(key, ttlMs) {
+            const data = await load();
+            await expire();
+            const count = (data[key] ?? 0) + 1;
+            data[key] = count;
+            if (count === 1) (data[EXPIRIES_KEY] ??= {})[key] = Date.now() + ttlMs;
+            await save();
+            return count;
+        },
+
+        async add(key, value, ttlMs) {
+            const data = await load();
+            const dropped = await expire();
+            if (key in data) {
+                if (dropped) await save();
+                return false;
+            }
+            data[key] = structuredClone(value);
+            (data[EXPIRIES_KEY] ??= {})[key] = Date.now() + ttlMs;
+            await save();
+            return true;
+        },
+
+        update(key, updater) {
+            return withLock(async () => {
+                const next = await updater(await get(key));
+                if (next !== undefined) await set(key, next);
+                return next;
+            });
+        },
+
+        async zadd(key, score, member) {
+            const added = addMember(await sortedSet(key, true), score, member);
+            await save();
+            return added;
+        },
+
+        async zrem(key, member) {
+            const removed = removeMember(await sortedSet(key), member);
+            if (removed) await save();
+            return removed;
+        },
+
+        async zrank(key, member) {
+            return rankOf(await sortedSet(key), member);
+        },
+
+        async zcard(key) {
+            return (await sortedSet(key))?.members.length ?? 0;
+        },
+
+        async zrange(key, start, stop) {
+            return rangeOf(await sortedSet(key), start, stop);
+        }
+    };
+}
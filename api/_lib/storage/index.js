@@ -0,0 +1,85 @@
+// Storage adapter selection
+//
+// Every backend exposes the same async interface:
+//   get(key)             -> stored value or null
+//   set(key, value)      -> write value
+//   update(key, updater) -> atomically replace the value with updater(current);
+//                           returning undefined from updater leaves it untouched
+//   getMany(keys)        -> values of several keys at once, null where missing
+//   del(key)             -> remove a key; resolves to 1 if it existed, otherwise 0
+//
+// keys that expire, which read as missing once their TTL (ms) has run out
+//   incr(key, ttlMs)     -> add 1 to a counter and resolve to the new count; a
+//                           missing counter starts at 1 and expires ttlMs later
+//   add(key, value, ttlMs) -> write value only if key is missing, expiring ttlMs
+//                           later; resolves to whether it was written
+//
+// plus sorted sets, with Redis semantics: members are strings ordered by score,
+// then by member, and ranks count from 0 at the lowest score
+//   zadd(key, score, member), zrem(key, member) -> 1 if the set changed, otherwise 0
+//   zrank(key, member)   -> member's rank, or null if it isn't in the set
+//   zcard(key)           -> number of members
+//   zrange(key, start, stop) -> members ranked start..stop inclusive (-1 is the last)
+//
+// The backend is picked by STORAGE_BACKEND (kv | file | sqlite | memory). Without
+// it, Vercel KV is used when its credentials are present, otherwise memory.
+//
+// Player accounts get a store of their own: a local SQLite database (see
+// createAccountsStorageFromEnv).
+
+import path from 'path';
+import { createKvStorage } from './kvStorage.js';
+import { createFileStorage } from './fileStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+import { createSqliteStorage } from './sqliteStorage.js';
+
+export { createKvStorage, createFileStorage, createMemoryStorage, createSqliteStorage };
+
+export const STORAGE_BACKENDS = ['kv', 'file', 'sqlite', 'memory'];
+
+export function createStorage({ backend, filePath } = {}) {
+    switch (backend) {
+        case 'kv':
+            return createKvStorage();
+        case 'file':
+            return createFileStorage(filePath || path.resolve('data', 'store.json'));
+        case 'sqlite':
+            return createSqliteStorage(filePath || path.resolve('data', 'store.db'));
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown storage backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+    }
+}
+
+// Resolve the backend from environment variables (STORAGE_BACKEND, STORAGE_FILE),
+// falling back to the given defaults
+export function createStorageFromEnv(env = process.env, { defaultBackend, defaultFilePath } = {}) {
+    const fallback = defaultBackend || (env.KV_REST_API_URL ? 'kv' : 'memory');
+    return createStorage({
+        backend: (env.STORAGE_BACKEND || fallback).toLowerCase(),
+        filePath: env.STORAGE_FILE || defaultFilePath
+    });
+}
+
+// Accounts live in the SQLite database at ACCOUNTS_DB (or `defaultFilePath`). With
+// neither - as on serverless hosts, whose disks don't outlast a request - they share
+// the main backend.
+export function createAccountsStorageFromEnv(env = process.env, { defaultFilePath } = {}) {
+    const filePath = env.ACCOUNTS_DB || defaultFilePath;
+    return filePath ? createSqliteStorage(filePath) : getDefaultStorage();
+}
+
+let defaultStorage = null;
+let defaultAccountsStorage = null;
+
+// Lazily-created storage shared by the serverless handlers
+export function getDefaultStorage() {
+    if (!defaultStorage) defaultStorage = createStorageFromEnv();
+    return defaultStorage;
+}
+
+export function getDefaultAccountsStorage() {
+    if (!defaultAccountsStorage) defaultAccountsStorage = createAccountsStorageFromEnv();
+    return defaultAccountsStorage;
+}
@@ -0,0 +1,118 @@
+// Vercel KV (Redis) storage backend
+// update() takes a short-lived Redis lock so concurrent function instances
+// can't interleave their read-modify-write cycles
+
+const LOCK_TTL_MS = 5000;
+const LOCK_RETRIES = 150;
+const LOCK_RETRY_DELAY_MS = 20;
+
+async function loadVercelKV() {
+    const { kv } = await import('@vercel/kv');
+    return kv;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createKvStorage(client = null) {
+    let kvPromise = client ? Promise.resolve(client) : null;
+
+    function getClient() {
+        if (!kvPromise) kvPromise = loadVercelKV();
+        return kvPromise;
+    }
+
+    async function get(key) {
+        const kv = await getClient();
+        const value = await kv.get(key);
+        return value ?? null;
+    }
+
+    async function set(key, value) {
+        const kv = await getClient();
+        return kv.set(key, value);
+    }
+
+    return {
+        name: 'kv',
+        get,
+        set,
+
+        async getMany(keys) {
+            if (keys.length === 0) return [];
+            const kv = await getClient();
+            return (await kv.mget(...keys)).map(value => value ?? null);
+        },
+
+        async del(key) {
+            const kv = await getClient();
+            return kv.del(key);
+        },
+
+        async incr(key, ttlMs) {
+            const kv = await getClient();
+            const count = await kv.incr(key);
+            // The first hit creates the key and starts its clock
+            if (count === 1) await kv.pexpire(key, ttlMs);
+            return count;
+        },
+
+        async add(key, value, ttlMs) {
+            const kv = await getClient();
+            return await kv.set(key, value, { nx: true, px: ttlMs }) === 'OK';
+        },
+
+        // Sorted sets map straight onto Redis commands, which are atomic on their own
+        async zadd(key, score, member) {
+            const kv = await getClient();
+            return kv.zadd(key, { score, member });
+        },
+
+        async zrem(key, member) {
+            const kv = await getClient();
+            return kv.zrem(key, member);
+        },
+
+        async zrank(key, member) {
+            const kv = await getClient();
+            return kv.zrank(key, member);
+        },
+
+        async zcard(key) {
+            const kv = await getClient();
+            return kv.zcard(key);
+        },
+
+        async zrange(key, start, stop) {
+            const kv = await getClient();
+            // The client parses members that look like JSON; ours are always strings
+            return (await kv.zrange(key, start, stop)).map(String);
+        },
+
+        async update(key, updater) {
+            const kv = await getClient();
+            const lockKey = `lock:${key}`;
+            const token = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+            for (let attempt = 0; attempt < LOCK_RETRIES; attempt++) {
+                const acquired = await kv.set(lockKey, token, { nx: true, px: LOCK_TTL_MS });
+                if (acquired) {
+                    try {
+                        const next = await updater(await get(key));
+                        if (next !== undefined) await set(key, next);
+                        return next;
+                    } finally {
+                        // Only release the lock if it hasn't expired and been taken by someone else
+                        if (await kv.get(lockKey) === token) {
+                            await kv.del(lockKey);
+                        }
+                    }
+                }
+                await sleep(LOCK_RETRY_DELAY_MS);
+            }
+
+            throw new Error(`Timed out waiting for storage lock on "${key}"`);
+        }
+    };
+}
@@ -0,0 +1,12 @@
+// In-process mutex used by the single-process storage backends
+
+export function createLock() {
+    let tail = Promise.resolve();
+
+    // Run fn once every previously queued fn has settled
+    return function withLock(fn) {
+        const run = tail.then(fn);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
@@ -0,0 +1,102 @@
+// In-memory storage backend - used by tests and as a last-resort fallback
+// Data lives only as long as the process
+
+import { createLock } from './lock.js';
+import { createSortedSet, addMember, removeMember, rankOf, rangeOf } from './sortedSet.js';
+
+export function createMemoryStorage(initial = {}) {
+    const data = new Map(Object.entries(initial));
+    // Expiry time (ms) of each key written with a TTL
+    const expiries = new Map();
+    const withLock = createLock();
+
+    function expire(key, now = Date.now()) {
+        if (expiries.get(key) <= now) {
+            data.delete(key);
+            expiries.delete(key);
+        }
+    }
+
+    // Drop every expired key, so ones nobody reads again don't pile up
+    function sweep() {
+        const now = Date.now();
+        for (const key of expiries.keys()) expire(key, now);
+    }
+
+    async function get(key) {
+        expire(key);
+        return data.has(key) ? structuredClone(data.get(key)) : null;
+    }
+
+    async function set(key, value) {
+        data.set(key, structuredClone(value));
+        expiries.delete(key);
+        return 'OK';
+    }
+
+    // Sorted sets are worked on in place - each call runs to completion before
+    // any other can touch the map
+    function sortedSet(key, create = false) {
+        if (!data.has(key) && create) data.set(key, createSortedSet());
+        return data.get(key) ?? null;
+    }
+
+    return {
+        name: 'memory',
+        get,
+        set,
+
+        async getMany(keys) {
+            return Promise.all(keys.map(get));
+        },
+
+        async del(key) {
+            expiries.delete(key);
+            return data.delete(key) ? 1 : 0;
+        },
+
+        async incr(key, ttlMs) {
+            sweep();
+            const count = (data.get(key) ?? 0) + 1;
+            data.set(key, count);
+            if (count === 1) expiries.set(key, Date.now() + ttlMs);
+            return count;
+        },
+
+        async add(key, value, ttlMs) {
+            sweep();
+            if (data.has(key)) return false;
+            data.set(key, structuredClone(value));
+            expiries.set(key, Date.now() + ttlMs);
+            return true;
+        },
+
+        update(key, updater) {
+            return withLock(async () => {
+                const next = await updater(await get(key));
+                if (next !== undefined) await set(key, next);
+                return next;
+            });
+        },
+
+        async zadd(key, score, member) {
+            return addMember(sortedSet(key, true), score, member);
+        },
+
+        async zrem(key, member) {
+            return removeMember(sortedSet(key), member);
+        },
+
+        async zrank(key, member) {
+            return rankOf(sortedSet(key), member);
+        },
+
+        async zcard(key) {
+            return sortedSet(key)?.members.length ?? 0;
+        },
+
+        async zrange(key, start, stop) {
+            return rangeOf(sortedSet(key), start, stop);
+        }
+    };
+}
@@ -0,0 +1,59 @@
+// Sorted sets for the in-process backends, with the semantics of the Redis
+// commands the KV backend maps them to: members are unique strings ordered by
+// score, then by member, and ranks count from 0 at the lowest score.
+//
+// A set is stored as { scores: { member: score }, members: [member, ...] } with
+// `members` kept in order, so rank lookups and ranges are binary searches/slices.
+
+export function createSortedSet() {
+    return { scores: {}, members: [] };
+}
+
+function compare(set, scoreA, memberA, memberB) {
+    const scoreB = set.scores[memberB];
+    if (scoreA !== scoreB) return scoreA < scoreB ? -1 : 1;
+    return memberA < memberB ? -1 : memberA > memberB ? 1 : 0;
+}
+
+// Index of the first member that doesn't sort before (score, member)
+function searchIndex(set, score, member) {
+    let lo = 0;
+    let hi = set.members.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (compare(set, score, member, set.members[mid]) > 0) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+export function rankOf(set, member) {
+    if (!set || !Object.hasOwn(set.scores, member)) return null;
+    return searchIndex(set, set.scores[member], member);
+}
+
+// Remove `member`. Returns 1 if it was in the set, otherwise 0.
+export function removeMember(set, member) {
+    const rank = rankOf(set, member);
+    if (rank === null) return 0;
+    set.members.splice(rank, 1);
+    delete set.scores[member];
+    return 1;
+}
+
+// Add `member`, or move it if it's already there. Returns 1 if it was new, otherwise 0.
+export function addMember(set, score, member) {
+    const existed = removeMember(set, member);
+    set.members.splice(searchIndex(set, score, member), 0, member);
+    set.scores[member] = score;
+    return 1 - existed;
+}
+
+// Members ranked `start` to `stop` inclusive; negative indexes count from the end
+export function rangeOf(set, start, stop) {
+    if (!set) return [];
+    const length = set.members.length;
+    const from = start < 0 ? Math.max(0, length + start) : start;
+    const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+    return from > to ? [] : set.members.slice(from, to + 1);
+}
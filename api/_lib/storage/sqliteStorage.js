@@ -0,0 +1,149 @@
+// SQLite storage backend, in a local database file
+// Values are JSON in a key/value table and sorted sets are rows of their own, so
+// ranks and ranges are indexed queries. update() holds the in-process lock inside
+// an IMMEDIATE transaction, which also keeps other processes sharing the file out.
+// Keys written with a TTL carry an expiry time; expired rows read as missing and
+// are deleted whenever another expiring key is written.
+
+import fs from 'fs';
+import path from 'path';
+import { createLock } from './lock.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS kv (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS kv_expiry ON kv (expires_at) WHERE expires_at IS NOT NULL;
+    CREATE TABLE IF NOT EXISTS zset (
+        key TEXT NOT NULL,
+        member TEXT NOT NULL,
+        score REAL NOT NULL,
+        PRIMARY KEY (key, member)
+    );
+    CREATE INDEX IF NOT EXISTS zset_rank ON zset (key, score, member);
+`;
+
+async function openDatabase(filePath) {
+    const { default: Database } = await import('better-sqlite3');
+    if (filePath !== ':memory:') fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    return {
+        db,
+        getValue: db.prepare('SELECT value FROM kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)').pluck(),
+        setValue: db.prepare('INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = NULL'),
+        deleteValue: db.prepare('DELETE FROM kv WHERE key = ?'),
+        deleteExpired: db.prepare('DELETE FROM kv WHERE expires_at <= ?'),
+        increment: db.prepare("INSERT INTO kv (key, value, expires_at) VALUES (?, '1', ?) ON CONFLICT (key) DO UPDATE SET value = value + 1 RETURNING value").pluck(),
+        addValue: db.prepare('INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT (key) DO NOTHING'),
+        deleteSet: db.prepare('DELETE FROM zset WHERE key = ?'),
+        getScore: db.prepare('SELECT score FROM zset WHERE key = ? AND member = ?').pluck(),
+        setScore: db.prepare('INSERT INTO zset (key, member, score) VALUES (?, ?, ?) ON CONFLICT (key, member) DO UPDATE SET score = excluded.score'),
+        deleteMember: db.prepare('DELETE FROM zset WHERE key = ? AND member = ?'),
+        countBefore: db.prepare('SELECT COUNT(*) FROM zset WHERE key = ? AND (score < ? OR (score = ? AND member < ?))').pluck(),
+        count: db.prepare('SELECT COUNT(*) FROM zset WHERE key = ?').pluck(),
+        range: db.prepare('SELECT member FROM zset WHERE key = ? ORDER BY score, member LIMIT ? OFFSET ?').pluck()
+    };
+}
+
+export function createSqliteStorage(filePath) {
+    let dbPromise = null;
+    const withLock = createLock();
+
+    function getDb() {
+        if (!dbPromise) dbPromise = openDatabase(filePath);
+        return dbPromise;
+    }
+
+    async function get(key) {
+        const value = (await getDb()).getValue.get(key, Date.now());
+        return value === undefined ? null : JSON.parse(value);
+    }
+
+    async function set(key, value) {
+        (await getDb()).setValue.run(key, JSON.stringify(value));
+        return 'OK';
+    }
+
+    return {
+        name: 'sqlite',
+        get,
+        set,
+
+        async getMany(keys) {
+            return Promise.all(keys.map(get));
+        },
+
+        async del(key) {
+            const sql = await getDb();
+            const removed = sql.deleteValue.run(key).changes + sql.deleteSet.run(key).changes;
+            return removed > 0 ? 1 : 0;
+        },
+
+        async incr(key, ttlMs) {
+            const sql = await getDb();
+            const now = Date.now();
+            sql.deleteExpired.run(now);
+            return Number(sql.increment.get(key, now + ttlMs));
+        },
+
+        async add(key, value, ttlMs) {
+            const sql = await getDb();
+            const now = Date.now();
+            sql.deleteExpired.run(now);
+            return sql.addValue.run(key, JSON.stringify(value), now + ttlMs).changes === 1;
+        },
+
+        update(key, updater) {
+            return withLock(async () => {
+                const { db } = await getDb();
+                db.exec('BEGIN IMMEDIATE');
+                try {
+                    const next = await updater(await get(key));
+                    if (next !== undefined) await set(key, next);
+                    return next;
+                } finally {
+                    // Commit even if the updater threw - it wrote nothing itself, and other
+                    // requests' writes on this connection may have joined the transaction
+                    db.exec('COMMIT');
+                }
+            });
+        },
+
+        async zadd(key, score, member) {
+            const sql = await getDb();
+            const existed = sql.getScore.get(key, member) !== undefined;
+            sql.setScore.run(key, member, score);
+            return existed ? 0 : 1;
+        },
+
+        async zrem(key, member) {
+            return (await getDb()).deleteMember.run(key, member).changes;
+        },
+
+        async zrank(key, member) {
+            const sql = await getDb();
+            const score = sql.getScore.get(key, member);
+            return score === undefined ? null : sql.countBefore.get(key, score, score, member);
+        },
+
+        async zcard(key) {
+            return (await getDb()).count.get(key);
+        },
+
+        async zrange(key, start, stop) {
+            const sql = await getDb();
+            if (start < 0 || stop < 0) {
+                const length = sql.count.get(key);
+                if (start < 0) start = Math.max(0, length + start);
+                if (stop < 0) stop = length + stop;
+            }
+            if (start > stop) return [];
+            return sql.range.all(key, stop - start + 1, start);
+        }
+    };
+}
@@ -0,0 +1,109 @@
+// Vercel Serverless Function for player accounts
+// POST /api/auth/register, /api/auth/login, /api/auth/refresh, /api/auth/logout
+// (see _lib/accounts.js for how accounts and tokens work)
+
+import { getDefaultAccountsStorage } from './_lib/storage/index.js';
+import { getJwtSecret } from './_lib/jwt.js';
+import {
+    usernameError, passwordError, toUser, createAccount, authenticate, issueTokens, refreshTokens, revokeRefreshToken
+} from './_lib/accounts.js';
+import { getRateLimits, getClientIp, consumeRateLimit } from './_lib/rateLimit.js';
+import { getBlocklist, containsBlockedTerm } from './_lib/contentFilter.js';
+
+// Build a handler bound to a storage adapter, like the leaderboard's
+export function createAuthHandler(storage = null) {
+    return async function handler(req, res) {
+        return handleAuthRequest(storage || getDefaultAccountsStorage(), req, res);
+    };
+}
+
+// Password guessing and mass registration are throttled per IP. Returns true if
+// the request was rejected.
+async function rejectIfRateLimited(storage, req, res) {
+    const limits = getRateLimits();
+    const { allowed, retryAfter } = await consumeRateLimit(
+        storage, `auth:${getClientIp(req)}`, limits.authPerIp, limits.windowMs
+    );
+    if (allowed) return false;
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({ success: false, error: 'Too many attempts, try again later' });
+    return true;
+}
+
+async function handleAuthRequest(storage, req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    // Vercel routes /api/auth/<action> here as ?action=<action>; Express passes it as a path param
+    const action = req.query?.action || req.params?.action;
+    const { username, password, refreshToken } = req.body || {};
+    const secret = getJwtSecret();
+
+    try {
+        // POST /register - Create an account and sign in
+        if (action === 'register') {
+            if (await rejectIfRateLimited(storage, req, res)) return;
+
+            const invalid = usernameError(username) || passwordError(password);
+            if (invalid) {
+                return res.status(400).json({ success: false, error: invalid });
+            }
+            if (containsBlockedTerm(username, getBlocklist())) {
+                return res.status(400).json({ success: false, error: 'Username is not allowed' });
+            }
+
+            const account = await createAccount(storage, username, password);
+            if (!account) {
+                return res.status(409).json({ success: false, error: 'Username is taken' });
+            }
+
+            const tokens = await issueTokens(storage, account, secret);
+            return res.status(201).json({ success: true, user: toUser(account), ...tokens });
+        }
+
+        // POST /login - Exchange a username and password for tokens
+        if (action === 'login') {
+            if (await rejectIfRateLimited(storage, req, res)) return;
+
+            const account = await authenticate(storage, username, password);
+            if (!account) {
+                return res.status(401).json({ success: false, error: 'Invalid username or password' });
+            }
+
+            const tokens = await issueTokens(storage, account, secret);
+            return res.status(200).json({ success: true, user: toUser(account), ...tokens });
+        }
+
+        // POST /refresh - Swap a refresh token for a new token pair
+        if (action === 'refresh') {
+            const refreshed = await refreshTokens(storage, refreshToken, secret);
+            if (!refreshed) {
+                return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
+            }
+            return res.status(200).json({ success: true, user: toUser(refreshed.account), ...refreshed.tokens });
+        }
+
+        // POST /logout - Revoke a refresh token. Succeeds even if it was already invalid.
+        if (action === 'logout') {
+            await revokeRefreshToken(storage, refreshToken, secret);
+            return res.status(200).json({ success: true });
+        }
+    } catch (error) {
+        console.error(`Auth ${action} error:`, error);
+        return res.status(500).json({ success: false, error: 'Server error' });
+    }
+
+    return res.status(404).json({ success: false, error: 'Unknown action' });
+}
+
+export default createAuthHandler();
@@ -1,72 +1,251 @@
 // Vercel Serverless Function for Leaderboard
-// Uses Vercel KV (Redis) for persistent storage
-
-// In-memory fallback if KV is not configured (for development)
-let memoryLeaderboard = [];
-
-// Helper to get KV client (if available)
-async function getKV() {
-    try {
-        const { kv } = await import('@vercel/kv');
-        return kv;
-    } catch (e) {
-        return null;
+// Storage backend is pluggable - Vercel KV, local file or memory (see _lib/storage)
+
+import { getDefaultStorage } from './_lib/storage/index.js';
+import { getSessionSecret, verifySessionToken, SESSION_MAX_AGE_MS } from './_lib/sessionToken.js';
+import { validateSubmission } from './_lib/scoreValidation.js';
+import { getRateLimits, getClientIp, consumeRateLimit } from './_lib/rateLimit.js';
+import { getBlocklist, containsBlockedTerm } from './_lib/contentFilter.js';
+import { getAdminToken, isAdminRequest } from './_lib/adminAuth.js';
+import { getRequestCountry } from './_lib/geo.js';
+import { getJwtSecret } from './_lib/jwt.js';
+import { getBearerToken, verifyAccessToken, sendAccessTokenError } from './_lib/accounts.js';
+import { isCountryCode, countryName } from '../public/countries.js';
+import { GAME_MODES, DEFAULT_MODE, isGameMode, replayMode } from '../public/game/modes.js';
+import {
+    TOP_SCORES, DEFAULT_PERIOD, LEADERBOARD_PERIODS, isLeaderboardPeriod, getPeriodKey, getBoardKey, getWindowKey,
+    getEntryKey, rankScore, windowStart, currentEntries, placementAt
+} from './_lib/leaderboardPeriods.js';
+
+const USED_SESSION_PREFIX = 'usedSession:';
+const LEGACY_USED_SESSIONS_KEY = 'usedSessions';
+const MAX_PAGE_SIZE = 100;
+
+// Boards this process has already checked for the old one-array-per-board format
+const migratedBoards = new WeakMap();
+// Storages this process has already moved the old shared list of used sessions out of
+const migratedClaims = new WeakSet();
+
+// Move a mode's boards out of the arrays they used to be stored as, the first time
+// this process touches them. Re-running it is harmless, so racing instances are fine.
+async function migrateLegacyBoards(storage, mode) {
+    if (!migratedBoards.has(storage)) migratedBoards.set(storage, new Set());
+    const checked = migratedBoards.get(storage);
+
+    for (const period of LEADERBOARD_PERIODS) {
+        const key = getPeriodKey(period, mode);
+        if (checked.has(key)) continue;
+
+        const legacy = await storage.get(key);
+        if (Array.isArray(legacy)) {
+            for (const entry of currentEntries(legacy, period)) {
+                const migrated = { ...entry, mode: entry.mode || mode };
+                await storage.set(getEntryKey(migrated.id), migrated);
+                await rankEntry(storage, period, migrated);
+            }
+            await storage.del(key);
+        }
+        checked.add(key);
     }
 }
 
-// Get leaderboard from storage
-async function getLeaderboard() {
-    const kv = await getKV();
-    if (kv) {
-        try {
-            const data = await kv.get('leaderboard');
-            return data || [];
-        } catch (e) {
-            console.error('KV get error:', e);
-            return memoryLeaderboard;
+// Add an entry to a period's board for its mode. Windowed boards drop the board of
+// the window before once a newer one is started.
+async function rankEntry(storage, period, entry) {
+    const time = Date.parse(entry.date);
+    const key = getBoardKey(period, entry.mode, time);
+    await storage.zadd(key, rankScore(entry), entry.id);
+    if (period === DEFAULT_PERIOD) return;
+
+    const windowKey = getWindowKey(period, entry.mode);
+    if ((await storage.get(windowKey))?.key === key) return;
+
+    const start = windowStart(period, time);
+    await storage.update(windowKey, async (current) => {
+        if (current && current.start >= start) {
+            // Another instance already moved on; this entry's window is over
+            if (current.start > start) await storage.del(key);
+            return undefined;
         }
+        if (current) await storage.del(current.key);
+        return { key, start };
+    });
+}
+
+// Store an entry and rank it on every period's board for its mode. Each step is a
+// single small write, so concurrent submissions don't wait on each other.
+async function insertEntry(storage, entry) {
+    await storage.set(getEntryKey(entry.id), entry);
+    for (const period of LEADERBOARD_PERIODS) {
+        await rankEntry(storage, period, entry);
     }
-    return memoryLeaderboard;
 }
 
-// Save leaderboard to storage
-async function saveLeaderboard(leaderboard) {
-    const kv = await getKV();
-    if (kv) {
-        try {
-            await kv.set('leaderboard', leaderboard);
-        } catch (e) {
-            console.error('KV set error:', e);
-            memoryLeaderboard = leaderboard;
-        }
-    } else {
-        memoryLeaderboard = leaderboard;
+// Remove an entry from every board it's on. Returns false if there is no such entry.
+async function removeEntry(storage, id) {
+    for (const mode of GAME_MODES) {
+        await migrateLegacyBoards(storage, mode);
+    }
+
+    const entry = await storage.get(getEntryKey(id));
+    if (!entry) return false;
+
+    for (const period of LEADERBOARD_PERIODS) {
+        await storage.zrem(getBoardKey(period, entry.mode, Date.parse(entry.date)), id);
     }
+    await storage.del(getEntryKey(id));
+    return true;
+}
+
+// `limit` entries of a period's current board from `offset`, best first
+async function getPage(storage, period, mode, offset, limit) {
+    const ids = await storage.zrange(getBoardKey(period, mode), offset, offset + limit - 1);
+    const entries = await storage.getMany(ids.map(getEntryKey));
+    return entries.filter(Boolean);
+}
+
+// Where an entry stands on a period's current board, or null if it isn't on it
+async function getPlacement(storage, period, mode, id) {
+    const key = getBoardKey(period, mode);
+    const index = await storage.zrank(key, id);
+    return placementAt(index, index === null ? 0 : await storage.zcard(key));
 }
 
-export default async function handler(req, res) {
+// Answer 429 if `key` is over its limit. Returns true if the request was rejected.
+async function rejectIfRateLimited(storage, res, key, limit, windowMs) {
+    const { allowed, retryAfter } = await consumeRateLimit(storage, key, limit, windowMs);
+    if (allowed) return false;
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({ success: false, error: 'Too many submissions, try again later' });
+    return true;
+}
+
+// Parse an optional non-negative integer query parameter
+function parseCount(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+function usedSessionKey(session) {
+    return `${USED_SESSION_PREFIX}${session.sid}`;
+}
+
+// Used sessions were once kept in one shared object; give those whose tokens are
+// still live keys of their own. Re-running it is harmless, like the board migration.
+async function migrateLegacyClaims(storage) {
+    if (migratedClaims.has(storage)) return;
+
+    const legacy = await storage.get(LEGACY_USED_SESSIONS_KEY);
+    if (legacy) {
+        const now = Date.now();
+        await Promise.all(Object.entries(legacy)
+            .filter(([, iat]) => iat + SESSION_MAX_AGE_MS > now)
+            .map(([sid, iat]) => storage.add(usedSessionKey({ sid }), iat, iat + SESSION_MAX_AGE_MS - now)));
+        await storage.del(LEGACY_USED_SESSIONS_KEY);
+    }
+    migratedClaims.add(storage);
+}
+
+// Mark a session as spent so its token can't submit a second score. The mark
+// expires once the token would have anyway. Returns false if it was already used.
+async function claimSession(storage, session) {
+    await migrateLegacyClaims(storage);
+    return storage.add(usedSessionKey(session), session.iat, SESSION_MAX_AGE_MS);
+}
+
+// Give a claimed session back, so a submission that failed after the claim can be retried
+async function releaseSession(storage, session) {
+    await storage.del(usedSessionKey(session));
+}
+
+// Build a handler bound to a storage adapter (see _lib/storage). Vercel uses
+// the adapter picked from env; server.js passes its own.
+export function createLeaderboardHandler(storage = null) {
+    return async function handler(req, res) {
+        return handleLeaderboardRequest(storage || getDefaultStorage(), req, res);
+    };
+}
+
+async function handleLeaderboardRequest(storage, req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
-    // GET - Retrieve leaderboard
+    // GET - Retrieve a page of a leaderboard (?mode=classic|endless&period=daily|weekly|all-time
+    // &offset=0&limit=10), or one entry's standing (?id=<entry id>)
     if (req.method === 'GET') {
-        const leaderboard = await getLeaderboard();
-        return res.status(200).json({
-            success: true,
-            leaderboard: leaderboard.slice(0, 10) // Top 10 only
-        });
+        const query = req.query || {};
+        const mode = query.mode || DEFAULT_MODE;
+        if (!isGameMode(mode)) {
+            return res.status(400).json({ success: false, error: 'Invalid mode' });
+        }
+
+        const period = query.period || DEFAULT_PERIOD;
+        if (!isLeaderboardPeriod(period)) {
+            return res.status(400).json({ success: false, error: 'Invalid period' });
+        }
+
+        const offset = parseCount(query.offset, 0);
+        if (offset === null) {
+            return res.status(400).json({ success: false, error: 'Invalid offset' });
+        }
+
+        const limit = parseCount(query.limit, TOP_SCORES);
+        if (limit === null || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return res.status(400).json({ success: false, error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` });
+        }
+
+        try {
+            await migrateLegacyBoards(storage, mode);
+
+            if (query.id) {
+                const placement = await getPlacement(storage, period, mode, query.id);
+                const entry = placement && await storage.get(getEntryKey(query.id));
+                if (!entry) {
+                    return res.status(404).json({ success: false, error: 'Entry not found' });
+                }
+                return res.status(200).json({
+                    success: true,
+                    mode: mode,
+                    period: period,
+                    entry: entry,
+                    ...placement
+                });
+            }
+
+            const page = await getPage(storage, period, mode, offset, limit);
+            return res.status(200).json({
+                success: true,
+                mode: mode,
+                period: period,
+                total: await storage.zcard(getBoardKey(period, mode)),
+                offset: offset,
+                limit: limit,
+                leaderboard: page.map((entry, i) => ({
+                    ...entry,
+                    rank: offset + i + 1
+                }))
+            });
+        } catch (error) {
+            console.error('Leaderboard GET error:', error);
+            return res.status(500).json({ success: false, error: 'Server error' });
+        }
     }
 
     // POST - Submit a new score
     if (req.method === 'POST') {
         try {
-            const { name, score, time, location } = req.body;
+            // Throttle before doing any real work - verification replays the whole game
+            const limits = getRateLimits();
+            if (await rejectIfRateLimited(storage, res, `ip:${getClientIp(req)}`, limits.perIp, limits.windowMs)) return;
+
+            const { name, score, time, country, level, kills, sessionToken, replay } = req.body || {};
 
             if (typeof score !== 'number' || score < 0) {
                 return res.status(400).json({ success: false, error: 'Invalid score' });
@@ -76,49 +255,92 @@ export default async function handler(req, res) {
                 return res.status(400).json({ success: false, error: 'Invalid time' });
             }
 
+            if (name != null && typeof name !== 'string') {
+                return res.status(400).json({ success: false, error: 'Invalid name' });
+            }
+
+            // Signed-in players submit under their username; a stale token is an error rather
+            // than a silent anonymous post, so the client knows to refresh it
+            const accessToken = getBearerToken(req);
+            const user = accessToken ? verifyAccessToken(accessToken, getJwtSecret()) : null;
+            if (accessToken && !user) {
+                return sendAccessTokenError(req, res, 'Invalid or expired access token');
+            }
+
+            if (!user && containsBlockedTerm(name, getBlocklist())) {
+                return res.status(400).json({ success: false, error: 'Name is not allowed' });
+            }
+
+            // Location is a country: the player's pick, otherwise whatever the hosting edge detected
+            if (country && !isCountryCode(country)) {
+                return res.status(400).json({ success: false, error: 'Invalid country' });
+            }
+            const countryCode = country || getRequestCountry(req);
+
+            // Scores must come from a game session the server started. Not a 401 - that's
+            // kept for access tokens, which the client answers by refreshing its sign-in.
+            const session = verifySessionToken(sessionToken, getSessionSecret());
+            if (!session) {
+                return res.status(403).json({ success: false, error: 'Invalid or expired game session' });
+            }
+
+            // Each game gets a few tries (e.g. a retry after a network error), not unlimited replays
+            if (await rejectIfRateLimited(storage, res, `session:${session.sid}`, limits.perSession, limits.windowMs)) return;
+
+            const check = validateSubmission({ score, time, level, kills, replay }, session);
+            if (!check.valid) {
+                return res.status(422).json({ success: false, error: check.reason });
+            }
+
+            if (!(await claimSession(storage, session))) {
+                return res.status(409).json({ success: false, error: 'Score already submitted for this game' });
+            }
+
+            // Ranked against games of the same mode, which the replay just proved
+            const mode = replayMode(replay);
+
             // Create entry
             const entry = {
                 id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-                name: name?.trim()?.substring(0, 20) || 'Anonymous',
+                name: user ? user.username : name?.trim().substring(0, 20) || 'Anonymous',
+                userId: user ? user.id : null,
+                mode: mode,
                 score: Math.floor(score),
                 time: Math.floor(time), // Time in seconds
-                location: location?.trim()?.substring(0, 50) || 'Unknown',
+                country: countryCode,
+                location: countryName(countryCode) || 'Unknown',
                 date: new Date().toISOString()
             };
 
-            // Get current leaderboard
-            let leaderboard = await getLeaderboard();
-
-            // Check if score qualifies for leaderboard
-            const minScore = leaderboard.length >= 10 ? leaderboard[9].score : 0;
-            if (leaderboard.length >= 10 && score <= minScore) {
-                return res.status(200).json({
-                    success: true,
-                    qualified: false,
-                    message: 'Score does not qualify for top 10',
-                    minScore: minScore
-                });
+            // Every submission is ranked on each period's board for its mode. If that fails
+            // partway, undo it and free the session so the player's retry isn't a 409.
+            try {
+                await migrateLegacyBoards(storage, mode);
+                await insertEntry(storage, entry);
+            } catch (error) {
+                await removeEntry(storage, entry.id).catch(() => {});
+                await releaseSession(storage, session).catch(() => {});
+                throw error;
             }
 
-            // Add entry and sort by score (descending)
-            leaderboard.push(entry);
-            leaderboard.sort((a, b) => b.score - a.score);
-
-            // Keep only top 10
-            leaderboard = leaderboard.slice(0, 10);
-
-            // Save updated leaderboard
-            await saveLeaderboard(leaderboard);
-
-            // Find rank
-            const rank = leaderboard.findIndex(e => e.id === entry.id) + 1;
+            // A placement is null if the period's window rolled over while the entry was stored
+            const placements = {};
+            const leaderboards = {};
+            for (const period of LEADERBOARD_PERIODS) {
+                placements[period] = await getPlacement(storage, period, mode, entry.id);
+                leaderboards[period] = await getPage(storage, period, mode, 0, TOP_SCORES);
+            }
 
+            // `rank`, `total`, `percentile` and `leaderboard` are for the all-time board
             return res.status(200).json({
                 success: true,
-                qualified: true,
-                rank: rank,
+                mode: mode,
+                qualified: LEADERBOARD_PERIODS.some(period => placements[period]?.rank <= TOP_SCORES),
+                ...placements[DEFAULT_PERIOD],
+                placements: placements,
                 entry: entry,
-                leaderboard: leaderboard
+                leaderboard: leaderboards[DEFAULT_PERIOD],
+                leaderboards: leaderboards
             });
 
         } catch (error) {
@@ -127,5 +349,33 @@ export default async function handler(req, res) {
         }
     }
 
+    // DELETE - Remove an entry from every board (admin only): ?id=<entry id>
+    if (req.method === 'DELETE') {
+        const adminToken = getAdminToken();
+        if (!adminToken) {
+            return res.status(403).json({ success: false, error: 'Admin access is not configured' });
+        }
+        if (!isAdminRequest(req, adminToken)) {
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+
+        const id = req.query?.id;
+        if (!id) {
+            return res.status(400).json({ success: false, error: 'Missing entry id' });
+        }
+
+        try {
+            if (!(await removeEntry(storage, id))) {
+                return res.status(404).json({ success: false, error: 'Entry not found' });
+            }
+            return res.status(200).json({ success: true, id: id });
+        } catch (error) {
+            console.error('Leaderboard DELETE error:', error);
+            return res.status(500).json({ success: false, error: 'Server error' });
+        }
+    }
+
     return res.status(405).json({ success: false, error: 'Method not allowed' });
 }
+
+export default createLeaderboardHandler();
@@ -0,0 +1,103 @@
+// Vercel Serverless Function for cloud saves
+// Each signed-in player has SAVE_SLOTS saved-game slots in storage, so a game
+// paused on one device can be continued on another. The client decides which of
+// its local and cloud saves to keep; the server only refuses to replace a save
+// with an older one.
+
+import { getDefaultStorage } from './_lib/storage/index.js';
+import { getJwtSecret } from './_lib/jwt.js';
+import { getRequestUser, sendAccessTokenError } from './_lib/accounts.js';
+import { SAVE_SLOTS, MAX_SAVE_BYTES, isSaveSlot, saveSize, checkSaveShape, SaveError } from '../public/saveSchema.js';
+
+// Slot 1 keeps the key used before there were slots, so existing cloud saves stay put
+function saveKey(userId, slot) {
+    return slot === 1 ? `save:${userId}` : `save:${userId}:${slot}`;
+}
+
+// Build a handler bound to a storage adapter, like the leaderboard's
+export function createSavesHandler(storage = null) {
+    return async function handler(req, res) {
+        return handleSavesRequest(storage || getDefaultStorage(), req, res);
+    };
+}
+
+async function handleSavesRequest(storage, req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const user = getRequestUser(req, getJwtSecret());
+    if (!user) {
+        return sendAccessTokenError(req, res, 'Sign in to use cloud saves');
+    }
+
+    try {
+        // GET - Every slot's cloud save: { saves: { 1: save or null, ... } }
+        if (req.method === 'GET') {
+            const saves = {};
+            for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+                saves[slot] = (await storage.get(saveKey(user.id, slot))) || null;
+            }
+            return res.status(200).json({ success: true, saves: saves });
+        }
+
+        // PUT and DELETE act on one slot: ?slot=1..SAVE_SLOTS
+        const slot = Number(req.query?.slot);
+        if (!isSaveSlot(slot)) {
+            return res.status(400).json({ success: false, error: 'Invalid save slot' });
+        }
+
+        // PUT - Replace the slot's save with { save }, unless the stored one is newer
+        if (req.method === 'PUT') {
+            // Only the shape is checked here - clients replay-verify saves before continuing them
+            const save = req.body?.save;
+            try {
+                checkSaveShape(save);
+            } catch (e) {
+                if (!(e instanceof SaveError)) throw e;
+                return res.status(400).json({ success: false, error: `Invalid save: ${e.message}` });
+            }
+            if (saveSize(save) > MAX_SAVE_BYTES) {
+                return res.status(413).json({ success: false, error: 'Save is too large' });
+            }
+
+            let newer = null;
+            await storage.update(saveKey(user.id, slot), (current) => {
+                if (current && current.savedAt > save.savedAt) {
+                    newer = current;
+                    return undefined;
+                }
+                return save;
+            });
+            if (newer) {
+                return res.status(409).json({ success: false, error: 'A newer save exists', save: newer });
+            }
+            return res.status(200).json({ success: true, savedAt: save.savedAt });
+        }
+
+        // DELETE - Clear the slot (its game ended or was abandoned). With ?seed= it's only
+        // cleared if it holds that game, so ending one game can't wipe another device's save.
+        const seed = req.query?.seed;
+        let deleted = false;
+        await storage.update(saveKey(user.id, slot), (current) => {
+            if (!current || (seed !== undefined && String(current.replay.seed) !== String(seed))) return undefined;
+            deleted = true;
+            return null;
+        });
+        return res.status(200).json({ success: true, deleted: deleted });
+    } catch (error) {
+        console.error(`Saves ${req.method} error:`, error);
+        return res.status(500).json({ success: false, error: 'Server error' });
+    }
+}
+
+export default createSavesHandler();
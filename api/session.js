@@ -0,0 +1,57 @@
+// Vercel Serverless Function for game sessions
+// Issues a signed token when a new game starts; the leaderboard only accepts
+// scores that carry one (see _lib/sessionToken.js)
+
+import { createSessionToken, getSessionSecret, SESSION_MAX_AGE_MS } from './_lib/sessionToken.js';
+import { getRequestCountry } from './_lib/geo.js';
+import { getDefaultStorage } from './_lib/storage/index.js';
+import { getRateLimits, getClientIp, consumeRateLimit } from './_lib/rateLimit.js';
+
+// Build a handler bound to a storage adapter, like the leaderboard's
+export function createSessionHandler(storage = null) {
+    return async function handler(req, res) {
+        return handleSessionRequest(storage || getDefaultStorage(), req, res);
+    };
+}
+
+async function handleSessionRequest(storage, req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // POST - Start a new game session
+    if (req.method === 'POST') {
+        try {
+            // Every session gets its own submission limit, so cap how fast one address can start them
+            const limits = getRateLimits();
+            const { allowed, retryAfter } = await consumeRateLimit(
+                storage, `sessionStart:${getClientIp(req)}`, limits.sessionsPerIp, limits.windowMs
+            );
+            if (!allowed) {
+                res.setHeader('Retry-After', String(retryAfter));
+                return res.status(429).json({ success: false, error: 'Too many games started, try again later' });
+            }
+
+            const { token, payload } = createSessionToken(getSessionSecret());
+            return res.status(200).json({
+                success: true,
+                token: token,
+                startedAt: payload.iat,
+                expiresIn: SESSION_MAX_AGE_MS / 1000,
+                country: getRequestCountry(req) // Default for the score dialog's country picker
+            });
+        } catch (error) {
+            console.error('Session POST error:', error);
+            return res.status(500).json({ success: false, error: 'Server error' });
+        }
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+}
+
+export default createSessionHandler();
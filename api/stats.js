@@ -0,0 +1,63 @@
+// Vercel Serverless Function for player statistics
+// Signed-in players' lifetime stats (see public/playerStats.js). Clients count
+// what happens in their games and POST what they've counted since their last
+// sync; the server adds it to the account's totals, so play on several devices
+// adds up without any of them having to know about the others.
+
+import { getDefaultStorage } from './_lib/storage/index.js';
+import { getJwtSecret } from './_lib/jwt.js';
+import { getRequestUser, sendAccessTokenError } from './_lib/accounts.js';
+import { createStats, addStats, checkStats, StatsError } from '../public/playerStats.js';
+
+// Build a handler bound to a storage adapter, like the leaderboard's
+export function createStatsHandler(storage = null) {
+    return async function handler(req, res) {
+        return handleStatsRequest(storage || getDefaultStorage(), req, res);
+    };
+}
+
+async function handleStatsRequest(storage, req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'POST'].includes(req.method)) {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const user = getRequestUser(req, getJwtSecret());
+    if (!user) {
+        return sendAccessTokenError(req, res, 'Sign in to sync stats');
+    }
+
+    const key = `stats:${user.id}`;
+    try {
+        // GET - The account's totals
+        if (req.method === 'GET') {
+            const stats = (await storage.get(key)) || createStats();
+            return res.status(200).json({ success: true, stats: stats });
+        }
+
+        // POST - Add { stats } counted since the client's last sync; returns the new totals
+        const delta = req.body?.stats;
+        try {
+            checkStats(delta);
+        } catch (e) {
+            if (!(e instanceof StatsError)) throw e;
+            return res.status(400).json({ success: false, error: `Invalid stats: ${e.message}` });
+        }
+
+        const stats = await storage.update(key, (current) => addStats(current || createStats(), delta));
+        return res.status(200).json({ success: true, stats: stats });
+    } catch (error) {
+        console.error(`Stats ${req.method} error:`, error);
+        return res.status(500).json({ success: false, error: 'Server error' });
+    }
+}
+
+export default createStatsHandler();
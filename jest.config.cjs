@@ -1,7 +1,8 @@
 module.exports = {
   testEnvironment: 'jsdom',
   setupFiles: ['jest-canvas-mock'],
-  setupFilesAfterEnv: ['./tests/setup/jest.setup.js'],
+  setupFilesAfterEnv: ['./tests/setup/jest.setup.cjs'],
+  transform: {},
   testMatch: [
     '**/tests/unit/**/*.test.js',
     '**/tests/integration/**/*.test.js'
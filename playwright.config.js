@@ -39,7 +39,7 @@ export default defineConfig({
   ],
 
   webServer: {
-    command: 'npx http-server public -p 8080',
+    command: 'PORT=8080 node server.js',
     port: 8080,
     reuseExistingServer: !process.env.CI,
   },
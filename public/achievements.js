@@ -0,0 +1,142 @@
+// Achievements
+// Definitions live in achievements.json so new ones don't need gameplay changes.
+// Each names the game event that can unlock it (see gameEvents.js), or a list of
+// them, and optionally conditions that must all hold when that event happens:
+//   { "id": "danger-close", "name": "...", "description": "...",
+//     "event": "asteroidDestroyed", "when": [["event.proximity", ">=", 3.5]] }
+//
+// A condition is [path, operator, value]. Paths read from:
+//   event.*  the event's payload (event.level, event.proximity, event.cause ...)
+//   level.*  the level in progress: earthDamage, moonDamage, friendlyFire
+//   game.*   the same counters for the whole game
+//   stats.*  lifetime stats (see playerStats.js)
+//   world.*  what the renderer knows: lunarEclipse (0-1 eclipse intensity)
+// Counters for a game resumed from a save are unknown (null) until they can be
+// counted - from its next level for level.*, never for game.* - and a condition
+// on an unknown value doesn't hold.
+
+import { GAME_EVENT_TYPES } from './gameEvents.js';
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b
+};
+
+const SOURCES = ['event', 'level', 'game', 'stats', 'world'];
+
+// A definition's event as a list, whichever way it was written
+function listenedEvents(definition) {
+    return Array.isArray(definition.event) ? definition.event : [definition.event];
+}
+
+// Throws if a definition is malformed, so a bad table fails loudly instead of never unlocking
+export function checkDefinitions(definitions) {
+    if (!Array.isArray(definitions)) throw new Error('Achievement definitions must be an array');
+    const ids = new Set();
+    for (const definition of definitions) {
+        const { id, name, description, event, when = [] } = definition;
+        if (typeof id !== 'string' || !id) throw new Error('Achievement without an id');
+        if (ids.has(id)) throw new Error(`Duplicate achievement "${id}"`);
+        ids.add(id);
+        if (typeof name !== 'string' || typeof description !== 'string') {
+            throw new Error(`Achievement "${id}" needs a name and description`);
+        }
+        const events = listenedEvents(definition);
+        const unknown = events.findIndex(type => !GAME_EVENT_TYPES.includes(type));
+        if (events.length === 0 || unknown !== -1) {
+            throw new Error(`Achievement "${id}" has unknown event "${events[unknown] ?? event}"`);
+        }
+        if (!Array.isArray(when)) throw new Error(`Achievement "${id}" has invalid conditions`);
+        for (const condition of when) {
+            const [path, operator] = Array.isArray(condition) ? condition : [];
+            if (!Array.isArray(condition) || condition.length !== 3 || typeof path !== 'string'
+                || !SOURCES.includes(path.split('.')[0])) {
+                throw new Error(`Achievement "${id}" has an invalid condition ${JSON.stringify(condition)}`);
+            }
+            if (!OPERATORS[operator]) throw new Error(`Achievement "${id}" has unknown operator "${operator}"`);
+        }
+    }
+}
+
+function readPath(context, path) {
+    return path.split('.').reduce((value, key) => value?.[key], context);
+}
+
+function conditionHolds(context, [path, operator, expected]) {
+    const value = readPath(context, path);
+    if (value === null || value === undefined) return false;
+    return OPERATORS[operator](value, expected);
+}
+
+function createCounters() {
+    return { earthDamage: 0, moonDamage: 0, friendlyFire: 0 };
+}
+
+function unknownCounters() {
+    return { earthDamage: null, moonDamage: null, friendlyFire: null };
+}
+
+// Watches a game's events and reports achievements as they're unlocked
+export class AchievementTracker {
+    // `unlocked` maps the ids already unlocked to when (ms since epoch)
+    constructor(definitions = [], unlocked = {}) {
+        this.setDefinitions(definitions);
+        this.unlocked = { ...unlocked };
+        this.startGame();
+    }
+
+    setDefinitions(definitions) {
+        checkDefinitions(definitions);
+        this.definitions = definitions;
+    }
+
+    // Reset the level and game counters. A resumed game's damage so far wasn't seen.
+    startGame({ resumed = false } = {}) {
+        this.level = resumed ? unknownCounters() : createCounters();
+        this.game = resumed ? unknownCounters() : createCounters();
+    }
+
+    isUnlocked(id) {
+        return id in this.unlocked;
+    }
+
+    // Count a game event and check it against the definitions. `context` supplies
+    // stats and world. Returns the definitions it unlocked.
+    handleEvent(type, payload, { stats = {}, world = {} } = {}, now = Date.now()) {
+        this.count(type, payload);
+
+        const context = { event: payload, level: this.level, game: this.game, stats, world };
+        const unlocked = [];
+        for (const definition of this.definitions) {
+            if (!listenedEvents(definition).includes(type) || this.isUnlocked(definition.id)) continue;
+            if ((definition.when || []).every(condition => conditionHolds(context, condition))) {
+                this.unlocked[definition.id] = now;
+                unlocked.push(definition);
+            }
+        }
+        return unlocked;
+    }
+
+    count(type, payload) {
+        const add = (field, amount) => {
+            for (const counters of [this.level, this.game]) {
+                if (counters[field] !== null) counters[field] += amount;
+            }
+        };
+
+        switch (type) {
+            case 'levelStarted':
+                this.level = createCounters();
+                break;
+            case 'earthHit':
+            case 'moonHit':
+                add(type === 'earthHit' ? 'earthDamage' : 'moonDamage', payload.damage);
+                if (payload.cause === 'friendlyFire') add('friendlyFire', 1);
+                break;
+        }
+    }
+}
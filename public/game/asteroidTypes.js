@@ -0,0 +1,115 @@
+// Asteroid types
+// Every asteroid carries a `type` naming one of the entries below, which decides
+// how it plays and how it looks. The simulation reads the gameplay fields and the
+// renderer builds the mesh from `look`, so a new kind of asteroid is a new entry
+// here rather than another special case in spawning, collision and the HUD.
+//
+//   size                 fixed size, or absent for a random one in the asteroid size range
+//   health(size)         bolt hits it takes to destroy
+//   damage(size)         damage dealt on reaching Earth or the Moon
+//   speed                multiplies the usual spawn speed
+//   spawnRange           how far past the spawn distance it can appear, if not the usual
+//   target               counts toward completing a level and scores when destroyed
+//   splits               breaks into smaller asteroids of its type when destroyed large (see FRAGMENT_MIN_PARENT_SIZE)
+//   onDeath              null, 'heal' (Earth and the Moon) or 'explode' (blasts Earth and the Moon if close)
+//   onImpact             'damage', or 'heal' instead of doing damage
+//   firstLevel, weight   waves from `firstLevel` on mix it in at relative `weight`; 0 never spawns in a wave
+//   look                 mesh for the renderer: a `shape` plus its colors
+//   hudColor             targeting reticle color
+
+import { ANGEL_SIZE, ANGEL_SPEED_FACTOR, ANGEL_SPAWN_DISTANCE_RANGE } from './constants.js';
+
+export const ASTEROID_TYPES = {
+    rock: {
+        name: 'Rock',
+        health: (size) => Math.floor(3 + size * 1.5), // 3-6 hits
+        damage: (size) => Math.ceil(size * 5),
+        speed: 1,
+        target: true,
+        splits: true,
+        onDeath: null,
+        onImpact: 'damage',
+        firstLevel: 1,
+        weight: 6,
+        look: { shape: 'rock', color: 0x6b5b4d, craterColor: 0x3d3429, metalness: 0.2, roughness: 0.9 },
+        hudColor: '#44aaff'
+    },
+
+    // Armored: twice the hits and hits harder, but slow
+    iron: {
+        name: 'Iron',
+        health: (size) => 2 * Math.floor(3 + size * 1.5),
+        damage: (size) => Math.ceil(size * 7),
+        speed: 0.7,
+        target: true,
+        splits: true,
+        onDeath: null,
+        onImpact: 'damage',
+        firstLevel: 3,
+        weight: 2,
+        look: { shape: 'rock', color: 0x70757d, craterColor: 0x3a3d42, metalness: 0.8, roughness: 0.4 },
+        hudColor: '#aab4c0'
+    },
+
+    // Brittle and fast, and mostly melts away on impact
+    ice: {
+        name: 'Ice',
+        health: (size) => Math.floor(2 + size),
+        damage: (size) => Math.ceil(size * 3),
+        speed: 1.5,
+        target: true,
+        splits: true,
+        onDeath: null,
+        onImpact: 'damage',
+        firstLevel: 5,
+        weight: 2,
+        look: { shape: 'rock', color: 0xaaddff, craterColor: 0x6699cc, metalness: 0.1, roughness: 0.2, emissive: 0x224466 },
+        hudColor: '#88ddff'
+    },
+
+    // Volatile: devastating on impact, and shooting it near Earth or the Moon hurts them too
+    explosive: {
+        name: 'Explosive',
+        health: (size) => Math.floor(2 + size),
+        damage: (size) => Math.ceil(size * 10),
+        speed: 1,
+        target: true,
+        splits: false,
+        onDeath: 'explode',
+        onImpact: 'damage',
+        firstLevel: 7,
+        weight: 1,
+        look: { shape: 'rock', color: 0x8b3a1a, craterColor: 0xff6600, metalness: 0.3, roughness: 0.7, emissive: 0x661a00, explosionScale: 2 },
+        hudColor: '#ff8844'
+    },
+
+    // One-hit crystals that heal Earth and the Moon, whether shot down or reaching them.
+    // Spawned as a reward for kills (see ANGEL_SPAWN_INTERVAL), never in waves.
+    angel: {
+        name: 'Angel',
+        size: ANGEL_SIZE,
+        health: () => 1,
+        damage: () => 0,
+        speed: ANGEL_SPEED_FACTOR,
+        spawnRange: ANGEL_SPAWN_DISTANCE_RANGE,
+        target: false,
+        splits: false,
+        onDeath: 'heal',
+        onImpact: 'heal',
+        firstLevel: 1,
+        weight: 0,
+        look: { shape: 'crystal', color: 0xffffff, glowColor: 0x88ffaa, coreColor: 0xffdd88 },
+        hudColor: '#88ffaa'
+    }
+};
+
+export function isAsteroidType(type) {
+    return Object.hasOwn(ASTEROID_TYPES, type);
+}
+
+// The types a level's wave mixes, as [type, weight] pairs
+export function waveTypes(level) {
+    return Object.entries(ASTEROID_TYPES)
+        .filter(([, type]) => type.weight > 0 && type.firstLevel <= level)
+        .map(([id, type]) => [id, type.weight]);
+}
@@ -0,0 +1,78 @@
+// Bosses
+// Every BOSS_LEVEL_INTERVAL levels a boss joins the wave: one huge body built of
+// several parts and fought in phases, and the level isn't complete until it's
+// destroyed. Each entry below is one boss; the simulation runs the fight from it and
+// the renderer builds the model from `look`. Bosses take turns by act - the first
+// boss level brings the first entry, the next the second, and so on round.
+//
+//   size                 hull radius. Bolts inside it hit the core, or its shield while weak points remain.
+//   health(act)          core hits, for the boss of the act-th boss level
+//   weakPoints           offsets from the center of the parts shielding the core; every one
+//                        has to be shot off before the core can be damaged
+//   weakPointSize, weakPointHealth(act)
+//   points, weakPointPoints   base points for destroying the core and each weak point
+//   launches             asteroid type its 'launch' attack sends at Earth
+//   hangar               how many asteroids and fighters it can launch in all
+//   phases               fought in order. Each ends at `endsAt` - 'weakPoints' once they're all
+//                        gone, or a share of core health left - and cycles through its `attacks`
+//                        (see BOSS_ATTACKS in simulation.js), one every `attackTicks`.
+//   look                 model for the renderer: a `shape` plus its colors
+//   sounds               renderer cues: `warning` as it arrives, `attack` as it attacks
+
+import { TICK_RATE, BOSS_LEVEL_INTERVAL } from './constants.js';
+
+export const BOSSES = {
+    // A comet's icy nucleus, its core shielded by jetting vents. Mostly throws ice at Earth.
+    comet: {
+        name: 'Comet',
+        size: 5,
+        health: (act) => 20 + 10 * act,
+        weakPoints: [{ x: 0, y: 6, z: 0 }, { x: 5.2, y: -3, z: 0 }, { x: -5.2, y: -3, z: 0 }],
+        weakPointSize: 1.2,
+        weakPointHealth: (act) => 4 + act,
+        points: 200,
+        weakPointPoints: 40,
+        launches: 'ice',
+        hangar: { asteroids: 8, fighters: 0 },
+        phases: [
+            { name: 'Shielded', endsAt: 'weakPoints', attacks: ['launch', 'volley'], attackTicks: 3 * TICK_RATE },
+            { name: 'Cracked', endsAt: 0.5, attacks: ['launch', 'launch', 'volley'], attackTicks: 2.5 * TICK_RATE },
+            { name: 'Breaking Up', endsAt: 0, attacks: ['launch', 'barrage'], attackTicks: 2 * TICK_RATE }
+        ],
+        look: { shape: 'comet', color: 0x9ab8c8, weakPointColor: 0x66ddff, tailColor: 0xaaddff },
+        sounds: { warning: 'rumble', attack: 'crack' }
+    },
+
+    // An alien mothership, its core shielded by four generator pylons. Shoots at the
+    // player's ship and launches fighters from its hangar.
+    mothership: {
+        name: 'Mothership',
+        size: 4,
+        health: (act) => 30 + 10 * act,
+        weakPoints: [{ x: 6, y: 0, z: 0 }, { x: -6, y: 0, z: 0 }, { x: 0, y: 0, z: 6 }, { x: 0, y: 0, z: -6 }],
+        weakPointSize: 1.2,
+        weakPointHealth: (act) => 5 + act,
+        points: 300,
+        weakPointPoints: 50,
+        launches: 'rock',
+        hangar: { asteroids: 4, fighters: 3 },
+        phases: [
+            { name: 'Shielded', endsAt: 'weakPoints', attacks: ['volley', 'volley', 'fighters'], attackTicks: 3 * TICK_RATE },
+            { name: 'Exposed', endsAt: 0.5, attacks: ['volley', 'launch', 'fighters'], attackTicks: 2.5 * TICK_RATE },
+            { name: 'Enraged', endsAt: 0, attacks: ['barrage', 'launch', 'volley'], attackTicks: 1.5 * TICK_RATE }
+        ],
+        look: { shape: 'saucer', color: 0x3a3f4a, weakPointColor: 0xff3344, coreColor: 0xff8800 },
+        sounds: { warning: 'siren', attack: 'charge' }
+    }
+};
+
+export function isBoss(boss) {
+    return Object.hasOwn(BOSSES, boss);
+}
+
+// The boss a level brings, or null if it isn't a boss level
+export function levelBoss(level) {
+    if (level % BOSS_LEVEL_INTERVAL !== 0) return null;
+    const bosses = Object.keys(BOSSES);
+    return bosses[(level / BOSS_LEVEL_INTERVAL - 1) % bosses.length];
+}
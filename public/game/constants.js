@@ -0,0 +1,151 @@
+// Gameplay constants shared by the browser game and the server-side replay verifier.
+// Anything that affects the outcome of a game belongs here, so both sides agree.
+
+// Version of the game rules. Bump it when a change to the simulation would play an
+// existing replay differently, and keep the old behavior for games whose `rules`
+// are older - saved games and their replays are re-run under the rules they were played with.
+//   1  all asteroids are rock (plus angels)
+//   2  waves mix in asteroid types (see asteroidTypes.js)
+//   3  large asteroids split into fragments when destroyed
+//   4  waves mix in curved, orbiting and Moon-bound trajectories (see trajectories.js)
+//   5  enemy fighters attack the player's ship from ENEMY_FIRST_LEVEL
+//   6  every BOSS_LEVEL_INTERVAL levels a boss joins the wave (see bosses.js)
+export const RULES_VERSION = 6;
+
+// === TIMING ===
+export const TICK_RATE = 60; // Simulation steps per second
+export const TICK_SECONDS = 1 / TICK_RATE;
+
+// === LEVELS ===
+export const MAX_LEVEL = 10; // Level N spawns N asteroids
+export const AMMO_PER_ASTEROID = 40; // Laser ammo given per asteroid in level
+export const AMMO_REWARD_PER_KILL = 5; // Gain ammo when destroying asteroids
+export const LEVEL_TRANSITION_TICKS = 90; // 1.5s pause before the next level starts
+
+// === ENDLESS MODE ===
+// Waves past MAX_LEVEL grow by one asteroid, 5% speed and 3% more large asteroids each, up to these caps
+export const ENDLESS_MAX_ASTEROIDS = 25;
+export const ENDLESS_SPEED_STEP = 0.05;
+export const ENDLESS_MAX_SPEED_FACTOR = 2.0;
+export const ENDLESS_LARGE_STEP = 0.03;
+export const ENDLESS_MAX_LARGE_SHARE = 0.5;
+
+// === TIME ATTACK MODE ===
+export const TIME_ATTACK_TICKS = 3 * 60 * TICK_RATE; // 3 minutes on the clock
+export const TIME_ATTACK_KILL_BONUS_TICKS = 2 * TICK_RATE; // Each kill adds 2 seconds
+export const TIME_ATTACK_ASTEROIDS = 5; // Asteroids kept in play
+export const TIME_ATTACK_SPAWN_TICKS = TICK_RATE; // At most one new asteroid per second
+
+// === EARTH & MOON ===
+export const EARTH_RADIUS = 2;
+export const MOON_RADIUS = 0.5;
+export const MAX_EARTH_HEALTH = 100;
+export const MAX_MOON_HEALTH = 100;
+export const MOON_ORBIT_RADIUS = 6;
+export const MOON_ORBIT_INCLINATION = 5.14 * (Math.PI / 180);
+export const MOON_NODE_PRECESSION_SPEED = 0.01; // Sped up from the real ~18.6 year cycle
+export const DEFAULT_MOON_ORBIT_SPEED = 0.15;
+
+// === SHIP ===
+export const DEFAULT_SHIP_ORBIT_SPEED = 0.25;
+export const MAX_ORBIT_SPEED = 0.5; // Settings slider maximum
+export const SHIP_ORBIT_RADIUS = 7;
+export const SHIP_ORBIT_Y = 1.5;
+export const SHIP_START_ANGLE = Math.PI * 1.5;
+export const MAX_SHIP_HEALTH = 100; // Hull, repaired at the start of every level
+export const SHIP_HIT_RADIUS = 1.5;
+export const CANNON_OFFSETS = [
+    { x: -0.9, y: -0.15, z: -3.5 },
+    { x: 0.9, y: -0.15, z: -3.5 }
+];
+
+// === LASERS ===
+export const LASER_SPEED = 80;
+export const LASER_MAX_DISTANCE = 200;
+export const FIRE_COOLDOWN_TICKS = 8; // Floor under the 150ms UI cooldown, tolerant of frame jitter
+export const FRIENDLY_FIRE_DAMAGE = 2;
+export const AIM_ASSIST_MAX_TARGETS = 20;
+export const AIM_ASSIST_MIN_ALIGNMENT = 0.95;
+export const AIM_ASSIST_PLAYER_WEIGHT = 0.2; // 80% assist, 20% player aim
+
+// === ASTEROIDS ===
+export const ASTEROID_SPAWN_MIN_DISTANCE = 120;
+export const ASTEROID_SPAWN_MAX_DISTANCE = 180;
+export const ASTEROID_MIN_SIZE = 0.5;
+export const ASTEROID_MAX_SIZE = 2.0;
+export const ASTEROID_MIN_SPEED = 0.8;
+export const ASTEROID_MAX_SPEED = 1.5;
+
+// === FRAGMENTS ===
+// Asteroids of a splitting type this large or larger break into 2-4 fragments when destroyed.
+// Fragments are half the size, so they never split again.
+export const FRAGMENT_MIN_PARENT_SIZE = 1.5;
+export const FRAGMENT_MIN_COUNT = 2;
+export const FRAGMENT_MAX_COUNT = 4;
+export const FRAGMENT_SIZE_FACTOR = 0.5;
+export const FRAGMENT_SPREAD = 0.3; // Sideways kick, as a share of the parent's speed
+
+// === TRAJECTORIES ===
+// Gravity strength (G times mass) of Earth, and of the Moon at its real 1/81 of Earth's mass.
+// An asteroid falling from far out reaches Earth's surface at about 6 units/s.
+export const EARTH_GM = 36;
+export const MOON_GM = EARTH_GM / 81.3;
+export const GRAVITY_MAX_MISS = 6; // Gravity asteroids are aimed up to this far off Earth's center - close enough to be pulled in
+export const ORBIT_CAPTURE_RADIUS = 14; // Orbiting asteroids are captured on crossing this distance from Earth
+export const ORBIT_SPEED = 4;
+export const ORBIT_DECAY_SPEED = 0.4; // How fast an orbit spirals in
+export const MOON_CHASE_SPEEDUP = 2; // Moon-bound asteroids fly at least this many times the Moon's orbital speed
+
+// === ENEMY FIGHTERS ===
+// From ENEMY_FIRST_LEVEL, waves bring fighters that close in on the player's ship and
+// shoot at it: one more every ENEMY_LEVEL_STEP levels, up to ENEMY_MAX. They don't
+// count toward completing a level, and withdraw once it's complete.
+export const ENEMY_FIRST_LEVEL = 5;
+export const ENEMY_LEVEL_STEP = 3;
+export const ENEMY_MAX = 4;
+export const ENEMY_HEALTH = 6; // Bolt hits to destroy
+export const ENEMY_SIZE = 1;
+export const ENEMY_SPEED = 6;
+export const ENEMY_STRAFE_SPEED = 2; // Sideways drift while engaging, so they're no sitting target
+export const ENEMY_SPAWN_DISTANCE = 80;
+export const ENEMY_ENGAGE_DISTANCE = 18; // They close to about this far from the ship
+export const ENEMY_MIN_ALTITUDE = 5; // And keep at least this far from Earth's center
+export const ENEMY_FIRE_RANGE = 35;
+export const ENEMY_FIRE_TICKS = 2 * TICK_RATE; // Between shots
+export const ENEMY_AIM_MISS = 2; // Shots are aimed up to this far off the ship
+export const ENEMY_BOLT_SPEED = 25;
+export const ENEMY_BOLT_MAX_DISTANCE = 60;
+export const ENEMY_BOLT_DAMAGE = 10;
+export const ENEMY_POINTS = 50; // Base points for shooting one down, before multipliers
+export const AMMO_PER_ENEMY = 20;
+
+// === BOSSES ===
+// Every BOSS_LEVEL_INTERVAL levels a boss flies in from BOSS_SPAWN_DISTANCE and circles
+// Earth at BOSS_ORBIT_RADIUS, attacking once it gets there. Bosses score but aren't kills.
+export const BOSS_LEVEL_INTERVAL = 5;
+export const BOSS_SPAWN_DISTANCE = 90;
+export const BOSS_APPROACH_SPEED = 8;
+export const BOSS_ORBIT_RADIUS = 35;
+export const BOSS_ORBIT_Y = 6; // Height of its orbit above Earth's equator
+export const BOSS_ORBIT_SPEED = 0.1; // Radians per second
+export const BOSS_VOLLEY_SHOTS = 3; // Shots at the player's ship in a 'volley' attack
+export const BOSS_BARRAGE_SHOTS = 6; // And in a 'barrage'
+export const BOSS_AIM_MISS = 3; // Its shots are aimed up to this far off the ship
+export const AMMO_PER_BOSS_HIT = 1; // Ammo given per hit the boss and its weak points take
+
+// === EXPLOSIVE ASTEROIDS ===
+export const EXPLOSIVE_BLAST_RADIUS = 8; // Earth or the Moon take blast damage within this of the surface
+export const EXPLOSIVE_BLAST_DAMAGE = 10;
+
+// === ANGEL ASTEROIDS ===
+export const ANGEL_SPAWN_INTERVAL = 3; // Every 3 kills, spawn an angel asteroid
+export const ANGEL_SIZE = 1.2;
+export const ANGEL_SPAWN_DISTANCE_RANGE = 30;
+export const ANGEL_SPEED_FACTOR = 0.5;
+export const ANGEL_HEAL_AMOUNT = 25;
+
+// === SCORING ===
+export const BASE_ORBIT_SPEED = 0.25; // Default orbit speed
+export const MAX_ORBIT_SPEED_MULTIPLIER = 2.5; // Max multiplier from orbit speed
+export const MAX_PROXIMITY_MULTIPLIER = 4.0; // Max multiplier from close kills
+export const DANGER_ZONE_DISTANCE = 15; // Distance where proximity bonus starts ramping up
@@ -0,0 +1,88 @@
+// Public entry point for the game simulation. Everything here is plain data and
+// math - no DOM, no Three.js - so the browser renderer, the server's replay
+// verifier and Jest all run the same code.
+//
+// Simulation is the usual way in: it owns a game state and its replay log, and
+// step(dt, inputs) turns variable frame times into whole fixed ticks.
+
+import { TICK_SECONDS } from './constants.js';
+import { createSeed } from './random.js';
+import { createSimulation, tickSimulation } from './simulation.js';
+import { createReplay, recordTick } from './replay.js';
+import { DEFAULT_MODE } from './modes.js';
+
+export * as constants from './constants.js';
+export { createSeed } from './random.js';
+export {
+    QUATERNION_SCALE, quantizeQuaternion, calculateScoreMultiplier, calculateProximityMultiplier, waveProfile, createSimulation, tickSimulation
+} from './simulation.js';
+export { GAME_MODES, DEFAULT_MODE, isGameMode, replayMode } from './modes.js';
+export { REPLAY_VERSION, createReplay, replayRules, recordTick, runReplay, ReplayError } from './replay.js';
+export { ASTEROID_TYPES, isAsteroidType, waveTypes } from './asteroidTypes.js';
+export { TRAJECTORIES, isTrajectory, waveTrajectories } from './trajectories.js';
+export { BOSSES, isBoss, levelBoss } from './bosses.js';
+
+export const MAX_STEP_SECONDS = 0.25; // Don't try to catch up after long stalls (tab hidden etc.)
+
+// Statuses in which ticks still change the world
+const ACTIVE_STATUSES = ['playing', 'transition'];
+
+export class Simulation {
+    // A new game from `seed` in `mode`, or one resumed from a saved state and its replay log
+    constructor(seed = createSeed(), {
+        mode = DEFAULT_MODE, state = createSimulation(seed, mode), replay = createReplay(seed, mode)
+    } = {}) {
+        this.state = state;
+        this.replay = replay;
+        this.inputs = []; // Commands waiting for the next tick
+        this.accumulator = 0; // Frame time not yet consumed by ticks
+    }
+
+    static restore({ state, replay }) {
+        return new Simulation(state.seed, { state, replay });
+    }
+
+    // Pick a restored game back up. Saves made mid-level or between levels carry on
+    // exactly where they were - same asteroids, orbits and bolts in flight; one made
+    // after failing a level retries it.
+    resume() {
+        if (this.state.status === 'failed') this.queue(['R']);
+    }
+
+    get isActive() {
+        return ACTIVE_STATUSES.includes(this.state.status);
+    }
+
+    // Queue commands for the next tick
+    queue(...commands) {
+        this.inputs.push(...commands);
+    }
+
+    // Run exactly one tick with everything queued plus `inputs`, recording it for the replay.
+    // Returns the events that occurred.
+    advance(inputs = []) {
+        const commands = this.inputs.splice(0).concat(inputs);
+        recordTick(this.replay, this.state.tick, commands);
+        return tickSimulation(this.state, commands);
+    }
+
+    // Run as many ticks as `dt` seconds (plus any leftover time) cover. `inputs` are
+    // applied on the first of them; if `dt` is too short for a tick they wait for the next step.
+    // Stops early when the game ends or a level fails, so nothing ticks past a result
+    // the player hasn't seen. Returns the events from every tick, in order.
+    step(dt, inputs = []) {
+        this.queue(...inputs);
+        this.accumulator += Math.min(dt, MAX_STEP_SECONDS);
+
+        const events = [];
+        while (this.accumulator >= TICK_SECONDS) {
+            this.accumulator -= TICK_SECONDS;
+            events.push(...this.advance());
+            if (!this.isActive) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+        return events;
+    }
+}
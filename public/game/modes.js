@@ -0,0 +1,18 @@
+// Game modes. A game's mode is fixed when it starts and recorded in its replay,
+// so the server re-runs it under the same rules and ranks it on that mode's boards.
+//   classic      levels 1-MAX_LEVEL, then victory
+//   endless      waves keep coming after MAX_LEVEL, escalating until Earth falls
+//   time-attack  score as much as possible before the clock runs out; asteroids
+//                keep coming and every kill adds time
+
+export const GAME_MODES = ['classic', 'endless', 'time-attack'];
+export const DEFAULT_MODE = 'classic';
+
+export function isGameMode(mode) {
+    return GAME_MODES.includes(mode);
+}
+
+// Replays from before modes existed are classic games
+export function replayMode(replay) {
+    return replay?.mode ?? DEFAULT_MODE;
+}
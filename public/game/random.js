@@ -0,0 +1,20 @@
+// Seedable pseudo-random number generator (mulberry32)
+// The whole state is one 32-bit integer, so it can be saved and restored
+// alongside the rest of the simulation.
+
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Returns a float in [0, 1) and advances `rng.state`
+export function nextRandom(rng) {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+export function createRng(seed) {
+    return { state: seed >>> 0 };
+}
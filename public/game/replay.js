@@ -0,0 +1,104 @@
+// Replay logs - the seed plus every player command, stamped with the tick it was
+// applied on. Re-running a log through the simulation reproduces the game exactly.
+//
+// Format: { version, seed, mode, rules, ticks, commands: [[tick, type, ...args], ...] }
+// Replays recorded before game modes existed have no `mode` and are classic games;
+// ones recorded before rules were versioned have no `rules` and were played under version 1.
+// Games continued from a save made before saves carried replays also have a `start`:
+// the level, score, kills and health the save had, which the game restarts that level
+// from (see createSimulation). Nothing before it can be verified, so they can't be ranked.
+
+import { RULES_VERSION, MAX_LEVEL, MAX_EARTH_HEALTH, MAX_MOON_HEALTH } from './constants.js';
+import { createSimulation, tickSimulation } from './simulation.js';
+import { DEFAULT_MODE, isGameMode, replayMode } from './modes.js';
+
+export const REPLAY_VERSION = 1;
+
+export function createReplay(seed, mode = DEFAULT_MODE, rules = RULES_VERSION, start = null) {
+    return { version: REPLAY_VERSION, seed: seed >>> 0, mode, rules, ...(start && { start }), ticks: 0, commands: [] };
+}
+
+// The rules version a replay was played under (see RULES_VERSION)
+export function replayRules(replay) {
+    return replay?.rules ?? 1;
+}
+
+// Record the commands applied on `tick` and count the tick
+export function recordTick(replay, tick, commands) {
+    for (const command of commands) {
+        replay.commands.push([tick, ...command]);
+    }
+    replay.ticks = tick + 1;
+}
+
+export class ReplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+function checkStart(start) {
+    const isCount = (value, max = Infinity) => Number.isInteger(value) && value >= 0 && value <= max;
+    const isHealth = (value, max) => Number.isFinite(value) && value > 0 && value <= max;
+    if (!start || typeof start !== 'object' || !isCount(start.level, MAX_LEVEL) || start.level < 1
+        || !isCount(start.score) || !isCount(start.kills)
+        || !isHealth(start.earthHealth, MAX_EARTH_HEALTH) || !isHealth(start.moonHealth, MAX_MOON_HEALTH)) {
+        throw new ReplayError('Invalid replay start');
+    }
+}
+
+// Structural checks before spending CPU on a replay
+function checkReplay(replay, maxTicks) {
+    if (!replay || typeof replay !== 'object') throw new ReplayError('Missing replay');
+    if (replay.version !== REPLAY_VERSION) throw new ReplayError('Unsupported replay version');
+    if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) {
+        throw new ReplayError('Invalid replay seed');
+    }
+    if (!isGameMode(replayMode(replay))) throw new ReplayError('Invalid game mode');
+    const rules = replayRules(replay);
+    if (!Number.isInteger(rules) || rules < 1 || rules > RULES_VERSION) throw new ReplayError('Unsupported game rules');
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) throw new ReplayError('Invalid replay length');
+    if (replay.ticks > maxTicks) throw new ReplayError('Replay is longer than the game session');
+    if (!Array.isArray(replay.commands)) throw new ReplayError('Invalid replay commands');
+    if (replay.start !== undefined) checkStart(replay.start);
+
+    let previousTick = 0;
+    for (const command of replay.commands) {
+        if (!Array.isArray(command) || command.length < 2 || command.length > 6) {
+            throw new ReplayError('Invalid replay command');
+        }
+        const [tick, type, ...args] = command;
+        if (!Number.isInteger(tick) || tick < previousTick || tick >= replay.ticks) {
+            throw new ReplayError('Replay commands out of order');
+        }
+        if (typeof type !== 'string' || !args.every(Number.isFinite)) {
+            throw new ReplayError('Invalid replay command');
+        }
+        previousTick = tick;
+    }
+}
+
+// Re-run a replay headlessly and return the final simulation state.
+// Throws ReplayError if the log is malformed or longer than `maxTicks`.
+export function runReplay(replay, { maxTicks = Infinity } = {}) {
+    checkReplay(replay, maxTicks);
+
+    const state = createSimulation(replay.seed, replayMode(replay), replayRules(replay), replay.start ?? null);
+    const { commands } = replay;
+    let next = 0;
+
+    for (let tick = 0; tick < replay.ticks; tick++) {
+        const tickCommands = [];
+        while (next < commands.length && commands[next][0] === tick) {
+            tickCommands.push(commands[next].slice(1));
+            next++;
+        }
+        tickSimulation(state, tickCommands);
+
+        // Nothing can change once the game has ended
+        if ((state.status === 'over' || state.status === 'victory') && next >= commands.length) break;
+    }
+
+    return state;
+}
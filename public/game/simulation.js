@@ -0,0 +1,1007 @@
+// Deterministic game simulation - asteroid spawning, laser movement, collisions,
+// scoring and level flow. No DOM, no Three.js: the browser renders the state this
+// produces, and the server re-runs it from a replay log to verify scores.
+//
+// The simulation advances in fixed ticks (TICK_RATE per second). Each tick first
+// applies the player's commands, then steps the world. Commands are small arrays:
+//   ['F', qx, qy, qz, qw]  fire, with the ship orientation quantized by quantizeQuaternion()
+//   ['O', shipSpeed, shipDirection, moonSpeed, moonDirection]  orbit settings changed
+//   ['R']  retry the current level after failing it
+//   ['C']  continue to the next level after failing
+//   ['S']  resume a saved game (restarts the level in progress, keeping score).
+//          No longer sent - Simulation.resume() continues the saved world as it
+//          was - but older replays contain it, so it still has to replay the same.
+//
+// tickSimulation() returns the events that happened during the tick so the
+// renderer can play effects and refresh the HUD.
+
+import * as C from './constants.js';
+import { DEFAULT_MODE } from './modes.js';
+import { ASTEROID_TYPES, waveTypes } from './asteroidTypes.js';
+import { TRAJECTORIES, waveTrajectories } from './trajectories.js';
+import { BOSSES, levelBoss } from './bosses.js';
+import { createRng, nextRandom } from './random.js';
+import {
+    vec3, copyVec3, length, distance, dot, scale, add, sub, normalize, cross, lerp, applyQuaternion
+} from './vector.js';
+
+export const QUATERNION_SCALE = 10000; // Fire commands carry quaternions to 4 decimal places
+
+// Statuses in which the world keeps moving and the player can fire
+const ACTIVE_STATUSES = ['playing', 'transition'];
+
+// Round a { x, y, z, w } quaternion to the integers a fire command carries
+export function quantizeQuaternion(q) {
+    return [q.x, q.y, q.z, q.w].map(c => Math.round(c * QUATERNION_SCALE));
+}
+
+// Proximity multiplier: closer to Earth = more points
+export function calculateProximityMultiplier(asteroidDistance) {
+    // Distance ranges from ~EARTH_RADIUS (very close) to ASTEROID_SPAWN_MIN_DISTANCE (far)
+    const impactDistance = Math.max(0, asteroidDistance - C.EARTH_RADIUS);
+    const dangerProgress = Math.max(0, 1 - (impactDistance / C.DANGER_ZONE_DISTANCE));
+    return 1.0 + (dangerProgress * (C.MAX_PROXIMITY_MULTIPLIER - 1.0));
+}
+
+// Dynamic score multiplier based on orbit speed and asteroid proximity
+export function calculateScoreMultiplier(shipOrbitSpeed, asteroidDistance) {
+    // Orbit speed multiplier: faster orbit = more points
+    // Normalized from BASE_ORBIT_SPEED (1.0x) up to MAX_ORBIT_SPEED_MULTIPLIER
+    const speedRatio = Math.abs(shipOrbitSpeed) / C.BASE_ORBIT_SPEED;
+    const orbitMultiplier = Math.min(1.0 + (speedRatio - 1.0) * 0.5, C.MAX_ORBIT_SPEED_MULTIPLIER);
+
+    // Combine multipliers (multiplicative for exciting high scores)
+    return orbitMultiplier * calculateProximityMultiplier(asteroidDistance);
+}
+
+// Random point on a sphere of the given radius around Earth
+function randomSpherePoint(rng, radius) {
+    const theta = nextRandom(rng) * Math.PI * 2;
+    const phi = Math.acos(2 * nextRandom(rng) - 1);
+    return vec3(
+        radius * Math.sin(phi) * Math.cos(theta),
+        radius * Math.sin(phi) * Math.sin(theta),
+        radius * Math.cos(phi)
+    );
+}
+
+function randomAsteroidSpeed(rng) {
+    return C.ASTEROID_MIN_SPEED + nextRandom(rng) * (C.ASTEROID_MAX_SPEED - C.ASTEROID_MIN_SPEED);
+}
+
+// Enemy fighters a level brings (see ENEMY_FIRST_LEVEL)
+function waveEnemies(level) {
+    if (level < C.ENEMY_FIRST_LEVEL) return 0;
+    return Math.min(1 + Math.floor((level - C.ENEMY_FIRST_LEVEL) / C.ENEMY_LEVEL_STEP), C.ENEMY_MAX);
+}
+
+// What a level spawns: its asteroid count, a speed factor, the share of large
+// asteroids, the asteroid types and trajectories it mixes, its enemy fighters and its boss.
+// Levels 1-MAX_LEVEL are the same in every mode (level N is N asteroids); endless
+// waves beyond them escalate step by step up to the caps.
+export function waveProfile(level) {
+    const types = waveTypes(level);
+    const trajectories = waveTrajectories(level);
+    const enemies = waveEnemies(level);
+    const boss = levelBoss(level);
+    if (level <= C.MAX_LEVEL) return { count: level, speedFactor: 1, largeShare: 0, types, trajectories, enemies, boss };
+
+    const extra = level - C.MAX_LEVEL;
+    return {
+        count: Math.min(level, C.ENDLESS_MAX_ASTEROIDS),
+        speedFactor: Math.min(1 + extra * C.ENDLESS_SPEED_STEP, C.ENDLESS_MAX_SPEED_FACTOR),
+        largeShare: Math.min(extra * C.ENDLESS_LARGE_STEP, C.ENDLESS_MAX_LARGE_SHARE),
+        types,
+        trajectories,
+        enemies,
+        boss
+    };
+}
+
+// Time attack is one continuous wave against the clock - no levels to complete or fail
+function hasLevels(state) {
+    return state.mode !== 'time-attack';
+}
+
+const TIME_ATTACK_WAVE = {
+    count: C.TIME_ATTACK_ASTEROIDS, speedFactor: 1, largeShare: 0,
+    types: waveTypes(C.MAX_LEVEL), trajectories: waveTrajectories(C.MAX_LEVEL), enemies: 0, boss: null
+};
+
+// Spawn speed, size and trajectory for asteroids outside waves
+const NO_WAVE = { speedFactor: 1, largeShare: 0, trajectories: [['direct', 1]] };
+
+// True if completing the current level wins the game
+function isFinalLevel(state) {
+    return state.mode !== 'endless' && state.level >= C.MAX_LEVEL;
+}
+
+// Pick one of [choice, weight] pairs by weight. A single choice draws no random number.
+function pickWeighted(rng, choices) {
+    if (choices.length === 1) return choices[0][0];
+
+    const total = choices.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = nextRandom(rng) * total;
+    for (const [choice, weight] of choices) {
+        roll -= weight;
+        if (roll < 0) return choice;
+    }
+    return choices[choices.length - 1][0];
+}
+
+// The type of a wave's next asteroid. Before rules version 2 every wave was rock.
+function pickAsteroidType(state, profile) {
+    return pickWeighted(state.rng, state.rules >= 2 ? profile.types : [['rock', 1]]);
+}
+
+// How a wave's next asteroid flies in. Before rules version 4 every one flew direct.
+function pickTrajectory(state, profile) {
+    return pickWeighted(state.rng, state.rules >= 4 ? profile.trajectories : [['direct', 1]]);
+}
+
+// Launch velocity from `position` at `speed` along a trajectory: at its target
+// body, or off to one side of it by a random miss distance
+function launchVelocity(state, position, speed, trajectoryId) {
+    const { rng } = state;
+    const trajectory = TRAJECTORIES[trajectoryId];
+
+    let aim = trajectory.target === 'moon' ? state.moon.position : vec3();
+    if (trajectory.miss) {
+        const [minMiss, maxMiss] = trajectory.miss;
+        const miss = minMiss + nextRandom(rng) * (maxMiss - minMiss);
+        const toTarget = normalize(sub(aim, position));
+        const random = randomSpherePoint(rng, 1);
+        const sideways = normalize(sub(random, scale(toTarget, dot(random, toTarget))));
+        aim = add(aim, scale(sideways, miss));
+    }
+    return scale(normalize(sub(aim, position)), speed);
+}
+
+function spawnAsteroid(state, typeId, profile) {
+    const { rng } = state;
+    const type = ASTEROID_TYPES[typeId];
+
+    // Random size unless the type has its own (affects health and damage)
+    let size = type.size;
+    if (size === undefined) {
+        size = C.ASTEROID_MIN_SIZE + nextRandom(rng) * (C.ASTEROID_MAX_SIZE - C.ASTEROID_MIN_SIZE);
+        // Late endless waves mix in the largest asteroids. Only drawn when possible, so
+        // the classic levels use the same random numbers they always have.
+        if (profile.largeShare > 0 && nextRandom(rng) < profile.largeShare) {
+            size = C.ASTEROID_MAX_SIZE;
+        }
+    }
+    const health = type.health(size);
+
+    const spawnRange = type.spawnRange ?? (C.ASTEROID_SPAWN_MAX_DISTANCE - C.ASTEROID_SPAWN_MIN_DISTANCE);
+    const spawnDistance = C.ASTEROID_SPAWN_MIN_DISTANCE + nextRandom(rng) * spawnRange;
+    const position = randomSpherePoint(rng, spawnDistance);
+
+    const speed = randomAsteroidSpeed(rng) * type.speed * profile.speedFactor;
+    const trajectory = pickTrajectory(state, profile);
+    const velocity = launchVelocity(state, position, speed, trajectory);
+
+    const asteroid = { id: state.nextId++, type: typeId, trajectory, size, health, maxHealth: health, position, velocity };
+    state.asteroids.push(asteroid);
+    return asteroid;
+}
+
+// Whether a destroyed asteroid breaks up. Before rules version 3 none did.
+function splits(state, asteroid) {
+    return state.rules >= 3 && ASTEROID_TYPES[asteroid.type].splits && asteroid.size >= C.FRAGMENT_MIN_PARENT_SIZE;
+}
+
+// Break a destroyed asteroid into smaller ones of its type and trajectory. Each
+// fragment carries on with the parent's velocity plus a kick in a random direction,
+// and is one more asteroid the level needs destroyed.
+function splitAsteroid(state, asteroid) {
+    const { rng } = state;
+    const type = ASTEROID_TYPES[asteroid.type];
+    const count = C.FRAGMENT_MIN_COUNT + Math.floor(nextRandom(rng) * (C.FRAGMENT_MAX_COUNT - C.FRAGMENT_MIN_COUNT + 1));
+    const size = asteroid.size * C.FRAGMENT_SIZE_FACTOR;
+    const health = type.health(size);
+    const kick = length(asteroid.velocity) * C.FRAGMENT_SPREAD;
+
+    const fragments = [];
+    for (let i = 0; i < count; i++) {
+        const direction = randomSpherePoint(rng, 1);
+        const fragment = {
+            id: state.nextId++,
+            type: asteroid.type,
+            trajectory: asteroid.trajectory,
+            size,
+            health,
+            maxHealth: health,
+            position: add(asteroid.position, scale(direction, size)),
+            velocity: add(asteroid.velocity, scale(direction, kick))
+        };
+        state.asteroids.push(fragment);
+        fragments.push(fragment);
+    }
+
+    if (hasLevels(state)) {
+        state.levelAsteroidsTotal += count;
+        state.levelAsteroidsRemaining += count;
+    }
+    return fragments;
+}
+
+function healEarthAndMoon(state) {
+    state.earthHealth = Math.min(C.MAX_EARTH_HEALTH, state.earthHealth + C.ANGEL_HEAL_AMOUNT);
+    state.moonHealth = Math.min(C.MAX_MOON_HEALTH, state.moonHealth + C.ANGEL_HEAL_AMOUNT);
+}
+
+// `reason` is 'destroyed' (Earth fell), 'shipDestroyed' (the player's ship was shot
+// down) or 'timeUp' (time attack's clock ran out)
+function gameOver(state, events, reason = 'destroyed') {
+    state.status = 'over';
+    events.push({ type: 'gameOver', reason });
+}
+
+function checkEarthAndMoon(state, events) {
+    if (state.moonHealth <= 0) {
+        state.moonHealth = 0;
+        // Critical: Moon destruction also destroys Earth!
+        state.earthHealth = 0;
+    }
+    if (state.earthHealth <= 0) {
+        state.earthHealth = 0;
+        gameOver(state, events);
+    }
+}
+
+export function startLevel(state, level, isRetry, events) {
+    state.level = level;
+
+    // Save score before level (only if not a retry)
+    if (!isRetry) {
+        state.scoreBeforeLevel = state.score;
+    }
+
+    // Destroy every asteroid in the wave, and its boss, to complete the level. Before
+    // rules version 5 there were no fighters, and before version 6 no bosses.
+    const profile = hasLevels(state) ? waveProfile(level) : TIME_ATTACK_WAVE;
+    const enemyCount = state.rules >= 5 ? profile.enemies : 0;
+    const bossType = state.rules >= 6 ? profile.boss : null;
+    state.levelAsteroidsTotal = hasLevels(state) ? profile.count : 0;
+    state.levelAsteroidsRemaining = state.levelAsteroidsTotal;
+    state.ammo = C.AMMO_PER_ASTEROID * profile.count + C.AMMO_PER_ENEMY * enemyCount
+        + (bossType ? C.AMMO_PER_BOSS_HIT * bossHits(bossType, level) : 0);
+    state.shipHealth = C.MAX_SHIP_HEALTH;
+    state.status = 'playing';
+
+    // Spawn all asteroids for this level at once, then its fighters
+    state.asteroids = [];
+    for (let i = 0; i < profile.count; i++) {
+        spawnAsteroid(state, pickAsteroidType(state, profile), profile);
+    }
+    state.enemies = [];
+    state.enemyBolts = [];
+    for (let i = 0; i < enemyCount; i++) {
+        spawnEnemy(state);
+    }
+    state.boss = bossType ? spawnBoss(state, bossType, level) : null;
+
+    events.push({ type: 'levelStarted', level, isRetry });
+    if (state.boss) events.push({ type: 'bossAppeared', boss: state.boss });
+}
+
+// Time attack: top the field back up as asteroids are destroyed or hit, one at a time
+function spawnAsteroids(state) {
+    if (state.tick % C.TIME_ATTACK_SPAWN_TICKS !== 0) return;
+    if (state.asteroids.filter(a => ASTEROID_TYPES[a.type].target).length < TIME_ATTACK_WAVE.count) {
+        spawnAsteroid(state, pickAsteroidType(state, TIME_ATTACK_WAVE), TIME_ATTACK_WAVE);
+    }
+}
+
+function checkLevelComplete(state, events) {
+    if (!hasLevels(state) || state.levelAsteroidsRemaining > 0 || state.boss || state.status !== 'playing') return;
+
+    // The wave's fighters withdraw, and their shots in flight go with them
+    state.enemies = [];
+    state.enemyBolts = [];
+
+    if (isFinalLevel(state)) {
+        state.status = 'victory';
+        events.push({ type: 'victory' });
+    } else {
+        state.status = 'transition';
+        state.transitionTicks = C.LEVEL_TRANSITION_TICKS;
+        events.push({ type: 'levelComplete', level: state.level });
+    }
+}
+
+// No asteroids left but level not complete - they hit Earth or the Moon
+function checkLevelFailed(state, events) {
+    if (hasLevels(state) && state.asteroids.length === 0 && state.levelAsteroidsRemaining > 0 && state.status === 'playing') {
+        state.status = 'failed';
+        events.push({ type: 'levelFailed', level: state.level });
+    }
+}
+
+// `start` picks up a game saved before saves carried replays, where it left off:
+// { level, score, kills, earthHealth, moonHealth } (see `start` in replay.js)
+export function createSimulation(seed, mode = DEFAULT_MODE, rules = C.RULES_VERSION, start = null) {
+    const state = {
+        seed: seed >>> 0,
+        tick: 0,
+        rng: createRng(seed),
+        nextId: 1,
+        status: 'playing',
+        transitionTicks: 0,
+        level: 1,
+        score: 0,
+        scoreBeforeLevel: 0,
+        earthHealth: C.MAX_EARTH_HEALTH,
+        moonHealth: C.MAX_MOON_HEALTH,
+        shipHealth: C.MAX_SHIP_HEALTH,
+        ammo: 0,
+        kills: 0,
+        levelAsteroidsTotal: 0,
+        levelAsteroidsRemaining: 0,
+        lastMultiplier: 1.0,
+        fireCooldown: 0,
+        asteroids: [],
+        bolts: [],
+        enemies: [],
+        enemyBolts: [],
+        boss: null,
+        moon: {
+            angle: 0,
+            ascendingNode: 0,
+            speed: C.DEFAULT_MOON_ORBIT_SPEED,
+            direction: 1,
+            position: vec3(C.MOON_ORBIT_RADIUS, 0, 0)
+        },
+        ship: {
+            angle: C.SHIP_START_ANGLE,
+            speed: C.DEFAULT_SHIP_ORBIT_SPEED,
+            direction: 1, // 1 = clockwise, -1 = counterclockwise
+            perigee: C.SHIP_ORBIT_RADIUS,
+            apogee: C.SHIP_ORBIT_RADIUS,
+            inclination: 0, // Degrees of orbital tilt
+            position: vec3()
+        },
+        mode,
+        rules,
+        timeLeft: mode === 'time-attack' ? C.TIME_ATTACK_TICKS : null // Ticks left on time attack's clock
+    };
+    if (start) {
+        const { score, kills, earthHealth, moonHealth } = start;
+        Object.assign(state, { score, kills, earthHealth, moonHealth });
+    }
+    updateShipPosition(state.ship);
+    startLevel(state, start?.level ?? 1, false, []);
+    return state;
+}
+
+function updateMoonPosition(moon) {
+    // Position in orbital plane (before inclination)
+    const moonX = Math.cos(moon.angle) * C.MOON_ORBIT_RADIUS;
+    const moonZ = Math.sin(moon.angle) * C.MOON_ORBIT_RADIUS;
+
+    // Rotate orbital position: first around Y (ascending node), then tilt (inclination)
+    const cosInc = Math.cos(C.MOON_ORBIT_INCLINATION);
+    const sinInc = Math.sin(C.MOON_ORBIT_INCLINATION);
+    const cosNode = Math.cos(moon.ascendingNode);
+    const sinNode = Math.sin(moon.ascendingNode);
+
+    moon.position = vec3(
+        moonX * cosNode - moonZ * sinNode * cosInc,
+        moonZ * sinInc,
+        moonX * sinNode + moonZ * cosNode * cosInc
+    );
+}
+
+function updateShipPosition(ship) {
+    const semiMajor = (ship.perigee + ship.apogee) / 2;
+    const eccentricityOffset = (ship.apogee - ship.perigee) / 2;
+    const currentRadius = semiMajor + eccentricityOffset * Math.cos(ship.angle);
+
+    const incRad = ship.inclination * Math.PI / 180;
+    const flatX = Math.cos(ship.angle) * currentRadius;
+    const flatZ = Math.sin(ship.angle) * currentRadius;
+
+    ship.position = vec3(
+        flatX,
+        C.SHIP_ORBIT_Y + flatZ * Math.sin(incRad),
+        flatZ * Math.cos(incRad)
+    );
+}
+
+function fireLasers(state, quaternion, events) {
+    if (state.ammo <= 0 || state.fireCooldown > 0 || !ACTIVE_STATUSES.includes(state.status)) return;
+
+    const q = quaternion.map(c => Number(c) / QUATERNION_SCALE);
+    const qLength = Math.hypot(...q);
+    if (!Number.isFinite(qLength) || qLength === 0) return;
+    const rotation = { x: q[0] / qLength, y: q[1] / qLength, z: q[2] / qLength, w: q[3] / qLength };
+
+    const shipPosition = state.ship.position;
+    const shipDirection = applyQuaternion(vec3(0, 0, -1), rotation);
+    let aimDirection = shipDirection;
+
+    // Aim assist: lead the best-aligned asteroid, fighter or boss part within a narrow cone
+    const targets = [...state.asteroids, ...state.enemies, ...bossTargets(state.boss)];
+    if (targets.length > 0 && targets.length <= C.AIM_ASSIST_MAX_TARGETS) {
+        let bestAlignment = C.AIM_ASSIST_MIN_ALIGNMENT;
+        let bestTarget = null;
+        for (const target of targets) {
+            const alignment = dot(shipDirection, normalize(sub(target.position, shipPosition)));
+            if (alignment > bestAlignment) {
+                bestAlignment = alignment;
+                bestTarget = target;
+            }
+        }
+
+        if (bestTarget) {
+            const timeToHit = distance(bestTarget.position, shipPosition) / C.LASER_SPEED;
+            const predictedPos = add(bestTarget.position, scale(bestTarget.velocity, timeToHit));
+            aimDirection = normalize(lerp(normalize(sub(predictedPos, shipPosition)), shipDirection, C.AIM_ASSIST_PLAYER_WEIGHT));
+        }
+    }
+
+    // Two cannons: left and right
+    const bolts = C.CANNON_OFFSETS.map(offset => {
+        const bolt = {
+            id: state.nextId++,
+            position: add(shipPosition, applyQuaternion(offset, rotation)),
+            velocity: scale(aimDirection, C.LASER_SPEED),
+            distanceTraveled: 0
+        };
+        state.bolts.push(bolt);
+        return bolt;
+    });
+
+    state.ammo--;
+    state.fireCooldown = C.FIRE_COOLDOWN_TICKS;
+    events.push({ type: 'lasersFired', bolts, direction: aimDirection });
+}
+
+function setOrbitSettings(state, [shipSpeed, shipDirection, moonSpeed, moonDirection]) {
+    const clampSpeed = (speed, fallback) =>
+        Number.isFinite(speed) ? Math.min(C.MAX_ORBIT_SPEED, Math.max(0, speed)) : fallback;
+
+    state.ship.speed = clampSpeed(shipSpeed, state.ship.speed);
+    state.ship.direction = shipDirection < 0 ? -1 : 1;
+    state.moon.speed = clampSpeed(moonSpeed, state.moon.speed);
+    state.moon.direction = moonDirection < 0 ? -1 : 1;
+}
+
+function applyCommand(state, command, events) {
+    if (!Array.isArray(command)) return;
+    const [type, ...args] = command;
+
+    switch (type) {
+        case 'F':
+            if (args.length === 4) fireLasers(state, args, events);
+            break;
+        case 'O':
+            setOrbitSettings(state, args.map(Number));
+            break;
+        case 'R':
+            if (state.status === 'failed') {
+                state.score = state.scoreBeforeLevel;
+                startLevel(state, state.level, true, events);
+            }
+            break;
+        case 'C':
+            if (state.status === 'failed') {
+                if (isFinalLevel(state)) {
+                    state.status = 'victory';
+                    events.push({ type: 'victory' });
+                } else {
+                    startLevel(state, state.level + 1, false, events);
+                }
+            }
+            break;
+        case 'S':
+            // Saved between levels: start the next one. Saved after failing: retry.
+            if (state.status === 'transition') {
+                startLevel(state, state.level + 1, false, events);
+            } else if (state.status === 'failed') {
+                state.score = state.scoreBeforeLevel;
+                startLevel(state, state.level, true, events);
+            } else if (state.status === 'playing') {
+                startLevel(state, state.level, false, events);
+            }
+            break;
+    }
+}
+
+function moveAsteroids(state, events) {
+    const dt = C.TICK_SECONDS;
+
+    for (let i = state.asteroids.length - 1; i >= 0; i--) {
+        const asteroid = state.asteroids[i];
+
+        TRAJECTORIES[asteroid.trajectory].steer(asteroid, state.moon, dt);
+        asteroid.position = add(asteroid.position, scale(asteroid.velocity, dt));
+
+        let target = null;
+        if (length(asteroid.position) < C.EARTH_RADIUS + asteroid.size * 0.5) {
+            target = 'earth';
+        } else if (distance(asteroid.position, state.moon.position) < C.MOON_RADIUS + asteroid.size * 0.5) {
+            target = 'moon';
+        }
+        if (!target) continue;
+
+        state.asteroids.splice(i, 1);
+        if (ASTEROID_TYPES[asteroid.type].onImpact === 'heal') {
+            healEarthAndMoon(state);
+            events.push({ type: 'angelImpact', target, asteroid });
+        } else {
+            const damage = ASTEROID_TYPES[asteroid.type].damage(asteroid.size);
+            damageBody(state, target, damage);
+            events.push({ type: 'asteroidImpact', target, asteroid, damage });
+        }
+
+        checkEarthAndMoon(state, events);
+        if (state.status === 'over') return;
+    }
+
+    checkLevelFailed(state, events);
+}
+
+function damageBody(state, target, damage) {
+    if (target === 'earth') {
+        state.earthHealth -= damage;
+    } else {
+        state.moonHealth -= damage;
+    }
+}
+
+// An exploding asteroid's blast reaches Earth and the Moon if they're close enough
+function explode(state, asteroid, events) {
+    const bodies = [['earth', vec3(), C.EARTH_RADIUS], ['moon', state.moon.position, C.MOON_RADIUS]];
+    for (const [target, center, radius] of bodies) {
+        if (distance(asteroid.position, center) - radius < C.EXPLOSIVE_BLAST_RADIUS) {
+            damageBody(state, target, C.EXPLOSIVE_BLAST_DAMAGE);
+            events.push({ type: 'blast', target, asteroid, damage: C.EXPLOSIVE_BLAST_DAMAGE });
+        }
+    }
+    checkEarthAndMoon(state, events);
+}
+
+function destroyAsteroid(state, asteroid, events) {
+    const type = ASTEROID_TYPES[asteroid.type];
+    if (type.onDeath === 'heal') healEarthAndMoon(state);
+
+    if (!type.target) {
+        events.push({ type: 'angelDestroyed', asteroid });
+        return;
+    }
+
+    const multiplier = calculateScoreMultiplier(state.ship.speed, length(asteroid.position));
+    const proximity = calculateProximityMultiplier(length(asteroid.position));
+    const basePoints = Math.ceil(asteroid.size * 10);
+    const points = Math.ceil(basePoints * multiplier);
+    state.score += points;
+    state.lastMultiplier = multiplier;
+
+    // Reward: gain ammo
+    state.ammo += C.AMMO_REWARD_PER_KILL;
+    state.kills++;
+    if (hasLevels(state)) {
+        state.levelAsteroidsRemaining--;
+    } else {
+        state.timeLeft += C.TIME_ATTACK_KILL_BONUS_TICKS;
+    }
+
+    events.push({ type: 'asteroidDestroyed', asteroid, points, multiplier, proximity });
+
+    if (splits(state, asteroid)) {
+        events.push({ type: 'asteroidSplit', asteroid, fragments: splitAsteroid(state, asteroid) });
+    }
+
+    // Every few kills, spawn an angel asteroid (only if Earth or Moon is damaged)
+    if (state.kills % C.ANGEL_SPAWN_INTERVAL === 0 &&
+        (state.earthHealth < C.MAX_EARTH_HEALTH || state.moonHealth < C.MAX_MOON_HEALTH)) {
+        const angel = spawnAsteroid(state, 'angel', NO_WAVE);
+        events.push({ type: 'angelSpawned', asteroid: angel });
+    }
+
+    if (type.onDeath === 'explode') {
+        explode(state, asteroid, events);
+        if (state.status === 'over') return;
+    }
+
+    checkLevelComplete(state, events);
+}
+
+// === ENEMY FIGHTERS ===
+
+// A fighter at `position`, or at a random point ENEMY_SPAWN_DISTANCE out
+function spawnEnemy(state, position = null) {
+    const { rng } = state;
+    const enemy = {
+        id: state.nextId++,
+        health: C.ENEMY_HEALTH,
+        maxHealth: C.ENEMY_HEALTH,
+        position: position ?? randomSpherePoint(rng, C.ENEMY_SPAWN_DISTANCE),
+        velocity: vec3(),
+        strafe: nextRandom(rng) < 0.5 ? -1 : 1, // Which way it circles the ship
+        fireCooldown: C.ENEMY_FIRE_TICKS + Math.floor(nextRandom(rng) * C.ENEMY_FIRE_TICKS) // Staggers their first shots
+    };
+    state.enemies.push(enemy);
+    return enemy;
+}
+
+// Close to ENEMY_ENGAGE_DISTANCE of the ship, circling it, and fire whenever ready and in range
+function moveEnemies(state, events) {
+    const dt = C.TICK_SECONDS;
+    const shipPosition = state.ship.position;
+
+    for (const enemy of state.enemies) {
+        const toShip = sub(shipPosition, enemy.position);
+        const shipDistance = length(toShip);
+        const direction = normalize(toShip);
+
+        const approachSpeed = Math.max(-C.ENEMY_SPEED, Math.min(C.ENEMY_SPEED, shipDistance - C.ENEMY_ENGAGE_DISTANCE));
+        const sideways = normalize(cross(direction, vec3(0, 1, 0)));
+        let velocity = add(scale(direction, approachSpeed), scale(sideways, C.ENEMY_STRAFE_SPEED * enemy.strafe));
+        // Pull up away from Earth
+        if (length(enemy.position) < C.ENEMY_MIN_ALTITUDE) {
+            velocity = add(velocity, scale(normalize(enemy.position), C.ENEMY_SPEED));
+        }
+        enemy.velocity = velocity;
+        enemy.position = add(enemy.position, scale(velocity, dt));
+
+        if (enemy.fireCooldown > 0) enemy.fireCooldown--;
+        if (enemy.fireCooldown === 0 && shipDistance <= C.ENEMY_FIRE_RANGE) {
+            fireEnemyBolt(state, enemy, events);
+        }
+    }
+}
+
+// An enemy shot from `from` at the player's ship, aimed up to `miss` off it
+function shootAtShip(state, from, miss) {
+    const aim = add(state.ship.position, randomSpherePoint(state.rng, nextRandom(state.rng) * miss));
+    const bolt = {
+        id: state.nextId++,
+        position: copyVec3(from),
+        velocity: scale(normalize(sub(aim, from)), C.ENEMY_BOLT_SPEED),
+        distanceTraveled: 0
+    };
+    state.enemyBolts.push(bolt);
+    return bolt;
+}
+
+function fireEnemyBolt(state, enemy, events) {
+    const bolt = shootAtShip(state, enemy.position, C.ENEMY_AIM_MISS);
+    enemy.fireCooldown = C.ENEMY_FIRE_TICKS;
+    events.push({ type: 'enemyFired', enemy, bolt });
+}
+
+function destroyEnemy(state, enemy, events) {
+    const multiplier = calculateScoreMultiplier(state.ship.speed, length(enemy.position));
+    const points = Math.ceil(C.ENEMY_POINTS * multiplier);
+    state.score += points;
+    state.lastMultiplier = multiplier;
+    state.ammo += C.AMMO_REWARD_PER_KILL;
+    events.push({ type: 'enemyDestroyed', enemy, points, multiplier });
+}
+
+// Enemy shots hit the player's ship; Earth's atmosphere soaks up any that reach it
+function moveEnemyBolts(state, events) {
+    const dt = C.TICK_SECONDS;
+
+    for (let i = state.enemyBolts.length - 1; i >= 0; i--) {
+        const bolt = state.enemyBolts[i];
+        const movement = scale(bolt.velocity, dt);
+        bolt.position = add(bolt.position, movement);
+        bolt.distanceTraveled += length(movement);
+
+        if (distance(bolt.position, state.ship.position) < C.SHIP_HIT_RADIUS) {
+            state.enemyBolts.splice(i, 1);
+            state.shipHealth -= C.ENEMY_BOLT_DAMAGE;
+            events.push({ type: 'shipHit', damage: C.ENEMY_BOLT_DAMAGE, position: copyVec3(bolt.position) });
+            if (state.shipHealth <= 0) {
+                state.shipHealth = 0;
+                gameOver(state, events, 'shipDestroyed');
+                return;
+            }
+        } else if (length(bolt.position) < C.EARTH_RADIUS || bolt.distanceTraveled > C.ENEMY_BOLT_MAX_DISTANCE) {
+            state.enemyBolts.splice(i, 1);
+        }
+    }
+}
+
+// === BOSSES ===
+
+// Hits it takes to destroy a boss at `level`, weak points and all
+function bossHits(type, level) {
+    const boss = BOSSES[type];
+    const act = level / C.BOSS_LEVEL_INTERVAL;
+    return boss.health(act) + boss.weakPoints.length * boss.weakPointHealth(act);
+}
+
+function spawnBoss(state, type, level) {
+    const boss = BOSSES[type];
+    const act = level / C.BOSS_LEVEL_INTERVAL;
+    const health = boss.health(act);
+    const weakPointHealth = boss.weakPointHealth(act);
+    const angle = nextRandom(state.rng) * Math.PI * 2;
+    return {
+        id: state.nextId++,
+        type,
+        phase: 0,
+        attack: 0, // Next of the phase's attacks
+        attackCooldown: boss.phases[0].attackTicks,
+        health,
+        maxHealth: health,
+        parts: boss.weakPoints.map(offset => ({ id: state.nextId++, offset, health: weakPointHealth, maxHealth: weakPointHealth })),
+        hangar: { ...boss.hangar }, // What it has left to launch
+        radius: C.BOSS_SPAWN_DISTANCE,
+        angle,
+        position: bossPosition(C.BOSS_SPAWN_DISTANCE, angle),
+        velocity: vec3()
+    };
+}
+
+function bossPosition(radius, angle) {
+    return vec3(Math.cos(angle) * radius, C.BOSS_ORBIT_Y, Math.sin(angle) * radius);
+}
+
+function bossPartPosition(boss, part) {
+    return add(boss.position, part.offset);
+}
+
+// What there is to shoot at on a boss: its weak points, or once they're gone its core
+function bossTargets(boss) {
+    if (!boss) return [];
+    if (boss.parts.length === 0) return [boss];
+    return boss.parts.map(part => ({ position: bossPartPosition(boss, part), velocity: boss.velocity }));
+}
+
+// Each attack a boss phase can cycle through. Returns false if it had nothing left to do it with.
+const BOSS_ATTACKS = {
+    volley: (state, boss) => fireBossVolley(state, boss, C.BOSS_VOLLEY_SHOTS),
+    barrage: (state, boss) => fireBossVolley(state, boss, C.BOSS_BARRAGE_SHOTS),
+
+    // An asteroid of the boss's type, sent straight at Earth. It's one more the level needs destroyed.
+    launch: (state, boss) => {
+        if (boss.hangar.asteroids === 0) return false;
+        boss.hangar.asteroids--;
+
+        const { rng } = state;
+        const typeId = BOSSES[boss.type].launches;
+        const type = ASTEROID_TYPES[typeId];
+        const size = C.ASTEROID_MIN_SIZE + nextRandom(rng) * (C.ASTEROID_MAX_SIZE - C.ASTEROID_MIN_SIZE);
+        const health = type.health(size);
+        const toEarth = normalize(sub(vec3(), boss.position));
+        state.asteroids.push({
+            id: state.nextId++,
+            type: typeId,
+            trajectory: 'direct',
+            size,
+            health,
+            maxHealth: health,
+            position: add(boss.position, scale(toEarth, BOSSES[boss.type].size + size)),
+            velocity: scale(toEarth, randomAsteroidSpeed(rng) * type.speed)
+        });
+        state.levelAsteroidsTotal++;
+        state.levelAsteroidsRemaining++;
+        return true;
+    },
+
+    // A fighter out of its hangar
+    fighters: (state, boss) => {
+        if (boss.hangar.fighters === 0) return false;
+        boss.hangar.fighters--;
+        spawnEnemy(state, copyVec3(boss.position));
+        return true;
+    }
+};
+
+function fireBossVolley(state, boss, shots) {
+    for (let i = 0; i < shots; i++) {
+        shootAtShip(state, boss.position, C.BOSS_AIM_MISS);
+    }
+    return true;
+}
+
+// Fly in, then circle Earth attacking on the current phase's schedule
+function moveBoss(state, events) {
+    const { boss } = state;
+    if (!boss) return;
+    const dt = C.TICK_SECONDS;
+
+    boss.radius = Math.max(C.BOSS_ORBIT_RADIUS, boss.radius - C.BOSS_APPROACH_SPEED * dt);
+    boss.angle += C.BOSS_ORBIT_SPEED * dt;
+    const position = bossPosition(boss.radius, boss.angle);
+    boss.velocity = scale(sub(position, boss.position), 1 / dt);
+    boss.position = position;
+
+    if (boss.radius > C.BOSS_ORBIT_RADIUS || --boss.attackCooldown > 0) return;
+    const phase = BOSSES[boss.type].phases[boss.phase];
+    const attack = phase.attacks[boss.attack];
+    boss.attack = (boss.attack + 1) % phase.attacks.length;
+    boss.attackCooldown = phase.attackTicks;
+    if (BOSS_ATTACKS[attack](state, boss)) {
+        events.push({ type: 'bossAttack', boss, attack });
+    }
+}
+
+// Move on through the phases whose end the fight has reached
+function advanceBossPhase(boss, events) {
+    const { phases } = BOSSES[boss.type];
+    while (boss.phase < phases.length - 1) {
+        const { endsAt } = phases[boss.phase];
+        const ended = endsAt === 'weakPoints' ? boss.parts.length === 0 : boss.health <= endsAt * boss.maxHealth;
+        if (!ended) return;
+
+        boss.phase++;
+        boss.attack = 0;
+        boss.attackCooldown = phases[boss.phase].attackTicks;
+        events.push({ type: 'bossPhaseChanged', boss, phase: boss.phase });
+    }
+}
+
+// Points for a destroyed boss part (or the boss itself), at the usual multipliers
+function scoreBoss(state, boss, basePoints) {
+    const multiplier = calculateScoreMultiplier(state.ship.speed, length(boss.position));
+    const points = Math.ceil(basePoints * multiplier);
+    state.score += points;
+    state.lastMultiplier = multiplier;
+    return { points, multiplier };
+}
+
+// A bolt at `position` hitting the boss: a weak point, the core, or the core's shield
+// while any weak point remains. Returns false if it missed the boss altogether.
+function hitBoss(state, position, events) {
+    const { boss } = state;
+    if (!boss) return false;
+    const type = BOSSES[boss.type];
+
+    const partIndex = boss.parts.findLastIndex(part =>
+        distance(position, bossPartPosition(boss, part)) < type.weakPointSize + 0.5
+    );
+    if (partIndex !== -1) {
+        const part = boss.parts[partIndex];
+        part.health--;
+        events.push({ type: 'bossHit', boss, part, position: copyVec3(position), shielded: false });
+        if (part.health <= 0) {
+            boss.parts.splice(partIndex, 1);
+            events.push({ type: 'bossPartDestroyed', boss, part, ...scoreBoss(state, boss, type.weakPointPoints) });
+            advanceBossPhase(boss, events);
+        }
+        return true;
+    }
+
+    if (distance(position, boss.position) >= type.size + 0.5) return false;
+
+    const shielded = boss.parts.length > 0;
+    if (!shielded) boss.health--;
+    events.push({ type: 'bossHit', boss, part: null, position: copyVec3(position), shielded });
+    if (boss.health <= 0) {
+        state.boss = null;
+        state.ammo += C.AMMO_REWARD_PER_KILL;
+        events.push({ type: 'bossDestroyed', boss, ...scoreBoss(state, boss, type.points) });
+        checkLevelComplete(state, events);
+    } else {
+        advanceBossPhase(boss, events);
+    }
+    return true;
+}
+
+function moveBolts(state, events) {
+    const dt = C.TICK_SECONDS;
+
+    for (let i = state.bolts.length - 1; i >= 0; i--) {
+        const bolt = state.bolts[i];
+        const movement = scale(bolt.velocity, dt);
+        bolt.position = add(bolt.position, movement);
+        bolt.distanceTraveled += length(movement);
+
+        // Check collision with asteroids
+        const hitIndex = state.asteroids.findLastIndex(asteroid =>
+            distance(bolt.position, asteroid.position) < asteroid.size + 0.5
+        );
+        if (hitIndex !== -1) {
+            const asteroid = state.asteroids[hitIndex];
+            asteroid.health--;
+            events.push({ type: 'asteroidHit', asteroid, position: copyVec3(bolt.position) });
+
+            if (asteroid.health <= 0) {
+                state.asteroids.splice(hitIndex, 1);
+                destroyAsteroid(state, asteroid, events);
+            }
+            state.bolts.splice(i, 1);
+            if (state.status === 'over') return; // An explosive's blast finished Earth off
+            continue;
+        }
+
+        const enemyIndex = state.enemies.findLastIndex(enemy =>
+            distance(bolt.position, enemy.position) < C.ENEMY_SIZE + 0.5
+        );
+        if (enemyIndex !== -1) {
+            const enemy = state.enemies[enemyIndex];
+            enemy.health--;
+            events.push({ type: 'enemyHit', enemy, position: copyVec3(bolt.position) });
+
+            if (enemy.health <= 0) {
+                state.enemies.splice(enemyIndex, 1);
+                destroyEnemy(state, enemy, events);
+            }
+            state.bolts.splice(i, 1);
+            continue;
+        }
+
+        if (hitBoss(state, bolt.position, events)) {
+            state.bolts.splice(i, 1);
+            continue;
+        }
+
+        // Check collision with Earth and Moon (friendly fire!)
+        let target = null;
+        if (length(bolt.position) < C.EARTH_RADIUS + 0.3) {
+            target = 'earth';
+            state.earthHealth -= C.FRIENDLY_FIRE_DAMAGE;
+        } else if (distance(bolt.position, state.moon.position) < C.MOON_RADIUS + 0.3) {
+            target = 'moon';
+            state.moonHealth -= C.FRIENDLY_FIRE_DAMAGE;
+        }
+        if (target) {
+            state.bolts.splice(i, 1);
+            events.push({ type: 'boltImpact', target, position: copyVec3(bolt.position), damage: C.FRIENDLY_FIRE_DAMAGE });
+            checkEarthAndMoon(state, events);
+            if (state.status === 'over') return;
+            continue;
+        }
+
+        // Remove if traveled too far
+        if (bolt.distanceTraveled > C.LASER_MAX_DISTANCE) {
+            state.bolts.splice(i, 1);
+        }
+    }
+}
+
+// Advance the simulation by one tick. Returns the events that occurred.
+export function tickSimulation(state, commands = []) {
+    const events = [];
+    for (const command of commands) {
+        applyCommand(state, command, events);
+    }
+
+    state.tick++;
+    if (!ACTIVE_STATUSES.includes(state.status)) return events;
+
+    const dt = C.TICK_SECONDS;
+    if (state.fireCooldown > 0) state.fireCooldown--;
+
+    // Brief pause between levels
+    if (state.status === 'transition' && --state.transitionTicks <= 0) {
+        startLevel(state, state.level + 1, false, events);
+    }
+
+    // Time attack's clock, and the asteroids that keep coming while it runs
+    if (state.timeLeft !== null) {
+        if (--state.timeLeft <= 0) {
+            gameOver(state, events, 'timeUp');
+            return events;
+        }
+        spawnAsteroids(state);
+    }
+
+    // Moon orbit around Earth with inclined, precessing orbit
+    const { moon, ship } = state;
+    moon.angle += moon.speed * moon.direction * dt;
+    moon.ascendingNode += C.MOON_NODE_PRECESSION_SPEED * dt;
+    updateMoonPosition(moon);
+
+    // Ship orbital position
+    ship.angle -= ship.speed * ship.direction * dt;
+    updateShipPosition(ship);
+
+    moveAsteroids(state, events);
+    if (state.status === 'over') return events;
+
+    moveEnemies(state, events);
+    moveBoss(state, events);
+    moveBolts(state, events);
+    if (state.status === 'over') return events;
+
+    moveEnemyBolts(state, events);
+    return events;
+}
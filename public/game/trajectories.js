@@ -0,0 +1,99 @@
+// Asteroid trajectories
+// Every asteroid carries a `trajectory` naming one of the entries below, which
+// decides how it flies in. The simulation aims it at launch and calls `steer`
+// every tick before moving it, so a new way of flying is a new entry here.
+//
+//   target               body it's launched at: 'earth' or 'moon'
+//   miss                 [min, max] distance off the target's center it's aimed, or null for dead on
+//   steer(asteroid, moon, dt)  adjusts the asteroid's velocity for the coming tick
+//   firstLevel, weight   waves from `firstLevel` on mix it in at relative `weight`
+
+import * as C from './constants.js';
+import { vec3, length, dot, scale, add, sub, normalize } from './vector.js';
+
+// Head straight for `point`, keeping the current speed (or `speed`, if given)
+function aimAt(asteroid, point, speed = length(asteroid.velocity)) {
+    asteroid.velocity = scale(normalize(sub(point, asteroid.position)), speed);
+}
+
+// Gravitational pull on `position` from a body of parameter `gm` at `center`
+function gravity(position, center, gm) {
+    const offset = sub(center, position);
+    const r = length(offset);
+    return scale(offset, gm / (r * r * r));
+}
+
+export const TRAJECTORIES = {
+    // Re-aimed at Earth every tick (preserving speed) so it never drifts
+    direct: {
+        name: 'Direct',
+        target: 'earth',
+        miss: null,
+        steer: (asteroid) => aimAt(asteroid, vec3()),
+        firstLevel: 1,
+        weight: 6
+    },
+
+    // Goes for the Moon, chasing it round its orbit - and outpacing it, however fast it's set to go
+    moon: {
+        name: 'Moon',
+        target: 'moon',
+        miss: null,
+        steer: (asteroid, moon) => aimAt(asteroid, moon.position,
+            Math.max(length(asteroid.velocity), moon.speed * C.MOON_ORBIT_RADIUS * C.MOON_CHASE_SPEEDUP)),
+        firstLevel: 3,
+        weight: 1
+    },
+
+    // Launched off line and bent in by Earth's and the Moon's gravity, speeding up as it
+    // falls. One that swings past (the Moon can pull it wide) turns straight back in.
+    gravity: {
+        name: 'Gravity',
+        target: 'earth',
+        miss: [0, C.GRAVITY_MAX_MISS],
+        steer: (asteroid, moon, dt) => {
+            if (dot(asteroid.position, asteroid.velocity) > 0) {
+                asteroid.trajectory = 'direct';
+                aimAt(asteroid, vec3());
+                return;
+            }
+            const pull = add(gravity(asteroid.position, vec3(), C.EARTH_GM), gravity(asteroid.position, moon.position, C.MOON_GM));
+            asteroid.velocity = add(asteroid.velocity, scale(pull, dt));
+        },
+        firstLevel: 4,
+        weight: 2
+    },
+
+    // Flies in straight and wide, is captured into orbit on crossing ORBIT_CAPTURE_RADIUS,
+    // then spirals down as the orbit decays
+    orbit: {
+        name: 'Orbit',
+        target: 'earth',
+        miss: [C.ORBIT_CAPTURE_RADIUS * 0.5, C.ORBIT_CAPTURE_RADIUS * 0.8],
+        steer: (asteroid) => {
+            const r = length(asteroid.position);
+            if (r > C.ORBIT_CAPTURE_RADIUS) return;
+
+            const radial = scale(asteroid.position, 1 / r);
+            const sideways = sub(asteroid.velocity, scale(radial, dot(asteroid.velocity, radial)));
+            if (length(sideways) < 1e-6) {
+                aimAt(asteroid, vec3()); // Nothing to orbit with - fall straight in
+                return;
+            }
+            asteroid.velocity = add(scale(normalize(sideways), C.ORBIT_SPEED), scale(radial, -C.ORBIT_DECAY_SPEED));
+        },
+        firstLevel: 6,
+        weight: 1
+    }
+};
+
+export function isTrajectory(trajectory) {
+    return Object.hasOwn(TRAJECTORIES, trajectory);
+}
+
+// The trajectories a level's wave mixes, as [trajectory, weight] pairs
+export function waveTrajectories(level) {
+    return Object.entries(TRAJECTORIES)
+        .filter(([, trajectory]) => trajectory.weight > 0 && trajectory.firstLevel <= level)
+        .map(([id, trajectory]) => [id, trajectory.weight]);
+}
@@ -0,0 +1,71 @@
+// Minimal 3D vector and quaternion helpers on plain { x, y, z } objects,
+// so the simulation runs in Node without Three.js
+
+export function vec3(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+export function copyVec3(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+export function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+export function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+export function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+export function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+export function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+export function normalize(v) {
+    const len = length(v);
+    return len > 0 ? scale(v, 1 / len) : vec3();
+}
+
+export function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+// Linear interpolation from a toward b by t (matches THREE.Vector3.lerp)
+export function lerp(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+// Rotate vector v by unit quaternion q = { x, y, z, w } (matches THREE.Vector3.applyQuaternion)
+export function applyQuaternion(v, q) {
+    const tx = 2 * (q.y * v.z - q.z * v.y);
+    const ty = 2 * (q.z * v.x - q.x * v.z);
+    const tz = 2 * (q.x * v.y - q.y * v.x);
+    return {
+        x: v.x + q.w * tx + q.y * tz - q.z * ty,
+        y: v.y + q.w * ty + q.z * tx - q.x * tz,
+        z: v.z + q.w * tz + q.x * ty - q.y * tx
+    };
+}
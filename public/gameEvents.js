@@ -0,0 +1,117 @@
+// Game event bus
+// The simulation reports what happened during each tick (see game/simulation.js).
+// The renderer republishes those reports here as game events, and the HUD, audio,
+// stats and achievements each subscribe to the ones they care about - so a new
+// feature adds a subscriber instead of another call in the frame loop.
+//
+// Events and their payloads:
+//   levelStarted       { level, isRetry }
+//   levelComplete      { level }
+//   levelFailed        { level }
+//   gameOver           { reason }                    'destroyed' (Earth), 'shipDestroyed', or 'timeUp' when time attack's clock runs out
+//   victory            {}
+//   laserFired         { bolts, direction }          both cannons fired
+//   asteroidHit        { asteroid, position }        a bolt hit an asteroid
+//   asteroidDestroyed  { asteroid, points, multiplier, proximity }  proximity is the part of multiplier
+//                                                    earned by closeness to Earth (1 to 4)
+//   asteroidSplit      { asteroid, fragments }       a large asteroid destroyed broke into smaller ones
+//   angelSpawned       { asteroid }
+//   angelDestroyed     { asteroid }                  shot down - heals Earth and the Moon
+//   angelImpact        { asteroid, target }          reached Earth or the Moon - heals them too
+//   enemyFired         { enemy, bolt }               an enemy fighter shot at the player's ship
+//   enemyHit           { enemy, position }
+//   enemyDestroyed     { enemy, points, multiplier }
+//   shipHit            { damage, position }          an enemy shot hit the player's ship
+//   bossAppeared       { boss }                      a boss level's boss is flying in
+//   bossAttack         { boss, attack }              'volley', 'barrage', 'launch' or 'fighters'
+//   bossHit            { boss, part, position, shielded }  part is the weak point hit, or null for the core
+//   bossPartDestroyed  { boss, part, points, multiplier }
+//   bossPhaseChanged   { boss, phase }               phase indexes its entry's phases in game/bosses.js
+//   bossDestroyed      { boss, points, multiplier }
+//   earthHit           { cause, damage, position, asteroid }
+//   moonHit            { cause, damage, position, asteroid }
+// `cause` is 'asteroid' (an impact), 'blast' (an explosive asteroid shot down nearby)
+// or 'friendlyFire' (a bolt; asteroid is null). `asteroid.type` names its entry in
+// game/asteroidTypes.js.
+
+export const GAME_EVENT_TYPES = [
+    'levelStarted', 'levelComplete', 'levelFailed', 'gameOver', 'victory',
+    'laserFired', 'asteroidHit', 'asteroidDestroyed', 'asteroidSplit',
+    'angelSpawned', 'angelDestroyed', 'angelImpact',
+    'enemyFired', 'enemyHit', 'enemyDestroyed', 'shipHit',
+    'bossAppeared', 'bossAttack', 'bossHit', 'bossPartDestroyed', 'bossPhaseChanged', 'bossDestroyed',
+    'earthHit', 'moonHit'
+];
+
+export class GameEventBus {
+    constructor() {
+        this.subscriptions = []; // { type (null for every type), listener }, in subscription order
+    }
+
+    // Call `listener(payload, type)` for every `type` event. Returns a function that unsubscribes.
+    on(type, listener) {
+        checkType(type);
+        return this.subscribe(type, listener);
+    }
+
+    // Call `listener(payload, type)` for every event
+    onAny(listener) {
+        return this.subscribe(null, listener);
+    }
+
+    subscribe(type, listener) {
+        const subscription = { type, listener };
+        this.subscriptions.push(subscription);
+        return () => {
+            this.subscriptions = this.subscriptions.filter(s => s !== subscription);
+        };
+    }
+
+    // Deliver an event to its subscribers in the order they subscribed. One failing
+    // subscriber is logged and doesn't keep the event from the rest.
+    emit(type, payload = {}) {
+        checkType(type);
+        for (const { type: wanted, listener } of this.subscriptions) {
+            if (wanted !== null && wanted !== type) continue;
+            try {
+                listener(payload, type);
+            } catch (e) {
+                console.error(`Error in ${type} listener:`, e);
+            }
+        }
+    }
+}
+
+function checkType(type) {
+    if (!GAME_EVENT_TYPES.includes(type)) throw new Error(`Unknown game event "${type}"`);
+}
+
+// The game event for one simulation event: [type, payload]
+export function fromSimulationEvent(event) {
+    switch (event.type) {
+        case 'lasersFired':
+            return ['laserFired', { bolts: event.bolts, direction: event.direction }];
+
+        case 'asteroidImpact':
+        case 'blast': {
+            const { asteroid, target, damage } = event;
+            const cause = event.type === 'blast' ? 'blast' : 'asteroid';
+            return [`${target}Hit`, { cause, damage, position: asteroid.position, asteroid }];
+        }
+
+        case 'boltImpact':
+            return [`${event.target}Hit`, { cause: 'friendlyFire', damage: event.damage, position: event.position, asteroid: null }];
+
+        default: {
+            const { type, ...payload } = event;
+            return [type, payload];
+        }
+    }
+}
+
+// Emit a tick's simulation events on `bus`, in order
+export function publishSimulationEvents(bus, events) {
+    for (const event of events) {
+        bus.emit(...fromSimulationEvent(event));
+    }
+}
@@ -0,0 +1,102 @@
+// Lifetime player statistics
+// Counted from game events (see gameEvents.js), which come straight from the
+// simulation, so they measure exactly what the game did: every bolt fired, every
+// bolt that hit a target, every friendly-fire hit on Earth or the Moon. The
+// browser keeps a running total per device and, for signed-in players, sends what
+// it has counted since the last sync to /api/stats, which adds it to the
+// account's totals.
+
+import { MAX_ORBIT_SPEED_MULTIPLIER, MAX_PROXIMITY_MULTIPLIER } from './game/constants.js';
+
+// Counters summed when stats are combined
+const COUNTERS = [
+    'gamesPlayed', 'kills', 'shotsFired', 'shotsHit', 'earthHits', 'moonHits', 'angelsDestroyed'
+];
+
+const MAX_MULTIPLIER = MAX_ORBIT_SPEED_MULTIPLIER * MAX_PROXIMITY_MULTIPLIER;
+
+export class StatsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StatsError';
+    }
+}
+
+export function createStats() {
+    return {
+        gamesPlayed: 0,
+        kills: 0,
+        shotsFired: 0, // Laser bolts - each shot fires one from each cannon
+        shotsHit: 0, // Bolts that hit an asteroid, a fighter or a boss
+        earthHits: 0, // Friendly fire
+        moonHits: 0,
+        angelsDestroyed: 0,
+        bestMultiplier: 0, // Best single-kill multiplier
+        timePlayed: 0 // Seconds
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Count a game event (see gameEvents.js) into `stats`
+export function recordEvent(stats, type, payload) {
+    switch (type) {
+        case 'laserFired':
+            stats.shotsFired += payload.bolts.length;
+            break;
+        case 'asteroidHit':
+        case 'enemyHit':
+        case 'bossHit':
+            stats.shotsHit++;
+            break;
+        case 'asteroidDestroyed':
+            stats.kills++;
+            stats.bestMultiplier = Math.max(stats.bestMultiplier, payload.multiplier);
+            break;
+        case 'angelDestroyed':
+            stats.angelsDestroyed++;
+            break;
+        case 'earthHit':
+            if (payload.cause === 'friendlyFire') stats.earthHits++;
+            break;
+        case 'moonHit':
+            if (payload.cause === 'friendlyFire') stats.moonHits++;
+            break;
+    }
+    return stats;
+}
+
+// Combine two sets of stats: counters and play time add up, the best multiplier is the higher
+export function addStats(a, b) {
+    const sum = createStats();
+    for (const field of COUNTERS) {
+        sum[field] = a[field] + b[field];
+    }
+    sum.bestMultiplier = Math.max(a.bestMultiplier, b.bestMultiplier);
+    sum.timePlayed = a.timePlayed + b.timePlayed;
+    return sum;
+}
+
+// True if nothing has been counted
+export function isEmpty(stats) {
+    return COUNTERS.every(field => stats[field] === 0) && stats.timePlayed === 0;
+}
+
+// Fraction of bolts fired that hit a target, or null before the first shot
+export function accuracy(stats) {
+    return stats.shotsFired > 0 ? Math.min(1, stats.shotsHit / stats.shotsFired) : null;
+}
+
+// Throws StatsError unless `stats` is a complete, plausible set of stats
+export function checkStats(stats) {
+    if (!isObject(stats)) throw new StatsError('Stats are not an object');
+    for (const field of COUNTERS) {
+        if (!Number.isSafeInteger(stats[field]) || stats[field] < 0) throw new StatsError(`Invalid ${field}`);
+    }
+    if (!Number.isFinite(stats.bestMultiplier) || stats.bestMultiplier < 0 || stats.bestMultiplier > MAX_MULTIPLIER) {
+        throw new StatsError('Invalid bestMultiplier');
+    }
+    if (!Number.isFinite(stats.timePlayed) || stats.timePlayed < 0) throw new StatsError('Invalid timePlayed');
+}
@@ -0,0 +1,196 @@
+// Saved game schema
+// Every save carries a `version`. Older saves are upgraded one version at a time
+// through MIGRATIONS, then validated before anything is restored from them -
+// including re-running the replay log, which must reproduce the saved simulation
+// state exactly, so a hand-edited level, score or ammo count is rejected.
+//
+// Adding a field: bump SAVE_VERSION, add a migration from the previous version
+// that fills it in, and check it in checkSaveShape().
+
+import { runReplay, createReplay, DEFAULT_MODE } from './game/index.js';
+import { MAX_LEVEL, MAX_EARTH_HEALTH, MAX_MOON_HEALTH, RULES_VERSION } from './game/constants.js';
+
+export const SAVE_VERSION = 9;
+
+export const SAVE_SLOTS = 3; // Saved games a player can keep at once
+export const MAX_SAVE_NAME_LENGTH = 24;
+// Largest save the cloud accepts, serialized. The replay log grows about 800 KB per
+// hour of play, so this holds about five hours; server.js sizes its body limit from it.
+export const MAX_SAVE_BYTES = 4 * 1024 * 1024;
+const MAX_THUMBNAIL_LENGTH = 32 * 1024; // A small JPEG data URL
+const THUMBNAIL_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+// Size of a save serialized as JSON, in UTF-8 bytes
+export function saveSize(save) {
+    return new TextEncoder().encode(JSON.stringify(save)).length;
+}
+
+export function isSaveSlot(slot) {
+    return Number.isInteger(slot) && slot >= 1 && slot <= SAVE_SLOTS;
+}
+
+export class SaveError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SaveError';
+    }
+}
+
+// A counter from a version 0 save, clamped to [min, max]
+function savedCounter(value, min, max = Infinity) {
+    if (!Number.isFinite(value)) throw new SaveError('Save has no game state');
+    return Math.min(max, Math.max(min, value));
+}
+
+// MIGRATIONS[n] upgrades a version n save to version n + 1
+const MIGRATIONS = {
+    // Version 0 (unversioned, the original format): only the game's counters, with no
+    // simulation or replay to verify. It becomes a new game that restarts the saved level
+    // from them - with the score and kills from before that level - and can be continued
+    // but not ranked (see `start` in game/replay.js). The game is built by the current
+    // simulation, so it goes straight to the current version.
+    0: (save) => {
+        const levelKills = savedCounter(save.levelAsteroidsTotal ?? 0, 0) - savedCounter(save.levelAsteroidsRemaining ?? 0, 0);
+        const start = {
+            level: Math.floor(savedCounter(save.gameLevel, 1, MAX_LEVEL)),
+            score: Math.floor(savedCounter(save.scoreBeforeLevel ?? save.score, 0)),
+            kills: Math.floor(Math.max(0, savedCounter(save.asteroidsDestroyed ?? 0, 0) - levelKills)),
+            earthHealth: savedCounter(save.earthHealth, 1, MAX_EARTH_HEALTH),
+            moonHealth: savedCounter(save.moonHealth ?? MAX_MOON_HEALTH, 1, MAX_MOON_HEALTH)
+        };
+        const replay = createReplay(savedCounter(save.savedAt, 0), DEFAULT_MODE, RULES_VERSION, start);
+        return {
+            version: SAVE_VERSION,
+            savedAt: save.savedAt,
+            gameElapsedTime: save.gameElapsedTime ?? 0,
+            gameSessionToken: null,
+            name: null,
+            thumbnail: null,
+            simulation: runReplay(replay),
+            replay
+        };
+    },
+
+    // Version 1 (unversioned): counters copied out of the simulation next to it.
+    // The simulation is what's restored, so version 2 keeps only it.
+    1: (save) => ({
+        version: 2,
+        savedAt: save.savedAt,
+        gameElapsedTime: save.gameElapsedTime,
+        gameSessionToken: save.gameSessionToken ?? null,
+        simulation: save.simulation,
+        replay: save.replay
+    }),
+
+    // Version 2: saves gained a player-given name and a screenshot for the slot
+    // picker. Neither existed, so the picker falls back to the slot number and no image.
+    2: (save) => ({ ...save, version: 3, name: null, thumbnail: null }),
+
+    // Version 3: the simulation state gained the game mode. Every earlier game was classic.
+    3: (save) => ({ ...save, version: 4, simulation: { ...save.simulation, mode: 'classic' } }),
+
+    // Version 4: the simulation state gained time attack's clock, which no earlier game had
+    4: (save) => ({ ...save, version: 5, simulation: { ...save.simulation, timeLeft: null } }),
+
+    // Version 5: asteroids gained a type in place of the isAngel flag, and the state the
+    // rules version it's played under. Earlier games were all rock and angels, under rules 1.
+    5: (save) => ({
+        ...save,
+        version: 6,
+        simulation: {
+            ...save.simulation,
+            rules: 1,
+            asteroids: save.simulation.asteroids?.map(({ isAngel, ...asteroid }) => ({ ...asteroid, type: isAngel ? 'angel' : 'rock' }))
+        }
+    }),
+
+    // Version 6: asteroids gained a trajectory. Every earlier one flew straight at Earth.
+    6: (save) => ({
+        ...save,
+        version: 7,
+        simulation: {
+            ...save.simulation,
+            asteroids: save.simulation.asteroids?.map(asteroid => ({ ...asteroid, trajectory: 'direct' }))
+        }
+    }),
+
+    // Version 7: the state gained the ship's hull and enemy fighters with their shots.
+    // No earlier game had any, so the hull is whole.
+    7: (save) => ({ ...save, version: 8, simulation: { ...save.simulation, shipHealth: 100, enemies: [], enemyBolts: [] } }),
+
+    // Version 8: the state gained the level's boss, which no earlier game had
+    8: (save) => ({ ...save, version: 9, simulation: { ...save.simulation, boss: null } })
+};
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON with object keys sorted, so states compare equal whatever order their
+// fields were added in (a migration adds new ones last)
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, v) => isObject(v)
+        ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+        : v);
+}
+
+// Upgrade a save to SAVE_VERSION. Saves from before versioning count as version 1 if
+// they carry a simulation, and version 0 if they're the original counters-only format.
+export function migrateSave(save) {
+    if (!isObject(save)) throw new SaveError('Save is not an object');
+
+    let current = save;
+    let version = save.version ?? (isObject(save.simulation) ? 1 : 0);
+    if (save.version !== undefined && (!Number.isInteger(version) || version < 1 || version > SAVE_VERSION)) {
+        throw new SaveError(`Unsupported save version ${version}`);
+    }
+    while (version < SAVE_VERSION) {
+        current = MIGRATIONS[version](current);
+        version = current.version;
+    }
+    return current;
+}
+
+// Cheap structural checks on a current-version save
+export function checkSaveShape(save) {
+    if (!isObject(save) || save.version !== SAVE_VERSION) throw new SaveError('Unsupported save version');
+    if (!Number.isFinite(save.savedAt)) throw new SaveError('Invalid save time');
+    if (!Number.isFinite(save.gameElapsedTime) || save.gameElapsedTime < 0) throw new SaveError('Invalid play time');
+    if (save.gameSessionToken !== null && typeof save.gameSessionToken !== 'string') {
+        throw new SaveError('Invalid session token');
+    }
+    if (save.name !== null && (typeof save.name !== 'string' || !save.name.trim() || save.name.length > MAX_SAVE_NAME_LENGTH)) {
+        throw new SaveError('Invalid save name');
+    }
+    if (save.thumbnail !== null && (typeof save.thumbnail !== 'string'
+        || save.thumbnail.length > MAX_THUMBNAIL_LENGTH || !THUMBNAIL_PATTERN.test(save.thumbnail))) {
+        throw new SaveError('Invalid thumbnail');
+    }
+    if (!isObject(save.simulation)) throw new SaveError('Save has no game state');
+    if (!isObject(save.replay)) throw new SaveError('Save has no replay');
+}
+
+// Full validation: the shape, and the replay reproducing the saved game state
+export function validateSave(save) {
+    checkSaveShape(save);
+
+    let replayed;
+    try {
+        replayed = runReplay(save.replay);
+    } catch (e) {
+        throw new SaveError(`Invalid replay: ${e.message}`);
+    }
+    if (canonicalJson(replayed) !== canonicalJson(save.simulation)) {
+        throw new SaveError('Game state does not match its replay');
+    }
+}
+
+// Migrate and validate a save read from storage. Throws SaveError if it can't be continued.
+// With `verify` false only the shape is checked - enough to list the save, while the
+// replay, which can take a while to re-run, waits until the game is continued.
+export function parseSave(save, { verify = true } = {}) {
+    const current = migrateSave(save);
+    if (verify) validateSave(current);
+    else checkSaveShape(current);
+    return current;
+}
@@ -0,0 +1,24 @@
+// Choosing between the saved game on this device and the one in the cloud.
+// The newest save wins when it simply carries on from the other - the same game,
+// played further. When the two have diverged (different games, or the same game
+// continued differently on two devices) the player has to pick.
+
+// True if `newer` is `older` played further: same seed, and its replay log
+// starts with everything `older` recorded
+export function continuesFrom(newer, older) {
+    const a = newer.replay;
+    const b = older.replay;
+    if (a.seed !== b.seed || a.ticks < b.ticks || a.commands.length < b.commands.length) return false;
+    return b.commands.every((command, i) => JSON.stringify(command) === JSON.stringify(a.commands[i]));
+}
+
+// Returns { save, conflict }: the save to offer (null if neither exists) and,
+// when they've diverged, { local, cloud } for the player to choose from
+export function mergeSaves(local, cloud) {
+    if (!local || !cloud) return { save: local || cloud || null, conflict: null };
+
+    const [newer, older] = cloud.savedAt > local.savedAt ? [cloud, local] : [local, cloud];
+    if (continuesFrom(newer, older)) return { save: newer, conflict: null };
+
+    return { save: newer, conflict: { local, cloud } };
+}
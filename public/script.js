@@ -1,5 +1,23 @@
 // Space Scene - Three.js Frontend
 
+// Gameplay runs in the deterministic simulation (shared with the server's replay verifier);
+// this file renders it and turns player input into simulation commands
+import {
+    AMMO_PER_ASTEROID, ANGEL_SPAWN_INTERVAL, EARTH_RADIUS, MOON_RADIUS,
+    MAX_EARTH_HEALTH, MAX_MOON_HEALTH, DEFAULT_MOON_ORBIT_SPEED, DEFAULT_SHIP_ORBIT_SPEED,
+    SHIP_ORBIT_RADIUS, SHIP_ORBIT_Y, SHIP_START_ANGLE, TICK_RATE, ORBIT_CAPTURE_RADIUS, MAX_SHIP_HEALTH, RULES_VERSION
+} from './game/constants.js';
+import {
+    Simulation, quantizeQuaternion, createSeed, GAME_MODES, DEFAULT_MODE, isGameMode, ASTEROID_TYPES, BOSSES, MAX_STEP_SECONDS,
+    replayRules
+} from './game/index.js';
+import { COUNTRIES } from './countries.js';
+import { mergeSaves } from './saveSync.js';
+import { SAVE_VERSION, SAVE_SLOTS, MAX_SAVE_NAME_LENGTH, MAX_SAVE_BYTES, saveSize, parseSave, validateSave } from './saveSchema.js';
+import { createStats, recordEvent, addStats, isEmpty, accuracy, checkStats } from './playerStats.js';
+import { AchievementTracker } from './achievements.js';
+import { GameEventBus, publishSimulationEvents } from './gameEvents.js';
+
 // Scene setup
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -56,9 +74,6 @@ const _tempVec1 = new THREE.Vector3();
 const _tempVec2 = new THREE.Vector3();
 const _tempVec3 = new THREE.Vector3();
 const _tempVec4 = new THREE.Vector3();
-const _asteroidDir = new THREE.Vector3();
-const _asteroidMovement = new THREE.Vector3();
-const _boltMovement = new THREE.Vector3();
 const _sunDir = new THREE.Vector3();
 const _moonDir = new THREE.Vector3();
 
@@ -161,7 +176,7 @@ scene.add(fillLight);
 // State
 let planetRotationSpeed = 0.1;
 let planetRotationDirection = 1;
-let shipOrbitSpeed = 0.25;
+let shipOrbitSpeed = DEFAULT_SHIP_ORBIT_SPEED;
 let shipOrbitDirection = 1; // 1 = clockwise, -1 = counterclockwise
 
 // Texture loader with error handling
@@ -354,15 +369,9 @@ scene.add(moon);
 const moonLight = new THREE.PointLight(0xffffee, 0.3, 10);
 scene.add(moonLight);
 
-// Moon orbital parameters
-const MOON_ORBIT_RADIUS = 6;
-let moonOrbitSpeed = 0.15;
+// Moon orbital parameters (the orbit itself is advanced by the simulation)
+let moonOrbitSpeed = DEFAULT_MOON_ORBIT_SPEED;
 let moonOrbitDirection = 1; // 1 = normal, -1 = reverse
-// Realistic orbital inclination: Moon's orbit is inclined ~5.14° to ecliptic
-const MOON_ORBIT_INCLINATION = 5.14 * (Math.PI / 180); // Convert to radians
-let moonOrbitAngle = 0;
-// Longitude of ascending node (rotates slowly - simplified for demo)
-let moonAscendingNode = 0;
 
 // Space skybox using equirectangular milky way star map (hosted locally)
 const spaceTexture = textureLoader.load('skybox/stars.jpg', (texture) => {
@@ -761,10 +770,11 @@ scene.add(spaceShip);
 
 // === GAME STATE ===
 let gameLevel = 1; // 1-10
-let earthHealth = 100;
-let maxEarthHealth = 100;
-let moonHealth = 100;
-let maxMoonHealth = 100;
+let earthHealth = MAX_EARTH_HEALTH;
+let maxEarthHealth = MAX_EARTH_HEALTH;
+let moonHealth = MAX_MOON_HEALTH;
+let maxMoonHealth = MAX_MOON_HEALTH;
+let shipHealth = MAX_SHIP_HEALTH; // Hull - enemy fighters shoot at it
 let score = 0;
 let highScore = parseInt(localStorage.getItem('earthDefenderHighScore')) || 0;
 let gameActive = true;
@@ -772,67 +782,270 @@ let gameActive = true;
 // NEW: Fixed asteroid count per level (level = number of targets)
 let levelAsteroidsRemaining = 0; // Targets left to destroy in current level
 let levelAsteroidsTotal = 0; // Total targets for current level
-const AMMO_PER_ASTEROID = 40; // Laser ammo given per asteroid in level
 let scoreBeforeLevel = 0; // Score saved before level starts (for retry)
 let levelFailedShown = false; // Prevent showing fail dialog multiple times
 
 // Track destroyed asteroids for rewards
 let asteroidsDestroyed = 0;
-const AMMO_REWARD_PER_KILL = 5; // Gain ammo when destroying asteroids
-const ANGEL_SPAWN_INTERVAL = 3; // Every 3 kills, spawn an angel asteroid
 
 // === GAME TIMER & LEADERBOARD ===
 let gameStartTime = null; // When the current game started
 let gameElapsedTime = 0; // Time in seconds
-let serverLeaderboard = []; // Top 10 from server
-let userLocation = null; // User's location for anonymous submissions
+// Top 10 per game mode and period from server
+let serverLeaderboards = Object.fromEntries(GAME_MODES.map(mode => [mode, { daily: [], weekly: [], 'all-time': [] }]));
+let leaderboardMode = DEFAULT_MODE; // Tabs shown in the dashboard
+let leaderboardPeriod = 'all-time';
+const LEADERBOARD_BOARD_SIZE = 10;
+// Most prestigious first - a score is announced on the best board it makes
+const LEADERBOARD_PERIODS = [
+    { id: 'all-time', tab: 'ALL', label: 'all time' },
+    { id: 'weekly', tab: 'WEEK', label: 'this week' },
+    { id: 'daily', tab: 'DAY', label: 'today' }
+];
+let detectedCountry = null; // Country code the server saw when starting the session, if any
+const COUNTRY_KEY = 'playerCountry'; // Last country picked in the score dialog
 let leaderboardChecked = false; // Prevent multiple submission prompts
+let gameSessionToken = null; // Signed token from /api/session, required to submit scores
+
+// === SIMULATION & REPLAY ===
+let simulation = null; // Authoritative game state plus the replay log submitted with the score
+const GAME_MODE_KEY = 'earthDefenderGameMode';
+const GAME_MODE_LABELS = { classic: 'CLASSIC', endless: 'ENDLESS', 'time-attack': 'TIME ATTACK' };
+let gameMode = localStorage.getItem(GAME_MODE_KEY); // Mode new games start in - picked on the start screen
+if (!isGameMode(gameMode)) gameMode = DEFAULT_MODE;
+
+// Country <select> for the score dialogs: the player's last pick, else the detected country.
+// An empty value lets the server fall back to the country it detects.
+function countryPickerHtml(id) {
+    const selected = localStorage.getItem(COUNTRY_KEY) ?? detectedCountry ?? '';
+    const options = Object.entries(COUNTRIES)
+        .sort(([, a], [, b]) => a.localeCompare(b))
+        .map(([code, name]) => `<option value="${code}"${code === selected ? ' selected' : ''}>${name}</option>`)
+        .join('');
+    return `
+        <select id="${id}" style="
+            width: 80%;
+            padding: 8px 10px;
+            font-size: 14px;
+            font-family: 'Courier New', monospace;
+            background: rgba(0, 0, 0, 0.5);
+            border: 2px solid #44aaff;
+            border-radius: 8px;
+            color: #ffffff;
+            outline: none;
+            margin-bottom: 20px;
+        ">
+            <option value="">Country (optional)</option>
+            ${options}
+        </select>
+    `;
+}
 
-// Fetch user's approximate location (city/country) for anonymous submissions
-async function fetchUserLocation() {
+// Remember the picked country for next time and return it (null if none)
+function readCountryPicker(id) {
+    const country = document.getElementById(id).value;
+    localStorage.setItem(COUNTRY_KEY, country);
+    return country || null;
+}
+
+// Start a server-side game session - the leaderboard only accepts scores with its token
+async function startGameSession() {
+    gameSessionToken = null;
     try {
-        const response = await fetch('https://ipapi.co/json/');
+        const response = await fetch('/api/session', { method: 'POST' });
         const data = await response.json();
-        userLocation = `${data.city || 'Unknown'}, ${data.country_name || 'Unknown'}`;
+        if (data.success) {
+            gameSessionToken = data.token;
+            detectedCountry = data.country || null;
+        }
     } catch (e) {
-        userLocation = 'Unknown Location';
+        console.warn('Could not start game session:', e);
     }
 }
 
-// Fetch leaderboard from server
-async function fetchLeaderboard() {
+// === PLAYER ACCOUNT ===
+// Signed-in players' scores are bound to their account. Tokens come from
+// /api/auth; the access token is short-lived and refreshed on demand.
+const AUTH_KEY = 'earthDefenderAuth';
+let playerAccount = JSON.parse(localStorage.getItem(AUTH_KEY) || 'null'); // { user, accessToken, refreshToken } or null
+let updateAccountSettings = () => {}; // Set by the settings panel
+
+function setPlayerAccount(account) {
+    if (account?.user.id !== playerAccount?.user.id) {
+        // Stats not yet synced belong to the account they were played on
+        pendingStats = createStats();
+        saveStats();
+    }
+    playerAccount = account;
+    if (account) {
+        localStorage.setItem(AUTH_KEY, JSON.stringify(account));
+    } else {
+        localStorage.removeItem(AUTH_KEY);
+    }
+    updateAccountSettings();
+}
+
+// Register or log in (`action` is 'register' or 'login'). Returns the server's response.
+async function signIn(action, username, password) {
     try {
-        const response = await fetch('/api/leaderboard');
+        const response = await fetch(`/api/auth/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
         const data = await response.json();
         if (data.success) {
-            serverLeaderboard = data.leaderboard;
-            updateLeaderboardDisplay();
+            setPlayerAccount({ user: data.user, accessToken: data.accessToken, refreshToken: data.refreshToken });
+        }
+        return data;
+    } catch (e) {
+        console.error(`Could not ${action}:`, e);
+        return { success: false, error: 'Could not reach the server' };
+    }
+}
+
+async function signOut() {
+    await syncStats(); // Count the last games before the stats stop going to this account
+    const refreshToken = playerAccount?.refreshToken;
+    setPlayerAccount(null);
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+    } catch (e) {
+        console.warn('Could not revoke refresh token:', e);
+    }
+}
+
+// Swap the refresh token for a new pair. Signs out if the server refuses it - unless
+// another tab has already swapped it, in which case that tab's pair is used.
+async function refreshAccessToken() {
+    const { refreshToken } = playerAccount;
+    try {
+        const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        const data = await response.json();
+        if (data.success) {
+            setPlayerAccount({ user: data.user, accessToken: data.accessToken, refreshToken: data.refreshToken });
+            return true;
+        }
+
+        // Each refresh token works once, so a tab that refreshed first leaves this one's refused
+        const stored = JSON.parse(localStorage.getItem(AUTH_KEY) || 'null');
+        if (stored && stored.refreshToken !== refreshToken) {
+            setPlayerAccount(stored);
+            return true;
         }
+        setPlayerAccount(null);
+        showNotification('Signed out - please sign in again', '#ffaa00');
     } catch (e) {
-        console.warn('Could not fetch leaderboard:', e);
+        console.warn('Could not refresh sign-in:', e);
+    }
+    return false;
+}
+
+// fetch() that sends the access token when signed in, refreshing it once if it has expired
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            ...(playerAccount && { Authorization: `Bearer ${playerAccount.accessToken}` })
+        }
+    });
+
+    // Only a rejected access token is worth a refresh - other 401s and 403s aren't about it
+    const response = await send();
+    const tokenRejected = response.status === 401 && response.headers.get('WWW-Authenticate')?.includes('invalid_token');
+    if (tokenRejected && playerAccount && await refreshAccessToken()) {
+        return send();
+    }
+    return response;
+}
+
+// Name field attributes for the score dialogs - signed-in players submit as their username
+function playerNameInputAttributes() {
+    return playerAccount ? `value="${playerAccount.user.username}" disabled` : '';
+}
+
+function playerNameHint() {
+    return playerAccount
+        ? `Submitting as ${playerAccount.user.username}`
+        : 'Leave blank to submit as "Anonymous" - or sign in from the ☰ menu';
+}
+
+// Fetch every mode's and period's leaderboard from server
+async function fetchLeaderboard() {
+    await Promise.all(GAME_MODES.flatMap(mode => LEADERBOARD_PERIODS.map(async ({ id }) => {
+        try {
+            const response = await fetch(`/api/leaderboard?mode=${mode}&period=${id}`);
+            const data = await response.json();
+            if (data.success) {
+                serverLeaderboards[mode][id] = data.leaderboard;
+            }
+        } catch (e) {
+            console.warn(`Could not fetch ${mode} ${id} leaderboard:`, e);
+        }
+    })));
+    updateLeaderboardDisplay();
+}
+
+// Best board of the current game's mode this score would make and its rank there,
+// or null if it makes none
+function getLeaderboardPlacement(score) {
+    const boards = serverLeaderboards[simulation.state.mode];
+    for (const period of LEADERBOARD_PERIODS) {
+        const board = boards[period.id];
+        if (board.length < LEADERBOARD_BOARD_SIZE || score > board[LEADERBOARD_BOARD_SIZE - 1].score) {
+            const index = board.findIndex(e => score > e.score);
+            return { ...period, rank: index === -1 ? board.length + 1 : index + 1 };
+        }
     }
+    return null;
 }
 
 // Submit score to server
-async function submitScore(name) {
+async function submitScore(name, country) {
     const entry = {
         name: name || 'Anonymous',
         score: score,
         time: gameElapsedTime,
-        location: name ? undefined : userLocation
+        country: country || undefined, // Server uses the country it detects when omitted
+        level: gameLevel,
+        kills: asteroidsDestroyed,
+        sessionToken: gameSessionToken,
+        replay: simulation.replay // The server re-runs this to verify the score
     };
 
     try {
-        const response = await fetch('/api/leaderboard', {
+        const response = await authFetch('/api/leaderboard', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(entry)
         });
         const data = await response.json();
-        if (data.success && data.qualified) {
-            serverLeaderboard = data.leaderboard;
+        if (data.success) {
+            for (const period of LEADERBOARD_PERIODS) {
+                serverLeaderboards[data.mode][period.id] = data.leaderboards[period.id];
+            }
+            leaderboardMode = data.mode; // Show the boards the score went on
             updateLeaderboardDisplay();
-            showNotification(`#${data.rank} on leaderboard!`, '#ff44ff');
+            showFinalPlacement(data);
+
+            // Announce the best top spot, otherwise where the score landed overall
+            const best = LEADERBOARD_PERIODS.find(period => data.placements[period.id]?.rank <= LEADERBOARD_BOARD_SIZE);
+            if (best) {
+                showNotification(`#${data.placements[best.id].rank} on leaderboard ${best.label}!`, '#ff44ff');
+            } else {
+                showNotification(formatPlacement(data), '#44aaff');
+            }
+        } else {
+            showNotification(data.error || 'Score rejected', '#ff4444');
         }
         return data;
     } catch (e) {
@@ -841,15 +1054,36 @@ async function submitScore(name) {
     }
 }
 
-// Check if score qualifies for leaderboard
+// "You placed #57 of 1,240" for a placement returned by the server
+function formatPlacement({ rank, total }) {
+    return `You placed #${rank.toLocaleString()} of ${total.toLocaleString()}`;
+}
+
+// Show the submitted score's all-time placement on the game over / victory screen
+function showFinalPlacement(data) {
+    const el = document.getElementById('finalPlacement');
+    if (!el) return;
+    el.textContent = `${formatPlacement(data)} (top ${Math.ceil((data.rank / data.total) * 100)}%)`;
+    el.style.display = 'block';
+}
+
+// Offer to submit any scoring run - every submission gets ranked, top spots or not
 function checkLeaderboardQualification() {
-    if (leaderboardChecked) return;
+    if (leaderboardChecked || score <= 0) return;
+
+    leaderboardChecked = true;
 
-    const minScore = serverLeaderboard.length >= 10 ? serverLeaderboard[9].score : 0;
-    if (score > minScore || serverLeaderboard.length < 10) {
-        leaderboardChecked = true;
-        showLeaderboardSubmitDialog();
+    // The server can't verify these games, so say why instead of asking for a name
+    // only to have the score turned away
+    if (simulation.replay.start) {
+        showNotification('SCORE NOT RANKED - CONTINUED FROM AN OLD SAVE', '#ffaa00');
+        return;
+    }
+    if (replayRules(simulation.replay) !== RULES_VERSION) {
+        showNotification('SCORE NOT RANKED - PLAYED UNDER OLD RULES', '#ffaa00');
+        return;
     }
+    showLeaderboardSubmitDialog();
 }
 
 // Show dialog to submit score to leaderboard
@@ -871,26 +1105,25 @@ function showLeaderboardSubmitDialog() {
         font-family: 'Courier New', monospace;
     `;
 
-    const rank = serverLeaderboard.length < 10 ? serverLeaderboard.length + 1 :
-        serverLeaderboard.findIndex(e => score > e.score) + 1 || 10;
+    const placement = getLeaderboardPlacement(score);
 
     overlay.innerHTML = `
         <div style="text-align: center; max-width: 450px; padding: 40px; background: rgba(0, 40, 80, 0.95); border: 2px solid #ff44ff; border-radius: 15px; box-shadow: 0 0 40px rgba(255, 68, 255, 0.4);">
             <div style="color: #ff44ff; font-size: 28px; font-weight: bold; margin-bottom: 10px;">
-                NEW HIGH SCORE!
+                ${placement ? 'NEW HIGH SCORE!' : 'SUBMIT YOUR SCORE'}
             </div>
             <div style="color: #44ff88; font-size: 48px; font-weight: bold; text-shadow: 0 0 20px #44ff88; margin-bottom: 5px;">
                 ${score}
             </div>
             <div style="color: #aaaaaa; font-size: 14px; margin-bottom: 20px;">
-                Time: ${formatTime(gameElapsedTime)} | Rank: #${rank}
+                Time: ${formatTime(gameElapsedTime)}${placement ? ` | Rank: #${placement.rank} ${placement.label}` : ''}
             </div>
 
             <div style="color: #ffffff; font-size: 16px; margin-bottom: 15px;">
                 Enter your name for the leaderboard:
             </div>
 
-            <input type="text" id="playerNameInput" maxlength="20" placeholder="Your name" style="
+            <input type="text" id="playerNameInput" maxlength="20" placeholder="Your name" ${playerNameInputAttributes()} style="
                 width: 80%;
                 padding: 12px 15px;
                 font-size: 18px;
@@ -901,9 +1134,11 @@ function showLeaderboardSubmitDialog() {
                 color: #ffffff;
                 text-align: center;
                 outline: none;
-                margin-bottom: 20px;
+                margin-bottom: 10px;
             " />
 
+            ${countryPickerHtml('playerCountrySelect')}
+
             <div style="display: flex; gap: 15px; justify-content: center;">
                 <button id="submitScoreBtn" style="
                     padding: 12px 30px;
@@ -930,7 +1165,7 @@ function showLeaderboardSubmitDialog() {
             </div>
 
             <div style="color: #666; font-size: 11px; margin-top: 15px;">
-                Leave blank to submit as "${userLocation || 'Anonymous'}"
+                ${playerNameHint()}
             </div>
         </div>
     `;
@@ -941,7 +1176,7 @@ function showLeaderboardSubmitDialog() {
 
     document.getElementById('submitScoreBtn').addEventListener('click', async () => {
         const name = input.value.trim();
-        await submitScore(name || null);
+        await submitScore(name || null, readCountryPicker('playerCountrySelect'));
         overlay.remove();
     });
 
@@ -953,12 +1188,225 @@ function showLeaderboardSubmitDialog() {
     input.addEventListener('keydown', async (e) => {
         if (e.key === 'Enter') {
             const name = input.value.trim();
-            await submitScore(name || null);
+            await submitScore(name || null, readCountryPicker('playerCountrySelect'));
             overlay.remove();
         }
     });
 }
 
+// === PLAYER STATS ===
+// Lifetime stats counted from game events (see playerStats.js). `playerStats`
+// is this device's running total; while signed in, `pendingStats` also collects
+// what hasn't been added to the account's totals on the server yet. Both are
+// written to localStorage at checkpoints rather than every frame.
+const STATS_KEY = 'earthDefenderStats';
+const PENDING_STATS_KEY = 'earthDefenderStatsPending';
+let playerStats = loadStats(STATS_KEY);
+let pendingStats = loadStats(PENDING_STATS_KEY);
+
+function loadStats(key) {
+    try {
+        const stats = { ...createStats(), ...JSON.parse(localStorage.getItem(key) || '{}') };
+        checkStats(stats);
+        return stats;
+    } catch (e) {
+        console.warn(`Discarding invalid stats (${key}):`, e);
+        return createStats();
+    }
+}
+
+function saveStats() {
+    localStorage.setItem(STATS_KEY, JSON.stringify(playerStats));
+    localStorage.setItem(PENDING_STATS_KEY, JSON.stringify(pendingStats));
+}
+
+// Apply `update` to this device's stats, and to the account's while signed in
+function recordStats(update) {
+    update(playerStats);
+    if (playerAccount) update(pendingStats);
+}
+
+// Game event subscriber: count the event into the stats
+function recordStatsEvent(payload, type) {
+    recordStats(stats => recordEvent(stats, type, payload));
+}
+
+// Add pendingStats to the account's totals on the server. Returns the account's
+// totals, or null when signed out or the server can't be reached.
+async function syncStats() {
+    if (!playerAccount) return null;
+    const sent = pendingStats;
+    pendingStats = createStats();
+    try {
+        const response = isEmpty(sent)
+            ? await authFetch('/api/stats')
+            : await authFetch('/api/stats', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ stats: sent })
+            });
+        const data = await response.json();
+        if (data.success) return data.stats;
+        // Rejected stats are dropped; anything else is retried next sync
+        if (response.status !== 400) throw new Error(data.error);
+    } catch (e) {
+        console.warn('Could not sync stats:', e);
+        pendingStats = addStats(sent, pendingStats);
+    } finally {
+        saveStats();
+    }
+    return null;
+}
+
+// Checkpoint: store the stats and send the account's share
+function flushStats() {
+    saveStats();
+    syncStats();
+}
+
+// Longer than formatTime's MM:SS - lifetime play time runs into hours
+function formatPlayTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${mins}m` : `${mins}m ${Math.floor(seconds % 60)}s`;
+}
+
+function showStatsScreen() {
+    const wasActive = gameActive;
+    gameActive = false; // Pause game while the stats are up
+
+    const overlay = document.createElement('div');
+    overlay.id = 'statsOverlay';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.9);
+        display: flex;
+        flex-direction: column;
+        justify-content: center;
+        align-items: center;
+        z-index: 10002;
+        font-family: 'Courier New', monospace;
+    `;
+
+    const statsTable = (stats) => {
+        const hitRate = accuracy(stats);
+        const rows = [
+            ['Games played', stats.gamesPlayed],
+            ['Asteroids destroyed', stats.kills],
+            ['Shots fired', stats.shotsFired],
+            ['Accuracy', hitRate === null ? '-' : `${Math.round(hitRate * 100)}%`],
+            ['Friendly fire (Earth / Moon)', `${stats.earthHits} / ${stats.moonHits}`],
+            ['Angels destroyed', stats.angelsDestroyed],
+            ['Best multiplier', stats.bestMultiplier > 0 ? `x${stats.bestMultiplier.toFixed(1)}` : '-'],
+            ['Time played', formatPlayTime(stats.timePlayed)]
+        ];
+        return rows.map(([label, value]) => `
+            <div style="display: flex; justify-content: space-between; gap: 20px; padding: 4px 0; border-bottom: 1px solid rgba(68, 170, 255, 0.15);">
+                <span style="color: #aaa;">${label}</span>
+                <span style="color: #fff; font-weight: bold;">${value}</span>
+            </div>
+        `).join('');
+    };
+
+    const achievementList = () => {
+        const { definitions } = achievements;
+        if (definitions.length === 0) return '';
+        const count = definitions.filter(a => achievements.isUnlocked(a.id)).length;
+        return `
+            <div style="color: #ffd700; font-size: 12px; letter-spacing: 1px; margin: 20px 0 6px;">ACHIEVEMENTS ${count}/${definitions.length}</div>
+            ${definitions.map(a => `
+                <div style="padding: 4px 0; border-bottom: 1px solid rgba(68, 170, 255, 0.15); opacity: ${achievements.isUnlocked(a.id) ? 1 : 0.45};">
+                    <span style="color: ${achievements.isUnlocked(a.id) ? '#ffd700' : '#888'};">${achievements.isUnlocked(a.id) ? '🏆' : '🔒'} ${a.name}</span>
+                    <div style="color: #aaa; font-size: 11px;">${a.description}</div>
+                </div>
+            `).join('')}
+        `;
+    };
+
+    const render = (accountStats) => {
+        overlay.innerHTML = `
+            <div style="text-align: left; width: min(420px, 90vw); max-height: 90vh; overflow-y: auto; padding: 30px; background: rgba(0, 40, 80, 0.95); border: 2px solid #44aaff; border-radius: 15px; box-shadow: 0 0 40px rgba(68, 170, 255, 0.4); font-size: 13px; box-sizing: border-box;">
+                <div style="color: #44aaff; font-size: 28px; font-weight: bold; margin-bottom: 20px; letter-spacing: 2px; text-align: center;">
+                    STATS
+                </div>
+                ${playerAccount ? `
+                    <div style="color: #44ff88; font-size: 12px; letter-spacing: 1px; margin-bottom: 6px;">ACCOUNT - ${playerAccount.user.username}</div>
+                    ${accountStats ? statsTable(accountStats) : `<div style="color: #888;">${accountStats === undefined ? 'Loading...' : 'Could not load account stats'}</div>`}
+                    <div style="height: 20px;"></div>
+                ` : ''}
+                <div style="color: #44aaff; font-size: 12px; letter-spacing: 1px; margin-bottom: 6px;">THIS DEVICE</div>
+                ${statsTable(playerStats)}
+                ${achievementList()}
+                <div style="text-align: center;">
+                    <button id="closeStatsBtn" style="
+                        margin-top: 25px;
+                        padding: 12px 40px;
+                        font-size: 14px;
+                        background: rgba(68, 170, 255, 0.2);
+                        color: #44aaff;
+                        border: 2px solid #44aaff;
+                        border-radius: 8px;
+                        cursor: pointer;
+                        font-family: 'Courier New', monospace;
+                        font-weight: bold;
+                    ">CLOSE</button>
+                </div>
+            </div>
+        `;
+        overlay.querySelector('#closeStatsBtn').addEventListener('click', () => {
+            overlay.remove();
+            gameActive = wasActive;
+        });
+    };
+
+    document.body.appendChild(overlay);
+    render(undefined);
+    if (playerAccount) {
+        syncStats().then(stats => {
+            if (overlay.isConnected) render(stats);
+        });
+    }
+}
+
+// === ACHIEVEMENTS ===
+// Unlocked from game events by the definitions in achievements.json (see
+// achievements.js). Unlocks are kept in localStorage: { id: unlocked at (ms) }.
+const ACHIEVEMENTS_KEY = 'earthDefenderAchievements';
+const achievements = new AchievementTracker([], JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY) || '{}'));
+let lunarEclipseIntensity = 0; // 0-1, updated each frame by the moon's eclipse shading
+
+async function loadAchievements() {
+    try {
+        const response = await fetch('achievements.json');
+        achievements.setDefinitions(await response.json());
+    } catch (e) {
+        console.warn('Could not load achievements:', e);
+    }
+}
+loadAchievements();
+
+let nextAchievementToastAt = 0; // Unlocks are announced one after another
+
+// Game event subscriber: check the event for unlocks and announce them
+function checkAchievements(payload, type) {
+    const unlocked = achievements.handleEvent(type, payload, {
+        stats: playerStats,
+        world: { lunarEclipse: lunarEclipseIntensity }
+    });
+    if (unlocked.length === 0) return;
+
+    localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievements.unlocked));
+    for (const achievement of unlocked) {
+        const delay = Math.max(0, nextAchievementToastAt - Date.now());
+        nextAchievementToastAt = Date.now() + delay + 1600;
+        setTimeout(() => showNotification(`🏆 ${achievement.name}`, '#ffd700'), delay);
+    }
+}
+
 // === PAUSE FUNCTIONALITY ===
 let gamePaused = false;
 
@@ -970,6 +1418,7 @@ function togglePause() {
     const pauseOverlay = document.getElementById('pauseOverlay');
 
     if (gamePaused) {
+        flushStats();
         // Show pause overlay
         if (!pauseOverlay) {
             const overlay = document.createElement('div');
@@ -1029,54 +1478,191 @@ function togglePause() {
 }
 
 // === GAME STATE PERSISTENCE ===
-const SAVE_KEY = 'earthDefenderSavedGame';
+// Each of the SAVE_SLOTS slots holds one game. The game being played saves into
+// currentSaveSlot; the slot picker chooses which one that is.
+const SAVE_KEY = 'earthDefenderSavedGame'; // Before slots, the only save; now slot 1's is moved out of it
+let currentSaveSlot = 1;
+let currentSaveName = null; // Player-given name for the current game's slot, if any
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+
+function saveSlotKey(slot) {
+    return `${SAVE_KEY}:${slot}`;
+}
+
+// Saves from before there were slots become slot 1's
+function migrateLegacySave() {
+    const legacy = localStorage.getItem(SAVE_KEY);
+    if (legacy === null) return;
+    if (localStorage.getItem(saveSlotKey(1)) === null) {
+        localStorage.setItem(saveSlotKey(1), legacy);
+    }
+    localStorage.removeItem(SAVE_KEY);
+}
+
+// A small JPEG of the current view for the slot picker, or null if the canvas can't be read
+function captureThumbnail() {
+    try {
+        // Draw a fresh frame first - the canvas isn't preserved once a frame is shown
+        if (composer) {
+            composer.render();
+        } else {
+            renderer.render(scene, camera);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = THUMBNAIL_WIDTH;
+        canvas.height = THUMBNAIL_HEIGHT;
+        canvas.getContext('2d').drawImage(renderer.domElement, 0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (e) {
+        console.warn('Could not capture save thumbnail:', e);
+        return null;
+    }
+}
 
+// Saves follow the schema in saveSchema.js - the simulation is the game's state,
+// so counters like score and ammo are restored from it rather than saved separately
 function saveGameState() {
     const state = {
-        gameLevel,
-        earthHealth,
-        moonHealth,
-        score,
-        asteroidsDestroyed,
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        name: currentSaveName,
+        thumbnail: captureThumbnail(),
         gameElapsedTime,
-        levelAsteroidsRemaining,
-        levelAsteroidsTotal,
-        laserAmmo,
-        scoreBeforeLevel,
-        savedAt: Date.now()
+        gameSessionToken,
+        simulation: simulation.state,
+        replay: simulation.replay
     };
-    localStorage.setItem(SAVE_KEY, JSON.stringify(state));
+    if (writeLocalSave(currentSaveSlot, state)) uploadCloudSave(currentSaveSlot, state);
 }
 
-function loadGameState() {
-    const saved = localStorage.getItem(SAVE_KEY);
-    if (!saved) return null;
+// Write a save to this device. Returns false, after telling the player, if the
+// browser refused it - a long game's replay log can outgrow the storage quota.
+function writeLocalSave(slot, state) {
+    try {
+        localStorage.setItem(saveSlotKey(slot), JSON.stringify(state));
+        return true;
+    } catch (e) {
+        console.warn('Could not save game:', e);
+        const full = e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+        showNotification(full ? 'GAME NOT SAVED - BROWSER STORAGE FULL' : 'GAME NOT SAVED', '#ff4444');
+        return false;
+    }
+}
+
+// A stored save upgraded to the current schema, or null if it's corrupt. Only its shape
+// is checked here; whether its replay reproduces it is checked when it's continued.
+function readSave(save, source) {
     try {
-        return JSON.parse(saved);
+        return parseSave(save, { verify: false });
     } catch (e) {
+        console.warn(`Ignoring ${source} saved game:`, e.message);
         return null;
     }
 }
 
-function clearSavedGame() {
-    localStorage.removeItem(SAVE_KEY);
+function loadGameState(slot) {
+    migrateLegacySave();
+    const saved = localStorage.getItem(saveSlotKey(slot));
+    if (!saved) return null;
+
+    let state = null;
+    try {
+        state = readSave(JSON.parse(saved), `slot ${slot}`);
+    } catch (e) {
+        // Not even JSON
+    }
+    if (!state) localStorage.removeItem(saveSlotKey(slot)); // It can never be continued
+    return state;
 }
 
-function hasSavedGame() {
-    return localStorage.getItem(SAVE_KEY) !== null;
+// Clear a slot on this device, and in the cloud if it holds the same game (by
+// default the current slot and the game being played)
+function clearSavedGame(slot = currentSaveSlot, seed = simulation?.replay.seed) {
+    localStorage.removeItem(saveSlotKey(slot));
+    deleteCloudSave(slot, seed);
+}
+
+// Make `state` the slot's save on this device and in the cloud. It's restamped so
+// the copy the player picked counts as the newest everywhere.
+function keepSavedGame(slot, state) {
+    const kept = { ...state, savedAt: Date.now() };
+    if (writeLocalSave(slot, kept)) uploadCloudSave(slot, kept);
+    return kept;
+}
+
+// === CLOUD SAVES ===
+// Signed-in players' saves are mirrored to /api/saves so a game can be continued
+// on another device. Uploads are fire-and-forget; the server keeps whichever
+// save is newer, and any mismatch is settled when the game is next continued.
+
+// Every slot's cloud save ({ 1: save or null, ... }), or {} when signed out or offline
+async function fetchCloudSaves() {
+    if (!playerAccount) return {};
+    try {
+        const response = await authFetch('/api/saves');
+        const data = await response.json();
+        if (!data.success) return {};
+        return Object.fromEntries(Object.entries(data.saves)
+            .map(([slot, save]) => [slot, save && readSave(save, `cloud slot ${slot}`)]));
+    } catch (e) {
+        console.warn('Could not fetch cloud saves:', e);
+        return {};
+    }
+}
+
+function uploadCloudSave(slot, state) {
+    if (!playerAccount) return;
+    if (saveSize(state) > MAX_SAVE_BYTES) {
+        showNotification('SAVED ON THIS DEVICE ONLY - TOO LONG FOR CLOUD SAVE', '#ffaa00');
+        return;
+    }
+    authFetch(`/api/saves?slot=${slot}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ save: state })
+    }).then(async (response) => {
+        // 409 means the cloud already has a newer save - that's settled when the game is next continued
+        if (response.ok || response.status === 409) return;
+        const data = await response.json().catch(() => ({}));
+        console.warn('Cloud save rejected:', response.status, data.error);
+        showNotification('CLOUD SAVE FAILED - SAVED ON THIS DEVICE ONLY', '#ff4444');
+    }).catch(e => {
+        console.warn('Could not upload cloud save:', e);
+        showNotification('CLOUD SAVE FAILED - SAVED ON THIS DEVICE ONLY', '#ff4444');
+    });
+}
+
+function deleteCloudSave(slot, seed) {
+    if (!playerAccount || seed === undefined) return;
+    authFetch(`/api/saves?slot=${slot}&seed=${encodeURIComponent(seed)}`, { method: 'DELETE' })
+        .catch(e => console.warn('Could not delete cloud save:', e));
+}
+
+// Every slot's saved game, merged from this device and the cloud (see saveSync.js):
+// [{ slot, save, conflict }], with save null for an empty slot
+async function resolveSaveSlots() {
+    const cloud = await fetchCloudSaves();
+    const slots = [];
+    for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+        slots.push({ slot, ...mergeSaves(loadGameState(slot), cloud[slot] || null) });
+    }
+    return slots;
 }
 
 function restoreGameState(state) {
-    gameLevel = state.gameLevel;
-    earthHealth = state.earthHealth;
-    moonHealth = state.moonHealth !== undefined ? state.moonHealth : maxMoonHealth;
-    score = state.score;
-    asteroidsDestroyed = state.asteroidsDestroyed;
+    simulation = Simulation.restore({ state: state.simulation, replay: state.replay });
+    syncGameStateFromSimulation();
     gameElapsedTime = state.gameElapsedTime;
-    levelAsteroidsRemaining = state.levelAsteroidsRemaining;
-    levelAsteroidsTotal = state.levelAsteroidsTotal;
-    laserAmmo = state.laserAmmo;
-    scoreBeforeLevel = state.scoreBeforeLevel;
+    gameSessionToken = state.gameSessionToken || null;
+
+    achievements.startGame({ resumed: true });
+
+    // Rebuild the saved world exactly - asteroids, bolts and orbits as they were
+    simulation.resume();
+    syncOrbitsFromSimulation();
+    clearWorldMeshes();
+    syncWorldFromSimulation(0);
 
     // Set game start time to account for elapsed time
     gameStartTime = Date.now() - (gameElapsedTime * 1000);
@@ -1084,20 +1670,27 @@ function restoreGameState(state) {
     // Update displays
     updateHealthDisplay();
     updateMoonHealthDisplay();
+    updateShipHealthDisplay();
+    updateBossDisplay();
     updateScoreDisplay();
     updateAmmoDisplay();
     updateKillCountDisplay();
     updateLevelDisplay();
-}
 
-function showContinueDialog() {
-    const savedState = loadGameState();
-    if (!savedState) return;
+    // Saves from before replays restart their level, and the leaderboard can't verify them
+    if (simulation.replay.start) {
+        showNotification(`LEVEL ${simulation.replay.start.level} RESTARTED - OLD SAVE, NOT RANKED`, '#ffaa00');
+    }
+}
 
+// Pick a save slot to continue, rename, delete or start a new game in. `slots` comes
+// from resolveSaveSlots(); where this device's and the cloud's saves for a slot have
+// diverged, the player picks which one to continue.
+function showSaveSlotPicker(slots) {
     gameActive = false; // Pause game during dialog
 
     const overlay = document.createElement('div');
-    overlay.id = 'continueDialogOverlay';
+    overlay.id = 'saveSlotPickerOverlay';
     overlay.style.cssText = `
         position: fixed;
         top: 0;
@@ -1113,64 +1706,219 @@ function showContinueDialog() {
         font-family: 'Courier New', monospace;
     `;
 
-    const savedTime = new Date(savedState.savedAt);
-    const timeAgo = formatTimeAgo(savedState.savedAt);
-
-    overlay.innerHTML = `
-        <div style="text-align: center; max-width: 450px; padding: 40px; background: rgba(0, 40, 80, 0.95); border: 2px solid #44aaff; border-radius: 15px; box-shadow: 0 0 40px rgba(68, 170, 255, 0.4);">
-            <div style="color: #44aaff; font-size: 28px; font-weight: bold; margin-bottom: 20px; letter-spacing: 2px;">
-                SAVED GAME FOUND
-            </div>
-            <div style="color: #ffffff; font-size: 16px; margin-bottom: 15px;">
-                Level ${savedState.gameLevel} • Score: ${savedState.score}
-            </div>
-            <div style="color: #888; font-size: 12px; margin-bottom: 25px;">
-                Saved ${timeAgo}
-            </div>
-            <div style="display: flex; gap: 15px; justify-content: center;">
-                <button id="continueGameBtn" style="
-                    padding: 15px 30px;
-                    font-size: 16px;
-                    background: rgba(68, 255, 136, 0.3);
-                    color: #44ff88;
-                    border: 2px solid #44ff88;
-                    border-radius: 8px;
-                    cursor: pointer;
-                    font-family: 'Courier New', monospace;
-                    font-weight: bold;
-                    letter-spacing: 1px;
-                    transition: all 0.2s;
-                ">CONTINUE</button>
-                <button id="newGameBtn" style="
-                    padding: 15px 30px;
-                    font-size: 16px;
-                    background: rgba(255, 100, 100, 0.2);
-                    color: #ff6666;
-                    border: 2px solid #ff6666;
-                    border-radius: 8px;
-                    cursor: pointer;
-                    font-family: 'Courier New', monospace;
-                    font-weight: bold;
-                    letter-spacing: 1px;
-                    transition: all 0.2s;
-                ">NEW GAME</button>
-            </div>
-        </div>
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+        text-align: center;
+        width: min(600px, 92vw);
+        max-height: 90vh;
+        overflow-y: auto;
+        padding: 30px;
+        background: rgba(0, 40, 80, 0.95);
+        border: 2px solid #44aaff;
+        border-radius: 15px;
+        box-shadow: 0 0 40px rgba(68, 170, 255, 0.4);
+        box-sizing: border-box;
     `;
+    overlay.appendChild(panel);
     document.body.appendChild(overlay);
 
-    document.getElementById('continueGameBtn').addEventListener('click', () => {
-        restoreGameState(savedState);
-        startLevel(savedState.gameLevel); // Resume at saved level
+    function slotButton(label, color, onClick) {
+        const btn = document.createElement('button');
+        btn.innerHTML = label;
+        btn.style.cssText = `
+            padding: 8px 14px;
+            font-size: 12px;
+            background: rgba(0, 0, 0, 0.3);
+            color: ${color};
+            border: 2px solid ${color};
+            border-radius: 6px;
+            cursor: pointer;
+            font-family: 'Courier New', monospace;
+            font-weight: bold;
+            letter-spacing: 1px;
+        `;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    // Mode, level, score and age of one save
+    const saveSummary = (save) =>
+        `${save.simulation.mode === DEFAULT_MODE ? '' : `${GAME_MODE_LABELS[save.simulation.mode]} • `}`
+        + `Level ${save.simulation.level} • Score: ${save.simulation.score} • Saved ${formatTimeAgo(save.savedAt)}`;
+
+    function continueGame(slot, save) {
+        // Re-run the replay now rather than for every slot when the picker opened
+        try {
+            validateSave(save);
+        } catch (e) {
+            console.warn(`Can't continue slot ${slot} saved game:`, e.message);
+            showNotification('SAVE IS DAMAGED - DELETE IT OR PICK ANOTHER', '#ff4444');
+            return;
+        }
+
+        currentSaveSlot = slot;
+        currentSaveName = save.name;
+        restoreGameState(keepSavedGame(slot, save)); // Resumes at the saved level
         overlay.remove();
         gameActive = true;
-    });
+    }
+
+    function startNewGame(slot) {
+        currentSaveSlot = slot;
+        currentSaveName = null;
+        overlay.remove();
+        restartGame();
+    }
+
+    function deleteSlot(entry) {
+        // Discard every copy that was offered, here and in the cloud
+        const saves = entry.conflict ? [entry.conflict.local, entry.conflict.cloud] : [entry.save];
+        for (const save of saves) {
+            clearSavedGame(entry.slot, save.replay.seed);
+        }
+        entry.save = null;
+        entry.conflict = null;
+        render();
+    }
+
+    // Swap the slot's title for a text field; Enter or leaving the field saves the name
+    function renameSlot(entry, title) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = MAX_SAVE_NAME_LENGTH;
+        input.value = entry.save.name || '';
+        input.placeholder = `Slot ${entry.slot}`;
+        input.style.cssText = `
+            width: 100%;
+            padding: 4px 6px;
+            font-size: 14px;
+            font-family: 'Courier New', monospace;
+            background: rgba(0, 0, 0, 0.5);
+            border: 1px solid #44aaff;
+            border-radius: 4px;
+            color: #fff;
+            outline: none;
+            box-sizing: border-box;
+        `;
+        let done = false;
+        const commit = () => {
+            if (done) return;
+            done = true;
+            // Same savedAt - a rename doesn't make this copy newer than the cloud's
+            entry.save = { ...entry.save, name: input.value.trim() || null };
+            if (writeLocalSave(entry.slot, entry.save)) uploadCloudSave(entry.slot, entry.save);
+            render();
+        };
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation(); // Keys typed here shouldn't steer the ship
+            if (e.key === 'Enter') commit();
+        });
+        input.addEventListener('blur', commit);
+        title.replaceWith(input);
+        input.focus();
+    }
+
+    function slotCard(entry) {
+        const { slot, save, conflict } = entry;
+        const card = document.createElement('div');
+        card.style.cssText = `
+            display: flex;
+            gap: 12px;
+            align-items: center;
+            padding: 10px;
+            margin-bottom: 10px;
+            border: 1px solid ${conflict ? '#ffaa00' : '#335577'};
+            border-radius: 8px;
+            background: rgba(0, 0, 0, 0.3);
+            text-align: left;
+        `;
+
+        const thumbnail = save?.thumbnail ? document.createElement('img') : document.createElement('div');
+        thumbnail.style.cssText = `
+            width: ${THUMBNAIL_WIDTH / 2}px;
+            height: ${THUMBNAIL_HEIGHT / 2}px;
+            flex-shrink: 0;
+            border-radius: 4px;
+            background: #0a1420;
+            color: #557;
+            font-size: 10px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            object-fit: cover;
+        `;
+        if (save?.thumbnail) {
+            thumbnail.src = save.thumbnail;
+            thumbnail.alt = '';
+        } else {
+            thumbnail.textContent = save ? 'NO IMAGE' : 'EMPTY';
+        }
+        card.appendChild(thumbnail);
+
+        const info = document.createElement('div');
+        info.style.cssText = 'flex: 1; min-width: 0;';
+        const title = document.createElement('div');
+        title.style.cssText = 'color: #fff; font-size: 14px; font-weight: bold; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        title.textContent = save?.name || `Slot ${slot}`;
+        const details = document.createElement('div');
+        details.style.cssText = `color: ${conflict ? '#ffaa00' : '#888'}; font-size: 11px; margin-top: 4px;`;
+        details.textContent = conflict
+            ? 'This device and your cloud save have different progress'
+            : (save ? saveSummary(save) : 'Empty slot');
+        info.append(title, details);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 6px; flex-wrap: wrap; margin-top: 8px;';
+        if (conflict) {
+            buttons.append(
+                slotButton(`THIS DEVICE<br><span style="font-weight: normal; font-size: 10px;">${saveSummary(conflict.local)}</span>`,
+                    '#44ff88', () => continueGame(slot, conflict.local)),
+                slotButton(`CLOUD<br><span style="font-weight: normal; font-size: 10px;">${saveSummary(conflict.cloud)}</span>`,
+                    '#44ff88', () => continueGame(slot, conflict.cloud)),
+                slotButton('DELETE', '#ff6666', () => deleteSlot(entry))
+            );
+        } else if (save) {
+            buttons.append(
+                slotButton('CONTINUE', '#44ff88', () => continueGame(slot, save)),
+                slotButton('RENAME', '#44aaff', () => renameSlot(entry, title)),
+                slotButton('DELETE', '#ff6666', () => deleteSlot(entry))
+            );
+        } else {
+            buttons.append(slotButton('NEW GAME', '#44aaff', () => startNewGame(slot)));
+        }
+        info.appendChild(buttons);
+        card.appendChild(info);
+        return card;
+    }
+
+    function render() {
+        panel.innerHTML = `
+            <div style="color: #44aaff; font-size: 28px; font-weight: bold; margin-bottom: 20px; letter-spacing: 2px;">
+                SAVED GAMES
+            </div>
+        `;
+        for (const entry of slots) {
+            panel.appendChild(slotCard(entry));
+        }
+
+        // A new game goes in the first free slot
+        const free = slots.find(entry => !entry.save);
+        if (free) {
+            const newGameBtn = slotButton('NEW GAME', '#ff6666', () => startNewGame(free.slot));
+            newGameBtn.id = 'newGameBtn';
+            newGameBtn.style.marginTop = '10px';
+            newGameBtn.style.padding = '15px 30px';
+            newGameBtn.style.fontSize = '16px';
+            panel.appendChild(newGameBtn);
+        } else {
+            const full = document.createElement('div');
+            full.style.cssText = 'color: #888; font-size: 12px; margin-top: 10px;';
+            full.textContent = 'All slots are in use - delete one to start a new game';
+            panel.appendChild(full);
+        }
+    }
 
-    document.getElementById('newGameBtn').addEventListener('click', () => {
-        clearSavedGame();
-        overlay.remove();
-        restartGame();
-    });
+    render();
 }
 
 function formatTimeAgo(timestamp) {
@@ -1205,14 +1953,11 @@ function showQuitDialog() {
         font-family: 'Courier New', monospace;
     `;
 
-    // Check if score qualifies for leaderboard
-    const minScore = serverLeaderboard.length >= 10 ? serverLeaderboard[9].score : 0;
-    const qualifies = score > 0 && (score > minScore || serverLeaderboard.length < 10);
-    const rank = serverLeaderboard.length < 10 ? serverLeaderboard.length + 1 :
-        serverLeaderboard.findIndex(e => score > e.score) + 1 || 10;
+    // Any score can be submitted; say so when it would make a top spot
+    const placement = getLeaderboardPlacement(score);
 
-    if (qualifies) {
-        // Score qualifies - show submit option
+    if (score > 0) {
+        // Show submit option
         overlay.innerHTML = `
             <div style="text-align: center; max-width: 450px; padding: 40px; background: rgba(0, 40, 80, 0.95); border: 2px solid #ffaa00; border-radius: 15px; box-shadow: 0 0 40px rgba(255, 170, 0, 0.4);">
                 <div style="color: #ffaa00; font-size: 24px; font-weight: bold; margin-bottom: 15px;">
@@ -1222,14 +1967,14 @@ function showQuitDialog() {
                     Score: ${score}
                 </div>
                 <div style="color: #ff44ff; font-size: 16px; margin-bottom: 20px;">
-                    Your score qualifies for the leaderboard! (Rank #${rank})
+                    ${placement ? `Your score qualifies for the leaderboard! (Rank #${placement.rank} ${placement.label})` : 'Submit your score to see where you rank'}
                 </div>
 
                 <div style="color: #ffffff; font-size: 14px; margin-bottom: 10px;">
                     Enter your name to save your score:
                 </div>
 
-                <input type="text" id="quitPlayerNameInput" maxlength="20" placeholder="Your name" style="
+                <input type="text" id="quitPlayerNameInput" maxlength="20" placeholder="Your name" ${playerNameInputAttributes()} style="
                     width: 80%;
                     padding: 12px 15px;
                     font-size: 18px;
@@ -1240,9 +1985,11 @@ function showQuitDialog() {
                     color: #ffffff;
                     text-align: center;
                     outline: none;
-                    margin-bottom: 20px;
+                    margin-bottom: 10px;
                 " />
 
+                ${countryPickerHtml('quitPlayerCountrySelect')}
+
                 <div style="display: flex; gap: 15px; justify-content: center; flex-wrap: wrap;">
                     <button id="submitAndQuitBtn" style="
                         padding: 12px 25px;
@@ -1280,7 +2027,7 @@ function showQuitDialog() {
                 </div>
 
                 <div style="color: #666; font-size: 11px; margin-top: 15px;">
-                    Leave blank to submit as "${userLocation || 'Anonymous'}"
+                    ${playerNameHint()}
                 </div>
             </div>
         `;
@@ -1291,7 +2038,7 @@ function showQuitDialog() {
 
         document.getElementById('submitAndQuitBtn').addEventListener('click', async () => {
             const name = input.value.trim();
-            await submitScore(name || null);
+            await submitScore(name || null, readCountryPicker('quitPlayerCountrySelect'));
             overlay.remove();
             showInstructions(false);
         });
@@ -1310,13 +2057,13 @@ function showQuitDialog() {
         input.addEventListener('keydown', async (e) => {
             if (e.key === 'Enter') {
                 const name = input.value.trim();
-                await submitScore(name || null);
+                await submitScore(name || null, readCountryPicker('quitPlayerCountrySelect'));
                 overlay.remove();
                 showInstructions(false);
             }
         });
     } else {
-        // Score doesn't qualify - simple quit confirmation
+        // Nothing to submit - simple quit confirmation
         overlay.innerHTML = `
             <div style="text-align: center; max-width: 400px; padding: 40px; background: rgba(0, 40, 80, 0.95); border: 2px solid #ffaa00; border-radius: 15px; box-shadow: 0 0 40px rgba(255, 170, 0, 0.4);">
                 <div style="color: #ffaa00; font-size: 24px; font-weight: bold; margin-bottom: 15px;">
@@ -1382,21 +2129,46 @@ function updateLeaderboardDisplay() {
     const container = document.getElementById('leaderboardList');
     if (!container) return;
 
-    if (serverLeaderboard.length === 0) {
-        container.innerHTML = '<div style="color: #666; font-size: 9px; text-align: center;">No scores yet</div>';
-        return;
-    }
-
-    container.innerHTML = serverLeaderboard.slice(0, 5).map((entry, i) => `
-        <div style="display: flex; justify-content: space-between; align-items: center; padding: 2px 0; ${i === 0 ? 'color: #ffd700;' : i === 1 ? 'color: #c0c0c0;' : i === 2 ? 'color: #cd7f32;' : 'color: #888;'}">
-            <span style="font-size: 8px;">${i + 1}. ${entry.name.substring(0, 10)}</span>
-            <span style="font-size: 9px; font-weight: bold;">${entry.score}</span>
+    // Mode tabs - each mode is ranked separately - then period tabs, since daily and
+    // weekly boards give new players a chance to place
+    const tab = (attribute, id, label, selected) => `
+        <button ${attribute}="${id}" style="flex: 1; padding: 2px 0; font-size: 7px; font-family: inherit; letter-spacing: 1px; cursor: pointer; border-radius: 3px; border: 1px solid rgba(68, 170, 255, ${selected ? '0.8' : '0.3'}); background: ${selected ? 'rgba(68, 170, 255, 0.3)' : 'transparent'}; color: ${selected ? '#ffffff' : '#888'};">${label}</button>
+    `;
+    const tabs = `
+        <div style="display: flex; gap: 3px; margin-bottom: 3px;">
+            ${GAME_MODES.map(mode => tab('data-leaderboard-mode', mode, GAME_MODE_LABELS[mode], mode === leaderboardMode)).join('')}
+        </div>
+        <div style="display: flex; gap: 3px; margin-bottom: 4px;">
+            ${LEADERBOARD_PERIODS.map(({ id, tab: label }) => tab('data-leaderboard-period', id, label, id === leaderboardPeriod)).join('')}
         </div>
-    `).join('');
+    `;
+
+    const board = serverLeaderboards[leaderboardMode][leaderboardPeriod];
+    const rows = board.length === 0
+        ? '<div style="color: #666; font-size: 9px; text-align: center;">No scores yet</div>'
+        : board.slice(0, 5).map((entry, i) => `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 2px 0; ${i === 0 ? 'color: #ffd700;' : i === 1 ? 'color: #c0c0c0;' : i === 2 ? 'color: #cd7f32;' : 'color: #888;'}">
+                <span style="font-size: 8px;">${i + 1}. ${entry.name.substring(0, 10)}</span>
+                <span style="font-size: 9px; font-weight: bold;">${entry.score}</span>
+            </div>
+        `).join('');
+
+    container.innerHTML = tabs + rows;
+    container.querySelectorAll('[data-leaderboard-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            leaderboardMode = button.dataset.leaderboardMode;
+            updateLeaderboardDisplay();
+        });
+    });
+    container.querySelectorAll('[data-leaderboard-period]').forEach(button => {
+        button.addEventListener('click', () => {
+            leaderboardPeriod = button.dataset.leaderboardPeriod;
+            updateLeaderboardDisplay();
+        });
+    });
 }
 
 // Initialize leaderboard on load
-fetchUserLocation();
 fetchLeaderboard();
 
 // === SOUND SYSTEM ===
@@ -1407,6 +2179,7 @@ let touchHintsShownThisSession = false; // Track if hints were already shown thi
 
 // Global functions for touch hints (will be assigned when overlay is created)
 let updateTouchHintsOverlay = () => {};
+let updateOrbitControls = () => {}; // Set by the settings panel's orbit sliders
 let hideTouchHints = () => {};
 let audioContext = null;
 let audioContextReady = false;
@@ -1431,6 +2204,50 @@ function getAudioContext() {
     return audioContextReady ? audioContext : null;
 }
 
+// One oscillator note sweeping from `fromHz` to `toHz`, starting `delay` seconds from now
+function playSweep(ctx, type, fromHz, toHz, delay, duration, volume) {
+    const oscillator = ctx.createOscillator();
+    const gainNode = ctx.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(ctx.destination);
+
+    const start = ctx.currentTime + delay;
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(fromHz, start);
+    oscillator.frequency.exponentialRampToValueAtTime(toHz, start + duration);
+
+    gainNode.gain.setValueAtTime(volume, start);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration);
+
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+}
+
+// Boss cues, named by the `sounds` of each entry in game/bosses.js
+const BOSS_SOUNDS = {
+    // Two-tone alarm
+    siren(ctx) {
+        for (let i = 0; i < 4; i++) {
+            playSweep(ctx, 'square', 660, 440, i * 0.5, 0.45, 0.08);
+        }
+    },
+    // Deep swelling drone
+    rumble(ctx) {
+        playSweep(ctx, 'sine', 40, 80, 0, 2, 0.3);
+        playSweep(ctx, 'triangle', 60, 30, 0.5, 1.5, 0.2);
+    },
+    // Rising whine of a weapon powering up
+    charge(ctx) {
+        playSweep(ctx, 'sawtooth', 150, 1200, 0, 0.4, 0.08);
+    },
+    // Ice splitting off
+    crack(ctx) {
+        playSweep(ctx, 'square', 2000, 200, 0, 0.08, 0.1);
+        playSweep(ctx, 'triangle', 120, 50, 0.05, 0.3, 0.15);
+    }
+};
+
 // Sound manager with synthesized sounds
 const SoundManager = {
     playLaser() {
@@ -1456,6 +2273,29 @@ const SoundManager = {
         oscillator.stop(ctx.currentTime + 0.1);
     },
 
+    // Enemy fighter shot: lower and buzzier than ours
+    playEnemyLaser() {
+        if (!soundEnabled) return;
+        const ctx = getAudioContext();
+        if (!ctx) return; // Audio not ready yet
+
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(400, ctx.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(120, ctx.currentTime + 0.15);
+
+        gainNode.gain.setValueAtTime(0.1, ctx.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + 0.15);
+
+        oscillator.start(ctx.currentTime);
+        oscillator.stop(ctx.currentTime + 0.15);
+    },
+
     playExplosion(size = 1) {
         if (!soundEnabled) return;
         const ctx = getAudioContext();
@@ -1491,6 +2331,39 @@ const SoundManager = {
         noise.stop(ctx.currentTime + 0.5);
     },
 
+    // A boss's arrival warning or attack cue (see BOSS_SOUNDS)
+    playBossCue(cue) {
+        if (!soundEnabled) return;
+        const ctx = getAudioContext();
+        if (!ctx) return; // Audio not ready yet
+        BOSS_SOUNDS[cue](ctx);
+    },
+
+    // A bolt glancing off a boss's shield
+    playShieldHit() {
+        if (!soundEnabled) return;
+        const ctx = getAudioContext();
+        if (!ctx) return; // Audio not ready yet
+        playSweep(ctx, 'triangle', 1400, 1100, 0, 0.12, 0.08);
+    },
+
+    // A boss fight moving on a phase: three falling beeps
+    playBossPhase() {
+        if (!soundEnabled) return;
+        const ctx = getAudioContext();
+        if (!ctx) return; // Audio not ready yet
+        [880, 660, 440].forEach((freq, index) => playSweep(ctx, 'square', freq, freq * 0.9, index * 0.18, 0.15, 0.1));
+    },
+
+    // A boss going down: a long low boom under the explosion
+    playBossDestroyed() {
+        if (!soundEnabled) return;
+        const ctx = getAudioContext();
+        if (!ctx) return; // Audio not ready yet
+        playSweep(ctx, 'sine', 120, 25, 0, 2.5, 0.35);
+        this.playExplosion(2);
+    },
+
     playVictory() {
         if (!soundEnabled) return;
 
@@ -1518,61 +2391,26 @@ const SoundManager = {
 };
 
 // === LASER SYSTEM ===
+// Bolt and asteroid meshes mirror the simulation's objects, keyed by simulation id
 const laserBolts = [];
-const LASER_SPEED = 80;
-const LASER_MAX_DISTANCE = 200;
+const boltMeshes = new Map();
 let laserAmmo = 1000;
 
 // Active asteroids and explosions
 const asteroids = [];
+const asteroidMeshes = new Map();
+
+// Enemy fighters and their shots, mirrored the same way
+const enemyMeshes = new Map();
+const enemyBoltMeshes = new Map();
+let bossMesh = null; // The level's boss, if it has one
+
 const explosions = [];
 
 // Occlusion detection for targeting reticles (reused every frame for performance)
 const occlusionRaycaster = new THREE.Raycaster();
 let occludingObjects = []; // Will be populated after earth, moon, spaceShip are created
 
-// Asteroid spawn settings
-const ASTEROID_SPAWN_MIN_DISTANCE = 120;
-const ASTEROID_SPAWN_MAX_DISTANCE = 180;
-const ASTEROID_MIN_SIZE = 0.5;
-const ASTEROID_MAX_SIZE = 2.0;
-const EARTH_RADIUS = 2; // For collision detection
-const MOON_RADIUS = 0.5; // For collision detection
-
-// Dynamic score weighting settings
-const BASE_ORBIT_SPEED = 0.25; // Default orbit speed
-const MAX_ORBIT_SPEED_MULTIPLIER = 2.5; // Max multiplier from orbit speed
-const MAX_PROXIMITY_MULTIPLIER = 4.0; // Max multiplier from close kills
-const DANGER_ZONE_DISTANCE = 15; // Distance where proximity bonus starts ramping up
-let lastScoreMultiplier = 1.0; // Track last multiplier for display
-
-// Calculate dynamic score multiplier based on orbit speed and asteroid proximity
-function calculateScoreMultiplier(asteroidDistance) {
-    // Orbit speed multiplier: faster orbit = more points
-    // Normalized from BASE_ORBIT_SPEED (1.0x) up to MAX_ORBIT_SPEED_MULTIPLIER
-    const speedRatio = Math.abs(shipOrbitSpeed) / BASE_ORBIT_SPEED;
-    const orbitMultiplier = Math.min(1.0 + (speedRatio - 1.0) * 0.5, MAX_ORBIT_SPEED_MULTIPLIER);
-
-    // Proximity multiplier: closer to Earth = more points
-    // Distance ranges from ~EARTH_RADIUS (very close) to ASTEROID_SPAWN_MIN_DISTANCE (far)
-    const impactDistance = Math.max(0, asteroidDistance - EARTH_RADIUS);
-    const dangerProgress = Math.max(0, 1 - (impactDistance / DANGER_ZONE_DISTANCE));
-    const proximityMultiplier = 1.0 + (dangerProgress * (MAX_PROXIMITY_MULTIPLIER - 1.0));
-
-    // Combine multipliers (multiplicative for exciting high scores)
-    const totalMultiplier = orbitMultiplier * proximityMultiplier;
-    lastScoreMultiplier = totalMultiplier;
-
-    return totalMultiplier;
-}
-
-// Constant asteroid speed (difficulty comes from quantity, not speed)
-function getAsteroidSpeed() {
-    const min = 0.8;
-    const max = 1.5;
-    return min + Math.random() * (max - min);
-}
-
 // Create laser bolt geometry and material (reusable)
 const laserGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8);
 const laserMat = new THREE.MeshBasicMaterial({ color: 0xff2200 });
@@ -1786,93 +2624,122 @@ function cleanupExplosionGroup(explosionGroup) {
     explosionGroup.children.length = 0;
 }
 
-// Create asteroid with rocky appearance
-function createAsteroid() {
-    const asteroidGroup = new THREE.Group();
+// Mesh builders for the asteroid types' `look.shape` (see game/asteroidTypes.js).
+// Each adds the meshes for an asteroid of `size` to `group`.
+const ASTEROID_SHAPES = {
+    // Lumpy icosahedron with crater marks
+    rock(group, size, look) {
+        // Create rocky asteroid geometry using icosahedron with noise
+        const baseGeo = new THREE.IcosahedronGeometry(size, 1);
+        const positions = baseGeo.attributes.position;
+
+        // Displace vertices for rocky appearance
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const y = positions.getY(i);
+            const z = positions.getZ(i);
+            const noise = 0.7 + Math.random() * 0.6; // 0.7-1.3 multiplier
+            positions.setXYZ(i, x * noise, y * noise, z * noise);
+        }
+        baseGeo.computeVertexNormals();
+
+        const asteroidMat = new THREE.MeshStandardMaterial({
+            color: look.color,
+            metalness: look.metalness,
+            roughness: look.roughness,
+            emissive: look.emissive ?? 0x000000,
+            flatShading: true
+        });
+        const asteroidMesh = new THREE.Mesh(baseGeo, asteroidMat);
 
-    // Random size (affects health and damage)
-    const size = ASTEROID_MIN_SIZE + Math.random() * (ASTEROID_MAX_SIZE - ASTEROID_MIN_SIZE);
-
-    // Health based on size: bigger = more hits required
-    // Ensure all asteroids take multiple hits for better feedback (3-6 hits)
-    const health = Math.floor(3 + size * 1.5); // 3-6 hits based on size
-
-    // Create rocky asteroid geometry using icosahedron with noise
-    const baseGeo = new THREE.IcosahedronGeometry(size, 1);
-    const positions = baseGeo.attributes.position;
-
-    // Displace vertices for rocky appearance
-    for (let i = 0; i < positions.count; i++) {
-        const x = positions.getX(i);
-        const y = positions.getY(i);
-        const z = positions.getZ(i);
-        const noise = 0.7 + Math.random() * 0.6; // 0.7-1.3 multiplier
-        positions.setXYZ(i, x * noise, y * noise, z * noise);
-    }
-    baseGeo.computeVertexNormals();
-
-    // Rocky asteroid material
-    const asteroidMat = new THREE.MeshStandardMaterial({
-        color: 0x6b5b4d,
-        metalness: 0.2,
-        roughness: 0.9,
-        flatShading: true
-    });
-    const asteroidMesh = new THREE.Mesh(baseGeo, asteroidMat);
+        // Random rotation for variety
+        asteroidMesh.rotation.set(
+            Math.random() * Math.PI * 2,
+            Math.random() * Math.PI * 2,
+            Math.random() * Math.PI * 2
+        );
+        group.add(asteroidMesh);
+
+        // Add some crater marks (darker spots)
+        for (let i = 0; i < 3; i++) {
+            const craterGeo = new THREE.CircleGeometry(size * 0.15, 8);
+            const craterMat = new THREE.MeshBasicMaterial({
+                color: look.craterColor,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: 0.6
+            });
+            const crater = new THREE.Mesh(craterGeo, craterMat);
+
+            // Position on surface
+            const theta = Math.random() * Math.PI * 2;
+            const phi = Math.random() * Math.PI;
+            crater.position.set(
+                size * Math.sin(phi) * Math.cos(theta),
+                size * Math.sin(phi) * Math.sin(theta),
+                size * Math.cos(phi)
+            );
+            crater.lookAt(0, 0, 0);
+            group.add(crater);
+        }
+    },
 
-    // Random rotation for variety
-    asteroidMesh.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
-    );
-    asteroidGroup.add(asteroidMesh);
-
-    // Add some crater marks (darker spots)
-    for (let i = 0; i < 3; i++) {
-        const craterGeo = new THREE.CircleGeometry(size * 0.15, 8);
-        const craterMat = new THREE.MeshBasicMaterial({
-            color: 0x3d3429,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: 0.6
+    // Glowing octahedron with an inner glow, a halo and its own light
+    crystal(group, size, look) {
+        const crystalGeo = new THREE.OctahedronGeometry(size, 0);
+        const crystalMat = new THREE.MeshStandardMaterial({
+            color: look.color,
+            metalness: 0.3,
+            roughness: 0.2,
+            emissive: look.glowColor,
+            emissiveIntensity: 0.8
         });
-        const crater = new THREE.Mesh(craterGeo, craterMat);
-
-        // Position on surface
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.random() * Math.PI;
-        crater.position.set(
-            size * Math.sin(phi) * Math.cos(theta),
-            size * Math.sin(phi) * Math.sin(theta),
-            size * Math.cos(phi)
+        group.add(new THREE.Mesh(crystalGeo, crystalMat));
+
+        // Inner glow
+        const innerGlow = new THREE.Mesh(
+            new THREE.OctahedronGeometry(size * 0.7, 0),
+            new THREE.MeshBasicMaterial({
+                color: look.coreColor,
+                transparent: true,
+                opacity: 0.6
+            })
         );
-        crater.lookAt(0, 0, 0);
-        asteroidGroup.add(crater);
-    }
+        group.add(innerGlow);
 
-    // Spawn position: random point on sphere around Earth at spawn distance
-    const spawnDistance = ASTEROID_SPAWN_MIN_DISTANCE + Math.random() * (ASTEROID_SPAWN_MAX_DISTANCE - ASTEROID_SPAWN_MIN_DISTANCE);
-    const spawnTheta = Math.random() * Math.PI * 2;
-    const spawnPhi = Math.acos(2 * Math.random() - 1);
+        // Outer halo
+        const haloGeo = new THREE.RingGeometry(size * 1.2, size * 1.8, 32);
+        const haloMat = new THREE.MeshBasicMaterial({
+            color: look.glowColor,
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.DoubleSide
+        });
+        const halo = new THREE.Mesh(haloGeo, haloMat);
+        halo.rotation.x = Math.PI / 2;
+        group.add(halo);
 
-    asteroidGroup.position.set(
-        spawnDistance * Math.sin(spawnPhi) * Math.cos(spawnTheta),
-        spawnDistance * Math.sin(spawnPhi) * Math.sin(spawnTheta),
-        spawnDistance * Math.cos(spawnPhi)
-    );
+        // Point light for glow effect
+        group.add(new THREE.PointLight(look.glowColor, 2, 20));
+    }
+};
 
-    // Velocity: moves directly toward Earth (origin at 0,0,0)
-    const speed = getAsteroidSpeed();
-    // Calculate direction FROM asteroid TO Earth (explicit subtraction)
-    const direction = new THREE.Vector3(0, 0, 0).sub(asteroidGroup.position).normalize();
+// Build an asteroid's mesh from its type's look (type, size, health and motion come from the simulation)
+function createAsteroid(data) {
+    const { look } = ASTEROID_TYPES[data.type];
+    const asteroidGroup = new THREE.Group();
+    ASTEROID_SHAPES[look.shape](asteroidGroup, data.size, look);
+    asteroidGroup.position.copy(data.position);
 
     // Store asteroid data
     asteroidGroup.userData = {
-        health: health,
-        maxHealth: health,
-        size: size,
-        velocity: direction.multiplyScalar(speed),
+        id: data.id,
+        type: data.type,
+        trajectory: data.trajectory,
+        health: data.health,
+        maxHealth: data.maxHealth,
+        size: data.size,
+        velocity: new THREE.Vector3().copy(data.velocity),
         rotationSpeed: new THREE.Vector3(
             (Math.random() - 0.5) * 2,
             (Math.random() - 0.5) * 2,
@@ -1882,24 +2749,152 @@ function createAsteroid() {
     };
 
     scene.add(asteroidGroup);
-    asteroids.push(asteroidGroup);
-    // Debug: log asteroid spawn
-    try { console.debug('[DEBUG] Asteroid spawned', { position: asteroidGroup.position.toArray(), size, health }); } catch(e) {}
     return asteroidGroup;
 }
 
-// Spawn asteroids - DEPRECATED: Now handled by startLevel()
-// Asteroids are spawned once per level, not continuously
-function spawnAsteroids() {
-    // No longer auto-spawns - levels have fixed asteroid counts
-    return;
+// Enemy fighter: a dark dart with swept wings and a red glow, nose along -z
+const enemyHullGeo = new THREE.ConeGeometry(0.45, 1.8, 6);
+const enemyWingGeo = new THREE.BoxGeometry(2, 0.08, 0.6);
+const enemyHullMat = new THREE.MeshStandardMaterial({ color: 0x2a2d33, metalness: 0.8, roughness: 0.35 });
+const enemyGlowMat = new THREE.MeshStandardMaterial({ color: 0x551111, emissive: 0xff2222, emissiveIntensity: 0.8 });
+const enemyBoltGeo = new THREE.SphereGeometry(0.15, 8, 8);
+const enemyBoltMat = new THREE.MeshBasicMaterial({ color: 0x66ff44 });
+
+function createEnemyShip(data) {
+    const enemyGroup = new THREE.Group();
+    const hull = new THREE.Mesh(enemyHullGeo, enemyHullMat);
+    hull.rotation.x = -Math.PI / 2;
+    enemyGroup.add(hull);
+    const wings = new THREE.Mesh(enemyWingGeo, enemyGlowMat);
+    wings.position.z = 0.4;
+    enemyGroup.add(wings);
+    enemyGroup.position.copy(data.position);
+    enemyGroup.userData = { id: data.id };
+    scene.add(enemyGroup);
+    return enemyGroup;
+}
+
+function createEnemyBolt(data) {
+    const bolt = new THREE.Mesh(enemyBoltGeo, enemyBoltMat);
+    bolt.add(new THREE.PointLight(0x66ff44, 0.8, 3));
+    bolt.position.copy(data.position);
+    scene.add(bolt);
+    return bolt;
+}
+
+// Boss models, by the `look.shape` of each entry in game/bosses.js. Each builds the
+// hull into `group` and returns the weak point meshes, keyed by part id. The group is
+// never rotated, so weak points stay at their simulation offsets.
+const BOSS_SHAPES = {
+    // Icy nucleus with glowing vents, trailing a tail away from Earth
+    comet(group, data, look) {
+        const { size } = BOSSES[data.type];
+        const nucleusGeo = new THREE.IcosahedronGeometry(size, 2);
+        const positions = nucleusGeo.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            const noise = 0.85 + Math.random() * 0.3;
+            positions.setXYZ(i, positions.getX(i) * noise, positions.getY(i) * noise, positions.getZ(i) * noise);
+        }
+        nucleusGeo.computeVertexNormals();
+        const core = new THREE.Mesh(nucleusGeo, new THREE.MeshStandardMaterial({
+            color: look.color, roughness: 0.6, metalness: 0.1, emissive: 0x112233, flatShading: true
+        }));
+        group.add(core);
+
+        const tail = new THREE.Mesh(
+            new THREE.ConeGeometry(size * 1.5, size * 8, 24, 1, true),
+            new THREE.MeshBasicMaterial({ color: look.tailColor, transparent: true, opacity: 0.15, side: THREE.DoubleSide, depthWrite: false })
+        );
+        tail.geometry.translate(0, -size * 4, 0); // Base at the nucleus, tip trailing
+        group.add(tail);
+        group.userData.core = core;
+        group.userData.tail = tail;
+
+        return createWeakPoints(group, data, look, new THREE.SphereGeometry(1, 12, 12));
+    },
+
+    // Flying saucer with a domed core and generator pylons round its rim
+    saucer(group, data, look) {
+        const { size } = BOSSES[data.type];
+        const hullMat = new THREE.MeshStandardMaterial({ color: look.color, metalness: 0.85, roughness: 0.3 });
+        const hull = new THREE.Mesh(new THREE.CylinderGeometry(size * 1.2, size * 0.8, size * 0.5, 32), hullMat);
+        group.add(hull);
+
+        const core = new THREE.Mesh(
+            new THREE.SphereGeometry(size * 0.6, 24, 12, 0, Math.PI * 2, 0, Math.PI / 2),
+            new THREE.MeshStandardMaterial({ color: 0x331a00, emissive: look.coreColor, emissiveIntensity: 0.2 })
+        );
+        core.position.y = size * 0.25;
+        group.add(core);
+
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(size * 1.25, 0.15, 8, 48),
+            new THREE.MeshStandardMaterial({ color: 0x222222, emissive: look.coreColor, emissiveIntensity: 0.6 })
+        );
+        ring.rotation.x = Math.PI / 2;
+        group.add(ring);
+        group.userData.core = core;
+        group.userData.ring = ring;
+
+        return createWeakPoints(group, data, look, new THREE.OctahedronGeometry(1));
+    }
+};
+
+function createWeakPoints(group, data, look, geometry) {
+    const { weakPointSize } = BOSSES[data.type];
+    const material = new THREE.MeshStandardMaterial({ color: 0x111111, emissive: look.weakPointColor, emissiveIntensity: 1 });
+    const parts = new Map();
+    for (const part of data.parts) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.scale.setScalar(weakPointSize);
+        mesh.position.copy(part.offset);
+        mesh.add(new THREE.PointLight(look.weakPointColor, 1, weakPointSize * 6));
+        group.add(mesh);
+        parts.set(part.id, mesh);
+    }
+    return parts;
+}
+
+function createBoss(data) {
+    const { look } = BOSSES[data.type];
+    const bossGroup = new THREE.Group();
+    const parts = BOSS_SHAPES[look.shape](bossGroup, data, look);
+    bossGroup.position.copy(data.position);
+    bossGroup.userData = { ...bossGroup.userData, id: data.id, parts };
+    scene.add(bossGroup);
+    return bossGroup;
+}
+
+function syncBoss(delta) {
+    const data = simulation.state.boss;
+    if (bossMesh && bossMesh.userData.id !== data?.id) {
+        scene.remove(bossMesh);
+        bossMesh = null;
+    }
+    if (!data) return;
+    if (!bossMesh) bossMesh = createBoss(data);
+
+    bossMesh.position.copy(data.position);
+    const { parts, core, tail, ring } = bossMesh.userData;
+    for (const [id, mesh] of parts) {
+        if (!data.parts.some(part => part.id === id)) {
+            bossMesh.remove(mesh);
+            parts.delete(id);
+        }
+        mesh.rotation.y += delta * 2;
+    }
+    // The core lights up once its shield is down
+    if (data.parts.length === 0) {
+        core.material.emissiveIntensity = 0.6 + 0.4 * Math.sin(Date.now() * 0.01);
+    }
+    if (tail) {
+        tail.quaternion.setFromUnitVectors(_tempVec1.set(0, -1, 0), _tempVec2.copy(data.position).normalize());
+    }
+    if (ring) ring.rotation.z += delta * 0.5;
 }
 
 // Create explosion effect (size-based)
 function createExplosion(position, asteroidSize = 1) {
-    // Play explosion sound
-    SoundManager.playExplosion(asteroidSize);
-
     const explosionGroup = new THREE.Group();
     explosionGroup.position.copy(position);
 
@@ -1977,7 +2972,7 @@ function createHitSpark(position, asteroid) {
         const chunkSize = 0.15 + Math.random() * 0.2;
         const chunkGeo = new THREE.TetrahedronGeometry(chunkSize);
         const chunkMat = new THREE.MeshBasicMaterial({
-            color: 0x6b5b4d,
+            color: asteroid ? ASTEROID_TYPES[asteroid.userData.type].look.color : 0x6b5b4d,
             transparent: true,
             opacity: 1
         });
@@ -2010,7 +3005,9 @@ function createHitSpark(position, asteroid) {
     // Visual damage to asteroid - make it glow/flash red briefly
     if (asteroid && asteroid.children[0]) {
         const mesh = asteroid.children[0];
-        const originalColor = mesh.material.color.getHex();
+        // Put back the type's own glow afterwards (ice and explosives have one)
+        const { look } = ASTEROID_TYPES[asteroid.userData.type];
+        mesh.userData.baseEmissiveIntensity ??= mesh.material.emissiveIntensity; // Before any hit changed it
         mesh.material.emissive = new THREE.Color(0xff4400);
         mesh.material.emissiveIntensity = 0.8;
 
@@ -2024,7 +3021,8 @@ function createHitSpark(position, asteroid) {
         // Reset after brief moment
         setTimeout(() => {
             if (mesh.material) {
-                mesh.material.emissiveIntensity = 0;
+                mesh.material.emissive.setHex(look.emissive ?? look.glowColor ?? 0x000000);
+                mesh.material.emissiveIntensity = mesh.userData.baseEmissiveIntensity;
             }
         }, 150);
     }
@@ -2062,91 +3060,35 @@ function flashScreen() {
     }, 50);
 }
 
-// Spawn an angel asteroid (glowing, heals Earth when destroyed)
-function spawnAngelAsteroid() {
-    const angelGroup = new THREE.Group();
-
-    // Angel asteroids are medium-sized, glowing white/gold
-    const size = 1.2;
-
-    // Create crystalline geometry
-    const crystalGeo = new THREE.OctahedronGeometry(size, 0);
-
-    // Glowing ethereal material
-    const angelMat = new THREE.MeshStandardMaterial({
-        color: 0xffffff,
-        metalness: 0.3,
-        roughness: 0.2,
-        emissive: 0x88ffaa,
-        emissiveIntensity: 0.8
-    });
-    const crystal = new THREE.Mesh(crystalGeo, angelMat);
-    angelGroup.add(crystal);
-
-    // Add golden inner glow
-    const innerGlow = new THREE.Mesh(
-        new THREE.OctahedronGeometry(size * 0.7, 0),
-        new THREE.MeshBasicMaterial({
-            color: 0xffdd88,
-            transparent: true,
-            opacity: 0.6
-        })
-    );
-    angelGroup.add(innerGlow);
-
-    // Outer halo
-    const haloGeo = new THREE.RingGeometry(size * 1.2, size * 1.8, 32);
-    const haloMat = new THREE.MeshBasicMaterial({
-        color: 0x88ffaa,
-        transparent: true,
-        opacity: 0.4,
-        side: THREE.DoubleSide
-    });
-    const halo = new THREE.Mesh(haloGeo, haloMat);
-    halo.rotation.x = Math.PI / 2;
-    angelGroup.add(halo);
-
-    // Point light for glow effect
-    const angelLight = new THREE.PointLight(0x88ffaa, 2, 20);
-    angelGroup.add(angelLight);
-
-    // Spawn position: random point in the sky
-    const spawnDistance = ASTEROID_SPAWN_MIN_DISTANCE + Math.random() * 30;
-    const spawnTheta = Math.random() * Math.PI * 2;
-    const spawnPhi = Math.acos(2 * Math.random() - 1);
-
-    angelGroup.position.set(
-        spawnDistance * Math.sin(spawnPhi) * Math.cos(spawnTheta),
-        spawnDistance * Math.sin(spawnPhi) * Math.sin(spawnTheta),
-        spawnDistance * Math.cos(spawnPhi)
-    );
-
-    // Slower movement than regular asteroids
-    const speed = getAsteroidSpeed() * 0.5;
-    const direction = angelGroup.position.clone().negate().normalize();
-
-    angelGroup.userData = {
-        health: 1, // One hit to collect
-        maxHealth: 1,
-        size: size,
-        velocity: direction.multiplyScalar(speed),
-        rotationSpeed: new THREE.Vector3(0.5, 1, 0.3),
-        isAngel: true,
-        createdAt: Date.now()
-    };
-
-    scene.add(angelGroup);
-    asteroids.push(angelGroup);
+// Red screen flash when an enemy shot hits the player's ship
+function flashShipHit() {
+    let flashOverlay = document.getElementById('shipHitFlash');
+    if (!flashOverlay) {
+        flashOverlay = document.createElement('div');
+        flashOverlay.id = 'shipHitFlash';
+        flashOverlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: radial-gradient(ellipse at center, rgba(255, 0, 0, 0) 40%, rgba(255, 0, 0, 0.45) 100%);
+            pointer-events: none;
+            z-index: 9999;
+            opacity: 0;
+            transition: opacity 0.2s;
+        `;
+        document.body.appendChild(flashOverlay);
+    }
 
-    // Show notification
-    showNotification('+HEALTH INCOMING!', '#88ffaa');
+    flashOverlay.style.opacity = '1';
+    setTimeout(() => {
+        flashOverlay.style.opacity = '0';
+    }, 150);
 }
 
 // Special explosion for angel asteroid
 function createAngelExplosion(position) {
-    // Play explosion sound (medium size)
-    SoundManager.playExplosion(1.5);
-
     const explosionGroup = new THREE.Group();
     explosionGroup.position.copy(position);
 
@@ -2308,6 +3250,64 @@ function updateMoonHealthDisplay() {
     }
 }
 
+function updateShipHealthDisplay() {
+    const shipHealthBar = document.getElementById('shipHealthBar');
+    const shipHealthText = document.getElementById('shipHealthText');
+    if (shipHealthBar) {
+        const pct = (shipHealth / MAX_SHIP_HEALTH) * 100;
+        shipHealthBar.style.width = pct + '%';
+        shipHealthBar.style.background = pct > 50 ? '#ffcc44' : pct > 25 ? '#ffaa00' : '#ff4444';
+    }
+    if (shipHealthText) {
+        shipHealthText.textContent = Math.max(0, shipHealth);
+    }
+}
+
+// Boss health bar across the top of the screen, shown while the level's boss is alive:
+// its name and phase, the core's health and what's left of the shielding weak points
+function updateBossDisplay() {
+    const boss = simulation.state.boss;
+    let bossBar = document.getElementById('bossBar');
+    if (!boss) {
+        bossBar?.remove();
+        return;
+    }
+
+    if (!bossBar) {
+        bossBar = document.createElement('div');
+        bossBar.id = 'bossBar';
+        bossBar.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: min(480px, 70vw);
+            font-family: 'Courier New', monospace;
+            color: #ffffff;
+            text-align: center;
+            z-index: 9000;
+            pointer-events: none;
+        `;
+        bossBar.innerHTML = `
+            <div id="bossName" style="font-size: 14px; font-weight: bold; letter-spacing: 3px; text-shadow: 0 0 10px #ff0000;"></div>
+            <div style="width: 100%; height: 12px; margin-top: 4px; background: rgba(0, 0, 0, 0.6); border: 1px solid #ff4444; border-radius: 6px; overflow: hidden;">
+                <div id="bossHealthBar" style="width: 100%; height: 100%; background: linear-gradient(90deg, #aa0000, #ff4444); transition: width 0.2s;"></div>
+            </div>
+            <div style="width: 100%; height: 5px; margin-top: 3px; background: rgba(0, 0, 0, 0.6); border-radius: 3px; overflow: hidden;">
+                <div id="bossShieldBar" style="width: 100%; height: 100%; background: #44ddff; transition: width 0.2s;"></div>
+            </div>
+        `;
+        document.body.appendChild(bossBar);
+    }
+
+    const { name, phases, weakPoints } = BOSSES[boss.type];
+    const shieldLeft = boss.parts.reduce((sum, part) => sum + part.health, 0);
+    const shieldTotal = weakPoints.length * (boss.parts[0]?.maxHealth ?? 1);
+    document.getElementById('bossName').textContent = `${name.toUpperCase()} · ${phases[boss.phase].name.toUpperCase()}`;
+    document.getElementById('bossHealthBar').style.width = (boss.health / boss.maxHealth) * 100 + '%';
+    document.getElementById('bossShieldBar').style.width = (shieldLeft / shieldTotal) * 100 + '%';
+}
+
 // Update score display
 function updateScoreDisplay() {
     const scoreEl = document.getElementById('scoreValue');
@@ -2405,6 +3405,17 @@ if (!document.getElementById('score-popup-styles')) {
     document.head.appendChild(style);
 }
 
+// Flash the time attack clock green when a kill adds time to it
+let timeBonusTimeout = null;
+function showTimeBonus() {
+    const timerEl = _domCache.get('gameTimer');
+    if (!timerEl) return;
+
+    timerEl.style.color = '#44ff88';
+    clearTimeout(timeBonusTimeout);
+    timeBonusTimeout = setTimeout(() => { timerEl.style.color = '#44aaff'; }, 500);
+}
+
 // Update level display
 function updateLevelDisplay() {
     const levelEl = document.getElementById('levelValue');
@@ -2413,8 +3424,15 @@ function updateLevelDisplay() {
     }
 }
 
-// Show game over screen
-function showGameOver() {
+// Show game over screen. `reason` is 'destroyed' or, in time attack, 'timeUp'.
+// Game over screen heading and message for each way a game can end
+const GAME_OVER_TEXT = {
+    destroyed: { title: 'GAME OVER', message: () => 'Earth has been destroyed' },
+    shipDestroyed: { title: 'SHIP DESTROYED', message: () => 'Your ship was shot down' },
+    timeUp: { title: 'TIME\'S UP', message: () => `${asteroidsDestroyed} asteroids destroyed` }
+};
+
+function showGameOver(reason) {
     clearSavedGame(); // Clear save on game over
     // Check leaderboard qualification before showing game over
     setTimeout(() => checkLeaderboardQualification(), 500);
@@ -2436,10 +3454,11 @@ function showGameOver() {
         font-family: 'Courier New', monospace;
     `;
     overlay.innerHTML = `
-        <div style="color: #ff4444; font-size: 48px; font-weight: bold; text-shadow: 0 0 20px #ff0000;">GAME OVER</div>
-        <div style="color: #ffffff; font-size: 24px; margin-top: 20px;">Earth has been destroyed</div>
+        <div style="color: #ff4444; font-size: 48px; font-weight: bold; text-shadow: 0 0 20px #ff0000;">${GAME_OVER_TEXT[reason].title}</div>
+        <div style="color: #ffffff; font-size: 24px; margin-top: 20px;">${GAME_OVER_TEXT[reason].message()}</div>
         <div style="color: #44ff88; font-size: 20px; margin-top: 10px;">Final Score: ${score}</div>
         <div style="color: #aaaaaa; font-size: 14px; margin-top: 5px;">Time: ${formatTime(gameElapsedTime)}</div>
+        <div id="finalPlacement" style="display: none; color: #ff44ff; font-size: 16px; margin-top: 10px;"></div>
         <button id="restartBtn" style="
             margin-top: 30px;
             padding: 15px 40px;
@@ -2464,7 +3483,6 @@ function showGameOver() {
 // Show victory screen (won the game!)
 function showVictoryScreen() {
     gameActive = false;
-    SoundManager.playVictory();
 
     // Check leaderboard qualification
     setTimeout(() => checkLeaderboardQualification(), 500);
@@ -2491,6 +3509,7 @@ function showVictoryScreen() {
         <div style="color: #ffff44; font-size: 24px; margin-top: 30px;">All 10 levels completed</div>
         <div style="color: #44ff88; font-size: 28px; margin-top: 15px;">Final Score: ${score}</div>
         <div style="color: #aaaaaa; font-size: 18px; margin-top: 10px;">Time: ${formatTime(gameElapsedTime)} | Kills: ${asteroidsDestroyed}</div>
+        <div id="finalPlacement" style="display: none; color: #ff44ff; font-size: 20px; margin-top: 10px;"></div>
         <button id="playAgainBtn" style="
             margin-top: 40px;
             padding: 20px 50px;
@@ -2516,36 +3535,31 @@ function showVictoryScreen() {
 // Restart game
 function restartGame() {
     clearSavedGame(); // Clear any saved game state
+    recordStats(stats => stats.gamesPlayed++);
+    achievements.startGame();
     gamePaused = false; // Reset pause state
-    // Reset state
-    earthHealth = maxEarthHealth;
-    moonHealth = maxMoonHealth;
-    score = 0;
-    gameLevel = 1;
-    asteroidsDestroyed = 0;
+    // Fresh simulation with a new seed
+    resetSimulation();
     gameActive = true;
 
     // Reset timer and leaderboard
     gameStartTime = Date.now();
     gameElapsedTime = 0;
     leaderboardChecked = false;
+    startGameSession();
 
     // Reset touch hints for new game
     touchHintsShownThisSession = false;
     updateTouchHintsOverlay();
 
-    // Clear all asteroids
-    asteroids.forEach(a => scene.remove(a));
-    asteroids.length = 0;
-    // Clear occlusion state to prevent memory leak
-    window._asteroidOcclusionState?.clear();
-
     // Start level 1
-    startLevel(1);
+    showLevelStart(1);
 
     // Update displays
     updateHealthDisplay();
     updateMoonHealthDisplay();
+    updateShipHealthDisplay();
+    updateBossDisplay();
     updateScoreDisplay();
     updateAmmoDisplay();
     updateKillCountDisplay();
@@ -2602,34 +3616,10 @@ function showLevelUpNotification(level) {
     }, 2000);
 }
 
-// Start a new level
-function startLevel(level, isRetry = false) {
-    gameLevel = level;
-
-    // Save score before level (only if not a retry)
-    if (!isRetry) {
-        scoreBeforeLevel = score;
-    }
+// A level has started in the simulation - its asteroids are already spawned
+function showLevelStart(level) {
     levelFailedShown = false;
 
-    // Level number = number of asteroids to destroy
-    levelAsteroidsTotal = level;
-    levelAsteroidsRemaining = level;
-
-    // Reload ammo for new level (40 per asteroid)
-    laserAmmo = AMMO_PER_ASTEROID * level;
-
-    // Clear any existing asteroids
-    asteroids.forEach(a => scene.remove(a));
-    asteroids.length = 0;
-    // Clear occlusion state to prevent memory leak
-    window._asteroidOcclusionState?.clear();
-
-    // Spawn all asteroids for this level at once
-    for (let i = 0; i < level; i++) {
-        createAsteroid();
-    }
-
     updateLevelDisplay();
     updateAmmoDisplay();
 
@@ -2641,26 +3631,9 @@ function startLevel(level, isRetry = false) {
     console.log(`Level ${level} started - Destroy ${level} asteroids!`);
 }
 
-// Check if level is complete
-function checkLevelComplete() {
-    if (levelAsteroidsRemaining <= 0 && gameActive) {
-        if (gameLevel >= 10) {
-            // Won the game!
-            clearSavedGame(); // Clear save on victory
-            showVictoryScreen();
-        } else {
-            // Advance to next level
-            saveGameState(); // Save progress on level completion
-            setTimeout(() => {
-                startLevel(gameLevel + 1);
-            }, 1500); // Brief pause before next level
-        }
-    }
-}
-
-// Check if level failed (no asteroids left but level not complete)
+// Level failed in the simulation (no asteroids left but level not complete)
 function checkLevelFailed() {
-    if (asteroids.length === 0 && levelAsteroidsRemaining > 0 && gameActive && !levelFailedShown) {
+    if (!levelFailedShown) {
         levelFailedShown = true;
         gameActive = false;
         showLevelFailedDialog();
@@ -2735,22 +3708,17 @@ function showLevelFailedDialog() {
     `;
     document.body.appendChild(overlay);
 
+    // The simulation applies these on the next tick
     document.getElementById('retryLevelBtn').addEventListener('click', () => {
         overlay.remove();
-        score = scoreBeforeLevel;
-        updateScoreDisplay();
+        simulation.queue(['R']);
         gameActive = true;
-        startLevel(gameLevel, true);
     });
 
     document.getElementById('continueLevelBtn').addEventListener('click', () => {
         overlay.remove();
+        simulation.queue(['C']);
         gameActive = true;
-        if (gameLevel >= 10) {
-            showVictoryScreen();
-        } else {
-            startLevel(gameLevel + 1);
-        }
     });
 }
 
@@ -2925,22 +3893,29 @@ function updateTargetingHUD() {
         reticle.style.borderRadius = '50%';
         // Ensure transparent background and circular ring
         reticle.style.background = 'transparent';
-        reticle.style.border = `2px solid ${isAligned ? '#ff4444' : '#44aaff'}`;
-        reticle.style.boxShadow = `0 0 10px ${isAligned ? '#ff4444' : '#44aaff'}`;
+        // Red when lined up, otherwise the asteroid type's color
+        const reticleColor = isAligned ? '#ff4444' : ASTEROID_TYPES[asteroid.userData.type].hudColor;
+        reticle.style.border = `2px solid ${reticleColor}`;
+        reticle.style.boxShadow = `0 0 10px ${reticleColor}`;
 
         // Position labels above the reticle so they don't cover the crosshair.
         const etaEl = reticle.querySelector('.hudETA');
         const distEl = reticle.querySelector('.hudDist');
-        // Distance-to-impact (distance from asteroid to Earth's surface)
-        const impactDistance = Math.max(0, asteroid.position.length() - EARTH_RADIUS);
-        // Estimate time to impact in seconds using asteroid velocity magnitude
+        // Distance-to-impact (distance from asteroid to the surface of the body it's headed for)
+        const { trajectory } = asteroid.userData;
+        const impactDistance = trajectory === 'moon'
+            ? Math.max(0, asteroid.position.distanceTo(moon.position) - MOON_RADIUS)
+            : Math.max(0, asteroid.position.length() - EARTH_RADIUS);
+        // Estimate time to impact in seconds using asteroid velocity magnitude - a straight-line
+        // guess, so curving asteroids get there sooner or later than it says
         const speed = (asteroid.userData && asteroid.userData.velocity) ? asteroid.userData.velocity.length() : 0;
         const eta = speed > 0 ? (impactDistance / speed) : NaN;
+        const inOrbit = trajectory === 'orbit' && asteroid.position.length() <= ORBIT_CAPTURE_RADIUS;
         if (distEl) {
-            distEl.textContent = `${Math.round(impactDistance)}m`;
+            distEl.textContent = `${Math.round(impactDistance)}m${trajectory === 'moon' ? ' ☾' : ''}`;
         }
         if (etaEl) {
-            etaEl.textContent = isFinite(eta) ? `${eta.toFixed(1)}s` : '';
+            etaEl.textContent = inOrbit ? 'ORBIT' : isFinite(eta) ? `${eta.toFixed(1)}s` : '';
         }
         // Dynamically offset labels above the reticle based on its size
         try {
@@ -2971,7 +3946,7 @@ function updateTargetingHUD() {
 
         // Color crosshair parts
         const chEls = reticle.querySelectorAll('.hud-ch-v, .hud-ch-v2, .hud-ch-h, .hud-ch-h2');
-        chEls.forEach(el => el.style.background = isAligned ? '#ff4444' : '#44aaff');
+        chEls.forEach(el => el.style.background = reticleColor);
 
         used++;
     });
@@ -3296,93 +4271,9 @@ function fireLasers() {
     // Check ammo and game state FIRST - fast exit
     if (laserAmmo <= 0 || !gameActive) return;
 
-    // Get ship's forward direction IMMEDIATELY (negative Z in local space)
-    const shipDirection = new THREE.Vector3(0, 0, -1);
-    shipDirection.applyQuaternion(spaceShip.quaternion);
-
-    // Calculate aim direction (start with ship direction, will be modified by aim assist)
-    let aimDirection = shipDirection;
-
-    // DEFERRED: Aim assist runs async to not block laser creation
-    let bestTarget = null;
-    const asteroidCount = asteroids.length;
-    if (asteroidCount > 0 && asteroidCount <= 20) {
-        // Only do aim assist for reasonable asteroid counts
-        let bestAlignment = 0.95;
-        for (let i = 0; i < asteroidCount; i++) {
-            const asteroid = asteroids[i];
-            const toAsteroid = asteroid.position.clone().sub(spaceShip.position).normalize();
-            const alignment = shipDirection.dot(toAsteroid);
-            if (alignment > bestAlignment) {
-                bestAlignment = alignment;
-                bestTarget = asteroid;
-            }
-        }
-
-        // If we have a good target, lead the shot
-        if (bestTarget) {
-            const distance = bestTarget.position.distanceTo(spaceShip.position);
-            const timeToHit = distance / LASER_SPEED;
-
-            // Predict where the asteroid will be
-            const predictedPos = bestTarget.position.clone().add(
-                bestTarget.userData.velocity.clone().multiplyScalar(timeToHit)
-            );
-
-            // Aim at the predicted position
-            aimDirection = predictedPos.sub(spaceShip.position).normalize();
-
-            // Blend with original direction for subtle assist (80% assist, 20% player aim)
-            aimDirection.lerp(shipDirection, 0.2).normalize();
-        }
-    }
-
-    // CREATE LASERS IMMEDIATELY - no delay (2 cannons: left and right)
-    for (let i = 0; i < 2; i++) {
-        const offset = i === 0 ? { x: -0.9, y: -0.15 } : { x: 0.9, y: -0.15 };
-
-        // Create laser bolt
-        const bolt = new THREE.Group();
-
-        // Core (bright red)
-        const core = new THREE.Mesh(laserGeo, laserMat);
-        core.rotation.x = Math.PI / 2;
-        bolt.add(core);
-
-        // Glow layer
-        const glow = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.04, 0.04, 0.9, 8),
-            laserGlowMat
-        );
-        glow.rotation.x = Math.PI / 2;
-        bolt.add(glow);
-
-        // Point light for illumination
-        const light = new THREE.PointLight(0xff3300, 0.8, 2);
-        bolt.add(light);
-
-        // Position at cannon tip in world space
-        const localPos = new THREE.Vector3(offset.x, offset.y, -3.5);
-        localPos.applyQuaternion(spaceShip.quaternion);
-        bolt.position.copy(spaceShip.position).add(localPos);
-
-        // Store velocity and distance traveled (use aim-assisted direction)
-        bolt.userData.velocity = aimDirection.clone().multiplyScalar(LASER_SPEED);
-        bolt.userData.distanceTraveled = 0;
-
-        // Orient bolt in direction of travel
-        bolt.lookAt(bolt.position.clone().add(aimDirection));
-
-        scene.add(bolt);
-        laserBolts.push(bolt);
-    }
-
-    // Decrement ammo AFTER laser creation
-    laserAmmo--;
-
-    // Play sound and update display AFTER laser is visible (non-blocking)
-    SoundManager.playLaser();
-    updateAmmoDisplay();
+    // The simulation fires along the ship's current orientation on the next tick
+    // (aim assist and bolt creation happen there, so replays reproduce every shot)
+    simulation.queue(['F', ...quantizeQuaternion(spaceShip.quaternion)]);
 }
 
 // Spacebar listener for firing
@@ -3402,18 +4293,16 @@ window.addEventListener('keydown', (e) => {
 });
 
 // === ORBIT PARAMETERS ===
-let shipOrbitRadius = 7;
-let orbitPerigee = 7;  // Closest point (can be adjusted)
-let orbitApogee = 7;   // Farthest point (same as perigee = circular)
+let shipOrbitRadius = SHIP_ORBIT_RADIUS;
 let orbitInclination = 0; // Degrees of orbital tilt
 
 // Control mode: 'camera' or 'ship'
 let controlMode = 'ship'; // Start in ship mode for gameplay
-const orbitY = 1.5;
+const orbitY = SHIP_ORBIT_Y;
 
 // Ship starts already partway through entry for immediate action
 let shipPhase = 'orbit'; // Start directly in orbit for smooth experience
-let orbitAngle = Math.PI * 1.5; // Starting angle
+let orbitAngle = SHIP_START_ANGLE; // Starting angle (the simulation advances it)
 
 // Ship orientation (quaternion-based for gimbal-lock-free rotation)
 let shipOrientationQuat = new THREE.Quaternion();  // Cumulative rotation offset from base orientation
@@ -3502,7 +4391,6 @@ function computeAimQuaternion(ndcX, ndcY) {
  * Start aiming - called on pointerdown/touchstart in ship mode
  */
 function startAiming() {
-    aimActive = true;
     // Start delta from current position - no jump
     prevDragNDC.set(aimNDC.x, aimNDC.y);
 }
@@ -4198,10 +5086,43 @@ function createHamburgerMenuAndSettings(updateModeToggle) {
         <div style="color: #fff; font-family: monospace; font-size: 12px; flex: 1;">Pause</div>
     `;
 
-    const pauseBtn = document.createElement('button');
-    pauseBtn.id = 'pauseBtn';
-    pauseBtn.textContent = 'PAUSE';
-    pauseBtn.style.cssText = `
+    const pauseBtn = document.createElement('button');
+    pauseBtn.id = 'pauseBtn';
+    pauseBtn.textContent = 'PAUSE';
+    pauseBtn.style.cssText = `
+        padding: 8px 16px;
+        border: 2px solid #44aaff;
+        border-radius: 6px;
+        background: rgba(68, 170, 255, 0.2);
+        color: #44aaff;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+        font-size: 12px;
+        font-weight: bold;
+        transition: all 0.2s;
+        min-width: 60px;
+    `;
+
+    pauseBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        togglePause();
+    });
+
+    pauseSetting.appendChild(pauseBtn);
+    settingsPanel.appendChild(pauseSetting);
+
+    // Stats screen
+    const statsSetting = document.createElement('div');
+    statsSetting.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 8px 0; border-top: 1px solid #444;';
+    statsSetting.innerHTML = `
+        <div style="font-size: 16px; width: 24px; text-align: center;">📊</div>
+        <div style="color: #fff; font-family: monospace; font-size: 12px; flex: 1;">Stats</div>
+    `;
+
+    const statsBtn = document.createElement('button');
+    statsBtn.textContent = 'VIEW';
+    statsBtn.style.cssText = `
         padding: 8px 16px;
         border: 2px solid #44aaff;
         border-radius: 6px;
@@ -4215,14 +5136,108 @@ function createHamburgerMenuAndSettings(updateModeToggle) {
         min-width: 60px;
     `;
 
-    pauseBtn.addEventListener('click', (e) => {
+    statsBtn.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        togglePause();
+        showStatsScreen();
     });
 
-    pauseSetting.appendChild(pauseBtn);
-    settingsPanel.appendChild(pauseSetting);
+    statsSetting.appendChild(statsBtn);
+    settingsPanel.appendChild(statsSetting);
+
+    // Account - sign in / register, or who's signed in
+    const accountSetting = document.createElement('div');
+    accountSetting.style.cssText = 'display: flex; flex-direction: column; gap: 6px; padding: 8px 0; border-top: 1px solid #444;';
+
+    const accountFieldStyle = `
+        padding: 6px 8px;
+        border: 1px solid #44aaff;
+        border-radius: 6px;
+        background: rgba(0, 0, 0, 0.5);
+        color: #fff;
+        font-family: 'Courier New', monospace;
+        font-size: 12px;
+        outline: none;
+    `;
+    const accountButtonStyle = `
+        flex: 1;
+        padding: 8px 10px;
+        border: 2px solid #44aaff;
+        border-radius: 6px;
+        background: rgba(68, 170, 255, 0.2);
+        color: #44aaff;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+        font-size: 12px;
+        font-weight: bold;
+    `;
+
+    function updateAccountSetting() {
+        accountSetting.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <div style="font-size: 16px; width: 24px; text-align: center;">👤</div>
+                <div style="color: #fff; font-family: monospace; font-size: 12px; flex: 1;">
+                    ${playerAccount ? `Signed in as <span style="color: #44ff88;">${playerAccount.user.username}</span>` : 'Account'}
+                </div>
+            </div>
+        `;
+
+        if (playerAccount) {
+            const signOutBtn = document.createElement('button');
+            signOutBtn.textContent = 'SIGN OUT';
+            signOutBtn.style.cssText = accountButtonStyle;
+            signOutBtn.addEventListener('click', () => signOut());
+            accountSetting.appendChild(signOutBtn);
+            return;
+        }
+
+        const usernameInput = document.createElement('input');
+        usernameInput.type = 'text';
+        usernameInput.maxLength = 20;
+        usernameInput.placeholder = 'Username';
+        usernameInput.autocomplete = 'username';
+        usernameInput.style.cssText = accountFieldStyle;
+
+        const passwordInput = document.createElement('input');
+        passwordInput.type = 'password';
+        passwordInput.placeholder = 'Password (8+ characters)';
+        passwordInput.autocomplete = 'current-password';
+        passwordInput.style.cssText = accountFieldStyle;
+
+        const errorLine = document.createElement('div');
+        errorLine.style.cssText = 'color: #ff6666; font-family: monospace; font-size: 11px; display: none;';
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 6px;';
+        for (const [action, label] of [['login', 'SIGN IN'], ['register', 'REGISTER']]) {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = accountButtonStyle;
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                const result = await signIn(action, usernameInput.value.trim(), passwordInput.value);
+                btn.disabled = false;
+                if (result.success) {
+                    showNotification(`Signed in as ${result.user.username}`, '#44ff88');
+                } else {
+                    errorLine.textContent = result.error || 'Sign in failed';
+                    errorLine.style.display = 'block';
+                }
+            });
+            buttons.appendChild(btn);
+        }
+
+        // Keys typed here shouldn't steer the ship
+        for (const input of [usernameInput, passwordInput]) {
+            input.addEventListener('keydown', (e) => e.stopPropagation());
+        }
+
+        accountSetting.append(usernameInput, passwordInput, errorLine, buttons);
+    }
+
+    updateAccountSettings = updateAccountSetting;
+    settingsPanel.appendChild(accountSetting);
+    updateAccountSetting();
 
     // Quit button in menu
     const quitSetting = document.createElement('div');
@@ -4292,6 +5307,11 @@ function createHamburgerMenuAndSettings(updateModeToggle) {
     document.body.appendChild(hamburgerBtn);
 }
 
+// Orbits affect scoring and collisions, so speed changes go through the simulation
+function queueOrbitSettings() {
+    simulation.queue(['O', shipOrbitSpeed, shipOrbitDirection, moonOrbitSpeed, moonOrbitDirection]);
+}
+
 function addOrbitControlsToSettings(settingsPanel) {
     // Planet rotation
     const planetSetting = document.createElement('div');
@@ -4345,6 +5365,7 @@ function addOrbitControlsToSettings(settingsPanel) {
         const val = parseInt(e.target.value);
         moonOrbitSpeed = Math.abs(val) / 200;
         moonOrbitDirection = val >= 0 ? 1 : -1;
+        queueOrbitSettings();
         const dir = val === 0 ? 'STOP' : (val > 0 ? 'CW' : 'CCW');
         moonValue.textContent = `${dir} ${moonOrbitSpeed.toFixed(2)}`;
     });
@@ -4373,9 +5394,23 @@ function addOrbitControlsToSettings(settingsPanel) {
         const val = parseInt(e.target.value);
         shipOrbitSpeed = Math.abs(val) / 200;
         shipOrbitDirection = val >= 0 ? 1 : -1;
+        queueOrbitSettings();
         const dir = val === 0 ? 'STOP' : (val > 0 ? 'CW' : 'CCW');
         shipOrbitValue.textContent = `${dir} ${shipOrbitSpeed.toFixed(2)}`;
     });
+
+    // Show the speeds a restored game brought with it
+    updateOrbitControls = () => {
+        const controls = [
+            [moonSlider, moonValue, moonOrbitSpeed, moonOrbitDirection],
+            [shipOrbitSlider, shipOrbitValue, shipOrbitSpeed, shipOrbitDirection]
+        ];
+        for (const [slider, label, speed, direction] of controls) {
+            slider.value = String(Math.round(speed * 200 * direction));
+            const dir = speed === 0 ? 'STOP' : (direction > 0 ? 'CW' : 'CCW');
+            label.textContent = `${dir} ${speed.toFixed(2)}`;
+        }
+    };
 }
 
 function createTouchHintsOverlay() {
@@ -4661,6 +5696,18 @@ function createDashboardContent(dashboardContent) {
     `;
     dashboardContent.appendChild(moonHealthDiv);
 
+    // Ship hull bar
+    const shipHealthDiv = document.createElement('div');
+    shipHealthDiv.style.marginTop = '6px';
+    shipHealthDiv.innerHTML = `
+        <div style="font-size: 8px; letter-spacing: 1px; opacity: 0.6; margin-bottom: 3px;">SHIP HULL</div>
+        <div style="width: 100%; height: 14px; background: rgba(0, 0, 0, 0.5); border-radius: 7px; overflow: hidden; border: 1px solid #ffcc44;">
+            <div id="shipHealthBar" style="width: 100%; height: 100%; background: #ffcc44; transition: width 0.3s, background 0.3s;"></div>
+        </div>
+        <div id="shipHealthText" style="font-size: 11px; text-align: center; margin-top: 2px; color: #ffcc44;">100</div>
+    `;
+    dashboardContent.appendChild(shipHealthDiv);
+
     // Stats
     const statsRow = document.createElement('div');
     statsRow.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr 1fr 1fr 1fr 1fr; gap: 3px; padding-top: 6px; border-top: 1px solid rgba(68, 170, 255, 0.3); font-size: 9px;';
@@ -5420,6 +6467,11 @@ window.addEventListener('keyup', (e) => {
     keys.ctrl = e.ctrlKey || e.metaKey;
 });
 
+// Keep stats counted so far if the tab is hidden or closed mid-game
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushStats();
+});
+
 // Handle resize
 window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -5429,6 +6481,361 @@ window.addEventListener('resize', () => {
     if (composer) composer.setSize(window.innerWidth, window.innerHeight);
 });
 
+// === SIMULATION BRIDGE ===
+// Start a fresh simulation and replay log with a new seed, in the chosen mode
+function resetSimulation() {
+    simulation = new Simulation(createSeed(), { mode: gameMode });
+    queueOrbitSettings(); // Keep any speeds already changed in settings
+    syncGameStateFromSimulation();
+    clearWorldMeshes();
+    syncWorldFromSimulation(0);
+}
+
+// Run the fixed ticks this frame covers, then react to what happened in them
+function stepSimulation(delta) {
+    if (!gameActive) return;
+    const events = simulation.step(delta);
+    syncGameStateFromSimulation();
+    recordStats(stats => {
+        stats.timePlayed += Math.min(delta, MAX_STEP_SECONDS);
+    });
+    publishSimulationEvents(gameEvents, events);
+}
+
+// Mirror the simulation's counters into the globals the HUD reads
+function syncGameStateFromSimulation() {
+    const { state } = simulation;
+    gameLevel = state.level;
+    score = state.score;
+    scoreBeforeLevel = state.scoreBeforeLevel;
+    earthHealth = state.earthHealth;
+    moonHealth = state.moonHealth;
+    shipHealth = state.shipHealth;
+    laserAmmo = state.ammo;
+    asteroidsDestroyed = state.kills;
+    levelAsteroidsRemaining = state.levelAsteroidsRemaining;
+    levelAsteroidsTotal = state.levelAsteroidsTotal;
+}
+
+// Take the orbit settings and ship orbit from the simulation, e.g. after restoring a save
+function syncOrbitsFromSimulation() {
+    const { ship, moon } = simulation.state;
+    shipOrbitSpeed = ship.speed;
+    shipOrbitDirection = ship.direction;
+    moonOrbitSpeed = moon.speed;
+    moonOrbitDirection = moon.direction;
+    orbitAngle = ship.angle;
+    orbitInclination = ship.inclination;
+    updateOrbitControls();
+}
+
+// Drop every asteroid and bolt mesh. A new or restored simulation reuses ids, so
+// meshes left from the previous one would otherwise be matched to the wrong objects.
+function clearWorldMeshes() {
+    for (const asteroid of asteroidMeshes.values()) {
+        scene.remove(asteroid);
+        window._asteroidOcclusionState?.delete(asteroid.uuid);
+    }
+    asteroidMeshes.clear();
+    for (const bolt of boltMeshes.values()) {
+        returnLaserToPool(bolt);
+    }
+    boltMeshes.clear();
+    for (const mesh of [...enemyMeshes.values(), ...enemyBoltMeshes.values()]) {
+        scene.remove(mesh);
+    }
+    enemyMeshes.clear();
+    enemyBoltMeshes.clear();
+    if (bossMesh) {
+        scene.remove(bossMesh);
+        bossMesh = null;
+    }
+}
+
+// Create, move and remove meshes so they match the simulation's asteroids and bolts
+function syncWorldFromSimulation(delta) {
+    asteroids.length = 0;
+    const liveAsteroids = new Set();
+    for (const data of simulation.state.asteroids) {
+        let asteroid = asteroidMeshes.get(data.id);
+        if (!asteroid) {
+            asteroid = createAsteroid(data);
+            asteroidMeshes.set(data.id, asteroid);
+        }
+        asteroid.position.copy(data.position);
+        asteroid.userData.velocity.copy(data.velocity);
+        asteroid.userData.trajectory = data.trajectory; // Gravity asteroids that swing past turn direct
+        asteroid.userData.health = data.health;
+
+        // Rotate asteroid
+        const rotSpeed = asteroid.userData.rotationSpeed;
+        asteroid.rotation.x += rotSpeed.x * delta;
+        asteroid.rotation.y += rotSpeed.y * delta;
+        asteroid.rotation.z += rotSpeed.z * delta;
+
+        asteroids.push(asteroid);
+        liveAsteroids.add(data.id);
+    }
+    for (const [id, asteroid] of asteroidMeshes) {
+        if (!liveAsteroids.has(id)) {
+            scene.remove(asteroid);
+            asteroidMeshes.delete(id);
+            // Clean up occlusion state to prevent memory leak
+            window._asteroidOcclusionState?.delete(asteroid.uuid);
+        }
+    }
+
+    laserBolts.length = 0;
+    const liveBolts = new Set();
+    for (const data of simulation.state.bolts) {
+        let bolt = boltMeshes.get(data.id);
+        if (!bolt) {
+            bolt = getLaserFromPool();
+            bolt.position.copy(data.position);
+            // Orient bolt in direction of travel
+            bolt.lookAt(_tempVec1.copy(data.position).add(data.velocity));
+            scene.add(bolt);
+            boltMeshes.set(data.id, bolt);
+        }
+        bolt.position.copy(data.position);
+        laserBolts.push(bolt);
+        liveBolts.add(data.id);
+    }
+    for (const [id, bolt] of boltMeshes) {
+        if (!liveBolts.has(id)) {
+            returnLaserToPool(bolt);
+            boltMeshes.delete(id);
+        }
+    }
+
+    // Enemy fighters face the ship they're hunting
+    syncMeshes(enemyMeshes, simulation.state.enemies, createEnemyShip, (enemy) => enemy.lookAt(spaceShip.position));
+    syncMeshes(enemyBoltMeshes, simulation.state.enemyBolts, createEnemyBolt);
+    syncBoss(delta);
+}
+
+// Keep `meshes` (by simulation id) matching `objects`: create missing ones with `create`,
+// move them all, and remove any whose object is gone
+function syncMeshes(meshes, objects, create, update = () => {}) {
+    const live = new Set();
+    for (const data of objects) {
+        let mesh = meshes.get(data.id);
+        if (!mesh) {
+            mesh = create(data);
+            meshes.set(data.id, mesh);
+        }
+        mesh.position.copy(data.position);
+        update(mesh, data);
+        live.add(data.id);
+    }
+    for (const [id, mesh] of meshes) {
+        if (!live.has(id)) {
+            scene.remove(mesh);
+            meshes.delete(id);
+        }
+    }
+}
+
+function showHealthRestored(position) {
+    updateHealthDisplay();
+    updateMoonHealthDisplay();
+    createAngelExplosion(new THREE.Vector3().copy(position));
+}
+
+// === GAME EVENTS ===
+// Everything that happens in the simulation reaches the rest of the game through
+// this bus (see gameEvents.js). Subscribers run in the order below, so stats are
+// counted before achievements check them.
+const gameEvents = new GameEventBus();
+
+// Stats and achievements
+gameEvents.onAny(recordStatsEvent);
+gameEvents.onAny(checkAchievements);
+
+// Audio
+gameEvents.on('laserFired', () => SoundManager.playLaser());
+gameEvents.on('asteroidDestroyed', ({ asteroid }) => SoundManager.playExplosion(asteroid.size));
+gameEvents.on('angelDestroyed', () => SoundManager.playExplosion(1.5));
+gameEvents.on('angelImpact', () => SoundManager.playExplosion(1.5));
+gameEvents.on('enemyFired', () => SoundManager.playEnemyLaser());
+gameEvents.on('enemyDestroyed', () => SoundManager.playExplosion(1.5));
+gameEvents.on('shipHit', () => SoundManager.playExplosion(0.5));
+gameEvents.on('bossAppeared', ({ boss }) => SoundManager.playBossCue(BOSSES[boss.type].sounds.warning));
+gameEvents.on('bossAttack', ({ boss }) => SoundManager.playBossCue(BOSSES[boss.type].sounds.attack));
+gameEvents.on('bossHit', ({ shielded }) => shielded && SoundManager.playShieldHit());
+gameEvents.on('bossPartDestroyed', () => SoundManager.playExplosion(1.5));
+gameEvents.on('bossPhaseChanged', () => SoundManager.playBossPhase());
+gameEvents.on('bossDestroyed', () => SoundManager.playBossDestroyed());
+gameEvents.on('victory', () => SoundManager.playVictory());
+for (const type of ['earthHit', 'moonHit']) {
+    gameEvents.on(type, ({ cause, asteroid }) => SoundManager.playExplosion(cause === 'friendlyFire' ? 0.3 : asteroid.size));
+}
+
+// Level flow and persistence
+gameEvents.on('levelStarted', ({ level }) => showLevelStart(level));
+
+gameEvents.on('levelComplete', () => {
+    saveGameState(); // Save progress on level completion
+    flushStats();
+});
+
+gameEvents.on('levelFailed', () => checkLevelFailed());
+
+gameEvents.on('victory', () => {
+    clearSavedGame(); // Clear save on victory
+    flushStats();
+    showVictoryScreen();
+});
+
+gameEvents.on('gameOver', ({ reason }) => {
+    gameActive = false;
+    flushStats();
+    updateHealthDisplay();
+    updateMoonHealthDisplay();
+    showGameOver(reason);
+});
+
+// HUD
+gameEvents.on('laserFired', () => updateAmmoDisplay());
+
+gameEvents.on('asteroidDestroyed', ({ asteroid, points, multiplier }) => {
+    updateScoreDisplay();
+    updateMultiplierDisplay(multiplier);
+
+    // Show floating score popup for significant multipliers
+    if (multiplier >= 1.5) {
+        showScorePopup(points, multiplier, new THREE.Vector3().copy(asteroid.position));
+    }
+
+    updateAmmoDisplay();
+    updateKillCountDisplay();
+    if (simulation.state.timeLeft !== null) showTimeBonus();
+});
+
+for (const type of ['earthHit', 'moonHit']) {
+    gameEvents.on(type, () => {
+        updateHealthDisplay();
+        updateMoonHealthDisplay();
+    });
+}
+
+gameEvents.on('angelSpawned', () => showNotification('+HEALTH INCOMING!', '#88ffaa'));
+
+gameEvents.on('levelStarted', ({ level }) => {
+    updateShipHealthDisplay(); // Repaired for the new level
+    const { enemies } = simulation.state;
+    if (enemies.length > 0) {
+        showNotification(`⚠ ${enemies.length} ENEMY FIGHTER${enemies.length > 1 ? 'S' : ''} INBOUND`, '#ff4444');
+    }
+});
+
+gameEvents.on('enemyDestroyed', ({ enemy, points, multiplier }) => {
+    updateScoreDisplay();
+    updateMultiplierDisplay(multiplier);
+    showScorePopup(points, multiplier, new THREE.Vector3().copy(enemy.position));
+    updateAmmoDisplay();
+});
+
+gameEvents.on('shipHit', () => updateShipHealthDisplay());
+
+gameEvents.on('levelStarted', () => updateBossDisplay()); // A retry or the next level replaces the boss
+gameEvents.on('bossAppeared', ({ boss }) => {
+    showNotification(`⚠ ${BOSSES[boss.type].name.toUpperCase()} APPROACHING`, '#ff4444');
+    updateBossDisplay();
+});
+gameEvents.on('bossHit', () => updateBossDisplay());
+gameEvents.on('bossPhaseChanged', ({ boss, phase }) => {
+    showNotification(BOSSES[boss.type].phases[phase].name.toUpperCase() + '!', '#ffaa00');
+    updateBossDisplay();
+});
+
+gameEvents.on('bossPartDestroyed', ({ boss, part, points, multiplier }) => {
+    updateScoreDisplay();
+    updateMultiplierDisplay(multiplier);
+    showScorePopup(points, multiplier, new THREE.Vector3().copy(boss.position).add(part.offset));
+    updateBossDisplay();
+});
+
+gameEvents.on('bossDestroyed', ({ boss, points, multiplier }) => {
+    updateScoreDisplay();
+    updateMultiplierDisplay(multiplier);
+    showScorePopup(points, multiplier, new THREE.Vector3().copy(boss.position));
+    updateAmmoDisplay();
+    updateBossDisplay();
+    showNotification(`${BOSSES[boss.type].name.toUpperCase()} DESTROYED!`, '#ffdd44');
+});
+
+// Effects
+gameEvents.on('asteroidHit', ({ asteroid: data, position }) => {
+    const asteroid = asteroidMeshes.get(data.id);
+    if (!asteroid) return;
+
+    // Immediate visual feedback - flash the asteroid
+    const originalEmissive = asteroid.children[0].material.emissive.getHex();
+    asteroid.children[0].material.emissive.setHex(0xffff00); // Yellow flash
+    setTimeout(() => {
+        if (asteroid.parent) { // Check still exists
+            asteroid.children[0].material.emissive.setHex(originalEmissive);
+        }
+    }, 100);
+
+    // Dramatic hit effect with asteroid feedback
+    createHitSpark(new THREE.Vector3().copy(position), asteroid);
+});
+
+gameEvents.on('asteroidDestroyed', ({ asteroid }) => {
+    // Create explosion at asteroid position (size-based, bigger for explosives)
+    const { explosionScale = 1 } = ASTEROID_TYPES[asteroid.type].look;
+    createExplosion(new THREE.Vector3().copy(asteroid.position), asteroid.size * explosionScale);
+});
+
+gameEvents.on('asteroidSplit', ({ fragments }) => {
+    // A puff of debris where each fragment breaks away. The fragments themselves (and
+    // their reticles) appear with the next world sync like any other asteroid.
+    for (const fragment of fragments) {
+        createExplosion(new THREE.Vector3().copy(fragment.position), fragment.size * 0.5);
+    }
+});
+
+gameEvents.on('angelDestroyed', ({ asteroid }) => showHealthRestored(asteroid.position));
+
+gameEvents.on('enemyHit', ({ position }) => createHitSpark(new THREE.Vector3().copy(position), null));
+
+gameEvents.on('enemyDestroyed', ({ enemy }) => createExplosion(new THREE.Vector3().copy(enemy.position), 1.5));
+
+gameEvents.on('shipHit', ({ position }) => {
+    createExplosion(new THREE.Vector3().copy(position), 0.4);
+    flashShipHit();
+});
+
+gameEvents.on('bossHit', ({ position }) => createHitSpark(new THREE.Vector3().copy(position), null));
+
+gameEvents.on('bossPartDestroyed', ({ boss, part }) => {
+    createExplosion(new THREE.Vector3().copy(boss.position).add(part.offset), BOSSES[boss.type].weakPointSize * 1.5);
+});
+
+// One big blast at the core and one where each weak point was
+gameEvents.on('bossDestroyed', ({ boss }) => {
+    const { size, weakPoints } = BOSSES[boss.type];
+    createExplosion(new THREE.Vector3().copy(boss.position), size);
+    for (const offset of weakPoints) {
+        createExplosion(new THREE.Vector3().copy(boss.position).add(offset), size / 2);
+    }
+});
+
+gameEvents.on('angelImpact', ({ asteroid }) => {
+    // Angel hit Earth or Moon - restore health to both!
+    showHealthRestored(asteroid.position);
+    showNotification('+25 HEALTH (EARTH & MOON)!', '#88ffaa');
+});
+
+for (const type of ['earthHit', 'moonHit']) {
+    gameEvents.on(type, ({ cause, position, asteroid }) => {
+        // Explosion at the impact point - a small one for friendly fire
+        createExplosion(new THREE.Vector3().copy(position), cause === 'friendlyFire' ? 0.3 : asteroid.size);
+    });
+}
+
 // === ANIMATION LOOP ===
 function animate() {
     requestAnimationFrame(animate);
@@ -5520,30 +6927,14 @@ function animate() {
     clouds.rotation.x = EARTH_TILT;
     atmosphere.rotation.x = EARTH_TILT;
 
-    // Moon orbit around Earth with realistic 5.14° inclination
-    moonOrbitAngle += moonOrbitSpeed * moonOrbitDirection * delta;
-    // Slowly rotate the ascending node (in reality ~18.6 year cycle, sped up for demo)
-    moonAscendingNode += 0.01 * delta;
-
-    // Calculate moon position with inclined orbit
-    // Position in orbital plane (before inclination)
-    const moonX = Math.cos(moonOrbitAngle) * MOON_ORBIT_RADIUS;
-    const moonZ = Math.sin(moonOrbitAngle) * MOON_ORBIT_RADIUS;
+    // === FIXED-STEP SIMULATION ===
+    stepSimulation(delta);
 
-    // Apply orbital inclination (rotation around the line of nodes)
-    // The ascending node determines where the orbital plane intersects the ecliptic
-    const cosInc = Math.cos(MOON_ORBIT_INCLINATION);
-    const sinInc = Math.sin(MOON_ORBIT_INCLINATION);
-    const cosNode = Math.cos(moonAscendingNode);
-    const sinNode = Math.sin(moonAscendingNode);
-
-    // Rotate orbital position: first around Y (node), then tilt (inclination)
-    moon.position.x = moonX * cosNode - moonZ * sinNode * cosInc;
-    moon.position.z = moonX * sinNode + moonZ * cosNode * cosInc;
-    moon.position.y = moonZ * sinInc;
+    // Moon orbit around Earth with realistic 5.14° inclination (advanced by the simulation)
+    moon.position.copy(simulation.state.moon.position);
 
     // Moon rotation (tidally locked - same face always toward Earth)
-    moon.rotation.y = -moonOrbitAngle + Math.PI;
+    moon.rotation.y = -simulation.state.moon.angle + Math.PI;
 
     // Position moon light near the moon for visibility
     moonLight.position.copy(moon.position);
@@ -5563,7 +6954,7 @@ function animate() {
     const moonAngularPos = Math.acos(-sunMoonDot); // Angle from anti-sun direction
 
     // Determine eclipse intensity (0 = no eclipse, 1 = total eclipse)
-    let lunarEclipseIntensity = 0;
+    lunarEclipseIntensity = 0;
     if (sunMoonDot < -0.7) { // Moon is roughly behind Earth
         // Check vertical alignment (moon must be near ecliptic plane)
         const verticalOffset = Math.abs(moon.position.y);
@@ -5604,19 +6995,9 @@ function animate() {
     }
 
     // Ship orbital position (keeps orbiting Earth normally)
-orbitAngle -= shipOrbitSpeed * shipOrbitDirection * delta;
-
-const semiMajor = (orbitPerigee + orbitApogee) / 2;
-const eccentricityOffset = (orbitApogee - orbitPerigee) / 2;
-const currentRadius = semiMajor + eccentricityOffset * Math.cos(orbitAngle);
-
+orbitAngle = simulation.state.ship.angle;
+spaceShip.position.copy(simulation.state.ship.position);
 const incRad = orbitInclination * Math.PI / 180;
-const flatX = Math.cos(orbitAngle) * currentRadius;
-const flatZ = Math.sin(orbitAngle) * currentRadius;
-
-spaceShip.position.x = flatX;
-spaceShip.position.z = flatZ * Math.cos(incRad);
-spaceShip.position.y = orbitY + flatZ * Math.sin(incRad);
 
 // Ship orientation - different per mode
 if (controlMode === 'camera') {
@@ -5747,264 +7128,9 @@ if (controlMode === 'camera') {
         }
     });
 
-    // === ASTEROID MOVEMENT & ANIMATION ===
-    for (let i = asteroids.length - 1; i >= 0; i--) {
-        const asteroid = asteroids[i];
-
-        // Always recalculate direction toward Earth to prevent asteroids from drifting away
-        // Using pooled vector to avoid per-frame allocation
-        _asteroidDir.set(0, 0, 0).sub(asteroid.position).normalize();
-        const speed = asteroid.userData.velocity.length(); // Preserve original speed
-        asteroid.userData.velocity.copy(_asteroidDir.multiplyScalar(speed));
-
-        // Move asteroid toward Earth (using pooled vector to avoid allocation)
-        _asteroidMovement.copy(asteroid.userData.velocity).multiplyScalar(delta);
-        asteroid.position.add(_asteroidMovement);
-
-        // Rotate asteroid
-        const rotSpeed = asteroid.userData.rotationSpeed;
-        asteroid.rotation.x += rotSpeed.x * delta;
-        asteroid.rotation.y += rotSpeed.y * delta;
-        asteroid.rotation.z += rotSpeed.z * delta;
-
-        // Check collision with Earth
-        const distanceToEarth = asteroid.position.length();
-        const hitRadius = EARTH_RADIUS + asteroid.userData.size * 0.5;
-
-        if (distanceToEarth < hitRadius) {
-            // Check if this is an angel asteroid
-            if (asteroid.userData.isAngel) {
-                // Angel hit Earth - restore health to both!
-                earthHealth = Math.min(maxEarthHealth, earthHealth + 25);
-                moonHealth = Math.min(maxMoonHealth, moonHealth + 25);
-                updateHealthDisplay();
-                updateMoonHealthDisplay();
-                createAngelExplosion(asteroid.position.clone());
-                showNotification('+25 HEALTH (EARTH & MOON)!', '#88ffaa');
-            } else {
-                // Regular asteroid hit Earth - damage!
-                const damage = Math.ceil(asteroid.userData.size * 5); // Bigger = more damage
-                earthHealth -= damage;
-                updateHealthDisplay();
-                // Create explosion at impact point
-                createExplosion(asteroid.position.clone(), asteroid.userData.size);
-            }
-
-            // Remove asteroid
-            scene.remove(asteroid);
-            asteroids.splice(i, 1);
-            // Clean up occlusion state to prevent memory leak
-            window._asteroidOcclusionState?.delete(asteroid.uuid);
-
-            // Check game over
-            if (earthHealth <= 0) {
-                earthHealth = 0;
-                gameActive = false;
-                showGameOver();
-            }
-            continue; // Skip Moon check if already hit Earth
-        }
-
-        // Check collision with Moon
-        const distanceToMoon = asteroid.position.distanceTo(moon.position);
-        const moonHitRadius = MOON_RADIUS + asteroid.userData.size * 0.5;
-
-        if (distanceToMoon < moonHitRadius) {
-            // Check if this is an angel asteroid
-            if (asteroid.userData.isAngel) {
-                // Angel hit Moon - restore health to both!
-                earthHealth = Math.min(maxEarthHealth, earthHealth + 25);
-                moonHealth = Math.min(maxMoonHealth, moonHealth + 25);
-                updateHealthDisplay();
-                updateMoonHealthDisplay();
-                createAngelExplosion(asteroid.position.clone());
-                showNotification('+25 HEALTH (EARTH & MOON)!', '#88ffaa');
-            } else {
-                // Regular asteroid hit Moon - damage!
-                const damage = Math.ceil(asteroid.userData.size * 5);
-                moonHealth -= damage;
-                updateMoonHealthDisplay();
-                // Create explosion at impact point
-                createExplosion(asteroid.position.clone(), asteroid.userData.size);
-            }
-
-            // Remove asteroid
-            scene.remove(asteroid);
-            asteroids.splice(i, 1);
-            // Clean up occlusion state to prevent memory leak
-            window._asteroidOcclusionState?.delete(asteroid.uuid);
-
-            // Check if Moon is destroyed
-            if (moonHealth <= 0) {
-                moonHealth = 0;
-                // Critical: Moon destruction also destroys Earth!
-                earthHealth = 0;
-                gameActive = false;
-                showGameOver();
-            }
-        }
-    }
-
-    // Check if level failed (all asteroids gone but level not complete)
-    checkLevelFailed();
-
-    // === LASER BOLT ANIMATION & COLLISION DETECTION ===
-    for (let i = laserBolts.length - 1; i >= 0; i--) {
-        const bolt = laserBolts[i];
-
-        // Move bolt (using pooled vector to avoid allocation)
-        _boltMovement.copy(bolt.userData.velocity).multiplyScalar(delta);
-        bolt.position.add(_boltMovement);
-        bolt.userData.distanceTraveled += _boltMovement.length();
-
-        // Check collision with asteroids
-        let hitAsteroid = false;
-        for (let j = asteroids.length - 1; j >= 0; j--) {
-            const asteroid = asteroids[j];
-            const distance = bolt.position.distanceTo(asteroid.position);
-            const hitRadius = asteroid.userData.size + 0.5; // Hit radius based on size
-
-            if (distance < hitRadius) {
-                // Damage asteroid
-                asteroid.userData.health--;
-
-                // Immediate visual feedback - flash the asteroid
-                const originalEmissive = asteroid.children[0].material.emissive.getHex();
-                asteroid.children[0].material.emissive.setHex(0xffff00); // Yellow flash
-                setTimeout(() => {
-                    if (asteroid.parent) { // Check still exists
-                        asteroid.children[0].material.emissive.setHex(originalEmissive);
-                    }
-                }, 100);
-
-                // Dramatic hit effect with asteroid feedback
-                createHitSpark(bolt.position.clone(), asteroid);
-
-                if (asteroid.userData.health <= 0) {
-                    // Check if this is an angel asteroid
-                    if (asteroid.userData.isAngel) {
-                        // Angel destroyed - restore health to both!
-                        earthHealth = Math.min(maxEarthHealth, earthHealth + 25);
-                        moonHealth = Math.min(maxMoonHealth, moonHealth + 25);
-                        updateHealthDisplay();
-                        updateMoonHealthDisplay();
-                        createAngelExplosion(asteroid.position.clone());
-                    } else {
-                        // Regular asteroid destroyed!
-                        const asteroidDistance = asteroid.position.length();
-                        const multiplier = calculateScoreMultiplier(asteroidDistance);
-                        const basePoints = Math.ceil(asteroid.userData.size * 10);
-                        const earnedPoints = Math.ceil(basePoints * multiplier);
-                        score += earnedPoints;
-                        updateScoreDisplay();
-                        updateMultiplierDisplay(multiplier);
-
-                        // Show floating score popup for significant multipliers
-                        if (multiplier >= 1.5) {
-                            showScorePopup(earnedPoints, multiplier, asteroid.position.clone());
-                        }
-
-                        // Reward: gain ammo
-                        laserAmmo += AMMO_REWARD_PER_KILL;
-                        updateAmmoDisplay();
-
-                        // Track kills
-                        asteroidsDestroyed++;
-                        updateKillCountDisplay();
-
-                        // Decrement level asteroid counter
-                        levelAsteroidsRemaining--;
-
-                        // Every 3 kills, spawn an angel asteroid (only if Earth or Moon is damaged)
-                        if (asteroidsDestroyed % ANGEL_SPAWN_INTERVAL === 0 && (earthHealth < maxEarthHealth || moonHealth < maxMoonHealth)) {
-                            spawnAngelAsteroid();
-                        }
-
-                        // Create explosion at asteroid position (size-based)
-                        createExplosion(asteroid.position.clone(), asteroid.userData.size);
-
-                        // Check if level is complete
-                        checkLevelComplete();
-                    }
-
-                    // Remove asteroid
-                    scene.remove(asteroid);
-                    asteroids.splice(j, 1);
-                    // Clean up occlusion state to prevent memory leak
-                    window._asteroidOcclusionState?.delete(asteroid.uuid);
-                }
-
-                // Remove bolt
-                scene.remove(bolt);
-                laserBolts.splice(i, 1);
-                hitAsteroid = true;
-                break;
-            }
-        }
-
-        // Check collision with Earth (friendly fire!)
-        if (!hitAsteroid) {
-            const distanceToEarth = bolt.position.length();
-            if (distanceToEarth < EARTH_RADIUS + 0.3) {
-                // Laser hit Earth!
-                const damage = 2; // Small damage per laser hit
-                earthHealth -= damage;
-                updateHealthDisplay();
-
-                // Create small impact explosion on Earth
-                createExplosion(bolt.position.clone(), 0.3);
-
-                // Remove bolt
-                scene.remove(bolt);
-                laserBolts.splice(i, 1);
-                hitAsteroid = true; // Prevent further checks
-
-                // Check game over
-                if (earthHealth <= 0) {
-                    earthHealth = 0;
-                    gameActive = false;
-                    showGameOver();
-                }
-            }
-        }
-
-        // Check collision with Moon (friendly fire!)
-        if (!hitAsteroid) {
-            const distanceToMoon = bolt.position.distanceTo(moon.position);
-            if (distanceToMoon < MOON_RADIUS + 0.3) {
-                // Laser hit Moon!
-                const damage = 2; // Small damage per laser hit
-                moonHealth -= damage;
-                updateMoonHealthDisplay();
-
-                // Create small impact explosion on Moon
-                createExplosion(bolt.position.clone(), 0.3);
-
-                // Remove bolt
-                scene.remove(bolt);
-                laserBolts.splice(i, 1);
-                hitAsteroid = true; // Prevent further checks
-
-                // Check if Moon is destroyed
-                if (moonHealth <= 0) {
-                    moonHealth = 0;
-                    // Critical: Moon destruction also destroys Earth!
-                    earthHealth = 0;
-                    gameActive = false;
-                    showGameOver();
-                }
-            }
-        }
-
-        // Remove if traveled too far (and didn't hit anything)
-        if (!hitAsteroid && bolt.userData.distanceTraveled > LASER_MAX_DISTANCE) {
-            scene.remove(bolt);
-            laserBolts.splice(i, 1);
-        }
-    }
-
-    // === SPAWN ASTEROIDS ===
-    spawnAsteroids();
+    // === ASTEROIDS & LASER BOLTS ===
+    // Movement and collisions happen in the simulation; meshes follow it
+    syncWorldFromSimulation(delta);
 
     // Update asteroid count display (using cached DOM reference)
     const asteroidCountEl = _domCache.get('asteroidCount');
@@ -6023,11 +7149,13 @@ if (controlMode === 'camera') {
     updateThreatIndicator();
 
     // === UPDATE GAME TIMER === (using cached DOM reference)
+    // Counts up, except in time attack, which shows the simulation's clock counting down
     if (gameStartTime && gameActive) {
         gameElapsedTime = Math.floor((Date.now() - gameStartTime) / 1000);
         const timerEl = _domCache.get('gameTimer');
         if (timerEl) {
-            timerEl.textContent = formatTime(gameElapsedTime);
+            const { timeLeft } = simulation.state;
+            timerEl.textContent = formatTime(timeLeft === null ? gameElapsedTime : Math.ceil(timeLeft / TICK_RATE));
         }
     }
 
@@ -6156,6 +7284,8 @@ function showInstructions(isResume = false) {
             ">
                 <p><strong style="color: #ffff44;">OBJECTIVE:</strong></p>
                 <p style="margin: 5px 0;">Destroy all asteroids in each level to advance. Complete all 10 levels to win!</p>
+                <p style="margin: 5px 0;">In <strong style="color: #ff8844;">ENDLESS</strong> mode the waves keep coming after level 10 - bigger, faster and heavier each time - until Earth falls.</p>
+                <p style="margin: 5px 0;">In <strong style="color: #ff8844;">TIME ATTACK</strong> you have 3 minutes to score as much as you can. Asteroids keep coming, and every kill adds 2 seconds to the clock.</p>
 
                 <p style="margin-top: 15px;"><strong style="color: #ffff44;">LEVEL SYSTEM:</strong></p>
                 <p style="margin: 5px 0;">• Level 1 = 1 asteroid, Level 2 = 2 asteroids, ..., Level 10 = 10 asteroids</p>
@@ -6174,6 +7304,27 @@ function showInstructions(isResume = false) {
                 <p style="margin: 5px 0;">• Target reticles hide when asteroids are behind Earth/Moon/Ship</p>
             </div>
 
+            ${isResume ? '' : `
+                <div style="display: flex; flex-wrap: wrap; gap: 10px; justify-content: center;">
+                    ${GAME_MODES.map(mode => `
+                        <button data-game-mode="${mode}" style="
+                            padding: 10px 20px;
+                            font-size: clamp(14px, 3.5vw, 16px);
+                            background: ${mode === gameMode ? 'rgba(68, 255, 136, 0.25)' : 'rgba(0, 0, 0, 0.3)'};
+                            color: ${mode === gameMode ? '#44ff88' : '#888'};
+                            border: 2px solid ${mode === gameMode ? '#44ff88' : '#555'};
+                            border-radius: 8px;
+                            cursor: pointer;
+                            font-family: 'Courier New', monospace;
+                            font-weight: bold;
+                            letter-spacing: 1px;
+                            min-height: 44px;
+                            touch-action: manipulation;
+                        ">${GAME_MODE_LABELS[mode]}</button>
+                    `).join('')}
+                </div>
+            `}
+
             <button id="startGameBtn" style="
                 padding: 15px 40px;
                 font-size: clamp(18px, 4vw, 24px);
@@ -6195,26 +7346,36 @@ function showInstructions(isResume = false) {
     `;
     document.body.appendChild(overlay);
 
-    document.getElementById('startGameBtn').addEventListener('click', () => {
+    // Mode for new games - remembered for next time
+    overlay.querySelectorAll('[data-game-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            gameMode = button.dataset.gameMode;
+            localStorage.setItem(GAME_MODE_KEY, gameMode);
+            overlay.querySelectorAll('[data-game-mode]').forEach(other => {
+                const selected = other.dataset.gameMode === gameMode;
+                other.style.background = selected ? 'rgba(68, 255, 136, 0.25)' : 'rgba(0, 0, 0, 0.3)';
+                other.style.color = selected ? '#44ff88' : '#888';
+                other.style.borderColor = selected ? '#44ff88' : '#555';
+            });
+        });
+    });
+
+    document.getElementById('startGameBtn').addEventListener('click', async () => {
         // Pre-initialize audio context on user gesture for zero-latency sound
         getAudioContext();
 
         overlay.remove();
 
         if (!isResume) {
-            // Check for saved game before starting new
-            if (hasSavedGame()) {
-                showContinueDialog();
-                return; // Don't start new game yet - dialog will handle it
+            // Check for saved games - here or, when signed in, in the cloud - before starting new
+            const slots = await resolveSaveSlots();
+            if (slots.some(entry => entry.save)) {
+                showSaveSlotPicker(slots);
+                return; // Don't start new game yet - the picker will handle it
             }
 
-            // Starting new game - reset timer
-            gameStartTime = Date.now();
-            gameElapsedTime = 0;
-            leaderboardChecked = false;
-            // Reset and show touch hints for new game
-            touchHintsShownThisSession = false;
-            gameActive = true;
+            // Starting new game - fresh simulation, timer and session
+            restartGame();
         }
 
         // Resume game if it wasn't already paused
@@ -6231,6 +7392,18 @@ function showInstructions(isResume = false) {
 showInstructions();
 
 // Initialize game: start at level 1
-startLevel(1);
+resetSimulation();
+showLevelStart(1);
+
+// Test hooks - module scope isn't reachable from Playwright's page.evaluate. Only
+// pages opened with ?e2e get them, so players can't rewrite the game from the console.
+if (new URLSearchParams(window.location.search).has('e2e')) {
+    window.__TEST_game = {
+        camera,
+        getGameState: () => simulation.state,
+        syncWorldFromSimulation,
+        updateTargetingHUD
+    };
+}
 
 animate();
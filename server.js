@@ -1,17 +1,50 @@
+import 'dotenv/config';
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLeaderboardHandler } from './api/leaderboard.js';
+import { createSessionHandler } from './api/session.js';
+import { createAuthHandler } from './api/auth.js';
+import { createSavesHandler } from './api/saves.js';
+import { createStatsHandler } from './api/stats.js';
+import { createStorageFromEnv, createAccountsStorageFromEnv } from './api/_lib/storage/index.js';
+import { MAX_SAVE_BYTES } from './public/saveSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json());
+// Saves and score submissions carry the game's replay log. Leave room for the
+// largest save the cloud accepts plus the request around it.
+app.use(express.json({ limit: MAX_SAVE_BYTES + 64 * 1024 }));
+
+// Storage backend from env (STORAGE_BACKEND=kv|file|memory), local JSON file by default
+const storage = createStorageFromEnv(process.env, {
+  defaultBackend: 'file',
+  defaultFilePath: path.join(__dirname, 'data', 'store.json')
+});
+
+// Player accounts in a local SQLite database (ACCOUNTS_DB), data/accounts.db by default
+const accountsStorage = createAccountsStorageFromEnv(process.env, {
+  defaultFilePath: path.join(__dirname, 'data', 'accounts.db')
+});
+
+// API - same handlers Vercel runs
+app.all('/api/session', createSessionHandler(storage));
+app.all('/api/leaderboard', createLeaderboardHandler(storage));
+app.all('/api/auth/:action', createAuthHandler(accountsStorage));
+app.all('/api/saves', createSavesHandler(storage));
+app.all('/api/stats', createStatsHandler(storage));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-const PORT = 3000;
-app.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+export default app;
+
+// Only bind a port when run directly (tests import the app)
+if (process.argv[1] === __filename) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+  });
+}
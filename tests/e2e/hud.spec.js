@@ -2,36 +2,39 @@ import { test, expect } from '@playwright/test';
 
 test.describe('Space Game - HUD', () => {
   test.beforeEach(async ({ page }) => {
-    await page.goto('/');
+    // ?e2e turns on the test hooks script.js exposes
+    await page.goto('/?e2e');
     await page.waitForLoadState('networkidle');
     await page.click('#startGameBtn');
     // Create deterministic, on-screen asteroids so HUD reticles appear reliably
     await page.evaluate(() => {
       try {
-        // Clear existing asteroids
-        if (window.asteroids && window.scene) {
-          window.asteroids.forEach(a => { try { window.scene.remove(a); } catch(e){} });
-          window.asteroids.length = 0;
-        }
+        // Game state lives in the module; script.js exposes it for tests
+        const game = window.__TEST_game;
+        const state = game.getGameState();
 
-        // Helper to create an asteroid and place it in front of the camera
+        // Replace the level's asteroids with ones placed in front of the camera
+        state.asteroids.length = 0;
         for (let i = 0; i < 3; i++) {
-          const a = typeof createAsteroid === 'function' ? createAsteroid() : null;
-          if (!a) continue;
-          // Place a short distance in front of the camera and slightly offset
           const dir = new THREE.Vector3();
-          window.camera.getWorldDirection(dir);
+          game.camera.getWorldDirection(dir);
           const distance = 25 + i * 8;
           const offset = new THREE.Vector3((i - 1) * 2.5, (i - 1) * 1.2, 0);
-          const pos = window.camera.position.clone().add(dir.multiplyScalar(distance)).add(offset);
-          a.position.copy(pos);
-          // Ensure velocity points toward origin (earth) so ETA is calculable
-          const v = new THREE.Vector3().sub(new THREE.Vector3(0,0,0), a.position).normalize().multiplyScalar(1 + i);
-          a.userData.velocity = v;
-          a.userData.createdAt = Date.now();
-          // Add back to asteroids array if not already
-          if (window.asteroids && !window.asteroids.includes(a)) window.asteroids.push(a);
+          const pos = game.camera.position.clone().add(dir.multiplyScalar(distance)).add(offset);
+          // Velocity points toward origin (earth) so ETA is calculable
+          const v = new THREE.Vector3().sub(pos).normalize().multiplyScalar(1 + i);
+          state.asteroids.push({
+            id: state.nextId++,
+            size: 1,
+            health: 4,
+            maxHealth: 4,
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            velocity: { x: v.x, y: v.y, z: v.z },
+            type: 'rock',
+            trajectory: 'direct'
+          });
         }
+        game.syncWorldFromSimulation(0);
       } catch (e) {
         // ignore errors in test setup
       }
@@ -44,7 +47,7 @@ test.describe('Space Game - HUD', () => {
       try {
         // Ensure occlusion check runs now
         window._hudFrameCount = (window._hudFrameCount || 0) + 5;
-        if (typeof updateTargetingHUD === 'function') updateTargetingHUD();
+        window.__TEST_game.updateTargetingHUD();
       } catch (e) {}
     });
   });
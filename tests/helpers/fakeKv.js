@@ -0,0 +1,80 @@
+// Stand-in for the @vercel/kv client, covering the commands the KV storage
+// backend uses. With `latency`, every call waits up to that many ms first, so
+// unsynchronized read-modify-write cycles reliably interleave.
+
+import { createSortedSet, addMember, removeMember, rankOf, rangeOf } from '../../api/_lib/storage/sortedSet.js';
+
+export function createFakeKvClient({ latency = 0 } = {}) {
+  const data = new Map();
+  const expiries = new Map();
+  const wait = () => latency ? new Promise(resolve => setTimeout(resolve, Math.random() * latency)) : Promise.resolve();
+
+  function live(key) {
+    if (expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.has(key);
+  }
+
+  function sortedSet(key, create = false) {
+    if (!data.has(key) && create) data.set(key, createSortedSet());
+    return data.get(key) ?? null;
+  }
+
+  return {
+    async get(key) {
+      await wait();
+      return live(key) ? structuredClone(data.get(key)) : null;
+    },
+    async mget(...keys) {
+      await wait();
+      return keys.map(key => live(key) ? structuredClone(data.get(key)) : null);
+    },
+    async set(key, value, opts = {}) {
+      await wait();
+      if (opts.nx && live(key)) return null;
+      data.set(key, structuredClone(value));
+      if (opts.px) expiries.set(key, Date.now() + opts.px);
+      else expiries.delete(key);
+      return 'OK';
+    },
+    async del(key) {
+      await wait();
+      expiries.delete(key);
+      return data.delete(key) ? 1 : 0;
+    },
+    async incr(key) {
+      await wait();
+      const count = (live(key) ? data.get(key) : 0) + 1;
+      data.set(key, count);
+      return count;
+    },
+    async pexpire(key, ms) {
+      await wait();
+      if (!live(key)) return 0;
+      expiries.set(key, Date.now() + ms);
+      return 1;
+    },
+    async zadd(key, { score, member }) {
+      await wait();
+      return addMember(sortedSet(key, true), score, member);
+    },
+    async zrem(key, member) {
+      await wait();
+      return removeMember(sortedSet(key), member);
+    },
+    async zrank(key, member) {
+      await wait();
+      return rankOf(sortedSet(key), member);
+    },
+    async zcard(key) {
+      await wait();
+      return sortedSet(key)?.members.length ?? 0;
+    },
+    async zrange(key, start, stop) {
+      await wait();
+      return rangeOf(sortedSet(key), start, stop);
+    }
+  };
+}
@@ -0,0 +1,33 @@
+// Fixtures shared by the API integration tests: signed-in players for the
+// account-bound endpoints, and game sessions and submissions for the leaderboard
+
+import { createAuthHandler } from '../../api/auth.js';
+import { createMemoryStorage } from '../../api/_lib/storage/index.js';
+import { createSessionToken } from '../../api/_lib/sessionToken.js';
+import { callHandler } from './mockHttp.js';
+
+// A game session that started an hour ago, long enough for any claimed play time
+export function pastSessionToken(secret = 'test-secret') {
+  return createSessionToken(secret, Date.now() - 60 * 60 * 1000).token;
+}
+
+// A leaderboard POST of `run` (a playGame() submission) under a session of its own
+export function submission(name, run) {
+  return { method: 'POST', body: { name, ...run, sessionToken: pastSessionToken() } };
+}
+
+// Register a player and build `createHandler(storage)` for them. Returns the
+// storage, the handler and the player's Authorization header.
+export async function signedIn(createHandler, { storage = createMemoryStorage(), username = 'Ace' } = {}) {
+  const registered = await callHandler(createAuthHandler(storage), {
+    method: 'POST',
+    query: { action: 'register' },
+    body: { username, password: 'correct horse' }
+  });
+  return { storage, handler: createHandler(storage), authorization: `Bearer ${registered.body.accessToken}` };
+}
+
+// Call `handler` with an Authorization header, or as a signed-out player when it's null
+export function request(handler, authorization, method, { body, query } = {}) {
+  return callHandler(handler, { method, body, query, headers: authorization ? { authorization } : {} });
+}
@@ -0,0 +1,36 @@
+// Minimal req/res doubles for calling Vercel-style handlers directly
+
+// `ip` is the peer address the request's socket reports
+export function createMockRequest({ method = 'GET', body = {}, query = {}, headers = {}, ip = '127.0.0.1' } = {}) {
+  return { method, body, query, headers, socket: { remoteAddress: ip } };
+}
+
+export function createMockResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(data) {
+      res.body = data;
+      return res;
+    },
+    end() {
+      return res;
+    }
+  };
+  return res;
+}
+
+export async function callHandler(handler, request) {
+  const res = createMockResponse();
+  await handler(createMockRequest(request), res);
+  return res;
+}
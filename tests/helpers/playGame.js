@@ -0,0 +1,69 @@
+// Plays real games through the simulation so tests can submit verifiable replays
+
+import { FIRE_COOLDOWN_TICKS, TICK_RATE } from '../../public/game/constants.js';
+import { Simulation, quantizeQuaternion } from '../../public/game/index.js';
+
+// Rotation taking the ship's nose (0, 0, -1) onto unit vector `to` (as THREE's setFromUnitVectors)
+function aimAt(to) {
+  const q = { x: to.y, y: -to.x, z: 0, w: 1 - to.z };
+  if (q.w < 1e-6) return { x: 0, y: 1, z: 0, w: 0 };
+  const len = Math.hypot(q.x, q.y, q.z, q.w);
+  return { x: q.x / len, y: q.y / len, z: q.z / len, w: q.w / len };
+}
+
+// A boss's weak points, or its core once they're gone
+function bossTargets(boss) {
+  if (!boss) return [];
+  if (boss.parts.length === 0) return [boss];
+  return boss.parts.map(({ offset }) => ({
+    position: { x: boss.position.x + offset.x, y: boss.position.y + offset.y, z: boss.position.z + offset.z }
+  }));
+}
+
+// Fire at the nearest asteroid, enemy fighter or boss target whenever the cannons are ready
+function autopilot(state) {
+  const targets = [...state.asteroids, ...state.enemies, ...bossTargets(state.boss)];
+  if (state.tick % FIRE_COOLDOWN_TICKS !== 0 || targets.length === 0) return [];
+
+  const ship = state.ship.position;
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const target of targets) {
+    const d = Math.hypot(target.position.x - ship.x, target.position.y - ship.y, target.position.z - ship.z);
+    if (d < nearestDistance) {
+      nearest = target;
+      nearestDistance = d;
+    }
+  }
+
+  const direction = {
+    x: (nearest.position.x - ship.x) / nearestDistance,
+    y: (nearest.position.y - ship.y) / nearestDistance,
+    z: (nearest.position.z - ship.z) / nearestDistance
+  };
+  return [['F', ...quantizeQuaternion(aimAt(direction))]];
+}
+
+// Play from `seed` (in `mode`, classic by default) until `kills` asteroids are destroyed, the game ends or `maxTicks` pass.
+// `onEvents` sees each tick's events. Returns the final state and a leaderboard submission body for it.
+export function playGame({
+  seed = 1, mode, kills = Infinity, maxTicks = 60 * 60 * TICK_RATE, commands = () => [], onEvents = () => {}
+} = {}) {
+  const game = new Simulation(seed, { mode });
+  const { state, replay } = game;
+
+  while (state.tick < maxTicks && state.kills < kills && game.isActive) {
+    onEvents(game.advance([...commands(state), ...autopilot(state)]));
+  }
+
+  return {
+    state,
+    submission: {
+      score: state.score,
+      time: Math.ceil(replay.ticks / TICK_RATE),
+      level: state.level,
+      kills: state.kills,
+      replay
+    }
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for the account endpoints and account-bound score submissions
+ */
+import { createAuthHandler } from '../../api/auth.js';
+import { createLeaderboardHandler } from '../../api/leaderboard.js';
+import { createMemoryStorage } from '../../api/_lib/storage/index.js';
+import { callHandler } from '../helpers/mockHttp.js';
+import { playGame } from '../helpers/playGame.js';
+import { pastSessionToken } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const savedEnv = { ...process.env };
+afterEach(() => {
+  process.env = { ...savedEnv };
+});
+
+function createHandlers() {
+  const storage = createMemoryStorage();
+  return { auth: createAuthHandler(storage), leaderboard: createLeaderboardHandler(storage) };
+}
+
+function auth(handler, action, body, ip = '203.0.113.1') {
+  return callHandler(handler, { method: 'POST', query: { action }, body, ip });
+}
+
+describe('Register and login', () => {
+  test('registering signs the player in', async () => {
+    const { auth: handler } = createHandlers();
+
+    const res = await auth(handler, 'register', { username: 'Ace', password: 'correct horse' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ success: true, user: { username: 'Ace' }, expiresIn: 900 });
+    expect(typeof res.body.accessToken).toBe('string');
+    expect(typeof res.body.refreshToken).toBe('string');
+  });
+
+  test('rejects invalid, blocked and taken usernames', async () => {
+    const { auth: handler } = createHandlers();
+    await auth(handler, 'register', { username: 'Ace', password: 'correct horse' });
+
+    expect((await auth(handler, 'register', { username: 'A', password: 'correct horse' })).statusCode).toBe(400);
+    expect((await auth(handler, 'register', { username: 'Bee', password: 'short' })).statusCode).toBe(400);
+    expect((await auth(handler, 'register', { username: 'sh1t', password: 'correct horse' })).body.error)
+      .toBe('Username is not allowed');
+
+    const taken = await auth(handler, 'register', { username: 'ace', password: 'correct horse' });
+    expect(taken.statusCode).toBe(409);
+    expect(taken.body).toEqual({ success: false, error: 'Username is taken' });
+  });
+
+  test('logs in with the right password only', async () => {
+    const { auth: handler } = createHandlers();
+    await auth(handler, 'register', { username: 'Ace', password: 'correct horse' });
+
+    const ok = await auth(handler, 'login', { username: 'ACE', password: 'correct horse' });
+    const wrong = await auth(handler, 'login', { username: 'Ace', password: 'battery staple' });
+    const unknown = await auth(handler, 'login', { username: 'Nobody', password: 'correct horse' });
+
+    expect(ok.statusCode).toBe(200);
+    expect(ok.body.user.username).toBe('Ace');
+    expect(wrong.statusCode).toBe(401);
+    expect(unknown.statusCode).toBe(401);
+    expect(unknown.body).toEqual(wrong.body);
+  });
+
+  test('sign-in attempts are rate limited per IP', async () => {
+    process.env.RATE_LIMIT_AUTH_PER_IP = '2';
+    const { auth: handler } = createHandlers();
+
+    await auth(handler, 'login', { username: 'Ace', password: 'guess-one' });
+    await auth(handler, 'login', { username: 'Ace', password: 'guess-two' });
+    const limited = await auth(handler, 'login', { username: 'Ace', password: 'guess-three' });
+
+    expect(limited.statusCode).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('rejects unknown actions and other methods', async () => {
+    const { auth: handler } = createHandlers();
+
+    expect((await auth(handler, 'delete', {})).statusCode).toBe(404);
+    expect((await callHandler(handler, { method: 'GET', query: { action: 'login' } })).statusCode).toBe(405);
+  });
+});
+
+describe('Refresh and logout', () => {
+  test('a refresh token is swapped for a new pair once', async () => {
+    const { auth: handler } = createHandlers();
+    const { refreshToken } = (await auth(handler, 'register', { username: 'Ace', password: 'correct horse' })).body;
+
+    const refreshed = await auth(handler, 'refresh', { refreshToken });
+    const reused = await auth(handler, 'refresh', { refreshToken });
+
+    expect(refreshed.statusCode).toBe(200);
+    expect(refreshed.body.user.username).toBe('Ace');
+    expect(refreshed.body.refreshToken).not.toBe(refreshToken);
+    expect(reused.statusCode).toBe(401);
+  });
+
+  test('logging out revokes the refresh token', async () => {
+    const { auth: handler } = createHandlers();
+    const { refreshToken } = (await auth(handler, 'register', { username: 'Ace', password: 'correct horse' })).body;
+
+    expect((await auth(handler, 'logout', { refreshToken })).statusCode).toBe(200);
+    expect((await auth(handler, 'refresh', { refreshToken })).statusCode).toBe(401);
+  });
+});
+
+describe('Account-bound scores', () => {
+  const run = playGame({ seed: 2, kills: 3 }).submission;
+
+  function submit(handler, body, authorization) {
+    return callHandler(handler, {
+      method: 'POST',
+      headers: authorization ? { authorization } : {},
+      body: {
+        ...run,
+        sessionToken: pastSessionToken(),
+        ...body
+      }
+    });
+  }
+
+  test('signed-in submissions use the account name', async () => {
+    const handlers = createHandlers();
+    const { user, accessToken } = (await auth(handlers.auth, 'register', { username: 'Ace', password: 'correct horse' })).body;
+
+    const res = await submit(handlers.leaderboard, { name: 'Someone Else' }, `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.entry).toMatchObject({ name: 'Ace', userId: user.id });
+  });
+
+  test('anonymous submissions still work', async () => {
+    const { leaderboard } = createHandlers();
+
+    const res = await submit(leaderboard, { name: 'Guest' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.entry).toMatchObject({ name: 'Guest', userId: null });
+  });
+
+  test('an invalid access token is rejected', async () => {
+    const { leaderboard } = createHandlers();
+
+    const res = await submit(leaderboard, { name: 'Ace' }, 'Bearer not-a-token');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired access token');
+    expect(res.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+  });
+
+  test('a bad game session is not mistaken for a bad access token', async () => {
+    const handlers = createHandlers();
+    const { accessToken } = (await auth(handlers.auth, 'register', { username: 'Ace', password: 'correct horse' })).body;
+
+    const res = await submit(handlers.leaderboard, { sessionToken: 'not-a-session' }, `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Invalid or expired game session');
+    expect(res.headers['www-authenticate']).toBeUndefined();
+  });
+});
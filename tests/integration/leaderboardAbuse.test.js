@@ -0,0 +1,285 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for leaderboard abuse protection against the local file backend:
+ * rate limits, the name blocklist and the admin delete endpoint
+ */
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLeaderboardHandler } from '../../api/leaderboard.js';
+import { createSessionHandler } from '../../api/session.js';
+import { createFileStorage } from '../../api/_lib/storage/index.js';
+import { verifySessionToken } from '../../api/_lib/sessionToken.js';
+import { LEADERBOARD_PERIODS, getBoardKey, getEntryKey } from '../../api/_lib/leaderboardPeriods.js';
+import { callHandler } from '../helpers/mockHttp.js';
+import { playGame } from '../helpers/playGame.js';
+import { pastSessionToken } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const run = playGame({ seed: 2, kills: 3 }).submission;
+
+const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'leaderboard-abuse-'));
+afterAll(() => rmSync(tmpDir, { recursive: true, force: true }));
+
+const savedEnv = { ...process.env };
+afterEach(() => {
+  process.env = { ...savedEnv };
+});
+
+function createHandler() {
+  const storage = createFileStorage(path.join(tmpDir, `${Math.random().toString(36).slice(2)}.json`));
+  return { storage, handler: createLeaderboardHandler(storage) };
+}
+
+function post(handler, body = {}, { ip = '203.0.113.1', token = pastSessionToken() } = {}) {
+  return callHandler(handler, {
+    method: 'POST',
+    ip,
+    body: { name: 'Ace', ...run, sessionToken: token, ...body }
+  });
+}
+
+function del(handler, id, authorization) {
+  return callHandler(handler, { method: 'DELETE', query: { id }, headers: authorization ? { authorization } : {} });
+}
+
+describe('Rate limits', () => {
+  test('an IP over its limit gets 429 with Retry-After', async () => {
+    process.env.RATE_LIMIT_PER_IP = '2';
+    const { handler } = createHandler();
+
+    expect((await post(handler)).statusCode).toBe(200);
+    expect((await post(handler)).statusCode).toBe(200);
+    const limited = await post(handler);
+
+    expect(limited.statusCode).toBe(429);
+    expect(limited.body.success).toBe(false);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other addresses are unaffected
+    expect((await post(handler, {}, { ip: '203.0.113.2' })).statusCode).toBe(200);
+  });
+
+  test('a forged X-Forwarded-For does not reset the limit', async () => {
+    process.env.RATE_LIMIT_PER_IP = '1';
+    const { handler } = createHandler();
+
+    await post(handler);
+    const res = await callHandler(handler, {
+      method: 'POST',
+      ip: '203.0.113.1',
+      headers: { 'x-forwarded-for': '192.0.2.99' },
+      body: { name: 'Ace', ...run, sessionToken: pastSessionToken() }
+    });
+
+    expect(res.statusCode).toBe(429);
+  });
+
+  test('an IP can only start so many game sessions', async () => {
+    process.env.RATE_LIMIT_SESSIONS_PER_IP = '2';
+    const { storage } = createHandler();
+    const handler = createSessionHandler(storage);
+
+    expect((await callHandler(handler, { method: 'POST' })).statusCode).toBe(200);
+    expect((await callHandler(handler, { method: 'POST' })).statusCode).toBe(200);
+    const limited = await callHandler(handler, { method: 'POST' });
+
+    expect(limited.statusCode).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect((await callHandler(handler, { method: 'POST', ip: '203.0.113.2' })).statusCode).toBe(200);
+  });
+
+  test('rejected attempts count too', async () => {
+    process.env.RATE_LIMIT_PER_IP = '2';
+    const { handler } = createHandler();
+
+    await post(handler, { score: -1 });
+    await post(handler, { score: -1 });
+
+    expect((await post(handler)).statusCode).toBe(429);
+  });
+
+  test('a session can only retry a few times', async () => {
+    process.env.RATE_LIMIT_PER_SESSION = '2';
+    const { handler } = createHandler();
+    const token = pastSessionToken();
+
+    // Two failed verifications from different addresses use up the session's tries
+    await post(handler, { score: run.score + 10 }, { token, ip: '198.51.100.1' });
+    await post(handler, { score: run.score + 10 }, { token, ip: '198.51.100.2' });
+    const res = await post(handler, {}, { token, ip: '198.51.100.3' });
+
+    expect(res.statusCode).toBe(429);
+  });
+});
+
+describe('Used sessions', () => {
+  test('each session is claimed under a key of its own', async () => {
+    const { storage, handler } = createHandler();
+    const token = pastSessionToken();
+    const { sid, iat } = verifySessionToken(token, 'test-secret');
+
+    expect((await post(handler, {}, { token })).statusCode).toBe(200);
+    expect(await storage.get(`usedSession:${sid}`)).toBe(iat);
+    expect((await post(handler, {}, { token })).statusCode).toBe(409);
+  });
+
+  test('sessions used before per-session claims still cannot submit again', async () => {
+    const { storage, handler } = createHandler();
+    const token = pastSessionToken();
+    const { sid, iat } = verifySessionToken(token, 'test-secret');
+    await storage.set('usedSessions', { [sid]: iat, expired: iat - 8 * 24 * 60 * 60 * 1000 });
+
+    expect((await post(handler, {}, { token })).statusCode).toBe(409);
+    expect(await storage.get('usedSessions')).toBeNull();
+    expect(await storage.get('usedSession:expired')).toBeNull();
+  });
+});
+
+describe('Blocklist', () => {
+  test('rejects blocked names', async () => {
+    const { handler } = createHandler();
+
+    const res = await post(handler, { name: 'sh1t head' });
+    const spaced = await post(handler, { name: 'F.U.C.K' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Name is not allowed');
+    expect(spaced.statusCode).toBe(400);
+  });
+
+  test('LEADERBOARD_BLOCKLIST extends the list', async () => {
+    process.env.LEADERBOARD_BLOCKLIST = 'cheater';
+    const { handler } = createHandler();
+
+    expect((await post(handler, { name: 'Cheater' })).statusCode).toBe(400);
+  });
+
+  test('a blocked name does not use up the session', async () => {
+    const { handler } = createHandler();
+    const token = pastSessionToken();
+
+    await post(handler, { name: 'shit' }, { token });
+
+    expect((await post(handler, { name: 'Clean' }, { token })).statusCode).toBe(200);
+  });
+
+  test('a name that is not a string is rejected', async () => {
+    const { handler } = createHandler();
+    const token = pastSessionToken();
+
+    const res = await post(handler, { name: { first: 'Ace' } }, { token });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid name');
+    expect((await post(handler, {}, { token })).statusCode).toBe(200);
+  });
+});
+
+describe('Malformed submissions', () => {
+  test('a POST without a JSON body is rejected', async () => {
+    const { handler } = createHandler();
+
+    for (const body of [null, 'not json']) {
+      const res = await callHandler(handler, { method: 'POST', body });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ success: false, error: 'Invalid score' });
+    }
+  });
+});
+
+describe('Storage failures', () => {
+  test('a failed insert is rolled back and the session can retry', async () => {
+    const { storage } = createHandler();
+    let failNext = true;
+    const flaky = {
+      ...storage,
+      async zadd(key, score, member) {
+        // The daily board is written first, so this fails partway through
+        if (key === getBoardKey('weekly') && failNext) {
+          failNext = false;
+          throw new Error('storage unavailable');
+        }
+        return storage.zadd(key, score, member);
+      }
+    };
+    const handler = createLeaderboardHandler(flaky);
+    const token = pastSessionToken();
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      expect((await post(handler, {}, { token })).statusCode).toBe(500);
+    } finally {
+      console.error = consoleError;
+    }
+    expect(await storage.zcard(getBoardKey('daily'))).toBe(0);
+
+    const retry = await post(handler, {}, { token });
+    expect(retry.statusCode).toBe(200);
+    expect(retry.body.leaderboard).toHaveLength(1);
+  });
+
+  test('starting a session answers 500 JSON when the rate limiter is unavailable', async () => {
+    const { storage } = createHandler();
+    const handler = createSessionHandler({
+      ...storage,
+      async incr() {
+        throw new Error('storage unavailable');
+      }
+    });
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      const res = await callHandler(handler, { method: 'POST' });
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ success: false, error: 'Server error' });
+    } finally {
+      console.error = consoleError;
+    }
+  });
+});
+
+describe('Admin delete', () => {
+  test('is disabled without ADMIN_TOKEN', async () => {
+    const { handler } = createHandler();
+
+    const res = await del(handler, 'x', 'Bearer anything');
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('requires the admin token', async () => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    const { handler } = createHandler();
+
+    expect((await del(handler, 'x')).statusCode).toBe(401);
+    expect((await del(handler, 'x', 'Bearer wrong')).statusCode).toBe(401);
+  });
+
+  test('removes an entry from every board', async () => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    const { handler, storage } = createHandler();
+    const submitted = await post(handler, { name: 'Spammer' });
+    const { id } = submitted.body.entry;
+
+    const res = await del(handler, id, 'Bearer admin-secret');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, id });
+    expect(await storage.get(getEntryKey(id))).toBeNull();
+    for (const period of LEADERBOARD_PERIODS) {
+      expect(await storage.zcard(getBoardKey(period))).toBe(0);
+    }
+  });
+
+  test('unknown or missing ids are rejected', async () => {
+    process.env.ADMIN_TOKEN = 'admin-secret';
+    const { handler } = createHandler();
+
+    expect((await del(handler, 'nobody', 'Bearer admin-secret')).statusCode).toBe(404);
+    expect((await del(handler, '', 'Bearer admin-secret')).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ *
+ * Concurrency tests for leaderboard score insertion
+ */
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLeaderboardHandler } from '../../api/leaderboard.js';
+import { createFileStorage, createKvStorage, createMemoryStorage } from '../../api/_lib/storage/index.js';
+import { callHandler } from '../helpers/mockHttp.js';
+import { playGame } from '../helpers/playGame.js';
+import { createFakeKvClient } from '../helpers/fakeKv.js';
+import { submission } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+process.env.RATE_LIMIT_PER_IP = '1000'; // Every submission here comes from one address
+
+// Real games with distinct scores, so every submission passes replay verification
+const runs = [];
+for (let seed = 1; runs.length < 30; seed++) {
+  const { submission } = playGame({ seed, kills: (seed % 12) + 1 });
+  if (!runs.some(run => run.score === submission.score)) runs.push(submission);
+}
+
+const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'leaderboard-race-'));
+afterAll(() => rmSync(tmpDir, { recursive: true, force: true }));
+
+const backends = {
+  memory: () => createMemoryStorage(),
+  file: () => createFileStorage(path.join(tmpDir, `${Math.random().toString(36).slice(2)}.json`)),
+  kv: () => createKvStorage(createFakeKvClient({ latency: 5 })) // Network-like latency
+};
+
+describe.each(Object.entries(backends))('parallel submissions (%s storage)', (name, createBackend) => {
+  test('no qualifying score is lost', async () => {
+    const handler = createLeaderboardHandler(createBackend());
+    const scores = runs.map(run => run.score);
+
+    const responses = await Promise.all(runs.map(run =>
+      callHandler(handler, submission(`P${run.score}`, run))
+    ));
+
+    expect(responses.every(res => res.statusCode === 200)).toBe(true);
+
+    const res = await callHandler(handler, { method: 'GET' });
+    const expectedTop10 = [...scores].sort((a, b) => b - a).slice(0, 10);
+    expect(res.body.leaderboard.map(e => e.score)).toEqual(expectedTop10);
+  });
+
+  test('simultaneous submissions for the last open slots all land', async () => {
+    const handler = createLeaderboardHandler(createBackend());
+
+    await Promise.all(runs.slice(0, 10).map((run, i) =>
+      callHandler(handler, submission(`Racer${i}`, run))
+    ));
+
+    const res = await callHandler(handler, { method: 'GET' });
+    expect(res.body.leaderboard).toHaveLength(10);
+    expect(new Set(res.body.leaderboard.map(e => e.name)).size).toBe(10);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for leaderboard paging and rank lookup
+ */
+import { createLeaderboardHandler } from '../../api/leaderboard.js';
+import { createMemoryStorage } from '../../api/_lib/storage/index.js';
+import { callHandler } from '../helpers/mockHttp.js';
+import { playGame } from '../helpers/playGame.js';
+import { submission } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const run = playGame({ seed: 2, kills: 3 }).submission;
+
+// 40 stored scores, 1000 down to 610
+function seededBoard() {
+  const date = new Date().toISOString();
+  return Array.from({ length: 40 }, (_, i) => ({
+    id: `p${i + 1}`, name: `P${i + 1}`, score: 1000 - i * 10, time: 60, location: 'Unknown', date
+  }));
+}
+
+async function createHandler() {
+  const storage = createMemoryStorage();
+  await storage.set('leaderboard', seededBoard());
+  return createLeaderboardHandler(storage);
+}
+
+function get(handler, query) {
+  return callHandler(handler, { method: 'GET', query });
+}
+
+describe('Leaderboard paging', () => {
+  test('pages through the full ranked history', async () => {
+    const handler = await createHandler();
+
+    const res = await get(handler, { offset: '20', limit: '5' });
+
+    expect(res.body).toMatchObject({ success: true, total: 40, offset: 20, limit: 5 });
+    expect(res.body.leaderboard.map(e => [e.rank, e.name])).toEqual([
+      [21, 'P21'], [22, 'P22'], [23, 'P23'], [24, 'P24'], [25, 'P25']
+    ]);
+  });
+
+  test('pages past the end are empty', async () => {
+    const res = await get(await createHandler(), { offset: '100' });
+
+    expect(res.body.leaderboard).toEqual([]);
+    expect(res.body.total).toBe(40);
+  });
+
+  test('rejects bad paging parameters', async () => {
+    const handler = await createHandler();
+
+    expect((await get(handler, { offset: '-1' })).body.error).toBe('Invalid offset');
+    expect((await get(handler, { offset: 'abc' })).body.error).toBe('Invalid offset');
+    expect((await get(handler, { limit: '0' })).statusCode).toBe(400);
+    expect((await get(handler, { limit: '101' })).statusCode).toBe(400);
+    expect((await get(handler, { limit: '2.5' })).statusCode).toBe(400);
+  });
+
+  test('looks up one entry\'s rank and percentile', async () => {
+    const res = await get(await createHandler(), { id: 'p10' });
+
+    expect(res.body).toMatchObject({ success: true, rank: 10, total: 40, percentile: 78 });
+    expect(res.body.entry.name).toBe('P10');
+  });
+
+  test('unknown entries are not found', async () => {
+    const res = await get(await createHandler(), { id: 'nobody' });
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('a low score is stored and ranked instead of discarded', async () => {
+    const handler = await createHandler();
+    const res = await callHandler(handler, submission('Newbie', run));
+
+    expect(run.score).toBeLessThan(610);
+    expect(res.body).toMatchObject({ success: true, qualified: true, rank: 41, total: 41 });
+    // Top of the (empty) daily board, bottom of all time
+    expect(res.body.placements.daily.rank).toBe(1);
+
+    const lookup = await get(handler, { id: res.body.entry.id });
+    expect(lookup.body.rank).toBe(41);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for time-windowed leaderboards
+ */
+import { createLeaderboardHandler } from '../../api/leaderboard.js';
+import { createMemoryStorage } from '../../api/_lib/storage/index.js';
+import { getBoardKey, getWindowKey, getEntryKey } from '../../api/_lib/leaderboardPeriods.js';
+import { callHandler } from '../helpers/mockHttp.js';
+import { playGame } from '../helpers/playGame.js';
+import { submission } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+
+const run = playGame({ seed: 2, kills: 3 }).submission;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_MONTH = new Date(Date.now() - 30 * DAY_MS).toISOString();
+
+// Ten old scores that beat the test run, so it can't make the all-time board
+function oldScores() {
+  return Array.from({ length: 10 }, (_, i) => ({
+    id: `old${i}`, name: `Old${i}`, score: run.score + 100 - i, time: 60, location: 'Unknown', date: LAST_MONTH
+  }));
+}
+
+async function getBoard(handler, period) {
+  return callHandler(handler, { method: 'GET', query: period ? { period } : {} });
+}
+
+describe('Leaderboard periods', () => {
+  test('GET defaults to the all-time board', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('leaderboard', oldScores());
+    const handler = createLeaderboardHandler(storage);
+
+    const res = await getBoard(handler);
+
+    expect(res.body.period).toBe('all-time');
+    expect(res.body.leaderboard).toHaveLength(10);
+  });
+
+  test('GET rejects unknown periods', async () => {
+    const res = await getBoard(createLeaderboardHandler(createMemoryStorage()), 'monthly');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'Invalid period' });
+  });
+
+  test('old scores drop off the daily and weekly boards', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('leaderboard:daily', oldScores());
+    await storage.set('leaderboard:weekly', oldScores());
+    const handler = createLeaderboardHandler(storage);
+
+    expect((await getBoard(handler, 'daily')).body.leaderboard).toEqual([]);
+    expect((await getBoard(handler, 'weekly')).body.leaderboard).toEqual([]);
+  });
+
+  test('a score too low for the all-time top 10 still tops the daily and weekly boards', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('leaderboard', oldScores());
+    await storage.set('leaderboard:daily', oldScores());
+    const handler = createLeaderboardHandler(storage);
+
+    const res = await callHandler(handler, submission('Newbie', run));
+
+    expect(res.body.qualified).toBe(true);
+    expect(res.body.placements.daily).toMatchObject({ rank: 1, total: 1 });
+    expect(res.body.placements.weekly).toMatchObject({ rank: 1, total: 1 });
+    expect(res.body.placements['all-time']).toMatchObject({ rank: 11, total: 11 });
+    expect((await getBoard(handler, 'daily')).body.leaderboard.map(e => e.name)).toEqual(['Newbie']);
+    expect((await getBoard(handler, 'all-time')).body.leaderboard.map(e => e.name)).not.toContain('Newbie');
+  });
+
+  test('a score outside every top 10 is still ranked', async () => {
+    const storage = createMemoryStorage();
+    const today = new Date().toISOString();
+    const fullBoard = oldScores().map(entry => ({ ...entry, date: today }));
+    for (const key of ['leaderboard', 'leaderboard:daily', 'leaderboard:weekly']) {
+      await storage.set(key, fullBoard);
+    }
+    const handler = createLeaderboardHandler(storage);
+
+    const res = await callHandler(handler, submission('Late', run));
+
+    expect(res.body.qualified).toBe(false);
+    expect(res.body).toMatchObject({ rank: 11, total: 11, percentile: 9 });
+    expect(res.body.leaderboard).toHaveLength(10);
+  });
+
+  test('a new window drops the board of the one before', async () => {
+    const storage = createMemoryStorage();
+    const yesterday = Date.now() - DAY_MS;
+    const oldBoard = getBoardKey('daily', 'classic', yesterday);
+    await storage.zadd(oldBoard, -run.score, 'old0');
+    await storage.set(getWindowKey('daily', 'classic'), { key: oldBoard, start: Math.floor(yesterday / DAY_MS) * DAY_MS });
+    const handler = createLeaderboardHandler(storage);
+
+    await callHandler(handler, submission('Today', run));
+
+    expect(await storage.zcard(oldBoard)).toBe(0);
+    expect((await storage.get(getWindowKey('daily', 'classic'))).key).toBe(getBoardKey('daily', 'classic'));
+    expect((await getBoard(handler, 'daily')).body.leaderboard.map(e => e.name)).toEqual(['Today']);
+  });
+});
+
+describe('Boards stored before ranked sets', () => {
+  test('are moved into entry keys and ranked sets on first use', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('leaderboard', oldScores());
+    await storage.set('leaderboard:endless', oldScores());
+    const handler = createLeaderboardHandler(storage);
+
+    const res = await getBoard(handler);
+
+    expect(res.body.leaderboard.map(e => e.id)).toEqual(oldScores().map(e => e.id));
+    expect(await storage.get('leaderboard')).toBeNull();
+    expect(await storage.get(getEntryKey('old0'))).toMatchObject({ name: 'Old0', mode: 'classic' });
+    // Other modes move once they're used
+    expect(await storage.get('leaderboard:endless')).toHaveLength(10);
+  });
+
+  test('ties keep their order', async () => {
+    const storage = createMemoryStorage();
+    const board = oldScores().map(entry => ({ ...entry, score: run.score }));
+    await storage.set('leaderboard', board);
+
+    const res = await getBoard(createLeaderboardHandler(storage));
+
+    expect(res.body.leaderboard.map(e => e.id)).toEqual(board.map(e => e.id));
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for the leaderboard API mounted on the local Express server
+ */
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { playGame } from '../helpers/playGame.js';
+import { pastSessionToken } from '../helpers/fixtures.js';
+
+const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+const storeFile = path.join(tmpDir, 'store.json');
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE = storeFile;
+process.env.ACCOUNTS_DB = path.join(tmpDir, 'accounts.db');
+process.env.SESSION_SECRET = 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const { default: app } = await import('../../server.js');
+
+let server;
+let baseUrl;
+let sessionUrl;
+let authUrl;
+
+beforeAll(async () => {
+  server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  baseUrl = `${origin}/api/leaderboard`;
+  sessionUrl = `${origin}/api/session`;
+  authUrl = `${origin}/api/auth`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Real games, so submissions carry replays the server can verify
+const fullRun = playGame({ seed: 1 }).submission;
+const bestRun = playGame({ seed: 4 }).submission;
+const shortRun = playGame({ seed: 2, kills: 3 }).submission;
+const emptyRun = playGame({ seed: 3, kills: 0 }).submission;
+const endlessRun = playGame({ seed: 6, mode: 'endless', kills: 60 }).submission;
+
+// Defaults describe a finished 10-level run
+function postScore(body, sessionToken = pastSessionToken(), headers = {}) {
+  return fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ ...fullRun, sessionToken, ...body })
+  });
+}
+
+describe('Leaderboard API on local server', () => {
+  test('GET returns an empty leaderboard initially', async () => {
+    const res = await fetch(baseUrl);
+    const data = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(data).toEqual({ success: true, mode: 'classic', period: 'all-time', total: 0, offset: 0, limit: 10, leaderboard: [] });
+  });
+
+  test('OPTIONS answers CORS preflight', async () => {
+    const res = await fetch(baseUrl, { method: 'OPTIONS' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get('access-control-allow-methods')).toContain('POST');
+  });
+
+  test('POST stores a qualifying score and persists it to disk', async () => {
+    const res = await postScore({ name: 'Ace', country: 'GB' });
+    const data = await res.json();
+
+    expect(data.success).toBe(true);
+    expect(data.qualified).toBe(true);
+    expect(data.rank).toBe(1);
+
+    const onDisk = JSON.parse(readFileSync(storeFile, 'utf8'));
+    expect(onDisk[`leaderboardEntry:${data.entry.id}`]).toMatchObject({
+      name: 'Ace', score: fullRun.score, time: fullRun.time, country: 'GB', location: 'United Kingdom'
+    });
+  });
+
+  test('GET returns scores sorted descending', async () => {
+    await postScore({ name: 'Rookie', ...shortRun });
+    await postScore({ name: 'Pro', ...bestRun });
+
+    const data = await (await fetch(baseUrl)).json();
+
+    expect(bestRun.score).toBeGreaterThan(fullRun.score);
+    expect(fullRun.score).toBeGreaterThan(shortRun.score);
+    expect(data.leaderboard.map(e => e.name)).toEqual(['Pro', 'Ace', 'Rookie']);
+  });
+
+  test('GET ?period= returns that period\'s board', async () => {
+    const data = await (await fetch(`${baseUrl}?period=daily`)).json();
+
+    expect(data.period).toBe('daily');
+    expect(data.leaderboard.map(e => e.name)).toEqual(['Pro', 'Ace', 'Rookie']);
+  });
+
+  test('endless scores go on the endless boards only', async () => {
+    const res = await postScore({ name: 'Survivor', ...endlessRun });
+    const data = await res.json();
+
+    expect(data.success).toBe(true);
+    expect(data.mode).toBe('endless');
+    expect(data.rank).toBe(1);
+
+    const endless = await (await fetch(`${baseUrl}?mode=endless&period=weekly`)).json();
+    const classic = await (await fetch(baseUrl)).json();
+
+    expect(endless.mode).toBe('endless');
+    expect(endless.leaderboard.map(e => e.name)).toEqual(['Survivor']);
+    expect(classic.leaderboard.map(e => e.name)).not.toContain('Survivor');
+  });
+
+  test('GET rejects an unknown mode', async () => {
+    const res = await fetch(`${baseUrl}?mode=zen`);
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('Invalid mode');
+  });
+
+  test('POST rejects an invalid score', async () => {
+    const res = await postScore({ name: 'Cheater', score: 'lots' });
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('Invalid score');
+  });
+
+  test('POST /api/session issues a token the leaderboard accepts once', async () => {
+    const session = await (await fetch(sessionUrl, { method: 'POST' })).json();
+    expect(session.success).toBe(true);
+
+    const first = await postScore({ name: 'Quick', ...emptyRun }, session.token);
+    expect(first.status).toBe(200);
+
+    const second = await postScore({ name: 'Quick', ...emptyRun }, session.token);
+    expect(second.status).toBe(409);
+  });
+
+  test('POST rejects a score without a session token', async () => {
+    const res = await postScore({ name: 'Anon' }, null);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('POST rejects a forged session token', async () => {
+    const forged = pastSessionToken('wrong-secret');
+    const res = await postScore({ name: 'Forger' }, forged);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('POST rejects an implausible score', async () => {
+    const res = await postScore({ name: 'Cheater', score: 999999999 });
+
+    expect(res.status).toBe(422);
+    expect((await res.json()).success).toBe(false);
+  });
+
+  test('POST rejects a score its replay does not reproduce', async () => {
+    const res = await postScore({ name: 'Padder', score: fullRun.score + 50 });
+
+    expect(res.status).toBe(422);
+    expect((await res.json()).error).toBe('Score does not match the game replay');
+  });
+
+  test('POST without a country uses the hosting edge\'s country header', async () => {
+    const res = await postScore({ name: 'Edge', ...emptyRun }, pastSessionToken(), { 'x-vercel-ip-country': 'fr' });
+
+    expect((await res.json()).entry).toMatchObject({ country: 'FR', location: 'France' });
+  });
+
+  test('POST records an unknown location when no country is available', async () => {
+    const res = await postScore({ name: 'Nowhere', ...emptyRun });
+
+    expect((await res.json()).entry).toMatchObject({ country: null, location: 'Unknown' });
+  });
+
+  test('POST rejects a country outside the bundled table', async () => {
+    const res = await postScore({ name: 'Atlantis', country: 'Atlantis' });
+
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('Invalid country');
+  });
+
+  test('POST /api/session reports the detected country', async () => {
+    const res = await fetch(sessionUrl, { method: 'POST', headers: { 'cf-ipcountry': 'JP' } });
+
+    expect((await res.json()).country).toBe('JP');
+  });
+
+  test('POST /api/auth/register signs in and binds scores to the account', async () => {
+    const registered = await fetch(`${authUrl}/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'Pilot', password: 'correct horse' })
+    });
+    const { accessToken } = await registered.json();
+    expect(registered.status).toBe(201);
+
+    const res = await postScore({ ...shortRun, name: 'Ignored' }, pastSessionToken(), { Authorization: `Bearer ${accessToken}` });
+
+    expect((await res.json()).entry.name).toBe('Pilot');
+  });
+
+  test('unsupported methods return 405', async () => {
+    const res = await fetch(baseUrl, { method: 'PUT' });
+
+    expect(res.status).toBe(405);
+  });
+});
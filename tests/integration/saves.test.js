@@ -0,0 +1,157 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for the cloud save endpoint
+ */
+import { createSavesHandler } from '../../api/saves.js';
+import { SAVE_VERSION, SAVE_SLOTS, MAX_SAVE_BYTES } from '../../public/saveSchema.js';
+import { signedIn, request } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+function save(savedAt, seed = 7) {
+  return {
+    version: SAVE_VERSION,
+    savedAt,
+    gameElapsedTime: 30,
+    gameSessionToken: null,
+    name: null,
+    thumbnail: null,
+    simulation: { level: 3 },
+    replay: { version: 1, seed, ticks: 100, commands: [] }
+  };
+}
+
+// Every slot's save, from a GET
+async function cloudSaves(handler, authorization) {
+  return (await request(handler, authorization, 'GET')).body.saves;
+}
+
+const emptySlots = () => Object.fromEntries(Array.from({ length: SAVE_SLOTS }, (_, i) => [i + 1, null]));
+
+describe('Cloud saves', () => {
+  test('requires a signed-in player', async () => {
+    const { handler } = await signedIn(createSavesHandler);
+
+    const res = await request(handler, null, 'GET');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.success).toBe(false);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+
+    const rejected = await request(handler, 'Bearer not-a-token', 'GET');
+    expect(rejected.statusCode).toBe(401);
+    expect(rejected.headers['www-authenticate']).toBe('Bearer error="invalid_token"');
+  });
+
+  test('stores and returns the player\'s saves by slot', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+
+    expect((await request(handler, authorization, 'GET')).body).toEqual({ success: true, saves: emptySlots() });
+
+    const put = await request(handler, authorization, 'PUT', { query: { slot: '2' }, body: { save: save(1000) } });
+    expect(put.statusCode).toBe(200);
+
+    expect(await cloudSaves(handler, authorization)).toEqual({ ...emptySlots(), 2: save(1000) });
+  });
+
+  test('a named save with a thumbnail round-trips', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+    const named = { ...save(1000), name: 'Close call', thumbnail: 'data:image/jpeg;base64,/9j/4AAQ' };
+
+    await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: named } });
+
+    expect((await cloudSaves(handler, authorization))[1]).toEqual(named);
+  });
+
+  test('requests need a valid slot', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+
+    for (const slot of [undefined, '0', String(SAVE_SLOTS + 1), 'one']) {
+      const put = await request(handler, authorization, 'PUT', { query: { slot }, body: { save: save(1000) } });
+      expect(put.statusCode).toBe(400);
+      expect(put.body.error).toBe('Invalid save slot');
+      expect((await request(handler, authorization, 'DELETE', { query: { slot } })).statusCode).toBe(400);
+    }
+  });
+
+  test('saves are per account', async () => {
+    const { storage, handler, authorization } = await signedIn(createSavesHandler);
+    await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: save(1000) } });
+
+    const other = await signedIn(createSavesHandler, { storage, username: 'Bee' });
+    expect(await cloudSaves(handler, other.authorization)).toEqual(emptySlots());
+  });
+
+  test('an older save does not replace a newer one', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+    await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: save(2000) } });
+
+    const res = await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: save(1000) } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.save.savedAt).toBe(2000);
+    expect((await cloudSaves(handler, authorization))[1].savedAt).toBe(2000);
+  });
+
+  test('slots are independent', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+    await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: save(2000, 7) } });
+
+    const res = await request(handler, authorization, 'PUT', { query: { slot: '3' }, body: { save: save(1000, 8) } });
+    expect(res.statusCode).toBe(200);
+
+    await request(handler, authorization, 'DELETE', { query: { slot: '3', seed: '8' } });
+    const saves = await cloudSaves(handler, authorization);
+    expect(saves[1]).toEqual(save(2000, 7));
+    expect(saves[3]).toBeNull();
+  });
+
+  test('rejects malformed saves', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+
+    for (const bad of [
+      undefined, null, [], { savedAt: 1 }, { ...save(1), version: 1 }, { ...save(1), replay: null }, { ...save(1), savedAt: 'now' },
+      { ...save(1), name: '' }, { ...save(1), thumbnail: 'https://example.com/x.png' }
+    ]) {
+      const res = await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: bad } });
+      expect(res.statusCode).toBe(400);
+    }
+  });
+
+  test('saves up to MAX_SAVE_BYTES are stored, larger ones refused', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+    const padded = (bytes) => {
+      const base = save(1);
+      base.simulation.padding = '';
+      base.simulation.padding = 'x'.repeat(bytes - JSON.stringify(base).length);
+      return base;
+    };
+
+    const fits = await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: padded(MAX_SAVE_BYTES) } });
+    const tooLarge = await request(handler, authorization, 'PUT', { query: { slot: '2' }, body: { save: padded(MAX_SAVE_BYTES + 1) } });
+
+    expect(fits.statusCode).toBe(200);
+    expect(tooLarge.statusCode).toBe(413);
+  });
+
+  test('DELETE with a seed only clears that game', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+    await request(handler, authorization, 'PUT', { query: { slot: '1' }, body: { save: save(1000, 7) } });
+
+    const other = await request(handler, authorization, 'DELETE', { query: { slot: '1', seed: '8' } });
+    expect(other.body).toEqual({ success: true, deleted: false });
+
+    const same = await request(handler, authorization, 'DELETE', { query: { slot: '1', seed: '7' } });
+    expect(same.body).toEqual({ success: true, deleted: true });
+    expect((await cloudSaves(handler, authorization))[1]).toBeNull();
+  });
+
+  test('unsupported methods return 405', async () => {
+    const { handler, authorization } = await signedIn(createSavesHandler);
+
+    expect((await request(handler, authorization, 'POST')).statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ *
+ * Integration tests for the player stats endpoint
+ */
+import { createStatsHandler } from '../../api/stats.js';
+import { createStats } from '../../public/playerStats.js';
+import { signedIn, request } from '../helpers/fixtures.js';
+
+process.env.SESSION_SECRET = 'test-secret';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+describe('Player stats', () => {
+  test('requires a signed-in player', async () => {
+    const { handler } = await signedIn(createStatsHandler);
+
+    const res = await request(handler, null, 'GET');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('a new account starts with empty stats', async () => {
+    const { handler, authorization } = await signedIn(createStatsHandler);
+
+    expect((await request(handler, authorization, 'GET')).body).toEqual({ success: true, stats: createStats() });
+  });
+
+  test('synced stats add up across devices', async () => {
+    const { handler, authorization } = await signedIn(createStatsHandler);
+    const phone = { ...createStats(), gamesPlayed: 1, kills: 5, shotsFired: 20, shotsHit: 9, bestMultiplier: 2.5, timePlayed: 40 };
+    const laptop = { ...createStats(), gamesPlayed: 2, kills: 3, shotsFired: 10, shotsHit: 4, earthHits: 1, bestMultiplier: 1.5, timePlayed: 25 };
+
+    await request(handler, authorization, 'POST', { body: { stats: phone } });
+    const res = await request(handler, authorization, 'POST', { body: { stats: laptop } });
+
+    const expected = {
+      ...createStats(), gamesPlayed: 3, kills: 8, shotsFired: 30, shotsHit: 13, earthHits: 1, bestMultiplier: 2.5, timePlayed: 65
+    };
+    expect(res.body).toEqual({ success: true, stats: expected });
+    expect((await request(handler, authorization, 'GET')).body.stats).toEqual(expected);
+  });
+
+  test('stats are per account', async () => {
+    const { storage, handler, authorization } = await signedIn(createStatsHandler);
+    await request(handler, authorization, 'POST', { body: { stats: { ...createStats(), kills: 5 } } });
+
+    const other = await signedIn(createStatsHandler, { storage, username: 'Bee' });
+
+    expect((await request(other.handler, other.authorization, 'GET')).body.stats).toEqual(createStats());
+  });
+
+  test('rejects malformed stats', async () => {
+    const { handler, authorization } = await signedIn(createStatsHandler);
+
+    for (const bad of [undefined, [], { kills: 5 }, { ...createStats(), kills: -5 }, { ...createStats(), bestMultiplier: 99 }]) {
+      const res = await request(handler, authorization, 'POST', { body: { stats: bad } });
+      expect(res.statusCode).toBe(400);
+    }
+    expect((await request(handler, authorization, 'GET')).body.stats).toEqual(createStats());
+  });
+
+  test('unsupported methods return 405', async () => {
+    const { handler, authorization } = await signedIn(createStatsHandler);
+
+    expect((await request(handler, authorization, 'DELETE')).statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for leaderboard rate limiting, the name blocklist and admin auth
+ */
+import { getRateLimits, getClientIp, consumeRateLimit } from '../../api/_lib/rateLimit.js';
+import { getBlocklist, containsBlockedTerm } from '../../api/_lib/contentFilter.js';
+import { isAdminRequest } from '../../api/_lib/adminAuth.js';
+import { createMemoryStorage } from '../../api/_lib/storage/index.js';
+
+describe('Rate limiting', () => {
+  test('allows `limit` hits per window, then reports when to retry', async () => {
+    const storage = createMemoryStorage();
+    const now = 1_200_000;
+
+    for (let i = 0; i < 3; i++) {
+      expect(await consumeRateLimit(storage, 'ip:a', 3, 60000, now)).toEqual({ allowed: true });
+    }
+    expect(await consumeRateLimit(storage, 'ip:a', 3, 60000, now + 15000)).toEqual({ allowed: false, retryAfter: 45 });
+  });
+
+  test('keys are limited independently', async () => {
+    const storage = createMemoryStorage();
+
+    await consumeRateLimit(storage, 'ip:a', 1, 60000, 0);
+
+    expect((await consumeRateLimit(storage, 'ip:a', 1, 60000, 0)).allowed).toBe(false);
+    expect((await consumeRateLimit(storage, 'ip:b', 1, 60000, 0)).allowed).toBe(true);
+  });
+
+  test('a new window starts once the old one ends', async () => {
+    const storage = createMemoryStorage();
+
+    await consumeRateLimit(storage, 'ip:a', 1, 60000, 0);
+
+    expect((await consumeRateLimit(storage, 'ip:a', 1, 60000, 59999)).allowed).toBe(false);
+    expect((await consumeRateLimit(storage, 'ip:a', 1, 60000, 60000)).allowed).toBe(true);
+  });
+
+  test('counters are kept per key and window, and expire with the window', async () => {
+    const storage = createMemoryStorage();
+    // The start of a window, so the counter lives for all 200ms of it
+    const now = Math.ceil(Date.now() / 200) * 200;
+
+    await consumeRateLimit(storage, 'ip:a', 5, 200, now);
+    const key = `rateLimit:ip:a:${Math.floor(now / 200)}`;
+    expect(await storage.get(key)).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    expect(await storage.get(key)).toBeNull();
+  });
+
+  test('limits come from env with defaults', () => {
+    expect(getRateLimits({})).toEqual({ windowMs: 600000, perIp: 20, perSession: 5, authPerIp: 10, sessionsPerIp: 30 });
+    expect(getRateLimits({ RATE_LIMIT_WINDOW_SECONDS: '60', RATE_LIMIT_PER_IP: '3', RATE_LIMIT_PER_SESSION: 'x' }))
+      .toEqual({ windowMs: 60000, perIp: 3, perSession: 5, authPerIp: 10, sessionsPerIp: 30 });
+  });
+
+  test('client IP ignores X-Forwarded-For unless a proxy is trusted', () => {
+    const req = { headers: { 'x-forwarded-for': '198.51.100.9, 203.0.113.7' }, socket: { remoteAddress: '10.0.0.1' } };
+
+    expect(getClientIp(req, {})).toBe('10.0.0.1');
+    expect(getClientIp({ headers: {} }, {})).toBe('unknown');
+  });
+
+  test('client IP is the hop the outermost trusted proxy saw', () => {
+    const req = { headers: { 'x-forwarded-for': '198.51.100.9, 203.0.113.7' }, socket: { remoteAddress: '10.0.0.1' } };
+
+    expect(getClientIp(req, { TRUST_PROXY: '1' })).toBe('203.0.113.7');
+    expect(getClientIp(req, { TRUST_PROXY: '2' })).toBe('198.51.100.9');
+    expect(getClientIp(req, { TRUST_PROXY: '5' })).toBe('198.51.100.9');
+    expect(getClientIp(req, { VERCEL: '1' })).toBe('203.0.113.7');
+    expect(getClientIp(req, { VERCEL: '1', TRUST_PROXY: '0' })).toBe('10.0.0.1');
+  });
+});
+
+describe('Blocklist filter', () => {
+  const blocklist = getBlocklist({});
+
+  test('blocks listed words, whatever the case', () => {
+    expect(containsBlockedTerm('Shit Happens', blocklist)).toBe(true);
+    expect(containsBlockedTerm('ace pilot', blocklist)).toBe(false);
+  });
+
+  test('sees through look-alike characters and separators', () => {
+    expect(containsBlockedTerm('sh!t', blocklist)).toBe(true);
+    expect(containsBlockedTerm('$H1T', blocklist)).toBe(true);
+    expect(containsBlockedTerm('s.h.i.t', blocklist)).toBe(true);
+  });
+
+  test('does not match inside longer words', () => {
+    expect(containsBlockedTerm('Scunthorpe', blocklist)).toBe(false);
+    expect(containsBlockedTerm('Dickson, Tennessee', blocklist)).toBe(false);
+  });
+
+  test('LEADERBOARD_BLOCKLIST adds terms', () => {
+    const custom = getBlocklist({ LEADERBOARD_BLOCKLIST: 'spammer, Cheat0r' });
+
+    expect(containsBlockedTerm('SPAMMER', custom)).toBe(true);
+    expect(containsBlockedTerm('cheator', custom)).toBe(true);
+    expect(containsBlockedTerm('spammer', blocklist)).toBe(false);
+  });
+
+  test('ignores missing values', () => {
+    expect(containsBlockedTerm(undefined, blocklist)).toBe(false);
+    expect(containsBlockedTerm('', blocklist)).toBe(false);
+  });
+});
+
+describe('Admin auth', () => {
+  const request = authorization => ({ headers: authorization ? { authorization } : {} });
+
+  test('accepts only the configured bearer token', () => {
+    expect(isAdminRequest(request('Bearer s3cret'), 's3cret')).toBe(true);
+    expect(isAdminRequest(request('Bearer wrong'), 's3cret')).toBe(false);
+    expect(isAdminRequest(request('s3cret'), 's3cret')).toBe(false);
+    expect(isAdminRequest(request(), 's3cret')).toBe(false);
+  });
+
+  test('is closed when no token is configured', () => {
+    expect(isAdminRequest(request('Bearer '), null)).toBe(false);
+  });
+});
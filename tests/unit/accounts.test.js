@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for JWTs and player accounts
+ */
+import { signJwt, verifyJwt } from '../../api/_lib/jwt.js';
+import {
+  usernameError, passwordError, createAccount, authenticate, issueTokens, refreshTokens, revokeRefreshToken,
+  verifyAccessToken, getBearerToken, ACCESS_TOKEN_TTL_SECONDS
+} from '../../api/_lib/accounts.js';
+import { createMemoryStorage } from '../../api/_lib/storage/index.js';
+
+const SECRET = 'test-secret';
+const ROUNDS = 4; // Cheapest bcrypt cost, to keep the tests fast
+process.env.BCRYPT_ROUNDS = String(ROUNDS);
+
+describe('JWT', () => {
+  test('round-trips claims and adds iat/exp', () => {
+    const token = signJwt({ sub: 'u1' }, SECRET, 60, 1_000_000);
+
+    expect(token.split('.')).toHaveLength(3);
+    expect(verifyJwt(token, SECRET, 1_000_000)).toEqual({ sub: 'u1', iat: 1000, exp: 1060 });
+  });
+
+  test('rejects expired, tampered and wrongly signed tokens', () => {
+    const token = signJwt({ sub: 'u1' }, SECRET, 60, 1_000_000);
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', iat: 1000, exp: 9e9 })).toString('base64url');
+
+    expect(verifyJwt(token, SECRET, 1_060_000)).toBeNull();
+    expect(verifyJwt(`${header}.${forged}.${signature}`, SECRET, 1_000_000)).toBeNull();
+    expect(verifyJwt(token, 'other-secret', 1_000_000)).toBeNull();
+    expect(verifyJwt('not-a-token', SECRET)).toBeNull();
+    expect(verifyJwt(undefined, SECRET)).toBeNull();
+  });
+});
+
+describe('Account validation', () => {
+  test('usernames are 3-20 letters, numbers, _ or -', () => {
+    expect(usernameError('Ace_Pilot-1')).toBeNull();
+    expect(usernameError('ab')).not.toBeNull();
+    expect(usernameError('a'.repeat(21))).not.toBeNull();
+    expect(usernameError('ace pilot')).not.toBeNull();
+    expect(usernameError(42)).not.toBeNull();
+  });
+
+  test('passwords are at least 8 characters and at most 72 bytes', () => {
+    expect(passwordError('hunter22')).toBeNull();
+    expect(passwordError('short')).not.toBeNull();
+    expect(passwordError('x'.repeat(72))).toBeNull();
+    expect(passwordError('x'.repeat(73))).not.toBeNull();
+    expect(passwordError(undefined)).not.toBeNull();
+  });
+
+  test('the password limit counts UTF-8 bytes, where bcrypt cuts off', () => {
+    expect(passwordError('é'.repeat(36))).toBeNull();
+    expect(passwordError('é'.repeat(37))).not.toBeNull();
+  });
+});
+
+describe('Accounts', () => {
+  test('passwords are stored hashed and checked on sign in', async () => {
+    const storage = createMemoryStorage();
+    const account = await createAccount(storage, 'Ace', 'correct horse', { rounds: ROUNDS });
+
+    expect(account.passwordHash).not.toContain('correct horse');
+    expect((await authenticate(storage, 'ace', 'correct horse')).id).toBe(account.id);
+    expect(await authenticate(storage, 'Ace', 'wrong password')).toBeNull();
+    expect(await authenticate(storage, 'Nobody', 'correct horse')).toBeNull();
+  });
+
+  test('usernames are unique regardless of case', async () => {
+    const storage = createMemoryStorage();
+    await createAccount(storage, 'Ace', 'password1', { rounds: ROUNDS });
+
+    expect(await createAccount(storage, 'ACE', 'password2', { rounds: ROUNDS })).toBeNull();
+  });
+
+  test('each account is stored under its own key', async () => {
+    const storage = createMemoryStorage();
+    await createAccount(storage, 'Ace', 'password1', { rounds: ROUNDS });
+    await createAccount(storage, 'Maverick', 'password2', { rounds: ROUNDS });
+
+    expect(await storage.get('account:ace')).toMatchObject({ username: 'Ace' });
+    expect(await storage.get('account:maverick')).toMatchObject({ username: 'Maverick' });
+  });
+
+  test('accounts stored together in one value are moved to their own keys', async () => {
+    const storage = createMemoryStorage();
+    const account = await createAccount(createMemoryStorage(), 'Ace', 'password1', { rounds: ROUNDS });
+    await storage.set('accounts', { ace: account });
+
+    expect((await authenticate(storage, 'Ace', 'password1')).id).toBe(account.id);
+    expect(await storage.get('accounts')).toBeNull();
+    expect(await createAccount(storage, 'ace', 'password2', { rounds: ROUNDS })).toBeNull();
+  });
+
+  test('access tokens identify the account', async () => {
+    const storage = createMemoryStorage();
+    const account = await createAccount(storage, 'Ace', 'password1', { rounds: ROUNDS });
+    const now = Date.now();
+    const { accessToken, refreshToken, expiresIn } = await issueTokens(storage, account, SECRET, now);
+
+    expect(expiresIn).toBe(ACCESS_TOKEN_TTL_SECONDS);
+    expect(verifyAccessToken(accessToken, SECRET, now)).toEqual({ id: account.id, username: 'Ace' });
+    expect(verifyAccessToken(accessToken, SECRET, now + ACCESS_TOKEN_TTL_SECONDS * 1000)).toBeNull();
+    // A refresh token can't stand in for an access token
+    expect(verifyAccessToken(refreshToken, SECRET, now)).toBeNull();
+  });
+
+  test('refresh tokens rotate and work only once', async () => {
+    const storage = createMemoryStorage();
+    const account = await createAccount(storage, 'Ace', 'password1', { rounds: ROUNDS });
+    const { refreshToken } = await issueTokens(storage, account, SECRET);
+
+    const refreshed = await refreshTokens(storage, refreshToken, SECRET);
+
+    expect(refreshed.account.id).toBe(account.id);
+    expect(refreshed.tokens.refreshToken).not.toBe(refreshToken);
+    expect(await refreshTokens(storage, refreshToken, SECRET)).toBeNull();
+    expect(await refreshTokens(storage, refreshed.tokens.refreshToken, SECRET)).not.toBeNull();
+  });
+
+  test('revoked refresh tokens stop working', async () => {
+    const storage = createMemoryStorage();
+    const account = await createAccount(storage, 'Ace', 'password1', { rounds: ROUNDS });
+    const { refreshToken } = await issueTokens(storage, account, SECRET);
+
+    expect(await revokeRefreshToken(storage, refreshToken, SECRET)).not.toBeNull();
+    expect(await refreshTokens(storage, refreshToken, SECRET)).toBeNull();
+  });
+
+  test('bearer tokens are read from the Authorization header', () => {
+    expect(getBearerToken({ headers: { authorization: 'Bearer abc' } })).toBe('abc');
+    expect(getBearerToken({ headers: { authorization: 'Basic abc' } })).toBeNull();
+    expect(getBearerToken({ headers: {} })).toBeNull();
+  });
+});
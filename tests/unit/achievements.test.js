@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for the data-driven achievement engine and the shipped definitions
+ */
+import { readFileSync } from 'fs';
+import { AchievementTracker, checkDefinitions } from '../../public/achievements.js';
+import { createStats } from '../../public/playerStats.js';
+import { fromSimulationEvent } from '../../public/gameEvents.js';
+import { playGame } from '../helpers/playGame.js';
+
+const definitions = JSON.parse(readFileSync(new URL('../../public/achievements.json', import.meta.url), 'utf8'));
+
+// Ids unlocked by a sequence of [type, payload] game events
+function unlockedBy(tracker, events, context) {
+  return events.flatMap(([type, payload]) => tracker.handleEvent(type, payload, context)).map(a => a.id);
+}
+
+const levelStarted = ['levelStarted', { level: 2, isRetry: false }];
+const levelComplete = ['levelComplete', { level: 2 }];
+const victory = ['victory', {}];
+const kill = (proximity = 1.2) => ['asteroidDestroyed', { asteroid: { size: 1 }, points: 10, multiplier: proximity, proximity }];
+
+describe('Achievement definitions', () => {
+  test('the shipped table is valid', () => {
+    expect(() => checkDefinitions(definitions)).not.toThrow();
+  });
+
+  test('malformed definitions are rejected', () => {
+    const valid = { id: 'a', name: 'A', description: 'A', event: 'victory' };
+
+    expect(() => checkDefinitions([valid, valid])).toThrow('Duplicate achievement "a"');
+    expect(() => checkDefinitions([{ ...valid, event: undefined }])).toThrow('unknown event');
+    expect(() => checkDefinitions([{ ...valid, event: 'asteroidDestroy' }])).toThrow('unknown event "asteroidDestroy"');
+    expect(() => checkDefinitions([{ ...valid, event: ['victory', 'levelComplet'] }])).toThrow('unknown event "levelComplet"');
+    expect(() => checkDefinitions([{ ...valid, event: [] }])).toThrow('unknown event');
+    expect(() => checkDefinitions([{ ...valid, when: [['event.level', '=>', 5]] }])).toThrow('unknown operator');
+    expect(() => checkDefinitions([{ ...valid, when: [['score', '>', 5]] }])).toThrow('invalid condition');
+    expect(() => checkDefinitions([{ ...valid, when: [null] }])).toThrow('invalid condition');
+  });
+});
+
+describe('Unlocking achievements', () => {
+  test('a real game unlocks first contact once', () => {
+    const tracker = new AchievementTracker(definitions);
+    const unlocked = [];
+    playGame({ seed: 3, kills: 3, onEvents: (events) => unlocked.push(...unlockedBy(tracker, events.map(fromSimulationEvent))) });
+
+    expect(unlocked).toContain('first-contact');
+    expect(unlocked.filter(id => id === 'first-contact')).toHaveLength(1);
+    expect(tracker.isUnlocked('first-contact')).toBe(true);
+  });
+
+  test('a real game reports each kill\'s proximity multiplier', () => {
+    const kills = [];
+    playGame({ seed: 3, kills: 3, onEvents: (events) => kills.push(...events.filter(e => e.type === 'asteroidDestroyed')) });
+
+    expect(kills.length).toBeGreaterThan(0);
+    for (const { proximity } of kills) {
+      expect(proximity).toBeGreaterThanOrEqual(1);
+      expect(proximity).toBeLessThanOrEqual(4);
+    }
+  });
+
+  test('achievements already unlocked stay quiet', () => {
+    const tracker = new AchievementTracker(definitions, { 'first-contact': 1 });
+
+    expect(unlockedBy(tracker, [kill()])).not.toContain('first-contact');
+  });
+
+  test('a level without damage is untouched', () => {
+    const clean = new AchievementTracker(definitions);
+    expect(unlockedBy(clean, [levelStarted, kill(), levelComplete])).toContain('untouched');
+
+    const hit = new AchievementTracker(definitions);
+    const impact = ['moonHit', { cause: 'asteroid', damage: 5, asteroid: { size: 1 } }];
+    expect(unlockedBy(hit, [levelStarted, impact, levelComplete])).not.toContain('untouched');
+
+    const friendlyFire = new AchievementTracker(definitions);
+    const bolt = ['earthHit', { cause: 'friendlyFire', damage: 2, asteroid: null }];
+    expect(unlockedBy(friendlyFire, [levelStarted, bolt, levelComplete])).not.toContain('untouched');
+  });
+
+  test('the final level, which ends in victory, can be untouched', () => {
+    const finalLevel = ['levelStarted', { level: 10, isRetry: false }];
+
+    const clean = new AchievementTracker(definitions);
+    expect(unlockedBy(clean, [finalLevel, kill(), victory])).toContain('untouched');
+
+    const hit = new AchievementTracker(definitions);
+    const impact = ['earthHit', { cause: 'asteroid', damage: 5, asteroid: { size: 1 } }];
+    expect(unlockedBy(hit, [finalLevel, impact, victory])).not.toContain('untouched');
+  });
+
+  test('conditions read the event, lifetime stats and the world', () => {
+    const tracker = new AchievementTracker(definitions);
+
+    expect(unlockedBy(tracker, [['asteroidDestroyed', { asteroid: { size: 1 }, points: 40, multiplier: 4.5, proximity: 1.5 }]]))
+      .not.toContain('danger-close');
+    expect(unlockedBy(tracker, [kill(3.6)])).toContain('danger-close');
+    expect(unlockedBy(tracker, [kill()], { world: { lunarEclipse: 0.2 } })).not.toContain('blood-moon');
+    expect(unlockedBy(tracker, [kill()], { world: { lunarEclipse: 0.9 } })).toContain('blood-moon');
+    expect(unlockedBy(tracker, [kill()], { stats: { ...createStats(), kills: 99 } })).not.toContain('centurion');
+    expect(unlockedBy(tracker, [kill()], { stats: { ...createStats(), kills: 100 } })).toContain('centurion');
+  });
+
+  test('a win without friendly fire needs the whole game to have been seen', () => {
+    const fresh = new AchievementTracker(definitions);
+    expect(unlockedBy(fresh, [victory])).toEqual(expect.arrayContaining(['earth-defender', 'steady-hands']));
+
+    const resumed = new AchievementTracker(definitions);
+    resumed.startGame({ resumed: true });
+    expect(unlockedBy(resumed, [victory])).toEqual(['earth-defender']);
+  });
+});
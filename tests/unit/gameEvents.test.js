@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for the game event bus
+ */
+import { GameEventBus, fromSimulationEvent, publishSimulationEvents } from '../../public/gameEvents.js';
+import { playGame } from '../helpers/playGame.js';
+
+describe('GameEventBus', () => {
+  test('delivers events to their subscribers in subscription order', () => {
+    const bus = new GameEventBus();
+    const calls = [];
+    bus.on('victory', () => calls.push('victory listener'));
+    bus.onAny((payload, type) => calls.push(`any: ${type}`));
+    bus.on('gameOver', () => calls.push('game over listener'));
+
+    bus.emit('victory');
+    bus.emit('levelComplete', { level: 3 });
+
+    expect(calls).toEqual(['victory listener', 'any: victory', 'any: levelComplete']);
+  });
+
+  test('passes the payload and can unsubscribe', () => {
+    const bus = new GameEventBus();
+    const levels = [];
+    const off = bus.on('levelStarted', ({ level }) => levels.push(level));
+
+    bus.emit('levelStarted', { level: 1, isRetry: false });
+    off();
+    bus.emit('levelStarted', { level: 2, isRetry: false });
+
+    expect(levels).toEqual([1]);
+  });
+
+  test('rejects unknown event types', () => {
+    const bus = new GameEventBus();
+
+    expect(() => bus.on('asteroidDestroy', () => {})).toThrow('Unknown game event "asteroidDestroy"');
+    expect(() => bus.emit('explode')).toThrow('Unknown game event');
+  });
+
+  test('a failing subscriber does not stop the others', () => {
+    const bus = new GameEventBus();
+    const logged = [];
+    const consoleError = console.error;
+    console.error = (...args) => logged.push(args);
+    let delivered = false;
+    bus.on('victory', () => { throw new Error('boom'); });
+    bus.on('victory', () => { delivered = true; });
+
+    try {
+      bus.emit('victory');
+    } finally {
+      console.error = consoleError;
+    }
+
+    expect(delivered).toBe(true);
+    expect(logged).toHaveLength(1);
+  });
+});
+
+describe('Simulation events', () => {
+  test('impacts, blasts and friendly fire become Earth and Moon hits', () => {
+    const asteroid = { id: 1, type: 'rock', size: 2, position: { x: 1, y: 0, z: 0 } };
+    const explosive = { ...asteroid, type: 'explosive' };
+    const position = { x: 0, y: 2, z: 0 };
+
+    expect(fromSimulationEvent({ type: 'asteroidImpact', target: 'moon', asteroid, damage: 10 }))
+      .toEqual(['moonHit', { cause: 'asteroid', damage: 10, position: asteroid.position, asteroid }]);
+    expect(fromSimulationEvent({ type: 'blast', target: 'earth', asteroid: explosive, damage: 10 }))
+      .toEqual(['earthHit', { cause: 'blast', damage: 10, position: explosive.position, asteroid: explosive }]);
+    expect(fromSimulationEvent({ type: 'boltImpact', target: 'earth', position, damage: 2 }))
+      .toEqual(['earthHit', { cause: 'friendlyFire', damage: 2, position, asteroid: null }]);
+  });
+
+  test('angel impacts pass through', () => {
+    const angel = { id: 2, type: 'angel', size: 1.2, position: { x: 2, y: 0, z: 0 } };
+
+    expect(fromSimulationEvent({ type: 'angelImpact', target: 'earth', asteroid: angel }))
+      .toEqual(['angelImpact', { target: 'earth', asteroid: angel }]);
+  });
+
+  test('a real game publishes only known events', () => {
+    const bus = new GameEventBus();
+    const seen = new Set();
+    bus.onAny((payload, type) => seen.add(type));
+
+    playGame({ seed: 3, kills: 4, onEvents: (events) => publishSimulationEvents(bus, events) });
+
+    expect([...seen]).toEqual(expect.arrayContaining(['laserFired', 'asteroidHit', 'asteroidDestroyed', 'asteroidSplit', 'levelComplete']));
+  });
+});
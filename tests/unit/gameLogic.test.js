@@ -1,150 +1,725 @@
 /**
  * Unit tests for core game logic
  */
+import {
+  ASTEROID_SPAWN_MIN_DISTANCE, ASTEROID_SPAWN_MAX_DISTANCE, ASTEROID_MIN_SPEED, ASTEROID_MAX_SPEED,
+  EARTH_RADIUS, LASER_SPEED, AMMO_PER_ASTEROID, AMMO_REWARD_PER_KILL, ANGEL_SPAWN_INTERVAL,
+  MAX_EARTH_HEALTH, BASE_ORBIT_SPEED, MAX_ORBIT_SPEED_MULTIPLIER, MAX_PROXIMITY_MULTIPLIER, TICK_SECONDS,
+  EXPLOSIVE_BLAST_DAMAGE, FRAGMENT_MIN_COUNT, FRAGMENT_MAX_COUNT, FRAGMENT_SIZE_FACTOR, FRAGMENT_SPREAD,
+  ORBIT_CAPTURE_RADIUS, TICK_RATE, AMMO_PER_ENEMY, MAX_SHIP_HEALTH, ENEMY_BOLT_DAMAGE, ENEMY_FIRE_RANGE,
+  AMMO_PER_BOSS_HIT, BOSS_ORBIT_RADIUS, BOSS_ORBIT_Y, BOSS_SPAWN_DISTANCE, BOSS_VOLLEY_SHOTS, SHIP_START_ANGLE
+} from '../../public/game/constants.js';
+import { ASTEROID_TYPES } from '../../public/game/asteroidTypes.js';
+import { BOSSES } from '../../public/game/bosses.js';
+import { startLevel, waveProfile } from '../../public/game/simulation.js';
+import { distance, dot, length, normalize, sub, vec3 } from '../../public/game/vector.js';
+import { Simulation, MAX_STEP_SECONDS, calculateScoreMultiplier, calculateProximityMultiplier, quantizeQuaternion } from '../../public/game/index.js';
+
+const FORWARD = quantizeQuaternion({ x: 0, y: 0, z: 0, w: 1 });
+
+// Replace the level's asteroids with one placed by the test
+function placeAsteroid(state, overrides) {
+  const asteroid = {
+    id: state.nextId++,
+    size: 1,
+    health: 4,
+    maxHealth: 4,
+    position: vec3(0, 0, -100),
+    velocity: vec3(0, 0, 1),
+    type: 'rock',
+    trajectory: 'direct',
+    ...overrides
+  };
+  state.asteroids = [asteroid];
+  return asteroid;
+}
+
+// An asteroid about to hit Earth on the next tick
+function placeImpact(state, overrides) {
+  return placeAsteroid(state, { position: vec3(EARTH_RADIUS, 0, 0), velocity: vec3(-1, 0, 0), ...overrides });
+}
+
+// A one-hit asteroid in the path of a forward shot from the ship's starting position
+function placeTarget(state, overrides) {
+  return placeAsteroid(state, { health: 1, maxHealth: 1, position: vec3(0, 1.35, -20), ...overrides });
+}
+
+// Add an enemy fighter placed by the test
+function placeEnemy(state, overrides) {
+  const enemy = {
+    id: state.nextId++,
+    health: 6,
+    maxHealth: 6,
+    position: vec3(0, 0, -60),
+    velocity: vec3(),
+    strafe: 1,
+    fireCooldown: 0,
+    ...overrides
+  };
+  state.enemies.push(enemy);
+  return enemy;
+}
+
+// Add a mothership placed by the test, in orbit dead ahead of the ship's starting position and holding its fire
+function placeBoss(state, overrides) {
+  state.boss = {
+    id: state.nextId++,
+    type: 'mothership',
+    phase: 0,
+    attack: 0,
+    attackCooldown: 999,
+    health: 10,
+    maxHealth: 10,
+    parts: [],
+    hangar: { asteroids: 4, fighters: 3 },
+    radius: BOSS_ORBIT_RADIUS,
+    angle: SHIP_START_ANGLE,
+    position: vec3(0, BOSS_ORBIT_Y, -BOSS_ORBIT_RADIUS),
+    velocity: vec3(),
+    ...overrides
+  };
+  return state.boss;
+}
+
+// Fire forward until an event of `type` happens
+function fireUntil(game, type) {
+  const events = game.advance([['F', ...FORWARD]]);
+  for (let i = 0; i < 60 && !events.some(e => e.type === type); i++) {
+    events.push(...game.advance());
+  }
+  return events;
+}
+
+function fireUntilDestroyed(game) {
+  const events = game.advance([['F', ...FORWARD]]);
+  for (let i = 0; i < 30 && !events.some(e => e.type === 'asteroidDestroyed'); i++) {
+    events.push(...game.advance());
+  }
+  return events;
+}
 
 describe('Game Constants', () => {
   test('asteroid spawn distances are valid', () => {
-    const ASTEROID_SPAWN_MIN_DISTANCE = 120;
-    const ASTEROID_SPAWN_MAX_DISTANCE = 180;
-    const EARTH_RADIUS = 2;
-
     expect(ASTEROID_SPAWN_MIN_DISTANCE).toBeGreaterThan(EARTH_RADIUS);
     expect(ASTEROID_SPAWN_MAX_DISTANCE).toBeGreaterThan(ASTEROID_SPAWN_MIN_DISTANCE);
   });
 
   test('laser speed is positive', () => {
-    const LASER_SPEED = 80;
     expect(LASER_SPEED).toBeGreaterThan(0);
   });
 });
 
 describe('Level Progression', () => {
-  function getAsteroidSpeed(level) {
-    const baseMin = 1.0;
-    const baseMax = 2.0;
-    const levelMultiplier = 0.5 + (level - 1) * 0.3;
-    const min = baseMin * levelMultiplier;
-    const max = baseMax * levelMultiplier;
-    return { min, max };
-  }
+  test('level N spawns N asteroids with ammo for each, and for its fighters and boss', () => {
+    const { state } = new Simulation(1);
+
+    for (const level of [1, 5, 10]) {
+      startLevel(state, level, false, []);
+      const bossHits = state.boss ? state.boss.maxHealth + state.boss.parts.reduce((sum, part) => sum + part.maxHealth, 0) : 0;
+      expect(state.asteroids).toHaveLength(level);
+      expect(state.levelAsteroidsRemaining).toBe(level);
+      expect(state.ammo).toBe(AMMO_PER_ASTEROID * level + AMMO_PER_ENEMY * state.enemies.length + AMMO_PER_BOSS_HIT * bossHits);
+    }
+  });
+
+  test('asteroids spawn in range and head for Earth', () => {
+    const { state } = new Simulation(8);
+    startLevel(state, 10, false, []);
+
+    for (const asteroid of state.asteroids) {
+      const spawnDistance = length(asteroid.position);
+      const speed = length(asteroid.velocity);
+      expect(spawnDistance).toBeGreaterThanOrEqual(ASTEROID_SPAWN_MIN_DISTANCE);
+      expect(spawnDistance).toBeLessThanOrEqual(ASTEROID_SPAWN_MAX_DISTANCE);
+      const typeSpeed = ASTEROID_TYPES[asteroid.type].speed;
+      expect(speed).toBeGreaterThanOrEqual(ASTEROID_MIN_SPEED * typeSpeed);
+      expect(speed).toBeLessThanOrEqual(ASTEROID_MAX_SPEED * typeSpeed);
+      // Velocity points straight back at the origin
+      expect(dot(normalize(asteroid.velocity), normalize(asteroid.position))).toBeCloseTo(-1);
+    }
+  });
+
+  test('destroying the last asteroid completes the level', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state);
 
-  test('asteroid speed increases with level', () => {
-    const level1 = getAsteroidSpeed(1);
-    const level5 = getAsteroidSpeed(5);
-    const level10 = getAsteroidSpeed(10);
+    const events = fireUntilDestroyed(game);
 
-    expect(level5.min).toBeGreaterThan(level1.min);
-    expect(level10.min).toBeGreaterThan(level5.min);
+    expect(events.map(e => e.type)).toContain('levelComplete');
+    expect(game.state.status).toBe('transition');
   });
 
-  test('speed range is always positive', () => {
-    for (let level = 1; level <= 10; level++) {
-      const speeds = getAsteroidSpeed(level);
-      expect(speeds.min).toBeGreaterThan(0);
-      expect(speeds.max).toBeGreaterThan(speeds.min);
-    }
+  test('losing the last asteroid to an impact fails the level', () => {
+    const game = new Simulation(1);
+    placeImpact(game.state, { size: 0.5 });
+
+    const events = game.advance();
+
+    expect(events.map(e => e.type)).toContain('levelFailed');
+    expect(game.state.status).toBe('failed');
   });
 });
 
 describe('Health System', () => {
   test('health decreases on damage', () => {
-    let health = 100;
-    const damage = 10;
+    const game = new Simulation(1);
+    placeImpact(game.state, { size: 2 });
 
-    health -= damage;
+    game.advance();
 
-    expect(health).toBe(90);
+    expect(game.state.earthHealth).toBe(MAX_EARTH_HEALTH - 10);
   });
 
   test('health cannot go below zero', () => {
-    let health = 5;
-    const damage = 10;
+    const game = new Simulation(1);
+    game.state.earthHealth = 5;
+    placeImpact(game.state, { size: 2 });
 
-    health = Math.max(0, health - damage);
+    const events = game.advance();
 
-    expect(health).toBe(0);
+    expect(game.state.earthHealth).toBe(0);
+    expect(events.map(e => e.type)).toContain('gameOver');
   });
 
   test('angel asteroid healing caps at max', () => {
-    let health = 95;
-    const maxHealth = 100;
-    const healing = 25;
+    const game = new Simulation(1);
+    game.state.earthHealth = 95;
+    placeImpact(game.state, { type: 'angel', health: 1, maxHealth: 1 });
 
-    health = Math.min(maxHealth, health + healing);
+    game.advance();
 
-    expect(health).toBe(100);
+    expect(game.state.earthHealth).toBe(MAX_EARTH_HEALTH);
   });
 });
 
 describe('Collision Math', () => {
-  // Mock THREE.Vector3 for testing
-  class Vector3 {
-    constructor(x = 0, y = 0, z = 0) {
-      this.x = x;
-      this.y = y;
-      this.z = z;
+  test('calculates distance correctly', () => {
+    expect(distance(vec3(0, 0, 0), vec3(3, 4, 0))).toBe(5); // 3-4-5 triangle
+  });
+
+  test('a bolt within range of an asteroid hits it', () => {
+    const game = new Simulation(1);
+    const asteroid = placeTarget(game.state, { health: 4, maxHealth: 4 });
+
+    const events = fireUntilDestroyed(game);
+
+    expect(events.filter(e => e.type === 'asteroidHit').length).toBeGreaterThan(0);
+    expect(asteroid.health).toBeLessThan(4);
+  });
+
+  test('bolts that miss keep flying', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state, { position: vec3(50, 1.35, -20) });
+
+    game.advance([['F', ...FORWARD]]);
+    for (let i = 0; i < 30; i++) game.advance();
+
+    expect(game.state.asteroids[0].health).toBe(1);
+    expect(game.state.bolts).toHaveLength(2);
+  });
+});
+
+describe('Scoring System', () => {
+  test('score multiplier is 1x at base orbit speed far from Earth', () => {
+    expect(calculateScoreMultiplier(BASE_ORBIT_SPEED, ASTEROID_SPAWN_MIN_DISTANCE)).toBe(1);
+  });
+
+  test('score multiplier grows as asteroids get closer', () => {
+    const far = calculateScoreMultiplier(BASE_ORBIT_SPEED, 15);
+    const near = calculateScoreMultiplier(BASE_ORBIT_SPEED, 5);
+
+    expect(near).toBeGreaterThan(far);
+    expect(calculateScoreMultiplier(BASE_ORBIT_SPEED, EARTH_RADIUS)).toBe(MAX_PROXIMITY_MULTIPLIER);
+  });
+
+  test('score multiplier from orbit speed is capped', () => {
+    expect(calculateScoreMultiplier(100, ASTEROID_SPAWN_MIN_DISTANCE)).toBe(MAX_ORBIT_SPEED_MULTIPLIER);
+  });
+
+  test('proximity multiplier ignores orbit speed', () => {
+    expect(calculateProximityMultiplier(5)).toBe(calculateScoreMultiplier(BASE_ORBIT_SPEED, 5));
+    expect(calculateProximityMultiplier(ASTEROID_SPAWN_MIN_DISTANCE)).toBe(1);
+    expect(calculateProximityMultiplier(EARTH_RADIUS)).toBe(MAX_PROXIMITY_MULTIPLIER);
+  });
+
+  test('kills award points and ammo', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state);
+
+    const events = fireUntilDestroyed(game);
+    const destroyed = events.find(e => e.type === 'asteroidDestroyed');
+
+    expect(game.state.score).toBe(destroyed.points);
+    expect(game.state.ammo).toBe(AMMO_PER_ASTEROID - 1 + AMMO_REWARD_PER_KILL);
+    expect(game.state.kills).toBe(1);
+  });
+
+  test('angel spawn interval is consistent', () => {
+    const game = new Simulation(1);
+    game.state.kills = ANGEL_SPAWN_INTERVAL - 1;
+    game.state.earthHealth = 50;
+    placeTarget(game.state);
+
+    const events = fireUntilDestroyed(game);
+
+    expect(events.map(e => e.type)).toContain('angelSpawned');
+  });
+});
+
+describe('Asteroid Types', () => {
+  test('the first levels are all rock and later ones mix in the other types', () => {
+    const { state } = new Simulation(4);
+
+    startLevel(state, 2, false, []);
+    expect(state.asteroids.map(a => a.type)).toEqual(['rock', 'rock']);
+
+    startLevel(state, 10, false, []);
+    const types = new Set(state.asteroids.map(a => a.type));
+    expect(types.size).toBeGreaterThan(1);
+    expect(types.has('angel')).toBe(false);
+  });
+
+  test('asteroids spawn with their type\'s health', () => {
+    const { state } = new Simulation(4);
+    startLevel(state, 10, false, []);
+
+    for (const asteroid of state.asteroids) {
+      expect(asteroid.health).toBe(ASTEROID_TYPES[asteroid.type].health(asteroid.size));
+    }
+    expect(ASTEROID_TYPES.iron.health(1)).toBe(2 * ASTEROID_TYPES.rock.health(1));
+  });
+
+  test('impacts deal their type\'s damage', () => {
+    const game = new Simulation(1);
+    placeImpact(game.state, { type: 'iron', size: 2 });
+
+    game.advance();
+
+    expect(game.state.earthHealth).toBe(MAX_EARTH_HEALTH - ASTEROID_TYPES.iron.damage(2));
+  });
+
+  test('an explosive shot down near Earth damages it', () => {
+    const game = new Simulation(1);
+    // Between the ship and Earth, shot from behind
+    placeTarget(game.state, { type: 'explosive', position: vec3(0, 1.35, -3), velocity: vec3() });
+
+    const events = game.advance([['F', ...quantizeQuaternion({ x: 0, y: 1, z: 0, w: 0 })]]);
+
+    expect(events).toContainEqual(expect.objectContaining({ type: 'blast', target: 'earth', damage: EXPLOSIVE_BLAST_DAMAGE }));
+    expect(game.state.earthHealth).toBe(MAX_EARTH_HEALTH - EXPLOSIVE_BLAST_DAMAGE);
+  });
+
+  test('an explosive shot down far out does no harm', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state, { type: 'explosive' });
+
+    const events = fireUntilDestroyed(game);
+
+    expect(events.map(e => e.type)).not.toContain('blast');
+    expect(game.state.earthHealth).toBe(MAX_EARTH_HEALTH);
+  });
+});
+
+describe('Fragments', () => {
+  test('a large asteroid splits into smaller ones of its type that the level still needs', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state, { type: 'iron', size: 2 });
+
+    const events = fireUntilDestroyed(game);
+    const { fragments } = events.find(e => e.type === 'asteroidSplit');
+
+    expect(fragments.length).toBeGreaterThanOrEqual(FRAGMENT_MIN_COUNT);
+    expect(fragments.length).toBeLessThanOrEqual(FRAGMENT_MAX_COUNT);
+    for (const fragment of fragments) {
+      expect(fragment.type).toBe('iron');
+      expect(fragment.size).toBe(2 * FRAGMENT_SIZE_FACTOR);
+      expect(fragment.maxHealth).toBe(ASTEROID_TYPES.iron.health(fragment.size));
     }
+    expect(game.state.levelAsteroidsTotal).toBe(1 + fragments.length);
+    expect(game.state.levelAsteroidsRemaining).toBe(fragments.length);
+    expect(game.state.status).toBe('playing');
+  });
 
-    length() {
-      return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+  test('fragments carry on with the parent\'s velocity plus a spread', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state, { size: 2, velocity: vec3(0, 0, 1) });
+
+    const events = fireUntilDestroyed(game);
+    const { asteroid, fragments } = events.find(e => e.type === 'asteroidSplit');
+
+    for (const fragment of fragments) {
+      expect(length(sub(fragment.velocity, asteroid.velocity))).toBeCloseTo(length(asteroid.velocity) * FRAGMENT_SPREAD);
     }
+    expect(new Set(fragments.map(f => f.velocity.x)).size).toBe(fragments.length);
+  });
+
+  test('small asteroids, explosives and games under older rules do not split', () => {
+    for (const [overrides, rules] of [[{ size: 1 }, 3], [{ type: 'explosive', size: 2 }, 3], [{ size: 2 }, 2]]) {
+      const game = new Simulation(1);
+      game.state.rules = rules;
+      placeTarget(game.state, overrides);
+
+      const events = fireUntilDestroyed(game);
 
-    distanceTo(other) {
-      const dx = this.x - other.x;
-      const dy = this.y - other.y;
-      const dz = this.z - other.z;
-      return Math.sqrt(dx * dx + dy * dy + dz * dz);
+      expect(events.map(e => e.type)).not.toContain('asteroidSplit');
+      expect(game.state.levelAsteroidsTotal).toBe(1);
     }
+  });
+});
+
+describe('Trajectories', () => {
+  // Advance until the asteroid reaches Earth or the Moon, for at most `seconds`
+  function advanceUntilImpact(game, seconds) {
+    for (let i = 0; i < seconds * TICK_RATE; i++) {
+      const impact = game.advance().find(e => e.type === 'asteroidImpact');
+      if (impact) return impact;
+    }
+    return null;
   }
 
-  test('calculates distance correctly', () => {
-    const point1 = new Vector3(0, 0, 0);
-    const point2 = new Vector3(3, 4, 0);
+  test('the first levels fly direct and later ones mix in the other trajectories', () => {
+    const { state } = new Simulation(4);
 
-    const distance = point1.distanceTo(point2);
+    startLevel(state, 2, false, []);
+    expect(state.asteroids.map(a => a.trajectory)).toEqual(['direct', 'direct']);
 
-    expect(distance).toBe(5); // 3-4-5 triangle
+    startLevel(state, 10, false, []);
+    expect(new Set(state.asteroids.map(a => a.trajectory)).size).toBeGreaterThan(1);
   });
 
-  test('detects collision when within radius', () => {
-    const object1 = new Vector3(0, 0, 0);
-    const object2 = new Vector3(1, 0, 0);
-    const collisionRadius = 2;
+  test('games under older rules fly every asteroid direct', () => {
+    const { state } = new Simulation(4);
+    state.rules = 3;
 
-    const distance = object1.distanceTo(object2);
-    const isColliding = distance < collisionRadius;
+    startLevel(state, 10, false, []);
 
-    expect(isColliding).toBe(true);
+    expect(state.asteroids.every(a => a.trajectory === 'direct')).toBe(true);
   });
 
-  test('no collision when outside radius', () => {
-    const object1 = new Vector3(0, 0, 0);
-    const object2 = new Vector3(5, 0, 0);
-    const collisionRadius = 2;
+  test('a Moon-bound asteroid chases down the Moon', () => {
+    const game = new Simulation(1);
+    placeAsteroid(game.state, { trajectory: 'moon', position: vec3(16, 0, 0), velocity: vec3(-1, 0, 0) });
 
-    const distance = object1.distanceTo(object2);
-    const isColliding = distance < collisionRadius;
+    expect(advanceUntilImpact(game, 30)).toMatchObject({ target: 'moon' });
+  });
+
+  test('gravity speeds an asteroid up and bends it into Earth', () => {
+    const game = new Simulation(1);
+    const asteroid = placeAsteroid(game.state, { trajectory: 'gravity', position: vec3(0, 0, -30), velocity: vec3(0.2, 0, 1) });
+
+    for (let i = 0; i < TICK_RATE; i++) game.advance();
+    expect(length(asteroid.velocity)).toBeGreaterThan(length(vec3(0.2, 0, 1)));
 
-    expect(isColliding).toBe(false);
+    expect(advanceUntilImpact(game, 60)).toMatchObject({ target: 'earth' });
+  });
+
+  test('a gravity asteroid swinging past turns back in', () => {
+    const game = new Simulation(1);
+    const asteroid = placeAsteroid(game.state, { trajectory: 'gravity', position: vec3(0, 0, -10), velocity: vec3(0, 0, -1) });
+
+    game.advance();
+
+    expect(asteroid.trajectory).toBe('direct');
+    expect(dot(normalize(asteroid.velocity), normalize(asteroid.position))).toBeCloseTo(-1);
+  });
+
+  test('an orbiting asteroid circles Earth as its orbit decays', () => {
+    const game = new Simulation(1);
+    const asteroid = placeAsteroid(game.state, { trajectory: 'orbit', position: vec3(0, 0, -10), velocity: vec3(1, 0, 0) });
+
+    for (let i = 0; i < 5 * TICK_RATE; i++) game.advance();
+
+    // A quarter of the way round or more, and lower, but not down yet
+    expect(asteroid.position.z).toBeGreaterThan(-5);
+    expect(length(asteroid.position)).toBeLessThan(10);
+    expect(game.state.asteroids).toContain(asteroid);
+
+    expect(advanceUntilImpact(game, 30)).not.toBeNull();
+  });
+
+  test('an orbiting asteroid flies straight until captured', () => {
+    const game = new Simulation(1);
+    const asteroid = placeAsteroid(game.state, {
+      trajectory: 'orbit', position: vec3(0, 0, -(ORBIT_CAPTURE_RADIUS + 20)), velocity: vec3(0.1, 0, 1)
+    });
+
+    game.advance();
+
+    expect(asteroid.velocity).toEqual(vec3(0.1, 0, 1));
   });
 });
 
-describe('Scoring System', () => {
-  test('ammo reward scales with level', () => {
-    const AMMO_REWARD_PER_KILL = 5;
-    let ammo = 50;
+describe('Enemy Fighters', () => {
+  test('fighters join the waves from level 5', () => {
+    const { state } = new Simulation(1);
+
+    startLevel(state, 4, false, []);
+    expect(state.enemies).toHaveLength(0);
 
-    ammo += AMMO_REWARD_PER_KILL;
+    startLevel(state, 5, false, []);
+    expect(state.enemies).toHaveLength(1);
 
-    expect(ammo).toBe(55);
+    state.rules = 4;
+    startLevel(state, 10, false, []);
+    expect(state.enemies).toHaveLength(0);
   });
 
-  test('angel spawn interval is consistent', () => {
-    const ANGEL_SPAWN_INTERVAL = 3;
-    const kills = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+  test('a fighter closes in on the ship and shoots at it', () => {
+    const game = new Simulation(2);
+    startLevel(game.state, 5, false, []);
+
+    let hit = null;
+    for (let i = 0; i < 30 * TICK_RATE && !hit; i++) {
+      hit = game.advance().find(e => e.type === 'shipHit');
+    }
+
+    expect(hit).toMatchObject({ damage: ENEMY_BOLT_DAMAGE });
+    expect(game.state.shipHealth).toBe(MAX_SHIP_HEALTH - ENEMY_BOLT_DAMAGE);
+    const [enemy] = game.state.enemies;
+    expect(distance(enemy.position, game.state.ship.position)).toBeLessThanOrEqual(ENEMY_FIRE_RANGE);
+  });
+
+  test('losing the ship ends the game', () => {
+    const game = new Simulation(1);
+    const { ship } = game.state;
+    game.state.shipHealth = ENEMY_BOLT_DAMAGE;
+    game.state.enemyBolts = [{ id: 99, position: vec3(ship.position.x, ship.position.y, ship.position.z - 0.5), velocity: vec3(0, 0, 1), distanceTraveled: 0 }];
+
+    const events = game.advance();
+
+    expect(events).toContainEqual({ type: 'gameOver', reason: 'shipDestroyed' });
+    expect(game.state.shipHealth).toBe(0);
+  });
+
+  test('shooting down a fighter scores but is not a kill', () => {
+    const game = new Simulation(1);
+    placeAsteroid(game.state, {});
+    placeEnemy(game.state, { health: 1, position: vec3(0, 1.35, -20), fireCooldown: 999 });
+
+    const events = game.advance([['F', ...FORWARD]]);
+    for (let i = 0; i < 30 && !events.some(e => e.type === 'enemyDestroyed'); i++) events.push(...game.advance());
+    const destroyed = events.find(e => e.type === 'enemyDestroyed');
+
+    expect(game.state.score).toBe(destroyed.points);
+    expect(game.state.kills).toBe(0);
+    expect(game.state.enemies).toHaveLength(0);
+  });
+
+  test('fighters withdraw when the level is complete, and the hull is repaired for the next', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state);
+    placeEnemy(game.state, { fireCooldown: 999 });
+    game.state.shipHealth = 30;
+
+    fireUntilDestroyed(game);
+    expect(game.state.status).toBe('transition');
+    expect(game.state.enemies).toHaveLength(0);
+
+    while (game.state.status === 'transition') game.advance();
+    expect(game.state.shipHealth).toBe(MAX_SHIP_HEALTH);
+  });
+});
+
+describe('Bosses', () => {
+  test('every fifth level brings a boss, taking turns by act', () => {
+    expect([4, 5, 10, 15].map(level => waveProfile(level).boss)).toEqual([null, 'comet', 'mothership', 'comet']);
+
+    const { state } = new Simulation(1);
+    startLevel(state, 5, false, []);
+    expect(state.boss).toMatchObject({ type: 'comet', phase: 0, radius: BOSS_SPAWN_DISTANCE });
+    expect(state.boss.parts).toHaveLength(BOSSES.comet.weakPoints.length);
+
+    state.rules = 5;
+    startLevel(state, 10, false, []);
+    expect(state.boss).toBeNull();
+  });
+
+  test('a boss flies in to its orbit before it attacks', () => {
+    const game = new Simulation(1);
+    startLevel(game.state, 10, false, []);
+
+    const attacks = [];
+    while (game.state.boss.radius > BOSS_ORBIT_RADIUS) {
+      attacks.push(...game.advance().filter(e => e.type === 'bossAttack'));
+    }
+    expect(attacks).toHaveLength(0);
+    expect(length(game.state.boss.position)).toBeCloseTo(Math.hypot(BOSS_ORBIT_RADIUS, BOSS_ORBIT_Y));
+
+    for (let i = 0; i < BOSSES.mothership.phases[0].attackTicks; i++) {
+      attacks.push(...game.advance().filter(e => e.type === 'bossAttack'));
+    }
+    expect(attacks.map(e => e.attack)).toEqual(['volley']);
+  });
+
+  test('the core is shielded while any weak point remains', () => {
+    const game = new Simulation(1);
+    placeAsteroid(game.state, { position: vec3(0, 0, 100) });
+    const boss = placeBoss(game.state, { parts: [{ id: 90, offset: vec3(0, 0, -6), health: 5, maxHealth: 5 }] });
+
+    const hit = fireUntil(game, 'bossHit').find(e => e.type === 'bossHit');
+
+    expect(hit).toMatchObject({ part: null, shielded: true });
+    expect(boss.health).toBe(10);
+  });
+
+  test('shooting off the last weak point exposes the core and moves the fight on a phase', () => {
+    const game = new Simulation(1);
+    placeAsteroid(game.state, { position: vec3(0, 0, 100) });
+    const boss = placeBoss(game.state, { parts: [{ id: 90, offset: vec3(0, 0, 6), health: 1, maxHealth: 1 }] });
+
+    const events = fireUntil(game, 'bossPartDestroyed');
+    expect(events.map(e => e.type)).toEqual(expect.arrayContaining(['bossPartDestroyed', 'bossPhaseChanged']));
+    expect(boss.phase).toBe(1);
+    expect(game.state.score).toBe(events.find(e => e.type === 'bossPartDestroyed').points);
+
+    while (game.state.fireCooldown > 0) game.advance();
+    const hit = fireUntil(game, 'bossHit').find(e => e.type === 'bossHit');
+    expect(hit).toMatchObject({ part: null, shielded: false });
+    expect(boss.health).toBe(9);
+  });
+
+  test('the last phase starts once half the core is gone', () => {
+    const game = new Simulation(1);
+    placeAsteroid(game.state, { position: vec3(0, 0, 100) });
+    const boss = placeBoss(game.state, { phase: 1, health: 6 });
+
+    const events = fireUntil(game, 'bossPhaseChanged');
+
+    expect(events).toContainEqual({ type: 'bossPhaseChanged', boss, phase: 2 });
+    expect(boss.attackCooldown).toBe(BOSSES.mothership.phases[2].attackTicks);
+  });
+
+  test('each phase cycles through its attacks while the hangar lasts', () => {
+    const game = new Simulation(1);
+    const { state } = game;
+    const boss = placeBoss(state, { phase: 1, hangar: { asteroids: 1, fighters: 1 } });
+    const attack = () => {
+      boss.attackCooldown = 1;
+      return game.advance().filter(e => e.type === 'bossAttack').map(e => e.attack);
+    };
+
+    expect(attack()).toEqual(['volley']);
+    expect(state.enemyBolts).toHaveLength(BOSS_VOLLEY_SHOTS);
+
+    expect(attack()).toEqual(['launch']);
+    const launched = state.asteroids[state.asteroids.length - 1];
+    expect(launched.type).toBe('rock');
+    expect(dot(normalize(launched.velocity), normalize(launched.position))).toBeCloseTo(-1);
+    expect(state.levelAsteroidsRemaining).toBe(2);
+
+    expect(attack()).toEqual(['fighters']);
+    expect(state.enemies).toHaveLength(1);
+
+    attack(); // Volley
+    expect(attack()).toEqual([]); // Nothing left to launch
+    expect(boss.hangar).toEqual({ asteroids: 0, fighters: 0 });
+  });
+
+  test('the level is not complete until its boss is destroyed, which scores but is not a kill', () => {
+    const game = new Simulation(1);
+    placeTarget(game.state);
+    placeBoss(game.state, { parts: [], health: 1 });
+
+    fireUntilDestroyed(game);
+    expect(game.state.kills).toBe(1);
+    expect(game.state.status).toBe('playing');
+
+    const scoreBefore = game.state.score;
+    while (game.state.fireCooldown > 0) game.advance();
+    const events = fireUntil(game, 'bossDestroyed');
+    const destroyed = events.find(e => e.type === 'bossDestroyed');
+
+    expect(events.map(e => e.type)).toContain('levelComplete');
+    expect(game.state.boss).toBeNull();
+    expect(game.state.score).toBe(scoreBefore + destroyed.points);
+    expect(game.state.kills).toBe(1);
+  });
+});
+
+describe('Simulation.step', () => {
+  test('runs one tick per TICK_SECONDS of frame time', () => {
+    const game = new Simulation(1);
+
+    game.step(TICK_SECONDS * 3 + TICK_SECONDS / 2);
+    expect(game.state.tick).toBe(3);
+
+    // The leftover half tick carries into the next frame
+    game.step(TICK_SECONDS / 2);
+    expect(game.state.tick).toBe(4);
+  });
+
+  test('inputs wait for the next tick and are recorded in the replay', () => {
+    const game = new Simulation(1);
+
+    game.step(TICK_SECONDS / 2, [['F', ...FORWARD]]);
+    expect(game.state.ammo).toBe(AMMO_PER_ASTEROID);
+
+    const events = game.step(TICK_SECONDS / 2);
+    expect(events.map(e => e.type)).toContain('lasersFired');
+    expect(game.replay.commands).toEqual([[0, 'F', ...FORWARD]]);
+    expect(game.replay.ticks).toBe(1);
+  });
+
+  test('long frames are capped', () => {
+    const game = new Simulation(1);
+
+    game.step(10);
+
+    expect(game.state.tick).toBe(Math.round(MAX_STEP_SECONDS / TICK_SECONDS));
+  });
+
+  test('stops ticking when the level fails', () => {
+    const game = new Simulation(1);
+    placeImpact(game.state, { size: 0.5 });
+
+    game.step(MAX_STEP_SECONDS);
+
+    expect(game.state.status).toBe('failed');
+    expect(game.state.tick).toBe(1);
+  });
+
+  test('a restored game continues from its saved state', () => {
+    const game = new Simulation(1);
+    game.step(MAX_STEP_SECONDS);
+
+    const saved = JSON.parse(JSON.stringify({ state: game.state, replay: game.replay }));
+    const restored = Simulation.restore(saved);
+    restored.step(TICK_SECONDS);
+    game.step(TICK_SECONDS);
+
+    expect(restored.state).toEqual(game.state);
+    expect(restored.replay).toEqual(game.replay);
+  });
+
+  test('resuming mid-level keeps the in-flight world', () => {
+    const game = new Simulation(3);
+    game.state.earthHealth = 60;
+    game.advance([['F', ...FORWARD], ['O', 0.4, -1, 0.1, -1]]);
+    for (let i = 0; i < 5; i++) game.advance();
+
+    const saved = JSON.parse(JSON.stringify({ state: game.state, replay: game.replay }));
+    const resumed = Simulation.restore(saved);
+    resumed.resume();
+    resumed.advance();
+    game.advance();
+
+    // Same asteroids (position, velocity, health), bolts and orbits as the uninterrupted game
+    expect(resumed.state).toEqual(game.state);
+    expect(resumed.state.bolts).toHaveLength(2);
+    expect(resumed.state.ship).toMatchObject({ speed: 0.4, direction: -1 });
+    expect(resumed.state.moon).toMatchObject({ speed: 0.1, direction: -1 });
+  });
+
+  test('resuming after a failed level retries it', () => {
+    const game = new Simulation(1);
+    placeImpact(game.state, { size: 0.5 });
+    game.advance();
 
-    const angelSpawns = kills.filter(k => k % ANGEL_SPAWN_INTERVAL === 0);
+    const resumed = Simulation.restore(JSON.parse(JSON.stringify({ state: game.state, replay: game.replay })));
+    resumed.resume();
+    const events = resumed.advance();
 
-    expect(angelSpawns).toEqual([3, 6, 9]);
+    expect(events).toContainEqual({ type: 'levelStarted', level: 1, isRetry: true });
+    expect(resumed.state.status).toBe('playing');
   });
 });
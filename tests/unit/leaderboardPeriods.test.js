@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for daily/weekly/all-time leaderboard windows
+ */
+import {
+  currentEntries, isLeaderboardPeriod, getPeriodKey, getBoardKey, rankScore, placementAt
+} from '../../api/_lib/leaderboardPeriods.js';
+
+// Wednesday afternoon, UTC
+const NOW = Date.parse('2026-10-14T15:30:00Z');
+
+function entryAt(date) {
+  return { id: date, name: 'P', score: 100, time: 60, location: 'Unknown', date };
+}
+
+describe('Leaderboard periods', () => {
+  test('recognizes the supported periods', () => {
+    expect(['daily', 'weekly', 'all-time'].every(isLeaderboardPeriod)).toBe(true);
+    expect(isLeaderboardPeriod('monthly')).toBe(false);
+    expect(isLeaderboardPeriod('constructor')).toBe(false);
+  });
+
+  test('all-time keeps the original storage key', () => {
+    expect(getPeriodKey('all-time')).toBe('leaderboard');
+    expect(new Set(['daily', 'weekly', 'all-time'].map(period => getPeriodKey(period))).size).toBe(3);
+  });
+
+  test('each game mode has its own boards', () => {
+    const keys = ['classic', 'endless', 'time-attack'].flatMap(mode =>
+      ['daily', 'weekly', 'all-time'].map(period => getPeriodKey(period, mode)));
+
+    expect(getPeriodKey('all-time', 'classic')).toBe('leaderboard');
+    expect(new Set(keys).size).toBe(9);
+  });
+
+  test('daily and weekly boards get a new key each window', () => {
+    const monday = Date.parse('2026-10-12T09:00:00Z');
+
+    expect(getBoardKey('daily', 'classic', NOW)).not.toBe(getBoardKey('daily', 'classic', monday));
+    expect(getBoardKey('weekly', 'classic', NOW)).toBe(getBoardKey('weekly', 'classic', monday));
+    expect(getBoardKey('all-time', 'classic', NOW)).toBe(getBoardKey('all-time', 'classic', 0));
+    expect(getBoardKey('all-time', 'endless', NOW)).not.toBe(getBoardKey('all-time', 'classic', NOW));
+  });
+
+  test('higher scores rank first', () => {
+    expect(rankScore({ score: 500 })).toBeLessThan(rankScore({ score: 100 }));
+  });
+
+  test('daily boards keep only entries from the current UTC day', () => {
+    const board = [entryAt('2026-10-14T00:00:00.000Z'), entryAt('2026-10-13T23:59:59.999Z')];
+
+    expect(currentEntries(board, 'daily', NOW).map(e => e.date)).toEqual(['2026-10-14T00:00:00.000Z']);
+  });
+
+  test('weekly boards keep entries since Monday', () => {
+    const board = [
+      entryAt('2026-10-12T00:00:00.000Z'), // Monday
+      entryAt('2026-10-11T23:00:00.000Z') // Sunday before
+    ];
+
+    expect(currentEntries(board, 'weekly', NOW)).toHaveLength(1);
+    // On a Sunday the week still started the previous Monday
+    expect(currentEntries(board, 'weekly', Date.parse('2026-10-18T23:00:00Z'))).toHaveLength(1);
+    expect(currentEntries(board, 'weekly', Date.parse('2026-10-19T00:00:00Z'))).toHaveLength(0);
+  });
+
+  test('all-time keeps everything', () => {
+    const board = [entryAt('2020-01-01T00:00:00.000Z'), entryAt('2026-10-14T12:00:00.000Z')];
+
+    expect(currentEntries(board, 'all-time', NOW)).toHaveLength(2);
+    expect(currentEntries(null, 'all-time', NOW)).toEqual([]);
+  });
+});
+
+describe('placementAt', () => {
+  test('reports rank, total and percentile', () => {
+    expect(placementAt(0, 4)).toEqual({ rank: 1, total: 4, percentile: 100 });
+    expect(placementAt(2, 4)).toEqual({ rank: 3, total: 4, percentile: 50 });
+    expect(placementAt(3, 4)).toEqual({ rank: 4, total: 4, percentile: 25 });
+  });
+
+  test('returns null for entries not on the board', () => {
+    expect(placementAt(null, 4)).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for lifetime player stats
+ */
+import { createStats, recordEvent, addStats, isEmpty, accuracy, checkStats, StatsError } from '../../public/playerStats.js';
+import { fromSimulationEvent } from '../../public/gameEvents.js';
+import { playGame } from '../helpers/playGame.js';
+
+describe('Recording stats', () => {
+  test('counts a real game\'s shots, hits and kills', () => {
+    const stats = createStats();
+    let fired = 0;
+    const { state } = playGame({
+      seed: 3,
+      kills: 6,
+      onEvents: (events) => {
+        fired += events.filter(e => e.type === 'lasersFired').length;
+        for (const event of events) recordEvent(stats, ...fromSimulationEvent(event));
+      }
+    });
+
+    expect(stats.kills).toBe(state.kills);
+    expect(stats.shotsFired).toBe(fired * 2); // One bolt per cannon
+    expect(stats.shotsHit).toBeGreaterThanOrEqual(stats.kills);
+    expect(stats.shotsHit).toBeLessThanOrEqual(stats.shotsFired);
+    expect(stats.bestMultiplier).toBeGreaterThanOrEqual(state.lastMultiplier);
+    expect(() => checkStats(stats)).not.toThrow();
+  });
+
+  test('bolts that hit fighters and bosses count as hits', () => {
+    const stats = createStats();
+    recordEvent(stats, 'laserFired', { bolts: [{}, {}, {}, {}] });
+    recordEvent(stats, 'asteroidHit', {});
+    recordEvent(stats, 'enemyHit', {});
+    recordEvent(stats, 'bossHit', { part: null, shielded: true });
+
+    expect(stats.shotsHit).toBe(3);
+    expect(accuracy(stats)).toBe(0.75);
+  });
+
+  test('counts friendly fire and angels', () => {
+    const stats = createStats();
+    recordEvent(stats, 'earthHit', { cause: 'friendlyFire', damage: 2 });
+    recordEvent(stats, 'moonHit', { cause: 'friendlyFire', damage: 2 });
+    recordEvent(stats, 'earthHit', { cause: 'friendlyFire', damage: 2 });
+    recordEvent(stats, 'earthHit', { cause: 'asteroid', damage: 8 }); // Not the player's doing
+    recordEvent(stats, 'angelDestroyed', {});
+
+    expect(stats).toEqual({ ...createStats(), earthHits: 2, moonHits: 1, angelsDestroyed: 1 });
+  });
+});
+
+describe('Combining stats', () => {
+  test('counters add up and the best multiplier is kept', () => {
+    const a = { ...createStats(), gamesPlayed: 2, kills: 10, bestMultiplier: 3.5, timePlayed: 60 };
+    const b = { ...createStats(), gamesPlayed: 1, kills: 4, bestMultiplier: 1.2, timePlayed: 30.5 };
+
+    expect(addStats(a, b)).toEqual({ ...createStats(), gamesPlayed: 3, kills: 14, bestMultiplier: 3.5, timePlayed: 90.5 });
+    expect(isEmpty(createStats())).toBe(true);
+    expect(isEmpty(b)).toBe(false);
+  });
+
+  test('accuracy is hits per shot, and unknown before the first shot', () => {
+    expect(accuracy(createStats())).toBeNull();
+    expect(accuracy({ ...createStats(), shotsFired: 8, shotsHit: 6 })).toBe(0.75);
+  });
+});
+
+describe('Validating stats', () => {
+  test('rejects missing, negative and impossible values', () => {
+    expect(() => checkStats(null)).toThrow(StatsError);
+    expect(() => checkStats({ kills: 1 })).toThrow('Invalid gamesPlayed');
+    expect(() => checkStats({ ...createStats(), kills: -1 })).toThrow('Invalid kills');
+    expect(() => checkStats({ ...createStats(), shotsFired: 1.5 })).toThrow('Invalid shotsFired');
+    expect(() => checkStats({ ...createStats(), bestMultiplier: 1000 })).toThrow('Invalid bestMultiplier');
+    expect(() => checkStats({ ...createStats(), timePlayed: Infinity })).toThrow('Invalid timePlayed');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit tests for the versioned save-game schema
+ */
+import { SAVE_VERSION, MAX_SAVE_NAME_LENGTH, SaveError, migrateSave, checkSaveShape, parseSave } from '../../public/saveSchema.js';
+import { Simulation, quantizeQuaternion } from '../../public/game/index.js';
+
+// A save of a real game a few seconds in, with a shot fired
+function currentSave() {
+  const game = new Simulation(5);
+  game.advance([['F', ...quantizeQuaternion({ x: 0, y: 0, z: 0, w: 1 })]]);
+  for (let i = 0; i < 120; i++) game.advance();
+  return JSON.parse(JSON.stringify({
+    version: SAVE_VERSION,
+    savedAt: 1700000000000,
+    gameElapsedTime: 2,
+    gameSessionToken: 'token',
+    name: null,
+    thumbnail: null,
+    simulation: game.state,
+    replay: game.replay
+  }));
+}
+
+// A current save as it would have been recorded before asteroid types, under rules 1
+function rules1Save() {
+  const save = currentSave();
+  const { rules, ...replay } = save.replay;
+  return { ...save, simulation: { ...save.simulation, rules: 1 }, replay };
+}
+
+// The same game saved at version 5, with angels flagged rather than typed
+function version5Save() {
+  const { rules, asteroids, shipHealth, enemies, enemyBolts, boss, ...simulation } = rules1Save().simulation;
+  const untyped = asteroids.map(({ type, trajectory, ...asteroid }) => ({ ...asteroid, isAngel: type === 'angel' }));
+  return { ...rules1Save(), version: 5, simulation: { ...simulation, asteroids: untyped } };
+}
+
+// The same game as it would have been recorded before game modes
+function classicSave() {
+  const { mode, ...replay } = rules1Save().replay;
+  return { ...rules1Save(), replay };
+}
+
+// The same game saved before saves were versioned
+function unversionedSave() {
+  const { replay } = classicSave();
+  const { mode, timeLeft, ...simulation } = version5Save().simulation;
+  return {
+    gameLevel: simulation.level,
+    earthHealth: simulation.earthHealth,
+    score: simulation.score,
+    laserAmmo: simulation.ammo,
+    gameElapsedTime: 2,
+    gameSessionToken: 'token',
+    simulation,
+    replay,
+    savedAt: 1700000000000
+  };
+}
+
+// A save in the original format: the game's counters and nothing to verify them with
+function originalSave() {
+  return {
+    gameLevel: 4,
+    earthHealth: 80,
+    moonHealth: 90,
+    score: 500,
+    asteroidsDestroyed: 8,
+    gameElapsedTime: 100,
+    levelAsteroidsRemaining: 2,
+    levelAsteroidsTotal: 4,
+    laserAmmo: 50,
+    scoreBeforeLevel: 400,
+    savedAt: 1700000000000
+  };
+}
+
+describe('Save migrations', () => {
+  test('current saves are left as they are', () => {
+    const save = currentSave();
+
+    expect(migrateSave(save)).toBe(save);
+  });
+
+  test('unversioned saves are upgraded to the current version', () => {
+    expect(migrateSave(unversionedSave())).toEqual(classicSave());
+  });
+
+  test('original saves restart their level from the saved counters', () => {
+    const save = parseSave(originalSave());
+
+    expect(save.version).toBe(SAVE_VERSION);
+    expect(save.gameElapsedTime).toBe(100);
+    expect(save.simulation).toMatchObject({
+      level: 4, score: 400, scoreBeforeLevel: 400, kills: 6, earthHealth: 80, moonHealth: 90, status: 'playing'
+    });
+    expect(save.simulation.asteroids).toHaveLength(4);
+    expect(save.replay.start).toEqual({ level: 4, score: 400, kills: 6, earthHealth: 80, moonHealth: 90 });
+  });
+
+  test('a game restarted from an original save can be saved and continued again', () => {
+    const saved = parseSave(originalSave());
+    const game = Simulation.restore({ state: saved.simulation, replay: saved.replay });
+    for (let i = 0; i < 60; i++) game.advance();
+
+    const resaved = JSON.parse(JSON.stringify({ ...saved, simulation: game.state, replay: game.replay }));
+
+    expect(parseSave(resaved)).toEqual(resaved);
+  });
+
+  test('original saves without usable counters are rejected', () => {
+    expect(() => migrateSave({ ...originalSave(), gameLevel: 'four' })).toThrow('Save has no game state');
+    expect(() => migrateSave({ ...originalSave(), earthHealth: undefined })).toThrow(SaveError);
+  });
+
+  test('version 2 saves get an empty name and thumbnail', () => {
+    const { name, thumbnail, ...version2 } = version5Save();
+    const { mode, timeLeft, ...simulation } = version2.simulation;
+
+    expect(migrateSave({ ...version2, simulation, version: 2 })).toEqual(rules1Save());
+  });
+
+  test('version 3 saves are classic games', () => {
+    const save = version5Save();
+    const { mode, timeLeft, ...simulation } = save.simulation;
+
+    expect(migrateSave({ ...save, version: 3, simulation })).toEqual(rules1Save());
+    expect(parseSave({ ...save, version: 3, simulation }).simulation.mode).toBe('classic');
+  });
+
+  test('version 4 saves have no time attack clock', () => {
+    const save = version5Save();
+    const { timeLeft, ...simulation } = save.simulation;
+
+    expect(migrateSave({ ...save, version: 4, simulation })).toEqual(rules1Save());
+    expect(parseSave({ ...save, version: 4, simulation }).simulation.timeLeft).toBeNull();
+  });
+
+  test('version 5 saves get typed asteroids and rules 1', () => {
+    const migrated = migrateSave(version5Save());
+
+    expect(migrated).toEqual(rules1Save());
+    expect(migrated.simulation.asteroids.map(a => a.type)).toEqual(['rock']);
+    expect(parseSave(version5Save())).toEqual(rules1Save());
+  });
+
+  test('version 6 saves have every asteroid flying direct', () => {
+    const save = rules1Save();
+    const { shipHealth, enemies, enemyBolts, boss, ...simulation } = save.simulation;
+    const asteroids = simulation.asteroids.map(({ trajectory, ...asteroid }) => asteroid);
+
+    expect(migrateSave({ ...save, version: 6, simulation: { ...simulation, asteroids } })).toEqual(save);
+    expect(save.simulation.asteroids.map(a => a.trajectory)).toEqual(['direct']);
+  });
+
+  test('version 7 saves have a whole hull and no fighters', () => {
+    const save = currentSave();
+    const { shipHealth, enemies, enemyBolts, boss, ...simulation } = save.simulation;
+
+    expect(migrateSave({ ...save, version: 7, simulation })).toEqual(save);
+    expect(parseSave({ ...save, version: 7, simulation }).simulation.shipHealth).toBe(100);
+  });
+
+  test('version 8 saves have no boss', () => {
+    const save = currentSave();
+    const { boss, ...simulation } = save.simulation;
+
+    expect(migrateSave({ ...save, version: 8, simulation })).toEqual(save);
+    expect(parseSave({ ...save, version: 8, simulation }).simulation.boss).toBeNull();
+  });
+
+  test('unknown versions are rejected', () => {
+    expect(() => migrateSave({ ...currentSave(), version: SAVE_VERSION + 1 })).toThrow(SaveError);
+    expect(() => migrateSave({ ...currentSave(), version: 0 })).toThrow(SaveError);
+    expect(() => migrateSave('save')).toThrow(SaveError);
+  });
+});
+
+describe('Save validation', () => {
+  test('a genuine save parses', () => {
+    expect(parseSave(unversionedSave())).toEqual(classicSave());
+  });
+
+  test('a game resumed from a save still validates when saved again', () => {
+    const saved = currentSave();
+    const game = Simulation.restore({ state: saved.simulation, replay: saved.replay });
+    game.queue(['S'], ['O', 0.4, -1, 0.2, 1]);
+    for (let i = 0; i < 60; i++) game.advance();
+
+    const resaved = JSON.parse(JSON.stringify({ ...saved, simulation: game.state, replay: game.replay }));
+
+    expect(parseSave(resaved)).toEqual(resaved);
+  });
+
+  test('missing or mistyped fields are rejected', () => {
+    const save = currentSave();
+
+    expect(() => checkSaveShape({ ...save, savedAt: 'yesterday' })).toThrow('Invalid save time');
+    expect(() => checkSaveShape({ ...save, gameElapsedTime: -1 })).toThrow('Invalid play time');
+    expect(() => checkSaveShape({ ...save, gameSessionToken: 42 })).toThrow('Invalid session token');
+    expect(() => checkSaveShape({ ...save, name: '   ' })).toThrow('Invalid save name');
+    expect(() => checkSaveShape({ ...save, name: 'x'.repeat(MAX_SAVE_NAME_LENGTH + 1) })).toThrow('Invalid save name');
+    expect(() => checkSaveShape({ ...save, thumbnail: 'javascript:alert(1)' })).toThrow('Invalid thumbnail');
+    expect(() => checkSaveShape({ ...save, simulation: null })).toThrow('Save has no game state');
+    expect(() => parseSave({ ...unversionedSave(), replay: undefined })).toThrow('Save has no replay');
+  });
+
+  test('a named save with a thumbnail is accepted', () => {
+    const save = { ...currentSave(), name: 'Level 1 run', thumbnail: 'data:image/jpeg;base64,/9j/4AAQ' };
+
+    expect(parseSave(save)).toEqual(save);
+  });
+
+  test('edited game state is rejected', () => {
+    for (const edit of [{ level: 9 }, { score: 999999 }, { ammo: 5000 }]) {
+      const save = currentSave();
+      Object.assign(save.simulation, edit);
+
+      expect(() => parseSave(save)).toThrow('Game state does not match its replay');
+    }
+  });
+
+  test('without verify, only the shape is checked', () => {
+    const edited = currentSave();
+    edited.simulation.score = 999999;
+
+    expect(parseSave(edited, { verify: false })).toEqual(edited);
+    expect(parseSave(unversionedSave(), { verify: false })).toEqual(classicSave());
+    expect(() => parseSave({ ...currentSave(), savedAt: 'yesterday' }, { verify: false })).toThrow('Invalid save time');
+  });
+
+  test('a corrupted replay is rejected', () => {
+    const save = currentSave();
+    save.replay.commands = 'garbage';
+
+    expect(() => parseSave(save)).toThrow(/^Invalid replay/);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for merging the local and cloud saved games
+ */
+import { continuesFrom, mergeSaves } from '../../public/saveSync.js';
+
+function save(savedAt, seed, commands, ticks = commands.length * 10) {
+  return { savedAt, gameLevel: 1, score: 0, simulation: {}, replay: { version: 1, seed, ticks, commands } };
+}
+
+const FIRE = [0, 'F', 0, 0, 0, 10000];
+const ORBIT = [15, 'O', 1, 1, 1, 1];
+const RETRY = [20, 'R'];
+
+describe('continuesFrom', () => {
+  test('a save is a continuation of an earlier point in the same game', () => {
+    expect(continuesFrom(save(2, 7, [FIRE, ORBIT]), save(1, 7, [FIRE]))).toBe(true);
+    expect(continuesFrom(save(2, 7, [FIRE]), save(1, 7, [FIRE]))).toBe(true);
+  });
+
+  test('different games or different inputs are not', () => {
+    expect(continuesFrom(save(2, 8, [FIRE, ORBIT]), save(1, 7, [FIRE]))).toBe(false);
+    expect(continuesFrom(save(2, 7, [FIRE, RETRY]), save(1, 7, [FIRE, ORBIT]))).toBe(false);
+    expect(continuesFrom(save(2, 7, [FIRE]), save(1, 7, [FIRE, ORBIT]))).toBe(false);
+  });
+});
+
+describe('mergeSaves', () => {
+  test('uses whichever save exists', () => {
+    const local = save(1, 7, [FIRE]);
+
+    expect(mergeSaves(local, null)).toEqual({ save: local, conflict: null });
+    expect(mergeSaves(null, local)).toEqual({ save: local, conflict: null });
+    expect(mergeSaves(null, null)).toEqual({ save: null, conflict: null });
+  });
+
+  test('the newest save wins when it carries on from the other', () => {
+    const older = save(1, 7, [FIRE]);
+    const newer = save(2, 7, [FIRE, ORBIT]);
+
+    expect(mergeSaves(older, newer)).toEqual({ save: newer, conflict: null });
+    expect(mergeSaves(newer, older)).toEqual({ save: newer, conflict: null });
+  });
+
+  test('diverged saves are a conflict for the player to settle', () => {
+    const local = save(3, 7, [FIRE, RETRY]);
+    const cloud = save(2, 7, [FIRE, ORBIT]);
+
+    expect(mergeSaves(local, cloud)).toEqual({ save: local, conflict: { local, cloud } });
+    expect(mergeSaves(save(1, 9, []), cloud).conflict).not.toBeNull();
+  });
+});
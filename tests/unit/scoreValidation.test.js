@@ -0,0 +1,217 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for game session tokens, score plausibility checks and replay verification
+ */
+import { createSessionToken, verifySessionToken, SESSION_MAX_AGE_MS } from '../../api/_lib/sessionToken.js';
+import {
+  MAX_POINTS_PER_KILL,
+  MIN_SECONDS_PER_KILL,
+  MAX_ENDLESS_LEVEL,
+  maxKillsThroughLevel,
+  maxEnemiesThroughLevel,
+  MAX_POINTS_PER_ENEMY,
+  maxBossesThroughLevel,
+  MAX_POINTS_PER_BOSS,
+  validateSubmission
+} from '../../api/_lib/scoreValidation.js';
+import { playGame } from '../helpers/playGame.js';
+import { RULES_VERSION } from '../../public/game/constants.js';
+
+const SECRET = 'test-secret';
+
+describe('Session tokens', () => {
+  test('a freshly issued token verifies', () => {
+    const { token, payload } = createSessionToken(SECRET);
+
+    expect(verifySessionToken(token, SECRET)).toEqual(payload);
+  });
+
+  test('a token signed with another secret is rejected', () => {
+    const { token } = createSessionToken('other-secret');
+
+    expect(verifySessionToken(token, SECRET)).toBeNull();
+  });
+
+  test('a tampered payload is rejected', () => {
+    const { token } = createSessionToken(SECRET);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sid: 'x', iat: 0 })).toString('base64url');
+
+    expect(verifySessionToken(`${forged}.${signature}`, SECRET)).toBeNull();
+  });
+
+  test('an expired token is rejected', () => {
+    const issuedAt = Date.now() - SESSION_MAX_AGE_MS - 1000;
+    const { token } = createSessionToken(SECRET, issuedAt);
+
+    expect(verifySessionToken(token, SECRET)).toBeNull();
+  });
+
+  test('garbage input is rejected', () => {
+    expect(verifySessionToken(undefined, SECRET)).toBeNull();
+    expect(verifySessionToken('not-a-token', SECRET)).toBeNull();
+    expect(verifySessionToken('a.b.c', SECRET)).toBeNull();
+  });
+});
+
+describe('Score plausibility', () => {
+  const now = Date.now();
+  const hourOldSession = { sid: 'abc', iat: now - 60 * 60 * 1000 };
+
+  test('max points per kill reflects the largest asteroid at max multipliers', () => {
+    // ceil(2.0 * 10) base points * 2.5x orbit * 4.0x proximity
+    expect(MAX_POINTS_PER_KILL).toBe(200);
+  });
+
+  test('levels 1-10 hold 55 asteroids in total', () => {
+    expect(maxKillsThroughLevel(10, 2)).toBe(55);
+  });
+
+  test('enemy fighters join from level 5 under rules version 5', () => {
+    expect(maxEnemiesThroughLevel(4)).toBe(0);
+    expect(maxEnemiesThroughLevel(10, 5)).toBe(3 * 1 + 3 * 2); // Levels 5-7 bring one, 8-10 two
+    expect(maxEnemiesThroughLevel(10, 4)).toBe(0);
+    expect(MAX_POINTS_PER_ENEMY).toBe(500);
+  });
+
+  test('fragments raise the kill cap from rules version 3', () => {
+    expect(maxKillsThroughLevel(10, 3)).toBe(55 * 5);
+    expect(maxKillsThroughLevel(10, 5)).toBe(maxKillsThroughLevel(10, 3));
+  });
+
+  test('bosses at levels 5 and 10 under rules version 6 raise the caps by what they launch', () => {
+    expect(maxBossesThroughLevel(4)).toBe(0);
+    expect(maxBossesThroughLevel(10)).toBe(2);
+    expect(maxBossesThroughLevel(10, 5)).toBe(0);
+    // The comet launches up to 8 asteroids and the mothership 4, plus 3 fighters
+    expect(maxKillsThroughLevel(10)).toBe((55 + 8 + 4) * 5);
+    expect(maxEnemiesThroughLevel(10)).toBe(3 * 1 + 3 * 2 + 3);
+    // The mothership's core and four weak points: ceil(300 * 10) + 4 * ceil(50 * 10)
+    expect(MAX_POINTS_PER_BOSS).toBe(5000);
+  });
+
+  test('accepts a realistic full run', () => {
+    const { submission } = playGame({ seed: 7 });
+    const result = validateSubmission(submission, hourOldSession, now);
+
+    expect(submission.level).toBe(10);
+    expect(result).toEqual({ valid: true });
+  });
+
+  test('rejects a score above the level maximum', () => {
+    const result = validateSubmission({ score: 999999999, time: 600, level: 10, kills: 55 }, hourOldSession, now);
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('extra kills from level retries do not raise the score cap', () => {
+    const cap = maxKillsThroughLevel(3, 1) * MAX_POINTS_PER_KILL; // No replay, so rules 1
+    const result = validateSubmission({ score: cap + 1, time: 600, level: 3, kills: 40 }, hourOldSession, now);
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects kills faster than the fire rate allows', () => {
+    const tooFast = 55 * MIN_SECONDS_PER_KILL - 1;
+    const result = validateSubmission({ score: 1000, time: tooFast, level: 10, kills: 55 }, hourOldSession, now);
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects play time longer than the session has existed', () => {
+    const freshSession = { sid: 'abc', iat: now - 30 * 1000 };
+    const result = validateSubmission({ score: 100, time: 300, level: 2, kills: 2 }, freshSession, now);
+
+    expect(result).toEqual({ valid: false, reason: 'Time exceeds session length' });
+  });
+
+  test('rejects levels outside 1-10', () => {
+    expect(validateSubmission({ score: 0, time: 10, level: 0, kills: 0 }, hourOldSession, now).valid).toBe(false);
+    expect(validateSubmission({ score: 0, time: 10, level: 11, kills: 0 }, hourOldSession, now).valid).toBe(false);
+  });
+
+  test('endless games may go past level 10, up to what the time limit allows', () => {
+    const replay = { mode: 'endless' };
+    const past10 = validateSubmission({ score: 0, time: 10, level: 11, kills: 0, replay }, hourOldSession, now);
+    const tooFar = { score: 0, time: 10, level: MAX_ENDLESS_LEVEL + 1, kills: 0, replay };
+
+    expect(past10.reason).not.toBe('Invalid level');
+    expect(validateSubmission(tooFar, hourOldSession, now)).toEqual({ valid: false, reason: 'Invalid level' });
+  });
+
+  test('time attack games stay on level 1', () => {
+    const replay = { mode: 'time-attack' };
+
+    expect(validateSubmission({ score: 0, time: 10, level: 2, kills: 0, replay }, hourOldSession, now))
+      .toEqual({ valid: false, reason: 'Invalid level' });
+  });
+
+  test('rejects unknown game modes', () => {
+    const result = validateSubmission({ score: 0, time: 10, level: 1, kills: 0, replay: { mode: 'zen' } }, hourOldSession, now);
+
+    expect(result).toEqual({ valid: false, reason: 'Invalid game mode' });
+  });
+});
+
+describe('Replay verification', () => {
+  const now = Date.now();
+  const hourOldSession = { sid: 'abc', iat: now - 60 * 60 * 1000 };
+  const { submission } = playGame({ seed: 42, kills: 6 });
+
+  test('accepts a submission that matches its replay', () => {
+    expect(validateSubmission(submission, hourOldSession, now)).toEqual({ valid: true });
+  });
+
+  test('rejects a submission without a replay', () => {
+    const result = validateSubmission({ ...submission, replay: undefined }, hourOldSession, now);
+
+    expect(result).toEqual({ valid: false, reason: 'Missing replay' });
+  });
+
+  test('rejects a score the replay does not reach', () => {
+    const result = validateSubmission({ ...submission, score: submission.score + 10 }, hourOldSession, now);
+
+    expect(result).toEqual({ valid: false, reason: 'Score does not match the game replay' });
+  });
+
+  test('rejects a game continued from a save made before replays', () => {
+    const start = { level: 4, score: 400, kills: 6, earthHealth: 80, moonHealth: 90 };
+    const result = validateSubmission({ ...submission, replay: { ...submission.replay, start } }, hourOldSession, now);
+
+    expect(result).toEqual({ valid: false, reason: "Games continued from a save made before replays can't be ranked" });
+  });
+
+  test('rejects a game played under older rules', () => {
+    const replay = { ...submission.replay, rules: RULES_VERSION - 1 };
+    const result = validateSubmission({ ...submission, replay }, hourOldSession, now);
+
+    expect(result).toEqual({ valid: false, reason: 'Game was played under old rules' });
+  });
+
+  test('rejects a replay with its shots removed', () => {
+    const replay = { ...submission.replay, commands: submission.replay.commands.slice(0, 5) };
+    const result = validateSubmission({ ...submission, replay }, hourOldSession, now);
+
+    expect(result.valid).toBe(false);
+  });
+
+  test('accepts an endless run past level 10', () => {
+    const endless = playGame({ seed: 42, mode: 'endless', kills: 130 }).submission;
+
+    expect(endless.level).toBe(11);
+    expect(validateSubmission(endless, hourOldSession, now)).toEqual({ valid: true });
+  });
+
+  test('accepts a full time attack run', () => {
+    const timeAttack = playGame({ seed: 42, mode: 'time-attack' }).submission;
+
+    expect(validateSubmission(timeAttack, hourOldSession, now)).toEqual({ valid: true });
+  });
+
+  test('rejects a claimed time shorter than the replay', () => {
+    const result = validateSubmission({ ...submission, time: submission.time - 10 }, hourOldSession, now);
+
+    expect(result).toEqual({ valid: false, reason: 'Time does not match the game replay' });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for the deterministic game simulation and replay logs
+ */
+import {
+  AMMO_PER_ASTEROID, FIRE_COOLDOWN_TICKS, TIME_ATTACK_TICKS, TIME_ATTACK_KILL_BONUS_TICKS, TIME_ATTACK_ASTEROIDS,
+  RULES_VERSION
+} from '../../public/game/constants.js';
+import { createSimulation, tickSimulation, quantizeQuaternion, waveProfile } from '../../public/game/simulation.js';
+import { createReplay, recordTick, runReplay, ReplayError } from '../../public/game/replay.js';
+import { playGame } from '../helpers/playGame.js';
+
+const FORWARD = quantizeQuaternion({ x: 0, y: 0, z: 0, w: 1 });
+
+describe('Simulation', () => {
+  test('the same seed spawns the same asteroids', () => {
+    const a = createSimulation(123);
+    const b = createSimulation(123);
+
+    expect(a.asteroids).toEqual(b.asteroids);
+    expect(createSimulation(124).asteroids).not.toEqual(a.asteroids);
+  });
+
+  test('level 1 starts with one asteroid and its ammo', () => {
+    const state = createSimulation(1);
+
+    expect(state.level).toBe(1);
+    expect(state.asteroids).toHaveLength(1);
+    expect(state.ammo).toBe(AMMO_PER_ASTEROID);
+  });
+
+  test('firing spends ammo and creates two bolts', () => {
+    const state = createSimulation(1);
+    const events = tickSimulation(state, [['F', ...FORWARD]]);
+
+    expect(state.ammo).toBe(AMMO_PER_ASTEROID - 1);
+    expect(state.bolts).toHaveLength(2);
+    expect(events.map(e => e.type)).toContain('lasersFired');
+  });
+
+  test('fire commands inside the cooldown are ignored', () => {
+    const state = createSimulation(1);
+    tickSimulation(state, [['F', ...FORWARD]]);
+    for (let i = 1; i < FIRE_COOLDOWN_TICKS; i++) {
+      tickSimulation(state, [['F', ...FORWARD]]);
+    }
+    expect(state.ammo).toBe(AMMO_PER_ASTEROID - 1);
+
+    tickSimulation(state, [['F', ...FORWARD]]);
+    expect(state.ammo).toBe(AMMO_PER_ASTEROID - 2);
+  });
+
+  test('orbit speed changes are clamped to the settings range', () => {
+    const state = createSimulation(1);
+    tickSimulation(state, [['O', 50, -1, -3, 1]]);
+
+    expect(state.ship.speed).toBe(0.5);
+    expect(state.ship.direction).toBe(-1);
+    expect(state.moon.speed).toBe(0);
+  });
+
+  test('a played game runs through all ten levels', () => {
+    const { state } = playGame({ seed: 3 });
+
+    expect(state.status).toBe('victory');
+    expect(state.level).toBe(10);
+    expect(state.kills).toBeGreaterThan(55); // Every asteroid in levels 1-10, plus fragments
+    expect(state.score).toBeGreaterThan(0);
+  });
+});
+
+describe('Endless mode', () => {
+  test('the first ten waves are the classic levels', () => {
+    for (let level = 1; level <= 10; level++) {
+      expect(waveProfile(level)).toMatchObject({ count: level, speedFactor: 1, largeShare: 0 });
+    }
+  });
+
+  test('later waves grow, speed up and bring more large asteroids, up to their caps', () => {
+    const [a, b] = [waveProfile(11), waveProfile(12)];
+
+    expect(b.count).toBeGreaterThan(a.count);
+    expect(b.speedFactor).toBeGreaterThan(a.speedFactor);
+    expect(b.largeShare).toBeGreaterThan(a.largeShare);
+    expect(waveProfile(1000)).toEqual(waveProfile(2000));
+  });
+
+  test('an endless game carries on past level 10', () => {
+    const { state } = playGame({ seed: 3, mode: 'endless', kills: 130 });
+
+    expect(state.mode).toBe('endless');
+    expect(state.level).toBe(11);
+    expect(state.status).toBe('playing');
+  });
+
+  test('an endless game plays the first levels exactly like a classic one', () => {
+    const classic = playGame({ seed: 8, kills: 10 });
+    const endless = runReplay({ ...classic.submission.replay, mode: 'endless' });
+
+    expect({ ...endless, mode: 'classic' }).toEqual(classic.state);
+  });
+});
+
+describe('Time attack mode', () => {
+  test('starts with a full field and the clock running', () => {
+    const state = createSimulation(4, 'time-attack');
+    tickSimulation(state);
+
+    expect(state.asteroids).toHaveLength(TIME_ATTACK_ASTEROIDS);
+    expect(state.timeLeft).toBe(TIME_ATTACK_TICKS - 1);
+    expect(createSimulation(4).timeLeft).toBeNull();
+  });
+
+  test('asteroids keep coming and every kill adds time until the clock runs out', () => {
+    const gameOvers = [];
+    const { state } = playGame({
+      seed: 2, mode: 'time-attack', onEvents: events => gameOvers.push(...events.filter(e => e.type === 'gameOver'))
+    });
+
+    expect(state.kills).toBeGreaterThan(TIME_ATTACK_ASTEROIDS);
+    expect(state.level).toBe(1);
+    expect(state.timeLeft).toBe(0);
+    expect(state.tick).toBe(TIME_ATTACK_TICKS + state.kills * TIME_ATTACK_KILL_BONUS_TICKS);
+    expect(gameOvers).toEqual([{ type: 'gameOver', reason: 'timeUp' }]);
+  });
+});
+
+describe('Replays', () => {
+  test('re-running a replay reproduces the game exactly', () => {
+    const { state, submission } = playGame({ seed: 99, kills: 10 });
+    const replayed = runReplay(submission.replay);
+
+    expect(replayed.score).toBe(state.score);
+    expect(replayed.kills).toBe(state.kills);
+    expect(replayed.level).toBe(state.level);
+    expect(replayed.earthHealth).toBe(state.earthHealth);
+  });
+
+  test('replays survive a JSON round trip', () => {
+    const { state, submission } = playGame({ seed: 5, kills: 4 });
+    const replayed = runReplay(JSON.parse(JSON.stringify(submission.replay)));
+
+    expect(replayed.score).toBe(state.score);
+  });
+
+  test('replays from before rules were versioned still play under rules 1', () => {
+    const { state, submission } = playGame({ seed: 7, kills: 30 });
+    const { rules, ...legacy } = submission.replay;
+    const replayed = runReplay(legacy);
+
+    expect(state.rules).toBe(RULES_VERSION);
+    expect(replayed.rules).toBe(1);
+    expect(replayed.asteroids.every(a => a.type === 'rock' || a.type === 'angel')).toBe(true);
+  });
+
+  test('recordTick stamps commands with their tick', () => {
+    const replay = createReplay(1);
+    recordTick(replay, 0, []);
+    recordTick(replay, 1, [['F', ...FORWARD]]);
+
+    expect(replay.ticks).toBe(2);
+    expect(replay.commands).toEqual([[1, 'F', ...FORWARD]]);
+  });
+
+  test('rejects replays longer than allowed', () => {
+    const replay = { ...createReplay(1), ticks: 1000 };
+
+    expect(() => runReplay(replay, { maxTicks: 999 })).toThrow(ReplayError);
+  });
+
+  test('rejects commands out of order or past the end', () => {
+    const outOfOrder = { ...createReplay(1), ticks: 10, commands: [[5, 'R'], [4, 'R']] };
+    const pastEnd = { ...createReplay(1), ticks: 10, commands: [[10, 'R']] };
+
+    expect(() => runReplay(outOfOrder)).toThrow('Replay commands out of order');
+    expect(() => runReplay(pastEnd)).toThrow('Replay commands out of order');
+  });
+
+  test('rejects malformed replays', () => {
+    expect(() => runReplay(null)).toThrow('Missing replay');
+    expect(() => runReplay({ ...createReplay(1), version: 0 })).toThrow('Unsupported replay version');
+    expect(() => runReplay({ ...createReplay(1), seed: -1 })).toThrow('Invalid replay seed');
+    expect(() => runReplay({ ...createReplay(1), mode: 'zen' })).toThrow('Invalid game mode');
+    expect(() => runReplay({ ...createReplay(1), rules: 99 })).toThrow('Unsupported game rules');
+    expect(() => runReplay({ ...createReplay(1), ticks: 1, commands: [[0, 'F', 'x', 0, 0, 1]] }))
+      .toThrow('Invalid replay command');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for the pluggable storage backends
+ */
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createFileStorage,
+  createKvStorage,
+  createMemoryStorage,
+  createSqliteStorage,
+  createStorage,
+  createAccountsStorageFromEnv,
+  createStorageFromEnv
+} from '../../api/_lib/storage/index.js';
+import { createFakeKvClient } from '../helpers/fakeKv.js';
+
+const tmpDir = mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+afterAll(() => rmSync(tmpDir, { recursive: true, force: true }));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const backends = {
+  memory: () => createMemoryStorage(),
+  file: () => createFileStorage(path.join(tmpDir, `${Math.random().toString(36).slice(2)}.json`)),
+  sqlite: () => createSqliteStorage(path.join(tmpDir, `${Math.random().toString(36).slice(2)}.db`)),
+  kv: () => createKvStorage(createFakeKvClient())
+};
+
+describe.each(Object.entries(backends))('%s storage', (name, create) => {
+  test('get returns null for missing keys', async () => {
+    const storage = create();
+    expect(await storage.get('missing')).toBeNull();
+  });
+
+  test('set then get round-trips a value', async () => {
+    const storage = create();
+    await storage.set('scores', [{ score: 10 }]);
+    expect(await storage.get('scores')).toEqual([{ score: 10 }]);
+  });
+
+  test('update applies the updater to the current value', async () => {
+    const storage = create();
+    await storage.set('count', 1);
+
+    const next = await storage.update('count', current => current + 1);
+
+    expect(next).toBe(2);
+    expect(await storage.get('count')).toBe(2);
+  });
+
+  test('update leaves the value untouched when the updater returns undefined', async () => {
+    const storage = create();
+    await storage.set('count', 5);
+
+    await storage.update('count', () => undefined);
+
+    expect(await storage.get('count')).toBe(5);
+  });
+
+  test('concurrent updates are applied one at a time', async () => {
+    const storage = create();
+    await storage.set('list', []);
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) =>
+      storage.update('list', async list => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return [...list, i];
+      })
+    ));
+
+    expect((await storage.get('list')).sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+  });
+
+  test('getMany and del', async () => {
+    const storage = create();
+    await storage.set('a', 1);
+    await storage.set('b', 2);
+
+    expect(await storage.getMany(['a', 'missing', 'b'])).toEqual([1, null, 2]);
+    expect(await storage.getMany([])).toEqual([]);
+    expect(await storage.del('a')).toBe(1);
+    expect(await storage.del('a')).toBe(0);
+    expect(await storage.get('a')).toBeNull();
+  });
+
+  test('incr counts up until the counter expires, then starts again', async () => {
+    const storage = create();
+
+    expect(await storage.incr('hits', 300)).toBe(1);
+    expect(await storage.incr('hits', 300)).toBe(2);
+    expect(await storage.get('hits')).toBe(2);
+
+    await sleep(350);
+    expect(await storage.get('hits')).toBeNull();
+    expect(await storage.incr('hits', 300)).toBe(1);
+  });
+
+  test('add writes only missing keys, which expire', async () => {
+    const storage = create();
+
+    expect(await storage.add('claim', { by: 'a' }, 300)).toBe(true);
+    expect(await storage.add('claim', { by: 'b' }, 300)).toBe(false);
+    expect(await storage.get('claim')).toEqual({ by: 'a' });
+
+    await sleep(350);
+    expect(await storage.get('claim')).toBeNull();
+    expect(await storage.add('claim', { by: 'b' }, 300)).toBe(true);
+  });
+
+  test('set clears a key\'s expiry', async () => {
+    const storage = create();
+    await storage.add('key', 1, 300);
+    await storage.set('key', 2);
+
+    await sleep(350);
+    expect(await storage.get('key')).toBe(2);
+  });
+
+  test('sorted sets order members by score, then by member', async () => {
+    const storage = create();
+    await storage.zadd('ranks', 5, 'b');
+    await storage.zadd('ranks', 5, 'a');
+    await storage.zadd('ranks', 1, 'c');
+
+    expect(await storage.zrange('ranks', 0, -1)).toEqual(['c', 'a', 'b']);
+    expect(await storage.zrange('ranks', 1, 1)).toEqual(['a']);
+    expect(await storage.zrange('ranks', 2, 10)).toEqual(['b']);
+    expect(await storage.zrank('ranks', 'b')).toBe(2);
+    expect(await storage.zrank('ranks', 'nobody')).toBeNull();
+    expect(await storage.zcard('ranks')).toBe(3);
+  });
+
+  test('re-adding a member moves it and zrem removes it', async () => {
+    const storage = create();
+    await storage.zadd('ranks', 5, 'a');
+    await storage.zadd('ranks', 3, 'b');
+
+    expect(await storage.zadd('ranks', 1, 'a')).toBe(0);
+    expect(await storage.zrange('ranks', 0, -1)).toEqual(['a', 'b']);
+    expect(await storage.zrem('ranks', 'a')).toBe(1);
+    expect(await storage.zrem('ranks', 'a')).toBe(0);
+    expect(await storage.zrange('ranks', 0, -1)).toEqual(['b']);
+  });
+
+  test('missing sorted sets are empty', async () => {
+    const storage = create();
+
+    expect(await storage.zrange('none', 0, -1)).toEqual([]);
+    expect(await storage.zcard('none')).toBe(0);
+    expect(await storage.zrank('none', 'a')).toBeNull();
+  });
+});
+
+describe('file storage persistence', () => {
+  test('writes values to disk and reloads them in a new instance', async () => {
+    const filePath = path.join(tmpDir, 'persist.json');
+    await createFileStorage(filePath).set('leaderboard', [{ name: 'Ace' }]);
+
+    expect(JSON.parse(readFileSync(filePath, 'utf8'))).toEqual({ leaderboard: [{ name: 'Ace' }] });
+    expect(await createFileStorage(filePath).get('leaderboard')).toEqual([{ name: 'Ace' }]);
+  });
+});
+
+describe('sqlite storage persistence', () => {
+  test('values and sorted sets survive reopening the database', async () => {
+    const filePath = path.join(tmpDir, 'persist.db');
+    const storage = createSqliteStorage(filePath);
+    await storage.set('account:ace', { username: 'Ace' });
+    await storage.zadd('ranks', -10, 'a');
+
+    const reopened = createSqliteStorage(filePath);
+    expect(await reopened.get('account:ace')).toEqual({ username: 'Ace' });
+    expect(await reopened.zrange('ranks', 0, -1)).toEqual(['a']);
+  });
+
+  test('a failed update leaves the value untouched', async () => {
+    const storage = createSqliteStorage(path.join(tmpDir, 'rollback.db'));
+    await storage.set('count', 1);
+
+    await expect(storage.update('count', () => { throw new Error('nope'); })).rejects.toThrow('nope');
+
+    expect(await storage.update('count', current => current + 1)).toBe(2);
+  });
+});
+
+describe('backend selection', () => {
+  test('STORAGE_BACKEND picks the backend', () => {
+    expect(createStorageFromEnv({ STORAGE_BACKEND: 'memory' }).name).toBe('memory');
+    expect(createStorageFromEnv({ STORAGE_BACKEND: 'FILE', STORAGE_FILE: path.join(tmpDir, 'x.json') }).name).toBe('file');
+  });
+
+  test('defaults to KV when Vercel KV credentials are present', () => {
+    expect(createStorageFromEnv({ KV_REST_API_URL: 'https://example' }).name).toBe('kv');
+    expect(createStorageFromEnv({}).name).toBe('memory');
+  });
+
+  test('explicit default backend applies when STORAGE_BACKEND is unset', () => {
+    expect(createStorageFromEnv({}, { defaultBackend: 'file' }).name).toBe('file');
+  });
+
+  test('accounts use SQLite at ACCOUNTS_DB or the default path', () => {
+    expect(createAccountsStorageFromEnv({ ACCOUNTS_DB: path.join(tmpDir, 'a.db') }).name).toBe('sqlite');
+    expect(createAccountsStorageFromEnv({}, { defaultFilePath: path.join(tmpDir, 'b.db') }).name).toBe('sqlite');
+  });
+
+  test('unknown backends are rejected', () => {
+    expect(() => createStorage({ backend: 'postgres' })).toThrow(/Unknown storage backend/);
+  });
+});